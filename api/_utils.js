@@ -0,0 +1,53 @@
+// Shared helpers for the Vercel functions in this directory.
+// Files starting with "_" are not deployed as endpoints.
+
+// Booking times in the sheet are office wall-clock times. The browser reads them in its
+// own timezone; make the server read them in the office's instead of UTC.
+process.env.TZ = process.env.OFFICE_TIMEZONE || "Asia/Ho_Chi_Minh";
+
+export const badRequest = (res, message) => res.status(400).json({ error: message });
+
+// ?month=yyyy-MM query values
+export const MONTH_PARAM = /^\d{4}-\d{2}$/;
+
+// First of a yyyy-MM month, in the office timezone
+export const monthParamToDate = (month) =>
+  new Date(Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1, 1);
+
+// The caller's public address. Only Vercel (process.env.VERCEL) is trusted to name it:
+// its edge sets x-real-ip itself, overwriting whatever the caller sent. Anywhere else
+// (`npm run dev`, another host) forwarding headers come from the caller and are ignored,
+// so the address is the socket's peer - behind some other proxy, that's the proxy's.
+export const getClientIp = (req) => {
+  if (process.env.VERCEL) {
+    const ip = String(req.headers?.["x-real-ip"] || "").trim();
+    if (ip) return ip;
+  }
+  return req.socket?.remoteAddress || "";
+};
+
+export const methodNotAllowed = (req, res, allowed) => {
+  res.setHeader("Allow", allowed.join(", "));
+  return res.status(405).json({ error: `Method ${req.method} not allowed` });
+};
+
+// Errors from googleSheets.js carry user-facing messages, pass them through as-is
+// along with any structured details (e.g. code/conflict on a double booking,
+// code/current when an edited booking changed in the meantime, code/monthSheet when
+// the booked month has no sheet, code/workingHours outside the room's working hours,
+// code/holiday on a day the office is closed, code/blackout while the room is out of use,
+// code/policy when the booking breaks the room's booking policy)
+export const sendError = (res, error) => {
+  console.error("❌ API error:", error);
+  return res.status(error.status || 500).json({
+    error: error.message || "Unexpected server error",
+    code: error.code,
+    conflict: error.conflict,
+    current: error.current,
+    monthSheet: error.monthSheet,
+    workingHours: error.workingHours,
+    holiday: error.holiday,
+    blackout: error.blackout,
+    policy: error.policy,
+  });
+};
@@ -0,0 +1,37 @@
+import { badRequest, methodNotAllowed, sendError } from "./_utils.js";
+import { decideBooking, fetchPendingBookings } from "../src/services/googleSheets.js";
+
+const DECISIONS = ["approve", "reject"];
+
+// /api/approvals
+//   GET                                   -> { bookings } waiting for approval
+//   POST { id, date, decision, approver_code } -> { success, id, approval }
+//        decision: approve | reject, recorded under the name of the approver whose code
+//        this is; 403 NOT_AN_APPROVER for a code not in APPROVERS,
+//        409 BOOKING_NOT_PENDING if it was already decided
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET":
+        return res.status(200).json({ bookings: await fetchPendingBookings() });
+
+      case "POST": {
+        const { id, date, decision, approver_code } = req.body || {};
+        if (!id) return badRequest(res, "Missing booking id");
+        if (!DECISIONS.includes(decision)) {
+          return badRequest(res, `decision must be one of ${DECISIONS.join(", ")}`);
+        }
+        return res
+          .status(200)
+          .json(await decideBooking(id, date || null, decision === "approve", approver_code));
+      }
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
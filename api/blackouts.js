@@ -0,0 +1,39 @@
+import { badRequest, methodNotAllowed, sendError } from "./_utils.js";
+import {
+  fetchBlackouts,
+  createBlackout,
+  deleteBlackout,
+} from "../src/services/googleSheets.js";
+
+// /api/blackouts
+//   GET                -> { blackouts: [{ id, room_id, start_time, end_time, reason }] } (not ended yet)
+//   POST { blackout }  -> { success, id, blackout }
+//   DELETE ?id=<blackoutId>
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET":
+        return res.status(200).json({ blackouts: await fetchBlackouts() });
+
+      case "POST": {
+        const { blackout } = req.body || {};
+        if (!blackout) return badRequest(res, "Missing blackout");
+        return res.status(201).json(await createBlackout(blackout));
+      }
+
+      case "DELETE": {
+        const { id } = req.query || {};
+        if (!id) return badRequest(res, "Missing blackout id");
+        await deleteBlackout(id);
+        return res.status(200).json({ success: true });
+      }
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST", "DELETE"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
@@ -0,0 +1,71 @@
+import {
+  MONTH_PARAM,
+  badRequest,
+  methodNotAllowed,
+  monthParamToDate,
+  sendError,
+} from "./_utils.js";
+import {
+  fetchBookings,
+  createBooking,
+  updateBooking,
+  deleteBooking,
+} from "../src/services/googleSheets.js";
+import { RECURRENCE_SCOPES } from "../src/utils/recurrence.js";
+
+const SCOPES = Object.values(RECURRENCE_SCOPES);
+
+// /api/bookings
+//   GET    ?month=yyyy-MM                        -> { bookings } (current month if omitted)
+//   POST   { booking }                           -> createBooking result (booking.recurrence: RRULE)
+//   PUT    { id, date, booking, expected, scope } -> updateBooking result (409 BOOKING_MODIFIED if stale)
+//   DELETE ?id=<bookingId>&date=yyyy-MM-dd&scope=this|following|all
+// scope only applies to occurrences of recurring bookings
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET": {
+        const { month } = req.query || {};
+        if (month && !MONTH_PARAM.test(month)) {
+          return badRequest(res, "month must be yyyy-MM");
+        }
+        const monthDate = month ? monthParamToDate(month) : null;
+        return res.status(200).json({ bookings: await fetchBookings(monthDate) });
+      }
+
+      case "POST": {
+        const { booking } = req.body || {};
+        if (!booking) return badRequest(res, "Missing booking");
+        return res.status(201).json(await createBooking(booking));
+      }
+
+      case "PUT": {
+        const { id, date, booking, expected, scope } = req.body || {};
+        if (!id || !booking) return badRequest(res, "Missing booking id or data");
+        if (scope && !SCOPES.includes(scope)) {
+          return badRequest(res, `scope must be one of ${SCOPES.join(", ")}`);
+        }
+        return res
+          .status(200)
+          .json(await updateBooking(id, date || null, booking, { expected: expected || null, scope }));
+      }
+
+      case "DELETE": {
+        const { id, date, scope } = req.query || {};
+        if (!id) return badRequest(res, "Missing booking id");
+        if (scope && !SCOPES.includes(scope)) {
+          return badRequest(res, `scope must be one of ${SCOPES.join(", ")}`);
+        }
+        await deleteBooking(id, date || null, { scope });
+        return res.status(200).json({ success: true });
+      }
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST", "PUT", "DELETE"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
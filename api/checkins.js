@@ -0,0 +1,18 @@
+import { badRequest, methodNotAllowed, sendError } from "./_utils.js";
+import { checkInBooking } from "../src/services/googleSheets.js";
+
+// /api/checkins
+//   POST { id, date } -> { success, id, attendance }
+//        409 CHECK_IN_NOT_OPEN before check-in opens or once it has closed
+const handler = async (req, res) => {
+  try {
+    if (req.method !== "POST") return methodNotAllowed(req, res, ["POST"]);
+    const { id, date } = req.body || {};
+    if (!id) return badRequest(res, "Missing booking id");
+    return res.status(200).json(await checkInBooking(id, date || null));
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
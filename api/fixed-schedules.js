@@ -0,0 +1,68 @@
+import {
+  MONTH_PARAM,
+  badRequest,
+  methodNotAllowed,
+  monthParamToDate,
+  sendError,
+} from "./_utils.js";
+import {
+  fetchFixedSchedules,
+  createFixedSchedule,
+  updateFixedSchedule,
+  deleteFixedSchedule,
+  skipFixedScheduleDate,
+} from "../src/services/googleSheets.js";
+
+// /api/fixed-schedules
+//   GET    ?month=yyyy-MM       -> { schedules } in effect that month (current month if omitted)
+//   POST   { schedule }         -> createFixedSchedule result
+//   PUT    { id, schedule }     -> updateFixedSchedule result
+//   DELETE ?id=<scheduleId>              -> deletes the schedule
+//   DELETE ?id=<scheduleId>&date=yyyy-MM-dd -> skips that one date
+// schedules carry effective_from / effective_until / skip_dates (see utils/fixedScheduleDates.js)
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET": {
+        const { month } = req.query || {};
+        if (month && !MONTH_PARAM.test(month)) {
+          return badRequest(res, "month must be yyyy-MM");
+        }
+        const monthDate = month ? monthParamToDate(month) : null;
+        return res.status(200).json({ schedules: await fetchFixedSchedules(monthDate) });
+      }
+
+      case "POST": {
+        const { schedule } = req.body || {};
+        if (!schedule) return badRequest(res, "Missing schedule");
+        return res.status(201).json(await createFixedSchedule(schedule));
+      }
+
+      case "PUT": {
+        const { id, schedule } = req.body || {};
+        if (!id || !schedule) return badRequest(res, "Missing schedule id or data");
+        return res.status(200).json(await updateFixedSchedule(id, schedule));
+      }
+
+      case "DELETE": {
+        const { id, date } = req.query || {};
+        if (!id) return badRequest(res, "Missing schedule id");
+        if (date) {
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return badRequest(res, "date must be yyyy-MM-dd");
+          }
+          return res.status(200).json(await skipFixedScheduleDate(id, date));
+        }
+        await deleteFixedSchedule(id);
+        return res.status(200).json({ success: true });
+      }
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST", "PUT", "DELETE"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
@@ -0,0 +1,31 @@
+import { badRequest, methodNotAllowed, sendError } from "./_utils.js";
+import { fetchHolidays, importHolidays } from "../src/services/googleSheets.js";
+import { parseIcsHolidays } from "../src/utils/holidays.js";
+
+// /api/holidays
+//   GET          -> { holidays: [{ date: "yyyy-MM-dd", label }] }
+//   POST { ics } -> { added, holidays }, adding the days of an iCalendar file
+//                   to the HOLIDAYS sheet (days already listed are kept)
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET":
+        return res.status(200).json({ holidays: await fetchHolidays() });
+
+      case "POST": {
+        const { ics } = req.body || {};
+        if (!ics) return badRequest(res, "Missing ics");
+        const holidays = parseIcsHolidays(ics);
+        if (holidays.length === 0) return badRequest(res, "No holidays found in ics");
+        return res.status(201).json(await importHolidays(holidays));
+      }
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
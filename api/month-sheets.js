@@ -0,0 +1,22 @@
+import { MONTH_PARAM, badRequest, methodNotAllowed, monthParamToDate, sendError } from "./_utils.js";
+import { createMonthSheet } from "../src/services/googleSheets.js";
+
+// /api/month-sheets
+//   POST { month: "yyyy-MM" } -> { gid, title, created }, copying the TEMPLATE sheet or
+//                                the latest month sheet when the month has none yet
+const handler = async (req, res) => {
+  try {
+    if (req.method !== "POST") return methodNotAllowed(req, res, ["POST"]);
+
+    const { month } = req.body || {};
+    if (!month || !MONTH_PARAM.test(month)) {
+      return badRequest(res, "month must be yyyy-MM");
+    }
+    const result = await createMonthSheet(monthParamToDate(month));
+    return res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
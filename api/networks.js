@@ -0,0 +1,48 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { badRequest, getClientIp, methodNotAllowed, sendError } from "./_utils.js";
+import {
+  fetchAuthorizedNetworks,
+  authorizeNetwork,
+} from "../src/services/googleSheets.js";
+
+// Authorizing a network takes the office password NetworkGuard asks for, kept on the
+// server as NETWORK_AUTH_SECRET. Without it set, no network can be authorized.
+const isNetworkSecret = (password) => {
+  const secret = process.env.NETWORK_AUTH_SECRET;
+  if (!secret || typeof password !== "string") return false;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(password), digest(secret));
+};
+
+// /api/networks
+//   GET                -> { networks: [ip, ...] }
+//   POST { password }  -> { success, ip }; authorizes the caller's own address,
+//                         403 INVALID_NETWORK_SECRET for a wrong password
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET":
+        return res.status(200).json({ networks: await fetchAuthorizedNetworks() });
+
+      case "POST": {
+        const { password } = req.body || {};
+        if (!isNetworkSecret(password)) {
+          return res
+            .status(403)
+            .json({ error: "Incorrect password", code: "INVALID_NETWORK_SECRET" });
+        }
+        const ip = getClientIp(req);
+        if (!ip) return badRequest(res, "Could not tell the caller's address");
+        await authorizeNetwork(ip, req.headers["user-agent"] || "");
+        return res.status(201).json({ success: true, ip });
+      }
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
@@ -0,0 +1,44 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { methodNotAllowed, sendError } from "./_utils.js";
+import { fetchNoShowCounts, releaseNoShows } from "../src/services/googleSheets.js";
+
+// Releasing no-shows is the scheduler's job (the Vercel Cron job in vercel.json), not
+// the browsers'. With CRON_SECRET set, it takes "Authorization: Bearer <CRON_SECRET>",
+// which Vercel Cron sends on its own.
+const isScheduler = (req) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return true;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(String(req.headers?.authorization || "")), digest(`Bearer ${secret}`));
+};
+
+const release = async (req, res) => {
+  if (!isScheduler(req)) {
+    return res.status(403).json({ error: "Only the scheduler releases no-shows", code: "NOT_THE_SCHEDULER" });
+  }
+  return res.status(200).json(await releaseNoShows());
+};
+
+// /api/no-shows
+//   GET            -> { noShows: [{ person, count, last }] }, most no-shows first
+//   POST           -> { released: [booking] }, releasing today's bookings nobody checked in to
+//   GET ?release=1 -> the same, for Vercel Cron, which only sends GET
+const handler = async (req, res) => {
+  try {
+    switch (req.method) {
+      case "GET":
+        if (req.query?.release) return await release(req, res);
+        return res.status(200).json({ noShows: await fetchNoShowCounts() });
+
+      case "POST":
+        return await release(req, res);
+
+      default:
+        return methodNotAllowed(req, res, ["GET", "POST"]);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
@@ -0,0 +1,16 @@
+import { methodNotAllowed, sendError } from "./_utils.js";
+import { fetchRooms } from "../src/services/googleSheets.js";
+
+// /api/rooms
+//   GET -> { rooms: [{ id, name, capacity, features, image_url, sheet_column, color, hours, policy,
+//              requires_approval }] }
+const handler = async (req, res) => {
+  try {
+    if (req.method !== "GET") return methodNotAllowed(req, res, ["GET"]);
+    return res.status(200).json({ rooms: await fetchRooms() });
+  } catch (error) {
+    return sendError(res, error);
+  }
+};
+
+export default handler;
@@ -0,0 +1,39 @@
+// Import public holidays or closure days from an iCalendar (.ics) file into the
+// HOLIDAYS sheet, so nothing can be booked on them (see src/utils/holidays.js).
+// Days already in the sheet are left as they are.
+//
+// Usage:
+//   npm run holidays:import -- [file.ics] [--dry-run]
+// The file defaults to the bundled Vietnamese and Korean public holidays
+// (scripts/holidays/vn-kr-2026.ics). --dry-run only lists the days found.
+// Reads the same server-side variables as the API functions (GOOGLE_SHEET_ID,
+// GOOGLE_REFRESH_TOKEN, ... or GOOGLE_SHEETS_BASE_URL for the emulator).
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseIcsHolidays } from "../src/utils/holidays.js";
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(scriptDir, "holidays", "vn-kr-2026.ics");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const file = args.find((arg) => !arg.startsWith("--")) || DEFAULT_FILE;
+
+const holidays = parseIcsHolidays(fs.readFileSync(file, "utf8"));
+if (holidays.length === 0) {
+  console.error(`❌ No holidays found in ${file}`);
+  process.exit(1);
+}
+console.log(`📄 ${holidays.length} days in ${path.basename(file)}`);
+
+if (dryRun) {
+  holidays.forEach(({ date, label }) => console.log(`   ${date}  ${label}`));
+} else {
+  // Imported late so a dry run needs no Sheets configuration
+  const { importHolidays } = await import("../src/services/googleSheets.js");
+  const { added } = await importHolidays(holidays);
+  added.forEach(({ date, label }) => console.log(`   + ${date}  ${label}`));
+  console.log(`✅ Added ${added.length} days to the HOLIDAYS sheet`);
+}
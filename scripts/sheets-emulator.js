@@ -0,0 +1,569 @@
+// Local Google Sheets API emulator for offline development.
+//
+// Implements only the endpoints src/services/googleSheets.js uses, against a JSON
+// fixture workbook held in memory (changes are lost when the process exits):
+//   GET  /spreadsheets/d/:id/gviz/tq?tqx=out:csv&gid=N     CSV export of a sheet
+//   GET  /spreadsheets/d/:id/edit                           workbook dump (for "View Sheet")
+//   GET  /v4/spreadsheets/:id?fields=sheets.properties      sheet list
+//   GET  /v4/spreadsheets/:id/values/:range                 read a range
+//   PUT  /v4/spreadsheets/:id/values/:range                 write a range
+//   POST /v4/spreadsheets/:id/values/:range:append          append rows
+//   POST /v4/spreadsheets/:id/values/:range:clear           clear a range
+//   POST /v4/spreadsheets/:id:batchUpdate                   insertDimension, deleteDimension,
+//                                                           copyPaste, addSheet, duplicateSheet,
+//                                                           updateCells, updateDimensionProperties
+//   POST /token                                             OAuth refresh (always succeeds)
+//   GET  /ip                                                public IP lookup (always 127.0.0.1)
+//
+// Usage:
+//   npm run sheets:emulator -- [--port 8787] [--fixture scripts/fixtures/workbook.json]
+// then in .env:
+//   VITE_GOOGLE_SHEETS_BASE_URL=http://localhost:8787
+//   VITE_GOOGLE_SHEET_ID=local-emulator
+// The API functions (npm run dev) read the same variables and get a token from the
+// emulator's /token. With VITE_STORAGE_BACKEND=sheets the browser also needs
+//   VITE_GOOGLE_ACCESS_TOKEN=emulator   (any non-empty value; the emulator doesn't check it)
+//
+// Fixture titles and cells may use {{MONTH}}, {{YEAR}}, {{NEXT_MONTH}}, {{NEXT_YEAR}}
+// and {{TODAY}}, resolved at startup so the workbook always matches the current month.
+// A "{{DAY}}" cell in column B becomes the weekday name of the date in column A.
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Papa from "papaparse";
+
+const MONTH_NAMES = [
+  "JANUARY",
+  "FEBRUARY",
+  "MARCH",
+  "APRIL",
+  "MAY",
+  "JUNE",
+  "JULY",
+  "AUGUST",
+  "SEPTEMBER",
+  "OCTOBER",
+  "NOVEMBER",
+  "DECEMBER",
+];
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index !== -1 && process.argv[index + 1]) return process.argv[index + 1];
+  return fallback;
+};
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+const PORT = parseInt(
+  getArg("port", process.env.SHEETS_EMULATOR_PORT || "8787"),
+  10
+);
+const FIXTURE_PATH = path.resolve(
+  getArg("fixture", path.join(scriptDir, "fixtures", "workbook.json"))
+);
+
+// ---------- Fixture loading ----------
+
+const loadWorkbook = (fixturePath) => {
+  const now = new Date();
+  const next = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  const placeholders = {
+    MONTH: MONTH_NAMES[now.getMonth()],
+    YEAR: String(now.getFullYear()),
+    NEXT_MONTH: MONTH_NAMES[next.getMonth()],
+    NEXT_YEAR: String(next.getFullYear()),
+    TODAY: String(now.getDate()),
+  };
+
+  const text = fs
+    .readFileSync(fixturePath, "utf8")
+    .replace(/\{\{(MONTH|YEAR|NEXT_MONTH|NEXT_YEAR|TODAY)\}\}/g, (_, key) =>
+      placeholders[key]
+    );
+  const workbook = JSON.parse(text);
+
+  // Resolve weekday names against the month named in the sheet title
+  workbook.sheets.forEach((sheet) => {
+    const title = sheet.title.toUpperCase();
+    const monthIndex = MONTH_NAMES.findIndex((m) => title.includes(m));
+    const yearMatch = title.match(/\d{4}/);
+    const year = yearMatch ? parseInt(yearMatch[0], 10) : now.getFullYear();
+
+    sheet.rows = (sheet.rows || []).map((row) =>
+      row.map((cell, col) => {
+        if (cell !== "{{DAY}}") return cell;
+        if (col !== 1 || monthIndex === -1) return "";
+        const day = parseInt(row[0], 10);
+        return isNaN(day) ? "" : DAY_NAMES[new Date(year, monthIndex, day).getDay()];
+      })
+    );
+  });
+
+  return workbook;
+};
+
+const workbook = loadWorkbook(FIXTURE_PATH);
+
+// ---------- A1 notation helpers ----------
+
+const columnToIndex = (letters) =>
+  letters
+    .toUpperCase()
+    .split("")
+    .reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+
+const indexToColumn = (index) => {
+  let n = index + 1;
+  let letters = "";
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+};
+
+// Parse "SHEET!A6:I1000", "'My Sheet'!A:I", "SHEET!A1:C1" into 0-based bounds
+// (endRow/endCol are exclusive, null = unbounded)
+const parseRange = (range) => {
+  const bang = range.lastIndexOf("!");
+  const rawTitle = bang === -1 ? range : range.slice(0, bang);
+  const cells = bang === -1 ? "" : range.slice(bang + 1);
+  const title = rawTitle.replace(/^'(.*)'$/, "$1").replace(/''/g, "'");
+
+  const parseCell = (ref) => {
+    const match = (ref || "").match(/^([A-Za-z]*)(\d*)$/);
+    if (!match) return { col: null, row: null };
+    return {
+      col: match[1] ? columnToIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2], 10) - 1 : null,
+    };
+  };
+
+  const [startRef, endRef] = cells ? cells.split(":") : ["", ""];
+  const start = parseCell(startRef);
+  const end = endRef !== undefined ? parseCell(endRef) : start;
+
+  return {
+    title,
+    startRow: start.row ?? 0,
+    startCol: start.col ?? 0,
+    endRow: end.row !== null ? end.row + 1 : null,
+    endCol: end.col !== null ? end.col + 1 : null,
+  };
+};
+
+const findSheetByTitle = (title) =>
+  workbook.sheets.find((s) => s.title.toUpperCase() === title.toUpperCase());
+
+const findSheetById = (sheetId) =>
+  workbook.sheets.find((s) => String(s.sheetId) === String(sheetId));
+
+const cellToString = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+// Drop trailing empty cells/rows the way the real API does
+const trimValues = (rows) => {
+  const trimmed = rows.map((row) => {
+    const copy = [...row];
+    while (copy.length > 0 && cellToString(copy[copy.length - 1]) === "") {
+      copy.pop();
+    }
+    return copy.map(cellToString);
+  });
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) {
+    trimmed.pop();
+  }
+  return trimmed;
+};
+
+const readRange = (sheet, bounds) => {
+  const endRow = bounds.endRow ?? sheet.rows.length;
+  const rows = [];
+  for (let r = bounds.startRow; r < Math.min(endRow, sheet.rows.length); r++) {
+    const row = sheet.rows[r] || [];
+    const endCol = bounds.endCol ?? row.length;
+    rows.push(row.slice(bounds.startCol, endCol));
+  }
+  return trimValues(rows);
+};
+
+const writeCells = (sheet, startRow, startCol, values) => {
+  values.forEach((valueRow, r) => {
+    const rowIndex = startRow + r;
+    while (sheet.rows.length <= rowIndex) sheet.rows.push([]);
+    const row = sheet.rows[rowIndex];
+    valueRow.forEach((value, c) => {
+      const colIndex = startCol + c;
+      while (row.length <= colIndex) row.push("");
+      row[colIndex] = value;
+    });
+  });
+};
+
+const a1 = (sheet, startRow, startCol, rowCount, colCount) =>
+  `${sheet.title}!${indexToColumn(startCol)}${startRow + 1}:${indexToColumn(
+    startCol + Math.max(colCount, 1) - 1
+  )}${startRow + Math.max(rowCount, 1)}`;
+
+// ---------- batchUpdate requests ----------
+
+const extractCellValue = (cell) => {
+  const value = cell?.userEnteredValue;
+  if (!value) return "";
+  if ("stringValue" in value) return value.stringValue;
+  if ("numberValue" in value) return value.numberValue;
+  if ("boolValue" in value) return value.boolValue ? "TRUE" : "FALSE";
+  if ("formulaValue" in value) return value.formulaValue;
+  return "";
+};
+
+const batchHandlers = {
+  insertDimension: ({ range }) => {
+    const sheet = findSheetById(range.sheetId);
+    if (!sheet) throw new Error(`No grid with id: ${range.sheetId}`);
+    if (range.dimension === "ROWS") {
+      const count = range.endIndex - range.startIndex;
+      while (sheet.rows.length < range.startIndex) sheet.rows.push([]);
+      sheet.rows.splice(
+        range.startIndex,
+        0,
+        ...Array.from({ length: count }, () => [])
+      );
+    }
+    return {};
+  },
+
+  deleteDimension: ({ range }) => {
+    const sheet = findSheetById(range.sheetId);
+    if (!sheet) throw new Error(`No grid with id: ${range.sheetId}`);
+    if (range.dimension === "ROWS") {
+      sheet.rows.splice(range.startIndex, range.endIndex - range.startIndex);
+    }
+    return {};
+  },
+
+  copyPaste: ({ source, destination, pasteType }) => {
+    // Formatting isn't modelled, so only value pastes change anything
+    if (pasteType && pasteType !== "PASTE_NORMAL" && pasteType !== "PASTE_VALUES") {
+      return {};
+    }
+    const from = findSheetById(source.sheetId);
+    const to = findSheetById(destination.sheetId);
+    if (!from || !to) throw new Error("No grid with the requested id");
+    const values = [];
+    for (let r = source.startRowIndex; r < source.endRowIndex; r++) {
+      const row = from.rows[r] || [];
+      values.push(
+        row.slice(source.startColumnIndex || 0, source.endColumnIndex ?? row.length)
+      );
+    }
+    writeCells(to, destination.startRowIndex, destination.startColumnIndex || 0, values);
+    return {};
+  },
+
+  // Hidden columns and sizes aren't modelled either
+  updateDimensionProperties: ({ range }) => {
+    if (!findSheetById(range.sheetId)) throw new Error(`No grid with id: ${range.sheetId}`);
+    return {};
+  },
+
+  addSheet: ({ properties = {} }) => {
+    if (properties.title && findSheetByTitle(properties.title)) {
+      throw new Error(
+        `A sheet with the name "${properties.title}" already exists. Please enter another name.`
+      );
+    }
+    const sheetId =
+      properties.sheetId ??
+      Math.max(0, ...workbook.sheets.map((s) => Number(s.sheetId))) + 1;
+    const sheet = {
+      sheetId,
+      title: properties.title || `Sheet${workbook.sheets.length + 1}`,
+      rows: [],
+    };
+    workbook.sheets.push(sheet);
+    return {
+      addSheet: {
+        properties: {
+          sheetId,
+          title: sheet.title,
+          index: workbook.sheets.length - 1,
+          gridProperties: properties.gridProperties || {
+            rowCount: 1000,
+            columnCount: 26,
+          },
+        },
+      },
+    };
+  },
+
+  duplicateSheet: ({ sourceSheetId, insertSheetIndex, newSheetName }) => {
+    const source = findSheetById(sourceSheetId);
+    if (!source) throw new Error(`No grid with id: ${sourceSheetId}`);
+    const title = newSheetName || `Copy of ${source.title}`;
+    if (findSheetByTitle(title)) {
+      throw new Error(
+        `A sheet with the name "${title}" already exists. Please enter another name.`
+      );
+    }
+    const sheetId = Math.max(0, ...workbook.sheets.map((s) => Number(s.sheetId))) + 1;
+    const sheet = { sheetId, title, rows: source.rows.map((row) => [...row]) };
+    const index = Math.min(insertSheetIndex ?? workbook.sheets.length, workbook.sheets.length);
+    workbook.sheets.splice(index, 0, sheet);
+    return {
+      duplicateSheet: {
+        properties: {
+          sheetId,
+          title,
+          index,
+          gridProperties: { rowCount: Math.max(1000, sheet.rows.length), columnCount: 26 },
+        },
+      },
+    };
+  },
+
+  updateCells: ({ range, rows = [] }) => {
+    const sheet = findSheetById(range.sheetId);
+    if (!sheet) throw new Error(`No grid with id: ${range.sheetId}`);
+    const values = rows.map((row) => (row.values || []).map(extractCellValue));
+    writeCells(sheet, range.startRowIndex || 0, range.startColumnIndex || 0, values);
+    return {};
+  },
+};
+
+// ---------- HTTP plumbing ----------
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message) =>
+  sendJson(res, status, {
+    error: {
+      code: status,
+      message,
+      status:
+        status === 404
+          ? "NOT_FOUND"
+          : status === 401
+          ? "UNAUTHENTICATED"
+          : "INVALID_ARGUMENT",
+    },
+  });
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+
+const readJsonBody = async (req) => {
+  const text = await readBody(req);
+  return text ? JSON.parse(text) : {};
+};
+
+const requireAuth = (req, res) => {
+  if (!req.headers.authorization) {
+    sendError(res, 401, "Request is missing required authentication credential.");
+    return false;
+  }
+  return true;
+};
+
+const handleValues = async (req, res, rangePart, url) => {
+  const [, rawRange, action] = rangePart.match(/^(.*?)(?::(append|clear))?$/);
+  const isAppend = action === "append";
+  const range = decodeURIComponent(rawRange);
+  const bounds = parseRange(range);
+  const sheet = findSheetByTitle(bounds.title);
+  if (!sheet) {
+    return sendError(res, 400, `Unable to parse range: ${range}`);
+  }
+
+  if (req.method === "GET") {
+    return sendJson(res, 200, {
+      range,
+      majorDimension: "ROWS",
+      values: readRange(sheet, bounds),
+    });
+  }
+
+  if (req.method === "POST" && action === "clear") {
+    const endRow = Math.min(bounds.endRow ?? sheet.rows.length, sheet.rows.length);
+    for (let r = bounds.startRow; r < endRow; r++) {
+      const row = sheet.rows[r] || [];
+      const endCol = Math.min(bounds.endCol ?? row.length, row.length);
+      for (let c = bounds.startCol; c < endCol; c++) row[c] = "";
+    }
+    return sendJson(res, 200, { spreadsheetId: workbook.spreadsheetId, clearedRange: range });
+  }
+
+  const { values = [] } = await readJsonBody(req);
+
+  if (req.method === "POST" && isAppend) {
+    // Append after the last row that has data anywhere in the range's columns
+    let lastRow = -1;
+    sheet.rows.forEach((row, index) => {
+      const endCol = bounds.endCol ?? row.length;
+      if (row.slice(bounds.startCol, endCol).some((c) => cellToString(c) !== "")) {
+        lastRow = index;
+      }
+    });
+    const startRow = Math.max(lastRow + 1, bounds.startRow);
+    writeCells(sheet, startRow, bounds.startCol, values);
+    const cols = Math.max(0, ...values.map((v) => v.length));
+    return sendJson(res, 200, {
+      spreadsheetId: workbook.spreadsheetId,
+      updates: {
+        updatedRange: a1(sheet, startRow, bounds.startCol, values.length, cols),
+        updatedRows: values.length,
+        updatedColumns: cols,
+        updatedCells: values.reduce((sum, v) => sum + v.length, 0),
+      },
+    });
+  }
+
+  if (req.method === "PUT") {
+    writeCells(sheet, bounds.startRow, bounds.startCol, values);
+    const cols = Math.max(0, ...values.map((v) => v.length));
+    return sendJson(res, 200, {
+      spreadsheetId: workbook.spreadsheetId,
+      updatedRange: a1(sheet, bounds.startRow, bounds.startCol, values.length, cols),
+      updatedRows: values.length,
+      updatedColumns: cols,
+      updatedCells: values.reduce((sum, v) => sum + v.length, 0),
+      valueInputOption: url.searchParams.get("valueInputOption"),
+    });
+  }
+
+  return sendError(res, 405, `Method ${req.method} not supported for values`);
+};
+
+const handleBatchUpdate = async (req, res) => {
+  const { requests = [] } = await readJsonBody(req);
+  const replies = [];
+  for (const request of requests) {
+    const [type] = Object.keys(request);
+    const handler = batchHandlers[type];
+    if (!handler) {
+      return sendError(res, 400, `Request type "${type}" is not supported by the emulator`);
+    }
+    try {
+      replies.push(handler(request[type]));
+    } catch (e) {
+      return sendError(res, 400, e.message);
+    }
+  }
+  return sendJson(res, 200, { spreadsheetId: workbook.spreadsheetId, replies });
+};
+
+const handleCsv = (res, url) => {
+  const gid = url.searchParams.get("gid") || "0";
+  // Like gviz, an unknown gid falls back to the first sheet
+  const sheet = findSheetById(gid) || workbook.sheets[0];
+  const width = Math.max(0, ...sheet.rows.map((r) => r.length));
+  const rows = sheet.rows.map((row) =>
+    Array.from({ length: width }, (_, i) => cellToString(row[i]))
+  );
+  res.writeHead(200, { "Content-Type": "text/csv; charset=utf-8" });
+  res.end(Papa.unparse(rows, { quotes: true }));
+};
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const pathname = url.pathname;
+  console.log(`${req.method} ${decodeURIComponent(pathname)}${url.search}`);
+
+  try {
+    if (req.method === "POST" && pathname === "/token") {
+      return sendJson(res, 200, {
+        access_token: "emulator-access-token",
+        expires_in: 3599,
+        token_type: "Bearer",
+      });
+    }
+
+    if (req.method === "GET" && pathname === "/ip") {
+      return sendJson(res, 200, { ip: "127.0.0.1" });
+    }
+
+    let match = pathname.match(/^\/spreadsheets\/d\/([^/]+)\/gviz\/tq$/);
+    if (match && req.method === "GET") {
+      return handleCsv(res, url);
+    }
+
+    match = pathname.match(/^\/spreadsheets\/d\/([^/]+)\/edit$/);
+    if (match && req.method === "GET") {
+      return sendJson(res, 200, workbook);
+    }
+
+    match = pathname.match(/^\/v4\/spreadsheets\/([^/:]+):batchUpdate$/);
+    if (match && req.method === "POST") {
+      if (!requireAuth(req, res)) return;
+      return await handleBatchUpdate(req, res);
+    }
+
+    match = pathname.match(/^\/v4\/spreadsheets\/([^/:]+)\/values\/(.+)$/);
+    if (match) {
+      if (!requireAuth(req, res)) return;
+      return await handleValues(req, res, match[2], url);
+    }
+
+    match = pathname.match(/^\/v4\/spreadsheets\/([^/:]+)$/);
+    if (match && req.method === "GET") {
+      if (!requireAuth(req, res)) return;
+      return sendJson(res, 200, {
+        sheets: workbook.sheets.map((sheet, index) => ({
+          properties: {
+            sheetId: Number(sheet.sheetId),
+            title: sheet.title,
+            index,
+            sheetType: "GRID",
+            gridProperties: {
+              rowCount: Math.max(1000, sheet.rows.length),
+              columnCount: 26,
+            },
+          },
+        })),
+      });
+    }
+
+    return sendError(res, 404, `Not found: ${req.method} ${pathname}`);
+  } catch (e) {
+    console.error("❌ Emulator error:", e);
+    return sendError(res, 500, e.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`📗 Sheets emulator listening on http://localhost:${PORT}`);
+  console.log(`   Fixture: ${FIXTURE_PATH}`);
+  console.log(
+    `   Sheets: ${workbook.sheets
+      .map((s) => `"${s.title}" (gid ${s.sheetId})`)
+      .join(", ")}`
+  );
+});
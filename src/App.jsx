@@ -2,6 +2,9 @@ import React from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
 import FixedSchedulesPage from './pages/FixedSchedulesPage';
+import BlackoutsPage from './pages/BlackoutsPage';
+import ApprovalsPage from './pages/ApprovalsPage';
+import RoomSearchPage from './pages/RoomSearchPage';
 import { LanguageProvider } from './hooks/useLanguage';
 import { RoomProvider } from './liveblocks.config';
 
@@ -17,6 +20,9 @@ function App() {
               <Routes>
                 <Route path="/" element={<Dashboard />} />
                 <Route path="/fixed-schedules" element={<FixedSchedulesPage />} />
+                <Route path="/blackouts" element={<BlackoutsPage />} />
+                <Route path="/approvals" element={<ApprovalsPage />} />
+                <Route path="/find-room" element={<RoomSearchPage />} />
               </Routes>
             </div>
           </BrowserRouter>
@@ -1,16 +1,36 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import { createPortal } from "react-dom";
-import { CheckCircle, XCircle } from "lucide-react";
+import { CheckCircle, HelpCircle, XCircle } from "lucide-react";
 import { useLanguage } from "../hooks/useLanguage";
 import { getTranslation } from "../utils/translations";
 
-const AlertDialog = ({ type, title, message, link, onClose }) => {
+// type: "success" | "error" | "confirm" (asks before action runs; closing cancels)
+// action: optional { label, onClick } shown above the close button; onClick may
+// return a promise, the button stays disabled until it settles
+// input: optional { placeholder }, a text field asked for with the action: its trimmed
+// value is passed to action.onClick, which stays disabled while it's empty
+const AlertDialog = ({ type, title, message, link, action, input, onClose }) => {
   const { language } = useLanguage();
+  const [actionBusy, setActionBusy] = useState(false);
+  const [inputValue, setInputValue] = useState("");
   const t = (key, params) => getTranslation(key, language, params);
   const isSuccess = type === "success";
-  const Icon = isSuccess ? CheckCircle : XCircle;
-  const textColor = isSuccess ? "text-success" : "text-danger";
-  const iconColor = isSuccess ? "text-success" : "text-danger";
+  const isConfirm = type === "confirm";
+  const Icon = isConfirm ? HelpCircle : isSuccess ? CheckCircle : XCircle;
+  const iconColor = isConfirm ? "text-warning" : isSuccess ? "text-success" : "text-danger";
+
+  const value = inputValue.trim();
+  const canAct = !actionBusy && (!input || value !== "");
+
+  const handleAction = async () => {
+    if (!canAct) return;
+    setActionBusy(true);
+    try {
+      await action.onClick(input ? value : undefined);
+    } finally {
+      setActionBusy(false);
+    }
+  };
 
   // Lock body scroll when modal is open
   useEffect(() => {
@@ -72,15 +92,41 @@ const AlertDialog = ({ type, title, message, link, onClose }) => {
             </a>
           )}
 
+          {input && (
+            <input
+              type="text"
+              autoFocus
+              value={inputValue}
+              onChange={(e) => setInputValue(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleAction()}
+              placeholder={input.placeholder}
+              disabled={actionBusy}
+              className="w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-white focus:outline-none focus:border-primary text-base disabled:opacity-50 disabled:cursor-not-allowed"
+            />
+          )}
+
+          {action && (
+            <button
+              onClick={handleAction}
+              disabled={!canAct}
+              className="mt-2 w-full py-3 rounded-lg font-bold shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 bg-gradient-to-r from-primary to-blue-600 hover:from-primary-hover hover:to-blue-700 text-white-fixed disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {action.label}
+            </button>
+          )}
+
           <button
             onClick={onClose}
-            className={`mt-2 w-full py-3 rounded-lg font-bold shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 ${
-              isSuccess
+            disabled={actionBusy}
+            className={`mt-2 w-full py-3 rounded-lg font-bold shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 disabled:opacity-50 ${
+              isConfirm
+                ? "bg-surface-hover border border-slate-700 hover:border-slate-500 text-white"
+                : isSuccess
                 ? "bg-gradient-to-r from-success to-green-600 hover:from-green-600 hover:to-green-700 text-white-fixed"
                 : "bg-gradient-to-r from-danger to-red-600 hover:from-red-600 hover:to-red-700 text-white-fixed"
             }`}
           >
-            {isSuccess ? t('done') : t('close')}
+            {isConfirm ? t('cancel') : isSuccess ? t('done') : t('close')}
           </button>
         </div>
       </div>
@@ -1,10 +1,17 @@
 import React, { useState } from 'react';
 import { createPortal } from 'react-dom';
-import { X, Calendar, Clock, User, Trash2, Edit, Loader2 } from 'lucide-react';
-import { format } from 'date-fns';
+import { X, Calendar, Clock, User, Trash2, Edit, Loader2, Repeat, CalendarX, CheckCircle2, UserX } from 'lucide-react';
+import { format, parseISO, setDay } from 'date-fns';
 import { ko, enUS } from 'date-fns/locale';
 import { getTranslation } from '../utils/translations';
-import { deleteBooking } from '../services/googleSheets';
+import { checkInBooking, deleteBooking, fetchNoShowCounts, skipFixedScheduleDate } from '../services/storage';
+import { RECURRENCE_SCOPES, parseRecurrenceRule } from '../utils/recurrence';
+import { CHECK_IN_NOT_OPEN, getCheckInState, getCheckInWindow, requiresCheckIn } from '../utils/checkIn';
+import { CHECK_IN } from '../services/checkInConfig';
+import RecurrenceScopePicker from './RecurrenceScopePicker';
+
+const FREQUENCY_LABELS = { DAILY: 'repeatDaily', WEEKLY: 'repeatWeekly', MONTHLY: 'repeatMonthly' };
+const INTERVAL_UNITS = { DAILY: 'repeatDays', WEEKLY: 'repeatWeeks', MONTHLY: 'repeatMonths' };
 
 const BookingDetailsModal = ({
   booking,
@@ -12,6 +19,7 @@ const BookingDetailsModal = ({
   onClose,
   onEdit, // Callback to trigger edit mode (delete + open booking modal)
   onDeleteSuccess, // Callback to refresh data after delete
+  onCheckInSuccess, // Callback to refresh data after checking in
   language = 'en',
   onShowToast,
 }) => {
@@ -20,9 +28,30 @@ const BookingDetailsModal = ({
   const [error, setError] = useState('');
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleteInput, setDeleteInput] = useState("");
+  const [deleteScope, setDeleteScope] = useState(RECURRENCE_SCOPES.THIS);
+  const [isCheckingIn, setIsCheckingIn] = useState(false);
+  const [noShowCount, setNoShowCount] = useState(0);
 
   const locale = language === 'ko' ? ko : enUS;
 
+  // "Weekly · every 2 weeks · Mon, Wed · 10 times"
+  const describeRecurrence = (rrule) => {
+    try {
+      const rule = parseRecurrenceRule(rrule);
+      const parts = [t(FREQUENCY_LABELS[rule.freq])];
+      if (rule.interval > 1) parts.push(`${t('repeatEvery')} ${rule.interval} ${t(INTERVAL_UNITS[rule.freq])}`);
+      if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+        parts.push(rule.byDay.map(({ weekday }) => format(setDay(new Date(), weekday), 'EEE', { locale })).join(', '));
+      }
+      parts.push(rule.until
+        ? t('repeatUntilDate', { date: format(parseISO(rule.until), 'PP', { locale }) })
+        : t('repeatCount', { count: rule.count }));
+      return parts.join(' · ');
+    } catch {
+      return rrule;
+    }
+  };
+
   // Lock body scroll when modal is open
   React.useEffect(() => {
     document.body.style.overflow = 'hidden';
@@ -31,12 +60,69 @@ const BookingDetailsModal = ({
     };
   }, []);
 
+  // How often the person didn't show up for their bookings (see utils/checkIn.js)
+  const person = (booking?.requested_by || '').trim().toLowerCase();
+  const checksIn = !!booking && requiresCheckIn(booking, CHECK_IN);
+  React.useEffect(() => {
+    if (!person || !checksIn) return;
+    let cancelled = false;
+    fetchNoShowCounts()
+      .then((counts) => {
+        const entry = counts.find((c) => c.person.toLowerCase() === person);
+        if (!cancelled) setNoShowCount(entry ? entry.count : 0);
+      })
+      .catch((err) => console.warn("Failed to fetch no-show counts", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [person, checksIn]);
+
   if (!booking) return null;
 
+  const handleCheckIn = async () => {
+    setIsCheckingIn(true);
+    setError('');
+    try {
+      await checkInBooking(booking.id, format(new Date(booking.start_time), 'yyyy-MM-dd'));
+      if (onCheckInSuccess) onCheckInSuccess();
+      if (onShowToast) {
+        onShowToast({ type: 'success', message: t('checkedInToast') });
+      }
+      onClose();
+    } catch (err) {
+      console.error("Check-in failed", err);
+      setError(err.code === CHECK_IN_NOT_OPEN ? t('checkInNotOpen') : err.message || t('failedToCheckIn'));
+      setIsCheckingIn(false);
+    }
+  };
+
   const handleDeleteClick = () => {
     setShowDeleteConfirm(true);
   };
 
+  // Cancel just this day of a fixed schedule (the schedule keeps the date in its skipped dates)
+  const handleSkipOccurrence = async () => {
+    setIsDeleting(true);
+    setError('');
+    const date = format(new Date(booking.start), 'yyyy-MM-dd');
+
+    try {
+      await skipFixedScheduleDate(booking.scheduleId, date);
+      onDeleteSuccess();
+      if (onShowToast) {
+        onShowToast({
+          type: 'success',
+          message: t('fixedScheduleSkipped', { date: format(new Date(booking.start), 'PP', { locale }) })
+        });
+      }
+      onClose();
+    } catch (err) {
+      console.error("Skip failed", err);
+      setError(err.message || t('failedToSkipFixedSchedule'));
+      setIsDeleting(false);
+    }
+  };
+
   const handleValuesChange = (e) => {
       setDeleteInput(e.target.value);
   }
@@ -48,7 +134,7 @@ const BookingDetailsModal = ({
     setError('');
 
     try {
-      await deleteBooking(booking.id, booking.start);
+      await deleteBooking(booking.id, booking.start, booking.isRecurring ? { scope: deleteScope } : {});
       onDeleteSuccess();
       if (onShowToast) {
         onShowToast({
@@ -73,6 +159,7 @@ const BookingDetailsModal = ({
 
   const start = new Date(booking.start);
   const end = new Date(booking.end);
+  const checkInState = getCheckInState(booking, CHECK_IN);
 
   return createPortal(
     <div className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 bg-black/50 backdrop-blur-sm">
@@ -140,6 +227,21 @@ const BookingDetailsModal = ({
                     {t('fixedSchedules')}
                 </span>
             )}
+            {booking.isPending && (
+                <span className="inline-block mt-1 px-2 py-0.5 rounded text-[10px] bg-amber-500/20 text-amber-300 border border-amber-500/30">
+                    {t('pendingApproval')}
+                </span>
+            )}
+            {booking.approval?.status === 'approved' && booking.approval.decided_by && (
+                <div className="mt-1 text-xs text-muted">
+                    {t('approvedBy', { name: booking.approval.decided_by })}
+                </div>
+            )}
+            {booking.isRecurring && (
+                <div className="mt-1 text-xs text-muted flex items-center gap-1">
+                    <Repeat size={12} /> {describeRecurrence(booking.recurrence)}
+                </div>
+            )}
           </div>
 
           {/* Details Summary Box */}
@@ -156,8 +258,47 @@ const BookingDetailsModal = ({
                 <div className="w-3.5 h-3.5 rounded-sm border border-slate-600 bg-slate-700"></div>
                 <span className="text-white">{roomName}</span>
              </div>
+             {noShowCount > 0 && (
+               <div className="flex items-center gap-2 text-warning">
+                  <UserX size={14} />
+                  <span>{t('noShowCount', { count: noShowCount })}</span>
+               </div>
+             )}
           </div>
 
+          {/* Check-in */}
+          {checkInState === 'open' && (
+              <button
+                onClick={handleCheckIn}
+                disabled={isCheckingIn}
+                className="w-full bg-success/80 hover:bg-success text-white py-3 rounded-lg font-bold transition-all flex items-center justify-center gap-2 shadow-sm hover:shadow-md disabled:opacity-50"
+              >
+                {isCheckingIn ? <Loader2 size={18} className="animate-spin" /> : <CheckCircle2 size={18} />}
+                {t('checkIn')}
+              </button>
+          )}
+          {checkInState === 'upcoming' && (
+              <button
+                disabled
+                className="w-full bg-surface-hover text-muted py-3 rounded-lg font-bold flex items-center justify-center gap-2 border border-slate-600 opacity-60 cursor-not-allowed"
+              >
+                <CheckCircle2 size={18} />
+                {t('checkInOpensAt', { time: format(getCheckInWindow(booking, CHECK_IN).opens, 'HH:mm') })}
+              </button>
+          )}
+          {checkInState === 'checked-in' && (
+              <div className="flex items-center justify-center gap-2 text-sm text-success">
+                <CheckCircle2 size={16} />
+                {t('checkedInAt', { time: format(new Date(booking.attendance.at), 'HH:mm') })}
+              </div>
+          )}
+          {checkInState === 'no-show' && (
+              <div className="flex items-center justify-center gap-2 text-sm text-warning">
+                <UserX size={16} />
+                {t('releasedAsNoShow')}
+              </div>
+          )}
+
           {error && (
             <div className="bg-danger/20 border border-danger text-danger px-3 py-2 rounded-lg text-sm">
               {error}
@@ -186,6 +327,15 @@ const BookingDetailsModal = ({
                       </div>
                   ) : (
                       <div className="bg-surface-hover p-4 rounded-lg border border-danger/30 flex flex-col gap-4">
+                          {booking.isRecurring && (
+                              <RecurrenceScopePicker
+                                  value={deleteScope}
+                                  onChange={setDeleteScope}
+                                  label={t('deleteWhichOccurrences')}
+                                  language={language}
+                                  disabled={isDeleting}
+                              />
+                          )}
                           <label className="block text-sm text-danger/80 font-medium">
                               {t('typeToConfirmDelete')}
                           </label>
@@ -219,6 +369,16 @@ const BookingDetailsModal = ({
                   )}
               </div>
           )}
+          {booking.isFixedSchedule && booking.scheduleId && end > new Date() && (
+              <button
+                onClick={handleSkipOccurrence}
+                disabled={isDeleting}
+                className="w-full bg-surface-hover hover:bg-slate-700 text-white py-3 rounded-lg font-bold transition-all flex items-center justify-center gap-2 border border-slate-600 shadow-sm hover:shadow-md disabled:opacity-50"
+              >
+                {isDeleting ? <Loader2 size={18} className="animate-spin" /> : <CalendarX size={18} />}
+                {t('skipThisOccurrence')}
+              </button>
+          )}
           {booking.isFixedSchedule && (
               <div className="text-xs text-center text-muted italic bg-surface-hover p-2 rounded">
                   {t('fixedScheduleManagementNote')}
@@ -14,7 +14,23 @@ import {
   subMinutes,
 } from "date-fns";
 import DatePicker from "./DatePicker";
+import RecurrenceEditor from "./RecurrenceEditor";
+import RecurrenceScopePicker from "./RecurrenceScopePicker";
 import { getTranslation } from "../utils/translations";
+import {
+  RECURRENCE_SCOPES,
+  fromRecurrenceOptions,
+  toRecurrenceOptions,
+  validateSeries,
+} from "../utils/recurrence";
+import { formatMinutes, getWorkingHoursOn, isTimeWithin } from "../utils/workingHours";
+import { WORKING_HOURS } from "../services/workingHoursConfig";
+import { findHoliday } from "../utils/holidays";
+import { findPolicyViolation, getPolicyViolationMessage, getRoomPolicy } from "../utils/bookingPolicy";
+import { BOOKING_POLICY } from "../services/bookingPolicyConfig";
+import { isNoShow } from "../utils/checkIn";
+import { CHECK_IN } from "../services/checkInConfig";
+import { getRememberedName, rememberName } from "../services/bookerName";
 
 // 🔧 TESTING: Set to false to allow booking past times for testing
 // Set to true to enable time filtering (only future times allowed)
@@ -25,10 +41,12 @@ const BookingModal = ({
   rooms = [], // List of all rooms
   timeSlots = [],
   bookings = [],
+  holidays = [], // Days the office is closed: [{ date: "yyyy-MM-dd", label }]
   onClose,
   onConfirm,
   language = "en",
-  initialData = null, // Optional: { title, date, start, end }
+  initialData = null, // Optional: { title, date, start, end, recurrence, isRecurring }
+  selection = null, // Optional: { date, start, end } dragged on the calendar, for a new booking
 }) => {
   const t = (key, params) => getTranslation(key, language, params);
 
@@ -38,19 +56,28 @@ const BookingModal = ({
   // Derive the target room object
   const targetRoom = rooms.find(r => r.id === targetRoomId) || room;
 
-  const [title, setTitle] = useState(initialData?.title || "");
+  const [title, setTitle] = useState(initialData?.title || getRememberedName());
   const [selectedDate, setSelectedDate] = useState(() => {
     if (initialData?.date) return initialData.date; // YYYY-MM-DD
+    if (selection?.date) return selection.date;
     // Default to today
     return format(new Date(), "yyyy-MM-dd");
   });
-  const [startTime, setStartTime] = useState(initialData?.start || "");
-  const [endTime, setEndTime] = useState(initialData?.end || "");
+  const [startTime, setStartTime] = useState(initialData?.start || selection?.start || "");
+  const [endTime, setEndTime] = useState(initialData?.end || selection?.end || "");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [updateConfirmation, setUpdateConfirmation] = useState("");
 
   const isEditing = !!initialData;
+  const isRecurringEdit = isEditing && !!initialData.isRecurring;
+  // Which occurrences an edit of a recurring booking applies to
+  const [scope, setScope] = useState(RECURRENCE_SCOPES.THIS);
+  const [recurrenceOptions, setRecurrenceOptions] = useState(() =>
+    toRecurrenceOptions(initialData?.recurrence || "", initialData?.date || selection?.date || format(new Date(), "yyyy-MM-dd"))
+  );
+  // New bookings may repeat; an edit of a recurring booking may change the rule of the series
+  const showRecurrence = !isEditing || (isRecurringEdit && scope !== RECURRENCE_SCOPES.THIS);
 
   // Update targetRoomId if the base room prop changes (e.g. fresh open)
   useEffect(() => {
@@ -76,11 +103,22 @@ const BookingModal = ({
 
   const isSelectedDateToday = isToday(selectedDateObj);
 
-  // Filter time slots to exclude past times only if selected date is today
+  // The room's working hours that day (null when it is closed, or on a holiday)
+  const dateHoliday = findHoliday(holidays, selectedDateObj);
+  const dayHours = dateHoliday ? null : getWorkingHoursOn(WORKING_HOURS, selectedDateObj, targetRoom);
+  const closedMessage = dateHoliday
+    ? dateHoliday.label
+      ? t("holidayClosedNamed", { label: dateHoliday.label })
+      : t("holidayClosed")
+    : t("roomClosedOnDay");
+
+  // Filter time slots to the working hours, and to exclude past times if selected date is today
   const getAvailableTimeSlots = () => {
+    const openSlots = timeSlots.filter((time) => isTimeWithin(dayHours, time));
+
     // If not enabled or future date, show all
     if (!ENABLE_TIME_FILTERING || !isSelectedDateToday) {
-      return timeSlots;
+      return openSlots;
     }
     
     const now = new Date();
@@ -88,7 +126,7 @@ const BookingModal = ({
     const currentMinute = now.getMinutes();
     const currentTimeMinutes = currentHour * 60 + currentMinute;
 
-    return timeSlots.filter((time) => {
+    return openSlots.filter((time) => {
       // Always include the current editing times if they match
       if (isEditing && (time === initialData.start || time === initialData.end)) return true;
 
@@ -114,19 +152,19 @@ const BookingModal = ({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [timeSlots, selectedDate]);
 
-  // Reset times when date changes (if current times would be invalid for new date)
+  // Reset times when date or room changes (if current times would be invalid for new date)
   useEffect(() => {
-    if (startTime && endTime && isSelectedDateToday && ENABLE_TIME_FILTERING) {
+    if (startTime && endTime) {
       const now = new Date();
       const [hours, minutes] = startTime.split(":").map(Number);
       const startTimeMinutes = hours * 60 + minutes;
       const currentTimeMinutes = now.getHours() * 60 + now.getMinutes();
+      const isPastTime = isSelectedDateToday && ENABLE_TIME_FILTERING && startTimeMinutes <= currentTimeMinutes - 5;
+      const isOutsideHours = !isTimeWithin(dayHours, startTime) || !isTimeWithin(dayHours, endTime);
 
-      // If selected start time is now invalid (more than 5 mins in past), reset to first available
-      if (
-        startTimeMinutes <= currentTimeMinutes - 5 &&
-        availableTimeSlots.length > 0
-      ) {
+      // If selected start time is now invalid (more than 5 mins in past or outside
+      // the working hours), reset to first available
+      if ((isPastTime || isOutsideHours) && availableTimeSlots.length > 0) {
         setStartTime(availableTimeSlots[0]);
         if (availableTimeSlots.length > 1) {
           setEndTime(availableTimeSlots[1]);
@@ -136,7 +174,7 @@ const BookingModal = ({
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedDate]);
+  }, [selectedDate, targetRoomId]);
 
   // Lock body scroll when modal is open
   useEffect(() => {
@@ -234,6 +272,17 @@ const BookingModal = ({
       return;
     }
 
+    // Validate: within the room's working hours that day
+    if (!isTimeWithin(dayHours, startTime) || !isTimeWithin(dayHours, endTime)) {
+      setError(
+        dayHours
+          ? t("outsideWorkingHours", { start: formatMinutes(dayHours.start), end: formatMinutes(dayHours.end) })
+          : closedMessage
+      );
+      setLoading(false);
+      return;
+    }
+
     // Check if date/time are unchanged during edit (allowing metadata updates for past bookings)
     const isTimeUnchanged = isEditing && initialData && 
         selectedDate === initialData.date &&
@@ -252,6 +301,18 @@ const BookingModal = ({
         }
     }
 
+    // Validate: the room's booking policy. Only the server sees every upcoming booking,
+    // so the per-person limit is left to it.
+    const policyViolation = findPolicyViolation(getRoomPolicy(BOOKING_POLICY, targetRoom), { start, end }, {
+      previous: isEditing ? initialData.original : null,
+    });
+    if (policyViolation) {
+      const { key, params } = getPolicyViolationMessage(policyViolation);
+      setError(t(key, params));
+      setLoading(false);
+      return;
+    }
+
     // Validate: Check for conflicts with existing bookings on the selected date
     // Ensure date is valid before extracting components
     if (!isValid(selectedDateParsed)) {
@@ -271,6 +332,11 @@ const BookingModal = ({
         return false;
       }
 
+      // Released no-shows no longer hold their time
+      if (isNoShow(existingBooking, CHECK_IN)) {
+        return false;
+      }
+
       // If editing, skip the booking that is being updated
       if (isEditing) {
           if (initialData?.originalId === existingBooking.id) {
@@ -316,6 +382,18 @@ const BookingModal = ({
       return;
     }
 
+    // Validate the repeat rule before sending it (the first occurrence is this booking's day)
+    const recurrence = showRecurrence ? fromRecurrenceOptions(recurrenceOptions, selectedDate) : "";
+    if (recurrence) {
+      try {
+        validateSeries({ start_date: selectedDate, rrule: recurrence });
+      } catch (err) {
+        setError(t("invalidRecurrence", { reason: err.message }));
+        setLoading(false);
+        return;
+      }
+    }
+
     try {
       await onConfirm({
         room_id: targetRoom.id, // Use the selected room ID!
@@ -323,7 +401,10 @@ const BookingModal = ({
         requested_by: "Current User", // TODO: Auth
         start_time: start.toISOString(),
         end_time: end.toISOString(),
+        ...(recurrence ? { recurrence } : {}),
+        ...(isRecurringEdit ? { scope } : {}),
       });
+      if (!isEditing) rememberName(title);
 
       // Success - Dashboard will handle closing modal and showing success dialog
       // Keep loading state until modal closes
@@ -382,6 +463,16 @@ const BookingModal = ({
              </p>
           </div>
 
+          {/* Bookings of this room wait for an approver */}
+          {targetRoom?.requires_approval && (
+            <div className="bg-primary/10 border border-primary/20 rounded-lg p-3 flex items-start gap-3">
+               <Info className="w-5 h-5 text-primary flex-shrink-0 mt-0.5" />
+               <p className="text-sm text-white/90 leading-snug">
+                 {t("requiresApprovalHint")}
+               </p>
+            </div>
+          )}
+
           {error && (
             <div className="bg-danger/20 border border-danger text-danger px-3 py-2 rounded-lg text-sm">
               {error}
@@ -450,8 +541,14 @@ const BookingModal = ({
                 setSelectedDate(date);
               }}
               minDate={format(new Date(), "yyyy-MM-dd")}
+              holidays={holidays}
               disabled={loading}
             />
+            <p className="text-xs text-muted" style={{ marginTop: "0.5rem" }}>
+              {dayHours
+                ? t("workingHoursOnDay", { start: formatMinutes(dayHours.start), end: formatMinutes(dayHours.end) })
+                : closedMessage}
+            </p>
           </div>
 
           <div className="flex flex-col gap-3 sm:gap-4">
@@ -537,6 +634,27 @@ const BookingModal = ({
             </div>
           </div>
 
+          {isRecurringEdit && (
+            <RecurrenceScopePicker
+              value={scope}
+              onChange={setScope}
+              label={t("applyChangesTo")}
+              language={language}
+              disabled={loading}
+            />
+          )}
+
+          {showRecurrence && (
+            <RecurrenceEditor
+              options={recurrenceOptions}
+              onChange={setRecurrenceOptions}
+              startDate={selectedDate}
+              language={language}
+              disabled={loading}
+              allowNone={!isEditing}
+            />
+          )}
+
           {isEditing && (
             <div 
               className="bg-surface-hover p-4 rounded-lg border border-blue-500/30 animate-in fade-in zoom-in duration-200 flex flex-col gap-4"
@@ -0,0 +1,126 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight } from 'lucide-react';
+import { addDays, addMonths, format, isSameDay, isToday } from 'date-fns';
+import { ko, enUS } from 'date-fns/locale';
+import { useLanguage } from '../hooks/useLanguage';
+import { getTranslation } from '../utils/translations';
+import { CALENDAR_VIEWS, getVisibleRange, stepDate } from '../utils/calendarRange';
+import DatePicker from './DatePicker';
+
+// Navigation for the Dashboard schedule: day/week/month view switch,
+// prev/next by the current view (plus whole months outside the month view),
+// today and a jump-to-date picker. In the day view a week strip picks a day
+// and shows how many bookings each day has.
+const CalendarNavigator = ({ date, view = 'day', onChange, onViewChange, bookings = [] }) => {
+  const { language } = useLanguage();
+  const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === 'ko' ? ko : enUS;
+
+  const range = getVisibleRange(date, 'week');
+  const weekDays = Array.from({ length: 7 }, (_, i) => addDays(range.start, i));
+
+  const countBookings = (day) =>
+    bookings.filter(booking => isSameDay(new Date(booking.start_time), day)).length;
+
+  const getLabel = () => {
+    if (view === 'month') {
+      return format(date, language === 'ko' ? 'yyyy년 M월' : 'MMMM yyyy', { locale });
+    }
+    if (view === 'week') {
+      const { start, end } = getVisibleRange(date, 'week');
+      return language === 'ko'
+        ? `${format(start, 'M월 d일', { locale })} – ${format(end, 'M월 d일', { locale })}`
+        : `${format(start, 'MMM d', { locale })} – ${format(end, 'MMM d, yyyy', { locale })}`;
+    }
+    return format(date, language === 'ko' ? 'yyyy년 M월 d일 (EEE)' : 'EEE, MMMM d, yyyy', { locale });
+  };
+
+  const navButton = 'inline-flex items-center justify-center rounded-md p-1.5 text-white/70 hover:text-white hover:bg-white/10 transition-colors';
+
+  return (
+    <div className="py-3 px-4 border-b border-white/10 flex flex-col gap-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-1">
+          {view !== 'month' && (
+            <button type="button" className={navButton} onClick={() => onChange(addMonths(date, -1))} title={t('previousMonth')} aria-label={t('previousMonth')}>
+              <ChevronsLeft size={18} />
+            </button>
+          )}
+          <button type="button" className={navButton} onClick={() => onChange(stepDate(date, view, -1))} title={t('previous')} aria-label={t('previous')}>
+            <ChevronLeft size={18} />
+          </button>
+          <span className="text-white font-semibold min-w-[11rem] text-center">
+            {getLabel()}
+          </span>
+          <button type="button" className={navButton} onClick={() => onChange(stepDate(date, view, 1))} title={t('next')} aria-label={t('next')}>
+            <ChevronRight size={18} />
+          </button>
+          {view !== 'month' && (
+            <button type="button" className={navButton} onClick={() => onChange(addMonths(date, 1))} title={t('nextMonth')} aria-label={t('nextMonth')}>
+              <ChevronsRight size={18} />
+            </button>
+          )}
+          <DatePicker
+            compact
+            title={t('jumpToDate')}
+            selectedDate={format(date, 'yyyy-MM-dd')}
+            onDateChange={(value) => onChange(new Date(value + 'T00:00:00'))}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(new Date())}
+            disabled={isToday(date)}
+            className="ml-1 text-xs font-medium text-white/80 bg-white/10 hover:bg-white/20 disabled:opacity-40 px-3 py-1 rounded-full border border-white/5 transition-colors"
+          >
+            {t('today')}
+          </button>
+        </div>
+
+        {onViewChange && (
+          <div className="inline-flex rounded-md border border-white/10 overflow-hidden" role="group">
+            {CALENDAR_VIEWS.map(name => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => onViewChange(name)}
+                aria-pressed={view === name}
+                className={`px-3 py-1 text-xs font-medium transition-colors ${
+                  view === name ? 'bg-primary text-white' : 'text-white/70 hover:bg-white/10'
+                }`}
+              >
+                {t(`${name}View`)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {view === 'day' && (
+        <div className="grid grid-cols-7 gap-1">
+          {weekDays.map(day => {
+            const selected = isSameDay(day, date);
+            const count = countBookings(day);
+            return (
+              <button
+                key={day.toISOString()}
+                type="button"
+                onClick={() => onChange(day)}
+                className={`flex flex-col items-center rounded-md py-1.5 text-xs transition-colors ${
+                  selected ? 'bg-primary text-white' : 'text-white/70 hover:bg-white/10'
+                } ${isToday(day) && !selected ? 'ring-1 ring-primary/60' : ''}`}
+              >
+                <span className="uppercase tracking-wide">{format(day, 'EEE', { locale })}</span>
+                <span className="text-base font-semibold">{format(day, 'd')}</span>
+                <span className="text-[10px]">
+                  {count > 0 ? t('bookingCount', { count }) : ' '}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarNavigator;
@@ -1,20 +1,60 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
+import { Ban, Search, ShieldCheck } from 'lucide-react';
 import RoomCard from './RoomCard';
 import LibraryRoomCalendar from './LibraryRoomCalendar';
 import SkeletonRoomCard from './SkeletonRoomCard';
 
-import { fetchRooms, fetchBookings, getRoomStatus, createBooking, deleteBooking, updateBooking, fetchAvailableTimeSlots, getSheetUrl, fetchFixedSchedules, CACHE_KEYS, getFromCache } from '../services/googleSheets';
+import { getRoomStatus, getAvailableTimeSlots, getSheetUrl, CACHE_KEYS, getFromCache, SHEETS_DOCS_URL } from '../services/googleSheets';
+import { fetchRooms, fetchBookings, createBooking, updateBooking, fetchFixedSchedules, createMonthSheet, fetchHolidays, fetchBlackouts, checkInBooking } from '../services/storage';
 import BookingModal from './BookingModal';
 import FixedScheduleModal from './FixedScheduleModal';
 import AlertDialog from './AlertDialog';
 import Toast from './Toast';
 import { useLanguage } from '../hooks/useLanguage';
 import { getTranslation } from '../utils/translations';
+import { BOOKING_CONFLICT, BOOKING_MODIFIED } from '../utils/bookingConflicts';
+import { getRangeMonthKeys, getVisibleRange } from '../utils/calendarRange';
+import { MONTH_SHEET_MISSING } from '../utils/monthSheets';
+import { OUTSIDE_WORKING_HOURS } from '../utils/workingHours';
+import { HOLIDAY_CLOSED } from '../utils/holidays';
+import { ROOM_BLACKED_OUT } from '../utils/blackouts';
+import { POLICY_VIOLATION, getPolicyViolationMessage } from '../utils/bookingPolicy';
+import { CHECK_IN_NOT_OPEN, getCheckInState } from '../utils/checkIn';
+import { findExtensionConflict, getEndNowTime, getExtendedEndTime, withEndTime } from '../utils/meetingActions';
+import { getQuickBookingOptions } from '../utils/quickBooking';
+import { WORKING_HOURS } from '../services/workingHoursConfig';
+import { getRememberedName, rememberName } from '../services/bookerName';
+import { CHECK_IN } from '../services/checkInConfig';
+import { BOOKING_POLICY } from '../services/bookingPolicyConfig';
+import { readEnv } from '../services/env';
 import OnlineUsers from './OnlineUsers';
 import NetworkInfo from './NetworkInfo';
 
+// Until getSheetUrl answers, and if it can't
+const DEFAULT_SHEET_URL = `${SHEETS_DOCS_URL}/${readEnv('GOOGLE_SHEET_ID') || ''}/edit`;
+
+const rangeMonthKeys = (date, view) => getRangeMonthKeys(getVisibleRange(date, view));
+
+// Bookings of every month the visible range touches except the current month,
+// which is always loaded; null when there is nothing extra to show
+const fetchRangeBookings = async (date, view) => {
+  const currentMonth = format(new Date(), 'yyyy-MM');
+  const months = rangeMonthKeys(date, view).filter(key => key !== currentMonth);
+  if (months.length === 0) return null;
+
+  const results = await Promise.all(months.map(async (key) => {
+    try {
+      return await fetchBookings(new Date(`${key}-01T00:00:00`));
+    } catch (error) {
+      console.error(`Failed to load bookings for ${key}`, error);
+      return [];
+    }
+  }));
+  return results.flat();
+};
+
 const Dashboard = () => {
   const { language, toggleLanguage } = useLanguage();
   const navigate = useNavigate();
@@ -24,13 +64,39 @@ const Dashboard = () => {
   const [bookings, setBookings] = useState([]);
   const [timeSlots, setTimeSlots] = useState([]);
   const [fixedSchedules, setFixedSchedules] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [lastUpdated, setLastUpdated] = useState(new Date());
   const [selectedRoom, setSelectedRoom] = useState(null);
   const [showFixedScheduleModal, setShowFixedScheduleModal] = useState(false);
-  const [alertDialog, setAlertDialog] = useState(null); // { type: 'success'|'error', title, message, link }
+  const [alertDialog, setAlertDialog] = useState(null); // { type: 'success'|'error'|'confirm', title, message, link, action, input }
   const [toast, setToast] = useState(null); // { type: 'success'|'error', message }
-  const [sheetUrl, setSheetUrl] = useState(`https://docs.google.com/spreadsheets/d/${import.meta.env.VITE_GOOGLE_SHEET_ID || ''}/edit`);
+  // Date and view shown in the schedule; bookings of the other months its range touches
+  const [viewDate, setViewDate] = useState(new Date());
+  const [calendarView, setCalendarView] = useState('day');
+  const [viewBookings, setViewBookings] = useState(null);
+  const viewRef = useRef({ date: viewDate, view: calendarView }); // Read by the polling loadData
+  const [sheetUrl, setSheetUrl] = useState(DEFAULT_SHEET_URL);
+
+  // Refetch only when the visible range reaches into different months
+  const changeVisibleRange = async (date, view) => {
+    const previousKey = rangeMonthKeys(viewRef.current.date, viewRef.current.view).join();
+    const key = rangeMonthKeys(date, view).join();
+    viewRef.current = { date, view };
+    setViewDate(date);
+    setCalendarView(view);
+    if (key === previousKey) return;
+
+    setViewBookings(null);
+    const rangeBookings = await fetchRangeBookings(date, view);
+    // Ignore the result if the user has navigated elsewhere meanwhile
+    const { date: currentDate, view: currentView } = viewRef.current;
+    if (rangeMonthKeys(currentDate, currentView).join() === key) setViewBookings(rangeBookings);
+  };
+
+  const handleViewDateChange = (date) => changeVisibleRange(date, viewRef.current.view);
+  const handleCalendarViewChange = (view) => changeVisibleRange(viewRef.current.date, view);
 
   const loadData = async () => {
     // 1. Try to load from cache first for instant UI
@@ -38,11 +104,15 @@ const Dashboard = () => {
     const cachedBookings = getFromCache(CACHE_KEYS.BOOKINGS);
     const cachedSlots = getFromCache(CACHE_KEYS.TIME_SLOTS);
     const cachedFixedSchedules = getFromCache(CACHE_KEYS.FIXED_SCHEDULES);
+    const cachedHolidays = getFromCache(CACHE_KEYS.HOLIDAYS);
+    const cachedBlackouts = getFromCache(CACHE_KEYS.BLACKOUTS);
 
     if (cachedRooms) setRooms(cachedRooms);
     if (cachedBookings) setBookings(cachedBookings);
     if (cachedSlots) setTimeSlots(cachedSlots);
     if (cachedFixedSchedules) setFixedSchedules(cachedFixedSchedules);
+    if (cachedHolidays) setHolidays(cachedHolidays);
+    if (cachedBlackouts) setBlackouts(cachedBlackouts);
 
     // If we have at least rooms and bookings, we can show the UI immediately
     if (cachedRooms && cachedBookings) {
@@ -51,17 +121,26 @@ const Dashboard = () => {
 
     try {
       // 2. Fetch fresh data in background
-      const [roomsData, bookingsData, slotsData, fixedSchedulesData] = await Promise.all([
+      const [roomsData, bookingsData, fixedSchedulesData, holidaysData, blackoutsData] = await Promise.all([
         fetchRooms(),
         fetchBookings(),
-        fetchAvailableTimeSlots(),
-        fetchFixedSchedules()
+        fetchFixedSchedules(),
+        fetchHolidays(),
+        fetchBlackouts()
       ]);
       setRooms(roomsData);
       setBookings(bookingsData);
-      setTimeSlots(slotsData);
+      setTimeSlots(getAvailableTimeSlots(roomsData));
       setFixedSchedules(fixedSchedulesData);
+      setHolidays(holidaysData);
+      setBlackouts(blackoutsData);
       setLastUpdated(new Date());
+      // The current month is always loaded (room status, cache); other visible months on top
+      const { date, view } = viewRef.current;
+      const key = rangeMonthKeys(date, view).join();
+      const rangeBookings = await fetchRangeBookings(date, view);
+      const { date: currentDate, view: currentView } = viewRef.current;
+      if (rangeMonthKeys(currentDate, currentView).join() === key) setViewBookings(rangeBookings);
     } catch (error) {
       console.error("Failed to load data", error);
     } finally {
@@ -69,12 +148,136 @@ const Dashboard = () => {
     }
   };
 
+  const handleCheckIn = async (booking) => {
+    try {
+      await checkInBooking(booking.id, format(new Date(booking.start_time), 'yyyy-MM-dd'));
+      setToast({ type: 'success', message: t('checkedInToast') });
+      await loadData();
+    } catch (error) {
+      console.error("❌ Check-in failed", error);
+      setToast({
+        type: 'error',
+        message: error.code === CHECK_IN_NOT_OPEN ? t('checkInNotOpen') : error.message || t('failedToCheckIn'),
+      });
+    }
+  };
+
+  // "End now" and "Extend" on the card of the booking in progress (see utils/meetingActions.js).
+  // The room cards show the new end right away, before the reload.
+  const changeBookingEnd = async (booking, end, successMessage) => {
+    try {
+      await updateBooking(booking.id, format(new Date(booking.start_time), 'yyyy-MM-dd'), withEndTime(booking, end), {
+        expected: {
+          room_id: booking.room_id,
+          requested_by: booking.requested_by,
+          start_time: booking.start_time,
+          end_time: booking.end_time,
+        },
+      });
+      console.log(`✅ Booking ${booking.id} now ends at ${end.toISOString()}`);
+      setBookings(prev => prev.map(b => (b.id === booking.id ? { ...b, end_time: end.toISOString() } : b)));
+      setToast({ type: 'success', message: successMessage });
+      await loadData();
+    } catch (error) {
+      console.error("❌ Changing the booking's end failed", error);
+      await loadData();
+      setToast({ type: 'error', message: getBookingErrorMessage(error) });
+    }
+  };
+
+  const endMeetingNow = async (booking) => {
+    // Whoever ends the meeting is in the room: check in first so it isn't released as a no-show
+    if (getCheckInState(booking, CHECK_IN) === 'open') {
+      try {
+        await checkInBooking(booking.id, format(new Date(booking.start_time), 'yyyy-MM-dd'));
+      } catch (error) {
+        console.warn("Failed to check in before ending the meeting", error);
+      }
+    }
+    await changeBookingEnd(booking, getEndNowTime(booking), t('meetingEndedToast'));
+  };
+
+  const handleEndNow = (booking) => {
+    setAlertDialog({
+      type: 'confirm',
+      title: t('endMeetingNow'),
+      message: t('confirmEndMeetingNow'),
+      action: {
+        label: t('endMeetingNow'),
+        onClick: async () => {
+          setAlertDialog(null);
+          await endMeetingNow(booking);
+        },
+      },
+    });
+  };
+
+  const handleExtend = async (booking, minutes) => {
+    const conflict = findExtensionConflict(bookings, booking, minutes, CHECK_IN);
+    if (conflict) {
+      setToast({
+        type: 'error',
+        message: t('cannotExtendMeeting', {
+          name: conflict.requested_by || t('unknown'),
+          time: format(new Date(conflict.start_time), 'HH:mm'),
+        }),
+      });
+      return;
+    }
+    const end = getExtendedEndTime(booking, minutes);
+    await changeBookingEnd(booking, end, t('meetingExtendedToast', { time: format(end, 'HH:mm') }));
+  };
+
+  const quickBook = async (room, { start, end }, name) => {
+    rememberName(name);
+    try {
+      const result = await createBooking({
+        room_id: room.id,
+        title: name,
+        requested_by: name,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+      });
+      console.log(`✅ Quick booking of ${room.id} until ${format(end, 'HH:mm')}`, result);
+      setToast({
+        type: 'success',
+        message: result?.approval?.status === 'pending'
+          ? t('bookingPendingApproval')
+          : t('quickBookedToast', { room: room.name, time: format(end, 'HH:mm') }),
+      });
+    } catch (error) {
+      console.error("❌ Quick booking failed", error);
+      setToast({ type: 'error', message: getBookingErrorMessage(error) });
+    }
+    await loadData();
+  };
+
+  // One-tap "book now" on an available room's card (see utils/quickBooking.js), under the
+  // name remembered from the last booking; asked for once when there is none
+  const handleQuickBook = async (room, option) => {
+    const name = getRememberedName();
+    if (name) return quickBook(room, option, name);
+    setAlertDialog({
+      type: 'confirm',
+      title: t('bookNow'),
+      message: t('enterYourName'),
+      input: { placeholder: t('yourName') },
+      action: {
+        label: t('bookNow'),
+        onClick: async (enteredName) => {
+          setAlertDialog(null);
+          await quickBook(room, option, enteredName);
+        },
+      },
+    });
+  };
+
   useEffect(() => {
     loadData();
     // Load sheet URL
     getSheetUrl().then(url => setSheetUrl(url)).catch(err => {
       console.warn("Failed to load sheet URL:", err);
-      setSheetUrl(`https://docs.google.com/spreadsheets/d/${import.meta.env.VITE_GOOGLE_SHEET_ID || ''}/edit`);
+      setSheetUrl(DEFAULT_SHEET_URL);
     });
     // Poll every 30 seconds
     const interval = setInterval(loadData, 30000);
@@ -93,11 +296,23 @@ const Dashboard = () => {
   }, [language]);
 
   const [editingBooking, setEditingBooking] = useState(null);
+  const [slotSelection, setSlotSelection] = useState(null); // { date, start, end } dragged on the calendar
   const [newBooking, setNewBooking] = useState(null);
   const [bookingSuccessOpen, setBookingSuccessOpen] = useState(false);
 
   const handleBook = (room) => {
     setEditingBooking(null);
+    setSlotSelection(null);
+    setSelectedRoom(room);
+  };
+
+  const handleSelectSlot = ({ room, start, end }) => {
+    setEditingBooking(null);
+    setSlotSelection({
+      date: format(start, 'yyyy-MM-dd'),
+      start: format(start, 'HH:mm'),
+      end: format(end, 'HH:mm'),
+    });
     setSelectedRoom(room);
   };
 
@@ -109,14 +324,106 @@ const Dashboard = () => {
           console.log("✏️ handleEditBooking capturing ID:", booking.id);
       setEditingBooking({
           originalId: booking.id,
+          // The booking as loaded, so the update can tell if someone changed it meanwhile
+          original: {
+              room_id: booking.room_id,
+              requested_by: booking.requested_by,
+              start_time: booking.start_time,
+              end_time: booking.end_time,
+          },
           title: booking.title.replace('Booked by ', ''),
           date: format(startDate, 'yyyy-MM-dd'),
           start: format(startDate, 'HH:mm'),
           end: format(endDate, 'HH:mm'),
+          recurrence: booking.recurrence,
+          isRecurring: !!booking.isRecurring,
       });
+     setSlotSelection(null);
      setSelectedRoom(room);
   };
 
+  // User-facing text for a failed create/update/move
+  const getBookingErrorMessage = (error) => {
+    // Translate error message if it's the sheet missing error
+    let errorMessage = error.message || t('bookingFailedToast');
+    if (error.code === BOOKING_CONFLICT && error.conflict) {
+      // Someone else already holds an overlapping slot in this room
+      errorMessage = t('roomAlreadyBookedBy', {
+        name: error.conflict.requested_by,
+        start: format(new Date(error.conflict.start_time), 'HH:mm'),
+        end: format(new Date(error.conflict.end_time), 'HH:mm'),
+      });
+    } else if (error.code === BOOKING_MODIFIED) {
+      errorMessage = t('bookingChangedByOther');
+    } else if (error.code === OUTSIDE_WORKING_HOURS && error.workingHours) {
+      const { start, end } = error.workingHours;
+      errorMessage = start ? t('outsideWorkingHours', { start, end }) : t('roomClosedOnDay');
+    } else if (error.code === HOLIDAY_CLOSED && error.holiday) {
+      const { label } = error.holiday;
+      errorMessage = label ? t('holidayClosedNamed', { label }) : t('holidayClosed');
+    } else if (error.code === ROOM_BLACKED_OUT && error.blackout) {
+      const { start_time, end_time, reason } = error.blackout;
+      errorMessage = t(reason ? 'roomBlackedOutReason' : 'roomBlackedOut', {
+        start: format(new Date(start_time), 'MMM d HH:mm'),
+        end: format(new Date(end_time), 'MMM d HH:mm'),
+        reason,
+      });
+    } else if (error.code === POLICY_VIOLATION && error.policy) {
+      const { key, params } = getPolicyViolationMessage(error.policy);
+      errorMessage = t(key, params);
+    } else if (error.code === MONTH_SHEET_MISSING && error.monthSheet) {
+      // The booked month has no sheet yet
+      const monthDate = parseISO(`${error.monthSheet.month}-01`);
+      const month = format(monthDate, 'MMMM');
+      errorMessage = t('unableToBookForMonth', {
+        month,
+        year: format(monthDate, 'yyyy'),
+        monthName1: month.toUpperCase(),
+        monthName2: month,
+      });
+    } else if (error.message && error.message.includes("Failed to access the sheet for")) {
+      // Parse the failed to access error
+      // Format: "Failed to access the sheet for January 2026. {error details}"
+      const match = error.message.match(/Failed to access the sheet for (\w+) (\d+)\. (.+)/);
+      if (match) {
+        errorMessage = t('failedToAccessSheet', {
+          month: match[1],
+          year: match[2],
+          error: match[3]
+        });
+      }
+    }
+    return errorMessage;
+  };
+
+  // Drag-and-drop reschedule from the calendar. Rethrows so the calendar can snap the event back.
+  const handleMoveBooking = async (booking, { room_id, start, end }) => {
+    try {
+      await updateBooking(booking.id, format(new Date(booking.start_time), 'yyyy-MM-dd'), {
+        room_id,
+        title: booking.requested_by,
+        requested_by: booking.requested_by,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+      }, {
+        expected: {
+          room_id: booking.room_id,
+          requested_by: booking.requested_by,
+          start_time: booking.start_time,
+          end_time: booking.end_time,
+        },
+      });
+      console.log(`✅ Moved booking ${booking.id}`);
+      await loadData();
+      setToast({ type: 'success', message: t('bookingUpdatedToast') });
+    } catch (error) {
+      console.error("❌ Move failed", error);
+      await loadData();
+      setToast({ type: 'error', message: getBookingErrorMessage(error) });
+      throw error;
+    }
+  };
+
   const handleBookingConfirm = async (bookingData) => {
     try {
       let result;
@@ -137,18 +444,23 @@ const Dashboard = () => {
                  throw new Error("Invalid date/time provided for update");
              }
 
+             // scope: which occurrences of a recurring booking the edit applies to
+             const { scope, ...changes } = bookingData;
              const updateData = {
-                 ...bookingData,
+                 ...changes,
                  start: startD,
                  end: endD
              };
 
-             await updateBooking(editingBooking.originalId, editingBooking.date, updateData);
+             const updated = await updateBooking(editingBooking.originalId, editingBooking.date, updateData, {
+                 expected: editingBooking.original,
+                 scope,
+             });
              console.log("✅ Update successful");
-             result = { success: true, updated: true };
+             result = { success: true, updated: true, approval: updated?.approval || null };
           } catch (updateErr) {
              console.error("Failed to update booking", updateErr);
-             throw new Error(updateErr.message);
+             throw updateErr;
           }
       } else {
           // Create new
@@ -166,9 +478,16 @@ const Dashboard = () => {
       setNewBooking(result);
       setBookingSuccessOpen(true);
       
-      // If we have a direct result structure for sheetUrl logic (created booking)
-      if (result && result.sheetId && result.gid && result.range) {
-         const sheetUrl = `https://docs.google.com/spreadsheets/d/${result.sheetId}/edit#gid=${result.gid}&range=${result.range}`;
+      // In a room requiring approval the booking waits for an approver
+      if (result?.approval?.status === 'pending') {
+         setAlertDialog({
+           type: "success",
+           title: t('bookingSuccessful'),
+           message: t('bookingPendingApproval'),
+           link: null,
+         });
+      } else if (result && result.sheetId && result.gid && result.range) {
+         const sheetUrl = `${SHEETS_DOCS_URL}/${result.sheetId}/edit#gid=${result.gid}&range=${result.range}`;
          setAlertDialog({
            type: "success",
            title: t('bookingSuccessful'),
@@ -178,6 +497,14 @@ const Dashboard = () => {
              text: t('viewInGoogleSheets'),
            },
          });
+      } else if (result && result.series_id) {
+         // New recurring booking
+         setAlertDialog({
+           type: "success",
+           title: t('bookingSuccessful'),
+           message: t('recurringBookingCreated', { count: result.occurrences }),
+           link: null,
+         });
       } else if (result && result.updated) {
          // Updated booking case
          setAlertDialog({
@@ -205,44 +532,39 @@ const Dashboard = () => {
       // Close booking modal
       setSelectedRoom(null);
       
-      // Translate error message if it's the sheet missing error
-      let errorMessage = error.message || t('bookingFailedToast');
-      if (error.message && error.message.includes("Unable to book for")) {
-        // Parse the error message to extract month and year
-        // Format: "Unable to book for January 2026. The sheet for this month doesn't exist yet. Please create a sheet named "JANUARY 2026" or "January 2026" in your Google Spreadsheet before booking."
-        const match = error.message.match(/Unable to book for (\w+) (\d+)\./);
-        if (match) {
-          const month = match[1];
-          const year = match[2];
-          // Extract sheet name suggestions from error message
-          const sheetNameMatch = error.message.match(/named "([^"]+)" or "([^"]+)"/);
-          let monthName1 = month.toUpperCase();
-          let monthName2 = month;
-          if (sheetNameMatch) {
-            // Extract just the month name part (before the year)
-            monthName1 = sheetNameMatch[1].replace(` ${year}`, '').trim();
-            monthName2 = sheetNameMatch[2].replace(` ${year}`, '').trim();
-          }
-          errorMessage = t('unableToBookForMonth', { 
-            month, 
-            year, 
-            monthName1, 
-            monthName2 
-          });
-        }
-      } else if (error.message && error.message.includes("Failed to access the sheet for")) {
-        // Parse the failed to access error
-        // Format: "Failed to access the sheet for January 2026. {error details}"
-        const match = error.message.match(/Failed to access the sheet for (\w+) (\d+)\. (.+)/);
-        if (match) {
-          errorMessage = t('failedToAccessSheet', {
-            month: match[1],
-            year: match[2],
-            error: match[3]
-          });
-        }
+      const errorMessage = getBookingErrorMessage(error);
+
+      // The month has no sheet yet and may be created here: offer to create it and retry
+      if (error.code === MONTH_SHEET_MISSING && error.monthSheet?.canCreate) {
+        const monthDate = parseISO(`${error.monthSheet.month}-01`);
+        setAlertDialog({
+          type: "error",
+          title: t('monthSheetMissingTitle'),
+          message: t('createMonthSheetPrompt', {
+            month: format(monthDate, 'MMMM'),
+            year: format(monthDate, 'yyyy'),
+            title: error.monthSheet.title,
+          }),
+          link: null,
+          action: {
+            label: t('createMonthSheetAndBook'),
+            onClick: async () => {
+              try {
+                await createMonthSheet(monthDate);
+              } catch (createError) {
+                console.error("❌ Failed to create month sheet", createError);
+                setAlertDialog(null);
+                setToast({ type: "error", message: t('failedToCreateMonthSheet', { error: createError.message }) });
+                return;
+              }
+              setAlertDialog(null);
+              await handleBookingConfirm(bookingData);
+            },
+          },
+        });
+        return;
       }
-      
+
       // Show error toast
       setToast({
         type: "error",
@@ -375,6 +697,30 @@ const Dashboard = () => {
           </svg>
           <span>{t('manageFixedSchedules')}</span>
         </button>
+        <button
+          onClick={() => navigate('/blackouts')}
+          className="inline-flex items-center gap-2 rounded-md bg-gradient-to-r from-slate-500 to-slate-600 hover:from-slate-600 hover:to-slate-700 text-white-fixed font-medium shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 text-sm no-underline"
+          style={{ textDecoration: 'none', paddingLeft: '0.75rem', paddingRight: '0.75rem', paddingTop: '0.5rem', paddingBottom: '0.5rem', display: 'inline-flex' }}
+        >
+          <Ban style={{ width: '0.875rem', height: '0.875rem', flexShrink: 0 }} />
+          <span>{t('manageBlackouts')}</span>
+        </button>
+        <button
+          onClick={() => navigate('/find-room')}
+          className="inline-flex items-center gap-2 rounded-md bg-gradient-to-r from-indigo-500 to-indigo-600 hover:from-indigo-600 hover:to-indigo-700 text-white-fixed font-medium shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 text-sm no-underline"
+          style={{ textDecoration: 'none', paddingLeft: '0.75rem', paddingRight: '0.75rem', paddingTop: '0.5rem', paddingBottom: '0.5rem', display: 'inline-flex' }}
+        >
+          <Search style={{ width: '0.875rem', height: '0.875rem', flexShrink: 0 }} />
+          <span>{t('findRoom')}</span>
+        </button>
+        <button
+          onClick={() => navigate('/approvals')}
+          className="inline-flex items-center gap-2 rounded-md bg-gradient-to-r from-teal-500 to-teal-600 hover:from-teal-600 hover:to-teal-700 text-white-fixed font-medium shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 text-sm no-underline"
+          style={{ textDecoration: 'none', paddingLeft: '0.75rem', paddingRight: '0.75rem', paddingTop: '0.5rem', paddingBottom: '0.5rem', display: 'inline-flex' }}
+        >
+          <ShieldCheck style={{ width: '0.875rem', height: '0.875rem', flexShrink: 0 }} />
+          <span>{t('approvals')}</span>
+        </button>
         <button
           onClick={() => setShowFixedScheduleModal(true)}
           className="inline-flex items-center gap-2 rounded-md bg-gradient-to-r from-primary to-blue-600 hover:from-primary-hover hover:to-blue-700 text-white-fixed font-medium shadow-lg hover:shadow-xl transition-all transform hover:-translate-y-0.5 text-sm no-underline"
@@ -398,7 +744,15 @@ const Dashboard = () => {
           <div className="w-full mb-6" style={{ gridColumn: '1 / -1' }}>
             <LibraryRoomCalendar 
               rooms={rooms} 
-              bookings={bookings} 
+              bookings={viewBookings ? [...bookings, ...viewBookings] : bookings} 
+              holidays={holidays}
+              blackouts={blackouts}
+              date={viewDate}
+              view={calendarView}
+              onDateChange={handleViewDateChange}
+              onViewChange={handleCalendarViewChange}
+              onSelectSlot={handleSelectSlot}
+              onMoveBooking={handleMoveBooking}
               onRefresh={loadData}
               onEditBooking={handleEditBooking}
               onShowToast={setToast}
@@ -412,10 +766,12 @@ const Dashboard = () => {
           rooms.map(room => {
             let status = "available";
             let nextBooking = null;
+            let blackout = null;
             try {
-              const result = getRoomStatus(room.id, bookings || []);
+              const result = getRoomStatus(room.id, bookings || [], blackouts);
               status = result?.status || "available";
               nextBooking = result?.nextBooking || null;
+              blackout = result?.blackout || null;
             } catch (error) {
               console.error("Error getting room status for", room.id, error);
               status = "available";
@@ -424,6 +780,9 @@ const Dashboard = () => {
             // nextBooking contains:
             // - Current booking if room is occupied
             // - Next upcoming booking if room is available (or null if no bookings)
+            const quickBookOptions = status === 'available'
+              ? getQuickBookingOptions(room, { bookings: bookings || [], blackouts, holidays, workingHours: WORKING_HOURS, checkIn: CHECK_IN, policy: BOOKING_POLICY })
+              : [];
 
             return (
               <RoomCard 
@@ -431,7 +790,13 @@ const Dashboard = () => {
                 room={room}
                 status={status}
                 nextBooking={nextBooking}
+                blackout={blackout}
                 onBook={handleBook}
+                onCheckIn={handleCheckIn}
+                onEndNow={handleEndNow}
+                onExtend={handleExtend}
+                quickBookOptions={quickBookOptions}
+                onQuickBook={handleQuickBook}
               />
             );
           })
@@ -444,12 +809,14 @@ const Dashboard = () => {
           room={selectedRoom}
           rooms={rooms}
           timeSlots={timeSlots}
-          bookings={bookings}
+          bookings={viewBookings ? [...bookings, ...viewBookings] : bookings}
           fixedSchedules={fixedSchedules}
+          holidays={holidays}
           onClose={() => setSelectedRoom(null)} 
           onConfirm={handleBookingConfirm}
           language={language}
           initialData={editingBooking}
+          selection={slotSelection}
         />
       )}
 
@@ -473,6 +840,8 @@ const Dashboard = () => {
           title={alertDialog.title}
           message={alertDialog.message}
           link={alertDialog.link}
+          action={alertDialog.action}
+          input={alertDialog.input}
           onClose={() => setAlertDialog(null)}
         />
       )}
@@ -3,8 +3,13 @@ import { DayPicker } from "react-day-picker";
 import { format, startOfDay, isToday, isSameDay } from "date-fns";
 import { Calendar, ChevronLeft, ChevronRight } from "lucide-react";
 import "react-day-picker/dist/style.css";
+import { isHoliday } from "../utils/holidays";
 
-const DatePicker = ({ selectedDate, onDateChange, minDate, disabled = false }) => {
+// minDate ("yyyy-MM-dd"): earliest selectable day, any day when omitted
+// compact: icon-only trigger button, for toolbars
+// placeholder: shown while no date is selected, for optional dates (otherwise today is shown)
+// holidays ([{ date: "yyyy-MM-dd", label }]): days that can't be picked, struck through
+const DatePicker = ({ selectedDate, onDateChange, minDate, holidays = [], disabled = false, compact = false, title, placeholder }) => {
   const [isOpen, setIsOpen] = useState(false);
   
   const isValidDate = (date) => {
@@ -72,10 +77,24 @@ const DatePicker = ({ selectedDate, onDateChange, minDate, disabled = false }) =
 
   const displayDate = isValidDate(selected) ? selected : new Date();
   const isSelectedDateToday = isToday(displayDate);
+  const minDay = minDate ? startOfDay(new Date(minDate + "T00:00:00")) : null;
 
   return (
     <div className="relative">
       {/* Date Button */}
+      {compact ? (
+        <button
+          ref={buttonRef}
+          type="button"
+          disabled={disabled}
+          onClick={() => setIsOpen(!isOpen)}
+          title={title}
+          aria-label={title}
+          className="inline-flex items-center justify-center rounded-md p-1.5 text-white/70 hover:text-white hover:bg-white/10 transition-colors disabled:opacity-50"
+        >
+          <Calendar size={18} />
+        </button>
+      ) : (
       <button
         ref={buttonRef}
         type="button"
@@ -83,13 +102,16 @@ const DatePicker = ({ selectedDate, onDateChange, minDate, disabled = false }) =
         onClick={() => setIsOpen(!isOpen)}
         className="w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-left text-white focus:outline-none focus:border-primary text-base disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-between hover:bg-surface-hover transition-colors"
       >
-        <span>
-          {isSelectedDateToday
+        <span className={!selectedDate && placeholder ? "text-muted" : undefined}>
+          {!selectedDate && placeholder
+            ? placeholder
+            : isSelectedDateToday
             ? `Today, ${format(displayDate, "MMMM d, yyyy")}`
             : format(displayDate, "EEEE, MMMM d, yyyy")}
         </span>
         <Calendar size={18} className="text-muted flex-shrink-0" />
       </button>
+      )}
 
       {/* Calendar Popup */}
       {isOpen && (
@@ -105,19 +127,18 @@ const DatePicker = ({ selectedDate, onDateChange, minDate, disabled = false }) =
             mode="single"
             selected={selected}
             onSelect={handleDateSelect}
-            disabled={(date) => {
-              const today = startOfDay(new Date());
-              const dateStart = startOfDay(date);
-              return dateStart < today;
-            }}
-            fromDate={new Date()}
+            disabled={(date) => (!!minDay && startOfDay(date) < minDay) || isHoliday(holidays, date)}
+            fromDate={minDay || undefined}
+            defaultMonth={displayDate}
             className="custom-day-picker"
             modifiersClassNames={{
               selected: "selected",
               today: "today",
+              holiday: "holiday",
             }}
             modifiers={{
               today: (date) => isSameDay(date, new Date()),
+              holiday: (date) => isHoliday(holidays, date),
             }}
             modifiersStyles={{
               today: {
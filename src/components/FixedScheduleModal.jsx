@@ -2,12 +2,25 @@ import React, { useState, useEffect } from "react";
 import { createPortal } from "react-dom";
 import { useNavigate } from "react-router-dom";
 import { X, Loader2, RotateCcw } from "lucide-react";
-import { createFixedSchedule, updateFixedSchedule, fetchAvailableTimeSlots } from "../services/googleSheets";
-import { fetchRooms } from "../services/googleSheets";
+import { format, parseISO } from "date-fns";
+import { ko, enUS } from "date-fns/locale";
+import { getAvailableTimeSlots } from "../services/googleSheets";
+import {
+  fetchRooms,
+  createFixedSchedule,
+  updateFixedSchedule,
+} from "../services/storage";
 import { getTranslation } from "../utils/translations";
+import {
+  OUTSIDE_WORKING_HOURS,
+  fitsWorkingHoursOnSomeDay,
+} from "../utils/workingHours";
+import { WORKING_HOURS } from "../services/workingHoursConfig";
+import DatePicker from "./DatePicker";
 
 const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, language = "en" }) => {
   const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === "ko" ? ko : enUS;
   const navigate = useNavigate();
   const [rooms, setRooms] = useState([]);
   const [timeSlots, setTimeSlots] = useState([]);
@@ -19,6 +32,9 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
     room_id: "",
     start_time: "",
     end_time: "",
+    effective_from: "",
+    effective_until: "",
+    skip_dates: [],
   });
 
   useEffect(() => {
@@ -30,6 +46,9 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
         room_id: editingSchedule.room_id || "",
         start_time: editingSchedule.start_time || "",
         end_time: editingSchedule.end_time || "",
+        effective_from: editingSchedule.effective_from || "",
+        effective_until: editingSchedule.effective_until || "",
+        skip_dates: editingSchedule.skip_dates || [],
       });
     }
   }, [editingSchedule]);
@@ -46,12 +65,9 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
     try {
       setLoading(true);
       setError(""); // Clear previous errors
-      const [roomsData, slotsData] = await Promise.all([
-        fetchRooms(),
-        fetchAvailableTimeSlots(),
-      ]);
+      const roomsData = await fetchRooms();
       setRooms(roomsData);
-      setTimeSlots(slotsData);
+      setTimeSlots(getAvailableTimeSlots(roomsData));
     } catch (error) {
       console.error("Failed to load data", error);
       setError(error.message || t('failedToLoadSchedules'));
@@ -66,10 +82,28 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
       room_id: "",
       start_time: "",
       end_time: "",
+      effective_from: "",
+      effective_until: "",
+      skip_dates: [],
     });
     setError("");
   };
 
+  const addSkipDate = (date) => {
+    if (formData.skip_dates.includes(date)) return;
+    setFormData({ ...formData, skip_dates: [...formData.skip_dates, date].sort() });
+  };
+
+  const removeSkipDate = (date) => {
+    setFormData({ ...formData, skip_dates: formData.skip_dates.filter((d) => d !== date) });
+  };
+
+  // Times the selected room is open at on some day of the week
+  const selectedRoom = rooms.find((room) => room.id === formData.room_id);
+  const roomTimeSlots = timeSlots.filter((time) =>
+    fitsWorkingHoursOnSomeDay(WORKING_HOURS, selectedRoom, time, time)
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -108,6 +142,24 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
       return;
     }
 
+    // Validate the times fit the room's working hours on at least one day
+    if (!fitsWorkingHoursOnSomeDay(WORKING_HOURS, selectedRoom, formData.start_time, formData.end_time)) {
+      setError(t('fixedScheduleOutsideWorkingHours'));
+      setSaving(false);
+      return;
+    }
+
+    // Validate the effective dates
+    if (
+      formData.effective_from &&
+      formData.effective_until &&
+      formData.effective_until < formData.effective_from
+    ) {
+      setError(t('effectiveUntilBeforeFrom'));
+      setSaving(false);
+      return;
+    }
+
     try {
       if (editingSchedule) {
         await updateFixedSchedule(editingSchedule.id, formData);
@@ -119,6 +171,9 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
         room_id: "",
         start_time: "",
         end_time: "",
+        effective_from: "",
+        effective_until: "",
+        skip_dates: [],
       });
       if (onSuccess) onSuccess();
     } catch (error) {
@@ -126,7 +181,9 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
       let errorMessage = error.message || t('failedToSaveSchedule');
       
       // Translate conflict error messages
-      if (error.message && error.message.includes("Cannot create fixed schedule: conflicts with existing booking")) {
+      if (error.code === OUTSIDE_WORKING_HOURS) {
+        errorMessage = t('fixedScheduleOutsideWorkingHours');
+      } else if (error.message && error.message.includes("Cannot create fixed schedule: conflicts with existing booking")) {
         const match = error.message.match(/conflicts with existing booking on (.+?) \((.+?)\) from (.+?) to (.+?)$/);
         if (match) {
           errorMessage = t('cannotCreateFixedScheduleConflict', {
@@ -277,7 +334,7 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
                   className="w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-white focus:outline-none focus:border-primary text-base disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <option value="">{t('selectStartTime')}</option>
-                  {timeSlots.map((time) => (
+                  {roomTimeSlots.map((time) => (
                     <option key={time} value={time}>
                       {time}
                     </option>
@@ -300,7 +357,7 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
                   className="w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-white focus:outline-none focus:border-primary text-base disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <option value="">{t('selectEndTime')}</option>
-                  {timeSlots
+                  {roomTimeSlots
                     .filter((time) => !formData.start_time || time > formData.start_time)
                     .map((time) => (
                       <option key={time} value={time}>
@@ -308,6 +365,87 @@ const FixedScheduleModal = ({ onClose, onSuccess, editingSchedule = null, langua
                       </option>
                     ))}
                 </select>
+                <p className="text-xs text-muted" style={{ marginTop: "0.5rem" }}>
+                  {t('fixedScheduleWorkingHoursHint')}
+                </p>
+              </div>
+
+              {[
+                { field: "effective_from", label: t('effectiveFrom'), placeholder: t('noStartDate') },
+                { field: "effective_until", label: t('effectiveUntil'), placeholder: t('noEndDate') },
+              ].map(({ field, label, placeholder }) => (
+                <div key={field}>
+                  <label
+                    className="block text-sm font-medium text-muted"
+                    style={{ marginBottom: "0.75rem", display: "block" }}
+                  >
+                    {label}
+                  </label>
+                  <div className="flex items-center gap-2">
+                    <div className="flex-1 min-w-0">
+                      <DatePicker
+                        selectedDate={formData[field]}
+                        onDateChange={(date) => setFormData({ ...formData, [field]: date })}
+                        minDate={field === "effective_until" ? formData.effective_from || undefined : undefined}
+                        placeholder={placeholder}
+                        disabled={saving}
+                      />
+                    </div>
+                    {formData[field] && (
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, [field]: "" })}
+                        disabled={saving}
+                        title={t('clearDate')}
+                        aria-label={t('clearDate')}
+                        className="p-2 rounded-lg text-muted hover:text-white hover:bg-surface-hover transition-colors disabled:opacity-50"
+                      >
+                        <X size={16} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+
+              <div>
+                <div
+                  className="flex items-center justify-between"
+                  style={{ marginBottom: "0.75rem" }}
+                >
+                  <label className="block text-sm font-medium text-muted">
+                    {t('skippedDates')}
+                  </label>
+                  <DatePicker
+                    compact
+                    title={t('addSkipDate')}
+                    selectedDate=""
+                    onDateChange={addSkipDate}
+                    minDate={formData.effective_from || undefined}
+                    disabled={saving}
+                  />
+                </div>
+                {formData.skip_dates.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {formData.skip_dates.map((date) => (
+                      <span
+                        key={date}
+                        className="inline-flex items-center gap-1 rounded-full border border-slate-700 bg-surface-alt py-1 pl-3 pr-1 text-xs text-white"
+                      >
+                        {format(parseISO(date), "PP", { locale })}
+                        <button
+                          type="button"
+                          onClick={() => removeSkipDate(date)}
+                          disabled={saving}
+                          title={t('removeSkipDate', { date })}
+                          aria-label={t('removeSkipDate', { date })}
+                          className="rounded-full p-0.5 text-muted hover:text-danger hover:bg-danger/20 disabled:opacity-50"
+                        >
+                          <X size={12} />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -1,36 +1,87 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { Calendar, momentLocalizer, Views } from 'react-big-calendar';
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop';
 import moment from 'moment';
 import 'react-big-calendar/lib/css/react-big-calendar.css';
+import 'react-big-calendar/lib/addons/dragAndDrop/styles.css';
 import './CalendarStyles.css';
 import { useLanguage } from '../hooks/useLanguage';
 import { getTranslation } from '../utils/translations';
 import BookingDetailsModal from './BookingDetailsModal';
+import CalendarNavigator from './CalendarNavigator';
+import { getWorkingHoursBounds, getWorkingHoursOn, isWithinWorkingHours } from '../utils/workingHours';
+import { WORKING_HOURS } from '../services/workingHoursConfig';
+import { findHoliday, isHoliday } from '../utils/holidays';
+import { findBlackout } from '../utils/blackouts';
+import { isPending } from '../utils/approval';
+import { isNoShow } from '../utils/checkIn';
+import { CHECK_IN } from '../services/checkInConfig';
+
+// Weeks start on Monday, matching CalendarNavigator and the visible-range fetching
+moment.updateLocale('en', { week: { dow: 1, doy: 4 } });
 
 // Setup the localizer for react-big-calendar
 const localizer = momentLocalizer(moment);
+const DnDCalendar = withDragAndDrop(Calendar);
+
+// "#ec4899" -> "rgba(236, 72, 153, 0.85)"
+const hexToRgba = (hex, alpha) => {
+  const value = hex.replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
 
-const LibraryRoomCalendar = ({ rooms, bookings, onRefresh, onEditBooking, onShowToast }) => {
+// Hour on the calendar's time axis (0-24); 24 ends the axis just before midnight
+const toAxisTime = (hour) =>
+  hour >= 24 ? new Date(0, 0, 0, 23, 59, 0) : new Date(0, 0, 0, hour, 0, 0);
+
+const LibraryRoomCalendar = ({ rooms, bookings, holidays = [], blackouts = [], date, view = Views.DAY, onDateChange, onViewChange, onSelectSlot, onMoveBooking, onRefresh, onEditBooking, onShowToast }) => {
   const { language } = useLanguage();
   const t = (key, params) => getTranslation(key, language, params);
   const [selectedBooking, setSelectedBooking] = React.useState(null);
+  // Where a dragged booking is shown while its update is saving: { id, start, end, resourceId }
+  const [pendingMove, setPendingMove] = useState(null);
 
-  // Convert bookings to calendar events
+  // Convert bookings to calendar events, plus the rooms' blackouts as blocked time
   const events = useMemo(() => {
+    const blackoutEvents = blackouts.map(blackout => ({
+      id: blackout.id,
+      title: blackout.reason,
+      start: new Date(blackout.start_time),
+      end: new Date(blackout.end_time),
+      resourceId: blackout.room_id,
+      desc: blackout.reason ? `${t('unavailable')}: ${blackout.reason}` : t('unavailable'),
+      isBlackout: true,
+    }));
     return bookings.map(booking => ({
       id: booking.id,
       title: booking.title, // 'Booked by X'
       start: new Date(booking.start_time),
       end: new Date(booking.end_time),
       resourceId: booking.room_id,
+      ...(pendingMove && pendingMove.id === booking.id ? {
+        start: pendingMove.start,
+        end: pendingMove.end,
+        resourceId: pendingMove.resourceId,
+      } : {}),
       // Add properties required by Dashboard's handleEditBooking
       room_id: booking.room_id,
       start_time: booking.start_time,
       end_time: booking.end_time,
+      requested_by: booking.requested_by,
       desc: booking.requested_by,
-      isFixedSchedule: booking.isFixedSchedule
-    }));
-  }, [bookings]);
+      isFixedSchedule: booking.isFixedSchedule,
+      isPending: isPending(booking),
+      approval: booking.approval,
+      isNoShow: isNoShow(booking, CHECK_IN),
+      attendance: booking.attendance,
+      scheduleId: booking.schedule_id,
+      isRecurring: booking.isRecurring,
+      recurrence: booking.recurrence
+    })).concat(blackoutEvents);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bookings, blackouts, pendingMove, language]);
 
   // Define resources (rooms)
   const resources = useMemo(() => {
@@ -41,7 +92,15 @@ const LibraryRoomCalendar = ({ rooms, bookings, onRefresh, onEditBooking, onShow
     }));
   }, [rooms]);
 
+  // Bookings waiting for approval and released no-shows say so next to who booked
+  const getEventLabel = (event) => {
+    if (event.isPending) return `${event.desc} (${t('pendingApproval')})`;
+    if (event.isNoShow) return `${event.desc} (${t('noShow')})`;
+    return event.desc;
+  };
+
   const EventComponent = ({ event }) => {
+    const label = getEventLabel(event);
     const start = moment(event.start);
     const end = moment(event.end);
     const duration = end.diff(start, 'minutes');
@@ -50,10 +109,10 @@ const LibraryRoomCalendar = ({ rooms, bookings, onRefresh, onEditBooking, onShow
     return (
       <div 
         className={`h-full flex ${isShort ? 'flex-row items-center gap-2' : 'flex-col justify-center'} px-1`} 
-        title={`${event.desc} (${start.format('HH:mm')} - ${end.format('HH:mm')})`}
+        title={`${label} (${start.format('HH:mm')} - ${end.format('HH:mm')})`}
         style={{ color: 'white' }}
       >
-        <div className="text-xs font-semibold break-words leading-tight" style={{ color: 'white !important' }}>{event.desc}</div>
+        <div className="text-xs font-semibold break-words leading-tight" style={{ color: 'white !important' }}>{label}</div>
         <div className={`text-[10px] flex-shrink-0 ${isShort ? '' : ''}`} style={{ color: 'rgba(255, 255, 255, 0.8) !important' }}>
           {start.format('HH:mm')} - {end.format('HH:mm')}
         </div>
@@ -61,30 +120,112 @@ const LibraryRoomCalendar = ({ rooms, bookings, onRefresh, onEditBooking, onShow
     );
   };
 
+  // Month cells are small: one line with the start time and who booked
+  const MonthEventComponent = ({ event }) => (
+    <div
+      className="truncate text-[11px] leading-tight"
+      title={`${getEventLabel(event)} (${moment(event.start).format('HH:mm')} - ${moment(event.end).format('HH:mm')})`}
+    >
+      {moment(event.start).format('HH:mm')} {getEventLabel(event)}
+    </div>
+  );
+
+  const slotStep = WORKING_HOURS.slotMinutes;
+
+  // The time axis runs from an hour before the earliest opening to an hour after the latest closing
+  const axis = useMemo(() => {
+    const bounds = getWorkingHoursBounds(WORKING_HOURS, rooms);
+    return {
+      min: toAxisTime(Math.max(0, Math.floor(bounds.start / 60) - 1)),
+      max: toAxisTime(Math.min(24, Math.ceil(bounds.end / 60) + 1)),
+    };
+  }, [rooms]);
+
+  const findRoom = (resourceId) => rooms.find(r => r.id === resourceId);
+
+  // Not in the past, not on a holiday, within the room's working hours and outside its blackouts
+  const isBookableRange = (start, end, resourceId) =>
+    start >= new Date() &&
+    !isHoliday(holidays, start) &&
+    isWithinWorkingHours(WORKING_HOURS, findRoom(resourceId), start, end) &&
+    !findBlackout(blackouts, { room_id: resourceId, start, end });
+
+  // Shade the slots a room is closed (the week view has no rooms: office hours)
+  const slotPropGetter = (slotDate, resourceId) => {
+    if (isHoliday(holidays, slotDate)) return { className: 'rbc-slot-closed' };
+    const hours = getWorkingHoursOn(WORKING_HOURS, slotDate, findRoom(resourceId));
+    const minutes = slotDate.getHours() * 60 + slotDate.getMinutes();
+    const isOpen = !!hours && minutes >= hours.start && minutes < hours.end;
+    return isOpen ? {} : { className: 'rbc-slot-closed' };
+  };
+
+  // Grey out holidays in the week and month views
+  const dayPropGetter = (day) => (isHoliday(holidays, day) ? { className: 'rbc-day-holiday' } : {});
+
+  const dayHoliday = view === Views.DAY ? findHoliday(holidays, date || new Date()) : null;
+
+  // A drag may only cover bookable slots of one room, clear of that room's bookings
+  const canSelectRange = ({ start, end, resourceId }) => {
+    if (!isBookableRange(start, end, resourceId)) return false;
+    return !events.some(event =>
+      event.resourceId === resourceId && start < event.end && end > event.start
+    );
+  };
+
+  const handleSelectSlot = ({ start, end, resourceId, action }) => {
+    // Plain clicks on the grid don't book; only a drag does
+    if (action !== 'select' || !canSelectRange({ start, end, resourceId })) return;
+    const room = findRoom(resourceId);
+    if (room) onSelectSlot({ room, start, end });
+  };
+
+  // Fixed schedules and blackouts are edited on their own pages; finished bookings stay put
+  const isDraggable = (event) =>
+    !!onMoveBooking && view !== Views.MONTH && !event.isFixedSchedule && !event.isBlackout && !event.isNoShow && event.end > new Date();
+
+  // Drop or resize: show the event at its new place until the update settles.
+  // On failure the Dashboard reports why and the event snaps back.
+  const handleEventChange = async ({ event, start, end, resourceId }) => {
+    const roomId = resourceId || event.resourceId; // The week view has no room columns
+    const unchanged = roomId === event.resourceId && +start === +event.start && +end === +event.end;
+    if (unchanged || !isBookableRange(start, end, roomId)) return;
+
+    setPendingMove({ id: event.id, start, end, resourceId: roomId });
+    try {
+      await onMoveBooking(event, { room_id: roomId, start, end });
+    } catch (error) {
+      console.warn(`Move of ${event.id} reverted:`, error.message);
+    } finally {
+      setPendingMove(null);
+    }
+  };
+
   const handleSelectEvent = (event) => {
+    // Blackouts aren't bookings; their reason is on the event itself
+    if (event.isBlackout) return;
     // Open Details Modal
     setSelectedBooking(event);
   };
 
-  // Custom styling for events based on room
+  // Custom styling for events based on room (colors come from the ROOMS sheet)
   const eventPropGetter = (event) => {
+    if (event.isBlackout) {
+      return { className: 'rbc-event-blackout' };
+    }
+
     let backgroundColor = '#475569'; // default slate
     let borderColor = '#334155';
-    
-    if (event.resourceId === 'nha-trang') {
-      backgroundColor = 'rgba(236, 72, 153, 0.85)'; // pink-500
-      borderColor = 'rgb(236, 72, 153)';
-    } else if (event.resourceId === 'da-lat') {
-      backgroundColor = 'rgba(124, 58, 237, 0.85)'; // violet-600
-      borderColor = 'rgb(124, 58, 237)';
-    }
 
-    if (event.isFixedSchedule) {
-      // Add visual distinction for fixed schedules
-      backgroundColor = event.resourceId === 'nha-trang' ? 'rgba(236, 72, 153, 0.6)' : 'rgba(124, 58, 237, 0.6)';
+    const room = (rooms || []).find(r => r.id === event.resourceId);
+    if (room?.color) {
+      // Fixed schedules are a little lighter for visual distinction
+      backgroundColor = hexToRgba(room.color, event.isFixedSchedule ? 0.6 : 0.85);
+      borderColor = room.color;
     }
 
     return {
+      // Bookings waiting for approval are hatched as tentative, released no-shows faded
+      className: event.isPending ? 'rbc-event-pending' : event.isNoShow ? 'rbc-event-released' : undefined,
       style: {
         backgroundColor,
         borderColor,
@@ -112,32 +253,61 @@ const LibraryRoomCalendar = ({ rooms, bookings, onRefresh, onEditBooking, onShow
           {t('scheduleHint')}
         </span>
       </div>
+
+      {onDateChange && (
+        <CalendarNavigator
+          date={date || new Date()}
+          view={view}
+          onChange={onDateChange}
+          onViewChange={onViewChange}
+          bookings={bookings}
+        />
+      )}
+
+      {dayHoliday && (
+        <div className="px-4 py-2 text-sm text-warning border-b border-white/10">
+          {dayHoliday.label ? t('holidayClosedNamed', { label: dayHoliday.label }) : t('holidayClosed')}
+        </div>
+      )}
       
       <div className="overflow-x-auto w-full p-2">
         <div className="h-[600px] min-w-[800px] relative text-white">
-          <Calendar
+          <DnDCalendar
             localizer={localizer}
             events={events}
             startAccessor="start"
             endAccessor="end"
-            defaultView={Views.DAY}
-            views={[Views.DAY]}
-            step={30}
-            timeslots={2}
-            min={new Date(0, 0, 0, 7, 0, 0)} // 7 AM
-            max={new Date(0, 0, 0, 19, 0, 0)} // 7 PM
-            resources={resources}
+            view={view}
+            views={[Views.DAY, Views.WEEK, Views.MONTH]}
+            onView={(next) => onViewChange && onViewChange(next)}
+            step={slotStep}
+            timeslots={Math.max(1, Math.round(60 / slotStep))}
+            min={axis.min}
+            max={axis.max}
+            slotPropGetter={slotPropGetter}
+            dayPropGetter={dayPropGetter}
+            resources={view === Views.DAY ? resources : undefined} /* Room columns only fit the day view */
             resourceIdAccessor="id"
             resourceTitleAccessor="title"
-            toolbar={false} /* Hide default toolbar for cleaner look */
-            date={new Date()} /* Force today since we removed nav buttons */
+            toolbar={false} /* Hide default toolbar, CalendarNavigator handles navigation */
+            date={date || new Date()}
+            onNavigate={(next) => onDateChange && onDateChange(next)} /* "+N more" and day links in the month view */
             components={{
-              event: EventComponent
+              event: EventComponent,
+              month: { event: MonthEventComponent }
             }}
+            popup
             eventPropGetter={eventPropGetter}
             dayLayoutAlgorithm="no-overlap"
             onSelectEvent={handleSelectEvent}
-            selectable={false} 
+            selectable={onSelectSlot && view === Views.DAY ? 'ignoreEvents' : false}
+            onSelecting={canSelectRange}
+            onSelectSlot={handleSelectSlot}
+            draggableAccessor={isDraggable}
+            resizableAccessor={isDraggable}
+            onEventDrop={handleEventChange}
+            onEventResize={handleEventChange}
+            resizable={!!onMoveBooking}
           />
         </div>
       </div>
@@ -152,6 +322,9 @@ const LibraryRoomCalendar = ({ rooms, bookings, onRefresh, onEditBooking, onShow
               // Refresh data
               if (onRefresh) onRefresh();
           }}
+          onCheckInSuccess={() => {
+              if (onRefresh) onRefresh();
+          }}
           onEdit={(booking) => {
              // Close details modal
              setSelectedBooking(null);
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useLanguage } from '../hooks/useLanguage';
 import { getTranslation } from '../utils/translations';
-import { fetchAuthorizedNetworks, authorizeNetwork } from '../services/googleSheets';
+import { fetchPublicIp } from '../services/googleSheets';
+import { fetchAuthorizedNetworks, authorizeNetwork } from '../services/storage';
+import { STORAGE_BACKEND } from '../services/storage/config';
 import { Lock, ShieldAlert } from 'lucide-react';
 
 // Config
@@ -15,6 +17,10 @@ const LOCATION_RADIUS = import.meta.env.VITE_LOCATION_RADIUS
 
 const OFFICE_WIFI_PASSWORD = import.meta.env.VITE_OFFICE_WIFI_PASSWORD || "cigro123";
 
+// The API checks the password on the server (NETWORK_AUTH_SECRET); the other backends
+// have no server to ask
+const PASSWORD_CHECKED_BY_SERVER = STORAGE_BACKEND === 'api';
+
 // Utils
 const getDistanceFromLatLonInMeters = (lat1, lon1, lat2, lon2) => {
   const R = 6371e3; 
@@ -64,9 +70,7 @@ const NetworkGuard = ({ children }) => {
     // But for initial logic, we want to block until we know.
     try {
        // 1. Get Public IP
-       const ipRes = await fetch('https://api.ipify.org?format=json');
-       if (!ipRes.ok) throw new Error('Failed to fetch IP');
-       const { ip } = await ipRes.json();
+       const ip = await fetchPublicIp();
        setCurrentIp(ip);
        console.log('Network Check - Current IP:', ip);
 
@@ -139,11 +143,11 @@ const NetworkGuard = ({ children }) => {
 
   const handlePasswordSubmit = async (e) => {
       e.preventDefault();
-      if (password === OFFICE_WIFI_PASSWORD) {
+      if (PASSWORD_CHECKED_BY_SERVER || password === OFFICE_WIFI_PASSWORD) {
           setIsAuthorizing(true);
           try {
               // Write to Sheet
-              await authorizeNetwork(currentIp);
+              await authorizeNetwork(currentIp, password);
               setStatus('authorized');
           } catch (e) {
               console.error("Authorization failed:", e);
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useLanguage } from '../hooks/useLanguage';
 import { getTranslation } from '../utils/translations';
+import { fetchPublicIp } from '../services/googleSheets';
 
 const NetworkInfo = () => {
     const { language } = useLanguage();
@@ -14,9 +15,8 @@ const NetworkInfo = () => {
 
     useEffect(() => {
         // Get IP
-        fetch('https://api.ipify.org?format=json')
-            .then(res => res.json())
-            .then(data => setIp(data.ip))
+        fetchPublicIp()
+            .then(setIp)
             .catch(() => setIp('Unknown'));
 
         // Get User Agent (Client ID)
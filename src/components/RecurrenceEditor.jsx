@@ -0,0 +1,164 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { addDays, format, parseISO, startOfWeek } from 'date-fns';
+import { ko, enUS } from 'date-fns/locale';
+import { getTranslation } from '../utils/translations';
+import { getMonthlyWeekday, isLastWeekdayOfMonth, MAX_OCCURRENCES } from '../utils/recurrence';
+import DatePicker from './DatePicker';
+
+// Repeat fields for BookingModal. `options` is the shape toRecurrenceOptions() returns;
+// startDate ("yyyy-MM-dd") is the first occurrence, which fills in the weekday/day of month.
+const RecurrenceEditor = ({ options, onChange, startDate, language = 'en', disabled = false, allowNone = true }) => {
+  const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === 'ko' ? ko : enUS;
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  const start = parseISO(startDate);
+  // Monday-first week for the weekday toggles
+  const weekDays = Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(start, { weekStartsOn: 1 }), i));
+  const { nth } = getMonthlyWeekday(startDate);
+  const isLastWeekday = isLastWeekdayOfMonth(startDate);
+  const unitKey = { DAILY: 'repeatDays', WEEKLY: 'repeatWeeks', MONTHLY: 'repeatMonths' }[options.freq];
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = options.weekdays.includes(weekday)
+      ? options.weekdays.filter(d => d !== weekday)
+      : [...options.weekdays, weekday];
+    if (weekdays.length > 0) update({ weekdays });
+  };
+
+  const inputClass = 'bg-surface-alt border border-slate-700 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-primary text-sm disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col gap-3">
+      <label className="block text-sm font-medium text-muted">
+        <div className="flex items-center gap-2">
+          <Repeat size={16} className="text-muted" />
+          <span>{t('repeat')}</span>
+        </div>
+      </label>
+
+      <select
+        value={options.freq}
+        onChange={(e) => update({ freq: e.target.value })}
+        disabled={disabled}
+        className={`w-full ${inputClass} text-base py-2.5`}
+      >
+        {allowNone && <option value="">{t('doesNotRepeat')}</option>}
+        <option value="DAILY">{t('repeatDaily')}</option>
+        <option value="WEEKLY">{t('repeatWeekly')}</option>
+        <option value="MONTHLY">{t('repeatMonthly')}</option>
+      </select>
+
+      {options.freq && (
+        <>
+          <div className="flex items-center gap-2 text-sm text-muted">
+            <span>{t('repeatEvery')}</span>
+            <input
+              type="number"
+              min={1}
+              max={99}
+              value={options.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              disabled={disabled}
+              className={`w-16 ${inputClass}`}
+            />
+            <span>{t(unitKey)}</span>
+          </div>
+
+          {options.freq === 'WEEKLY' && (
+            <div className="grid grid-cols-7 gap-1">
+              {weekDays.map(day => {
+                const weekday = day.getDay();
+                const selected = options.weekdays.includes(weekday);
+                return (
+                  <button
+                    key={weekday}
+                    type="button"
+                    onClick={() => toggleWeekday(weekday)}
+                    disabled={disabled}
+                    aria-pressed={selected}
+                    className={`py-1.5 rounded-md text-xs font-medium border transition-colors ${
+                      selected ? 'bg-primary border-primary text-white' : 'border-slate-700 text-muted hover:bg-white/10'
+                    }`}
+                  >
+                    {format(day, 'EEEEEE', { locale })}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {options.freq === 'MONTHLY' && (
+            <select
+              value={options.monthlyBy === 'lastWeekday' && !isLastWeekday ? 'weekday' : options.monthlyBy}
+              onChange={(e) => update({ monthlyBy: e.target.value })}
+              disabled={disabled}
+              className={`w-full ${inputClass}`}
+            >
+              <option value="day">{t('monthlyOnDay', { day: start.getDate() })}</option>
+              <option value="weekday">
+                {t('monthlyOnWeekday', {
+                  nth: t(`ordinal${nth}`),
+                  weekday: format(start, 'EEEE', { locale }),
+                })}
+              </option>
+              {isLastWeekday && (
+                <option value="lastWeekday">
+                  {t('monthlyOnWeekday', {
+                    nth: t('ordinalLast'),
+                    weekday: format(start, 'EEEE', { locale }),
+                  })}
+                </option>
+              )}
+            </select>
+          )}
+
+          <div className="flex flex-col gap-2 text-sm text-muted">
+            <span>{t('repeatEnds')}</span>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={options.ends === 'count'}
+                onChange={() => update({ ends: 'count' })}
+                disabled={disabled}
+              />
+              <span>{t('repeatAfter')}</span>
+              <input
+                type="number"
+                min={1}
+                max={MAX_OCCURRENCES}
+                value={options.count}
+                onChange={(e) => update({ ends: 'count', count: e.target.value })}
+                disabled={disabled}
+                className={`w-20 ${inputClass}`}
+              />
+              <span>{t('repeatOccurrences')}</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <label className="flex items-center gap-2 flex-shrink-0">
+                <input
+                  type="radio"
+                  checked={options.ends === 'until'}
+                  onChange={() => update({ ends: 'until' })}
+                  disabled={disabled}
+                />
+                <span>{t('repeatUntil')}</span>
+              </label>
+              <div className="flex-1 min-w-0">
+                <DatePicker
+                  selectedDate={options.until}
+                  onDateChange={(until) => update({ ends: 'until', until })}
+                  minDate={startDate}
+                  disabled={disabled}
+                />
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
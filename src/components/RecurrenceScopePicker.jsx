@@ -0,0 +1,34 @@
+import React from 'react';
+import { getTranslation } from '../utils/translations';
+import { RECURRENCE_SCOPES } from '../utils/recurrence';
+
+const SCOPE_LABELS = {
+  [RECURRENCE_SCOPES.THIS]: 'scopeThis',
+  [RECURRENCE_SCOPES.FOLLOWING]: 'scopeFollowing',
+  [RECURRENCE_SCOPES.ALL]: 'scopeAll',
+};
+
+// "This booking / This and following / All bookings" choice for editing or
+// deleting an occurrence of a recurring booking
+const RecurrenceScopePicker = ({ value, onChange, label, language = 'en', disabled = false }) => {
+  const t = (key, params) => getTranslation(key, language, params);
+
+  return (
+    <div className="flex flex-col gap-2" role="radiogroup" aria-label={label}>
+      <span className="block text-sm font-medium text-muted">{label}</span>
+      {Object.values(RECURRENCE_SCOPES).map(scope => (
+        <label key={scope} className="flex items-center gap-2 text-sm text-white cursor-pointer">
+          <input
+            type="radio"
+            checked={value === scope}
+            onChange={() => onChange(scope)}
+            disabled={disabled}
+          />
+          <span>{t(SCOPE_LABELS[scope])}</span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default RecurrenceScopePicker;
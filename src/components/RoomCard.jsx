@@ -1,8 +1,11 @@
 import React from 'react';
-import { Users, Monitor, Wifi, Calendar, Clock, Gamepad2 } from 'lucide-react';
+import { Users, Monitor, Wifi, Calendar, Clock, Gamepad2, Ban, CheckCircle2, Loader2, TimerOff, Plus, Zap } from 'lucide-react';
 import { format, parseISO } from 'date-fns';
 import { useLanguage } from '../hooks/useLanguage';
 import { getTranslation } from '../utils/translations';
+import { getCheckInState, getCheckInWindow } from '../utils/checkIn';
+import { CHECK_IN } from '../services/checkInConfig';
+import { EXTEND_OPTIONS, canChangeMeetingEnd } from '../utils/meetingActions';
 
 const FeatureIcon = ({ feature }) => {
   const lower = feature.toLowerCase();
@@ -12,10 +15,134 @@ const FeatureIcon = ({ feature }) => {
   return <div className="w-3 h-3 rounded-full bg-current" />;
 };
 
-const RoomCard = ({ room, status, nextBooking, onBook }) => {
+// Check in to the current or next booking (see utils/checkIn.js): active from shortly
+// before it starts until its grace period ends
+const CheckInButton = ({ booking, onCheckIn, t }) => {
+  const [checkingIn, setCheckingIn] = React.useState(false);
+  const state = getCheckInState(booking, CHECK_IN);
+  if (!state || state === 'no-show') return null;
+
+  if (state === 'checked-in') {
+    return (
+      <div className="flex items-center gap-2 text-xs text-success mt-2">
+        <CheckCircle2 size={14} />
+        <span>{t('checkedInAt', { time: format(parseISO(booking.attendance.at), 'h:mm a') })}</span>
+      </div>
+    );
+  }
+
+  const { opens, closes } = getCheckInWindow(booking, CHECK_IN);
+  const handleClick = async () => {
+    setCheckingIn(true);
+    try {
+      await onCheckIn(booking);
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+  return (
+    <div className="mt-2">
+      <button
+        onClick={handleClick}
+        disabled={state !== 'open' || checkingIn}
+        className="w-full flex items-center justify-center gap-2 py-2 rounded-md text-sm font-semibold border border-success/40 text-success hover:bg-success/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {checkingIn ? <Loader2 size={14} className="animate-spin" /> : <CheckCircle2 size={14} />}
+        {state === 'open' ? t('checkIn') : t('checkInOpensAt', { time: format(opens, 'h:mm a') })}
+      </button>
+      {state === 'open' && (
+        <div className="text-xs opacity-75 mt-1">
+          {t('checkInBy', { time: format(closes, 'h:mm a') })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// End the booking in progress now, or extend it (see utils/meetingActions.js)
+const MeetingActions = ({ booking, onEndNow, onExtend, t }) => {
+  const [busy, setBusy] = React.useState(false);
+  if ((!onEndNow && !onExtend) || !canChangeMeetingEnd(booking)) return null;
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  };
+  const buttonClass = 'flex items-center justify-center gap-1 py-2 rounded-md text-xs font-semibold border border-slate-600 text-white hover:bg-surface-hover transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+  return (
+    <div className="flex gap-2 mt-2">
+      {onEndNow && (
+        <button onClick={() => run(() => onEndNow(booking))} disabled={busy} className={`${buttonClass} flex-1`}>
+          {busy ? <Loader2 size={14} className="animate-spin" /> : <TimerOff size={14} />}
+          {t('endMeetingNow')}
+        </button>
+      )}
+      {onExtend && EXTEND_OPTIONS.map(minutes => (
+        <button
+          key={minutes}
+          onClick={() => run(() => onExtend(booking, minutes))}
+          disabled={busy}
+          title={t('extendMeetingBy', { minutes })}
+          className={`${buttonClass} px-2`}
+        >
+          <Plus size={12} />
+          {t('extendMinutes', { minutes })}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// "Book now" for one of the quick booking options (see utils/quickBooking.js)
+const QuickBookButtons = ({ room, options, onQuickBook, t }) => {
+  const [bookingMinutes, setBookingMinutes] = React.useState(null);
+  if (!onQuickBook || options.length === 0) return null;
+
+  const handleClick = async (option) => {
+    setBookingMinutes(option.minutes);
+    try {
+      await onQuickBook(room, option);
+    } finally {
+      setBookingMinutes(null);
+    }
+  };
+  return (
+    <div className="mb-3">
+      <div className="flex items-center gap-1 text-xs text-muted mb-1">
+        <Zap size={12} />
+        <span>{t('bookNow')}</span>
+      </div>
+      <div className="flex gap-2">
+        {options.map(option => (
+          <button
+            key={option.minutes}
+            onClick={() => handleClick(option)}
+            disabled={bookingMinutes !== null}
+            title={t('bookNowUntil', { time: format(option.end, 'h:mm a') })}
+            className="flex-1 flex flex-col items-center justify-center py-1.5 rounded-md text-xs font-semibold border border-primary/40 text-white hover:bg-primary/20 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <span className="flex items-center gap-1">
+              {bookingMinutes === option.minutes && <Loader2 size={12} className="animate-spin" />}
+              {t('quickBookMinutes', { minutes: option.minutes })}
+            </span>
+            <span className="font-normal opacity-75">{format(option.end, 'h:mm a')}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// status: 'available' | 'occupied' | 'unavailable' (in a blackout, see utils/blackouts.js)
+const RoomCard = ({ room, status, nextBooking, blackout = null, onBook, onCheckIn, onEndNow, onExtend, quickBookOptions = [], onQuickBook }) => {
   const { language } = useLanguage();
   const t = (key, params) => getTranslation(key, language, params);
   const isOccupied = status === 'occupied';
+  const isUnavailable = status === 'unavailable';
 
   return (
     <div className="bg-surface rounded-lg overflow-hidden shadow-md hover:shadow-lg transition-shadow border border-slate-700 flex flex-col h-full">
@@ -26,8 +153,8 @@ const RoomCard = ({ room, status, nextBooking, onBook }) => {
           className="w-full h-full object-cover"
         />
         <div className="absolute top-4 right-4">
-          <span className={`badge ${isOccupied ? 'badge-danger' : 'badge-success'} shadow-lg font-bold px-3 py-1`}>
-            {isOccupied ? t('occupied') : t('available')}
+          <span className={`badge ${isUnavailable ? 'badge-warning' : isOccupied ? 'badge-danger' : 'badge-success'} shadow-lg font-bold px-3 py-1`}>
+            {isUnavailable ? t('unavailable') : isOccupied ? t('occupied') : t('available')}
           </span>
         </div>
       </div>
@@ -60,7 +187,21 @@ const RoomCard = ({ room, status, nextBooking, onBook }) => {
         </div>
 
         <div className="flex-1 flex flex-col">
-          {isOccupied ? (
+          {isUnavailable ? (
+            <div className="text-sm text-muted mb-3">
+              <div className="flex items-center gap-2 text-warning mb-1">
+                <Ban size={14} />
+                <span className="font-medium">
+                  {t('unavailableUntil', { time: format(parseISO(blackout?.end_time || new Date().toISOString()), 'MMM d, h:mm a') })}
+                </span>
+              </div>
+              {blackout?.reason && (
+                <div className="truncate opacity-90">
+                  <span className="font-medium">{t('blackoutReason')}:</span> {blackout.reason}
+                </div>
+              )}
+            </div>
+          ) : isOccupied ? (
             <div className="text-sm text-muted mb-3">
               <div className="flex items-center gap-2 text-danger mb-1">
                 <Clock size={14} />
@@ -76,6 +217,8 @@ const RoomCard = ({ room, status, nextBooking, onBook }) => {
                   <div className="text-xs opacity-75">
                     {format(parseISO(nextBooking.start_time), 'h:mm a')} - {format(parseISO(nextBooking.end_time), 'h:mm a')}
                   </div>
+                  {onCheckIn && <CheckInButton booking={nextBooking} onCheckIn={onCheckIn} t={t} />}
+                  <MeetingActions booking={nextBooking} onEndNow={onEndNow} onExtend={onExtend} t={t} />
                 </>
               )}
             </div>
@@ -95,6 +238,7 @@ const RoomCard = ({ room, status, nextBooking, onBook }) => {
                   <div className="text-xs opacity-75">
                     {t('until')} {format(parseISO(nextBooking.end_time), 'h:mm a')}
                   </div>
+                  {onCheckIn && <CheckInButton booking={nextBooking} onCheckIn={onCheckIn} t={t} />}
                 </div>
               ) : (
                 <div className="flex items-center gap-2 text-success">
@@ -104,6 +248,10 @@ const RoomCard = ({ room, status, nextBooking, onBook }) => {
               )}
             </div>
           )}
+
+          {status === 'available' && (
+            <QuickBookButtons room={room} options={quickBookOptions} onQuickBook={onQuickBook} t={t} />
+          )}
           
           <button 
             onClick={() => onBook(room)}
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Check, X, RefreshCw, ArrowLeft, Clock, User, Repeat, Loader2 } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { ko, enUS } from "date-fns/locale";
+import { CACHE_KEYS, getFromCache } from "../services/googleSheets";
+import { fetchRooms, fetchPendingBookings, decideBooking } from "../services/storage";
+import { BOOKING_NOT_PENDING, NOT_AN_APPROVER } from "../utils/approval";
+import { getTranslation } from "../utils/translations";
+import { useLanguage } from "../hooks/useLanguage";
+import SkeletonScheduleCard from "../components/SkeletonScheduleCard";
+
+// Remembered for the browser session so an approver types their code once
+const APPROVER_CODE_KEY = "approver_code";
+
+// Approvals (see utils/approval.js): the bookings of rooms requiring approval that
+// still wait for it, each approved or rejected with the approver's code; the server
+// records the decision under their name
+const ApprovalsPage = () => {
+  const { language } = useLanguage();
+  const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === "ko" ? ko : enUS;
+  const navigate = useNavigate();
+  const [bookings, setBookings] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [decidingId, setDecidingId] = useState(null);
+  const [error, setError] = useState("");
+  const [approverCode, setApproverCode] = useState(() => sessionStorage.getItem(APPROVER_CODE_KEY) || "");
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  useEffect(() => {
+    sessionStorage.setItem(APPROVER_CODE_KEY, approverCode);
+  }, [approverCode]);
+
+  const loadData = async () => {
+    try {
+      const cachedRooms = getFromCache(CACHE_KEYS.ROOMS);
+      if (cachedRooms) setRooms(cachedRooms);
+      setLoading(true);
+
+      const [bookingsData, roomsData] = await Promise.all([
+        fetchPendingBookings(),
+        fetchRooms(),
+      ]);
+      setBookings(bookingsData);
+      setRooms(roomsData);
+    } catch (error) {
+      console.error("Failed to load pending bookings", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDecide = async (booking, approve) => {
+    if (decidingId) return;
+    setError("");
+
+    if (!approverCode.trim()) {
+      setError(t("enterApproverCode"));
+      return;
+    }
+    if (!approve && !confirm(t("confirmRejectBooking"))) {
+      return;
+    }
+
+    setDecidingId(booking.id);
+    try {
+      await decideBooking(booking.id, format(parseISO(booking.start_time), "yyyy-MM-dd"), approve, approverCode.trim());
+      await loadData();
+    } catch (error) {
+      console.error("Failed to decide booking", error);
+      if (error.code === BOOKING_NOT_PENDING) {
+        setError(t("bookingAlreadyDecided"));
+        await loadData();
+      } else if (error.code === NOT_AN_APPROVER) {
+        setError(t("notAnApprover"));
+      } else {
+        setError(error.message || t("failedToDecideBooking"));
+      }
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  const inputClass =
+    "w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-white focus:outline-none focus:border-primary text-base disabled:opacity-50";
+  const labelClass = "block text-sm font-medium text-muted mb-2";
+
+  return (
+    <div className="min-h-screen bg-bg">
+      <div className="container mx-auto px-4 sm:px-6 py-8 sm:py-10">
+        {/* Header */}
+        <div className="mb-8 sm:mb-10">
+          <button
+            onClick={() => navigate('/')}
+            className="flex items-center gap-2 text-muted hover:text-white transition-colors mb-6"
+          >
+            <ArrowLeft size={20} />
+            <span>{t('back')}</span>
+          </button>
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2 sm:mb-3">
+              {t('approvals')}
+            </h1>
+            <p className="text-sm sm:text-base text-muted">
+              {t('approvalsDescription')}
+            </p>
+          </div>
+        </div>
+
+        {/* Approver */}
+        <div
+          className="bg-surface-hover rounded-lg border border-slate-700 mb-8 sm:mb-10 flex flex-col md:flex-row md:items-end gap-4"
+          style={{ padding: "1.5rem" }}
+        >
+          <div className="flex-1">
+            <label className={labelClass}>{t('approverCode')}</label>
+            <input
+              type="password"
+              autoComplete="off"
+              value={approverCode}
+              onChange={(e) => setApproverCode(e.target.value)}
+              placeholder={t('approverCodePlaceholder')}
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="button"
+            onClick={loadData}
+            disabled={loading}
+            className="flex items-center justify-center gap-2 px-4 py-2.5 bg-surface-alt hover:bg-surface-hover border border-slate-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw size={16} className={loading ? "animate-spin" : ""} />
+            <span>{t('refresh')}</span>
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-danger mb-6">{error}</p>}
+
+        {/* Pending Bookings List */}
+        {loading && bookings.length === 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[...Array(3)].map((_, index) => (
+              <SkeletonScheduleCard key={index} />
+            ))}
+          </div>
+        ) : bookings.length === 0 ? (
+          <div className="text-center py-16 text-muted">
+            <p>{t('noPendingBookings')}</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {bookings.map((booking) => {
+              const deciding = decidingId === booking.id;
+              return (
+                <div key={booking.id} className="bg-surface-hover rounded-lg border border-slate-700 flex flex-col" style={{ padding: "1.5rem" }}>
+                  <div className="text-white font-medium mb-4">
+                    {rooms.find((r) => r.id === booking.room_id)?.name || booking.room_id}
+                  </div>
+                  <div className="flex flex-col gap-2 mb-5">
+                    <div className="flex items-center gap-2 text-sm text-white/90">
+                      <User size={14} />
+                      <span>{booking.requested_by}</span>
+                    </div>
+                    <div className="flex items-center gap-2 text-sm text-muted">
+                      <Clock size={14} />
+                      <span>
+                        {format(parseISO(booking.start_time), "PP", { locale })}{" "}
+                        {format(parseISO(booking.start_time), "HH:mm")} - {format(parseISO(booking.end_time), "HH:mm")}
+                      </span>
+                    </div>
+                    {booking.isRecurring && (
+                      <div className="flex items-center gap-2 text-sm text-muted">
+                        <Repeat size={14} />
+                        <span>{t('decidesWholeSeries')}</span>
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex gap-3 mt-auto">
+                    <button
+                      onClick={() => handleDecide(booking, true)}
+                      disabled={!!decidingId}
+                      className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-success/80 hover:bg-success text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {deciding ? <Loader2 size={16} className="animate-spin" /> : <Check size={16} />}
+                      <span>{t('approve')}</span>
+                    </button>
+                    <button
+                      onClick={() => handleDecide(booking, false)}
+                      disabled={!!decidingId}
+                      className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-surface-alt hover:bg-danger/20 border border-slate-700 text-danger rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <X size={16} />
+                      <span>{t('reject')}</span>
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalsPage;
@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Trash2, RefreshCw, ArrowLeft, Ban, Clock, Loader2 } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { ko, enUS } from "date-fns/locale";
+import { CACHE_KEYS, getFromCache } from "../services/googleSheets";
+import {
+  fetchRooms,
+  fetchBlackouts,
+  createBlackout,
+  deleteBlackout,
+} from "../services/storage";
+import { getTranslation } from "../utils/translations";
+import { useLanguage } from "../hooks/useLanguage";
+import { getTimeSlots } from "../utils/workingHours";
+import { WORKING_HOURS } from "../services/workingHoursConfig";
+import DatePicker from "../components/DatePicker";
+import SkeletonScheduleCard from "../components/SkeletonScheduleCard";
+
+// Room blackouts (see utils/blackouts.js): declare a room out of use for a while,
+// e.g. while its TV is repaired, and list or remove the ones that haven't ended
+const BlackoutsPage = () => {
+  const { language } = useLanguage();
+  const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === "ko" ? ko : enUS;
+  const navigate = useNavigate();
+  const [blackouts, setBlackouts] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const today = format(new Date(), "yyyy-MM-dd");
+  const [form, setForm] = useState({
+    room_id: "",
+    start_date: today,
+    start: "",
+    end_date: today,
+    end: "",
+    reason: "",
+  });
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+
+  const timeSlots = getTimeSlots(WORKING_HOURS, rooms);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const cachedBlackouts = getFromCache(CACHE_KEYS.BLACKOUTS);
+      const cachedRooms = getFromCache(CACHE_KEYS.ROOMS);
+
+      if (cachedBlackouts && cachedRooms) {
+        setBlackouts(cachedBlackouts);
+        setRooms(cachedRooms);
+        setLoading(false);
+      } else {
+        setLoading(true);
+      }
+
+      const [blackoutsData, roomsData] = await Promise.all([
+        fetchBlackouts(),
+        fetchRooms(),
+      ]);
+      setBlackouts(blackoutsData);
+      setRooms(roomsData);
+    } catch (error) {
+      console.error("Failed to load blackouts", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    setError("");
+
+    if (!form.room_id) {
+      setError(t("pleaseSelectRoom"));
+      return;
+    }
+    if (!form.start || !form.end) {
+      setError(t("pleaseSelectBothTimes"));
+      return;
+    }
+    const start = parseISO(`${form.start_date}T${form.start}`);
+    const end = parseISO(`${form.end_date}T${form.end}`);
+    if (end <= start) {
+      setError(t("endTimeAfterStart"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await createBlackout({
+        room_id: form.room_id,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        reason: form.reason.trim(),
+      });
+      update({ reason: "" });
+      await loadData();
+    } catch (error) {
+      console.error("Failed to save blackout", error);
+      setError(error.message || t("failedToSaveBlackout"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (blackoutId) => {
+    if (!confirm(t("confirmDeleteBlackout"))) {
+      return;
+    }
+
+    try {
+      await deleteBlackout(blackoutId);
+      await loadData();
+    } catch (error) {
+      console.error("Failed to delete blackout", error);
+      alert(error.message || t("failedToDeleteBlackout"));
+    }
+  };
+
+  const formatTime = (iso) => format(parseISO(iso), "PP p", { locale });
+
+  const inputClass =
+    "w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-white focus:outline-none focus:border-primary text-base disabled:opacity-50";
+  const labelClass = "block text-sm font-medium text-muted mb-2";
+
+  return (
+    <div className="min-h-screen bg-bg">
+      <div className="container mx-auto px-4 sm:px-6 py-8 sm:py-10">
+        {/* Header */}
+        <div className="mb-8 sm:mb-10">
+          <button
+            onClick={() => navigate('/')}
+            className="flex items-center gap-2 text-muted hover:text-white transition-colors mb-6"
+          >
+            <ArrowLeft size={20} />
+            <span>{t('back')}</span>
+          </button>
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2 sm:mb-3">
+              {t('blackouts')}
+            </h1>
+            <p className="text-sm sm:text-base text-muted">
+              {t('blackoutsDescription')}
+            </p>
+          </div>
+        </div>
+
+        {/* New blackout */}
+        <form
+          onSubmit={handleSubmit}
+          className="bg-surface-hover rounded-lg border border-slate-700 mb-8 sm:mb-10 flex flex-col gap-4"
+          style={{ padding: "1.5rem" }}
+        >
+          <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+            <Ban size={18} className="text-warning" />
+            {t('newBlackout')}
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>{t('room')}</label>
+              <select
+                value={form.room_id}
+                onChange={(e) => update({ room_id: e.target.value })}
+                disabled={saving}
+                className={inputClass}
+              >
+                <option value="">{t('selectRoom')}</option>
+                {rooms.map((room) => (
+                  <option key={room.id} value={room.id}>{room.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>{t('blackoutReason')}</label>
+              <input
+                type="text"
+                value={form.reason}
+                onChange={(e) => update({ reason: e.target.value })}
+                placeholder={t('blackoutReasonPlaceholder')}
+                disabled={saving}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>{t('blackoutFrom')}</label>
+              <div className="flex gap-2">
+                <div className="flex-1 min-w-0">
+                  <DatePicker
+                    selectedDate={form.start_date}
+                    onDateChange={(date) =>
+                      update({ start_date: date, end_date: date > form.end_date ? date : form.end_date })
+                    }
+                    minDate={today}
+                    disabled={saving}
+                  />
+                </div>
+                <select
+                  value={form.start}
+                  onChange={(e) => update({ start: e.target.value })}
+                  disabled={saving}
+                  className={`${inputClass} w-28`}
+                >
+                  <option value="">{t('selectStartTime')}</option>
+                  {timeSlots.map((time) => (
+                    <option key={time} value={time}>{time}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className={labelClass}>{t('blackoutUntil')}</label>
+              <div className="flex gap-2">
+                <div className="flex-1 min-w-0">
+                  <DatePicker
+                    selectedDate={form.end_date}
+                    onDateChange={(date) => update({ end_date: date })}
+                    minDate={form.start_date}
+                    disabled={saving}
+                  />
+                </div>
+                <select
+                  value={form.end}
+                  onChange={(e) => update({ end: e.target.value })}
+                  disabled={saving}
+                  className={`${inputClass} w-28`}
+                >
+                  <option value="">{t('selectEndTime')}</option>
+                  {timeSlots.map((time) => (
+                    <option key={time} value={time}>{time}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {error && <p className="text-sm text-danger">{error}</p>}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-primary hover:bg-primary-hover text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving && <Loader2 size={16} className="animate-spin" />}
+              <span>{saving ? t('saving') : t('addBlackout')}</span>
+            </button>
+            <button
+              type="button"
+              onClick={loadData}
+              disabled={loading}
+              className="flex items-center gap-2 px-4 py-2 bg-surface-alt hover:bg-surface-hover border border-slate-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <RefreshCw size={16} className={loading ? "animate-spin" : ""} />
+              <span>{t('refresh')}</span>
+            </button>
+          </div>
+        </form>
+
+        {/* Blackouts List */}
+        {loading ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[...Array(3)].map((_, index) => (
+              <SkeletonScheduleCard key={index} />
+            ))}
+          </div>
+        ) : blackouts.length === 0 ? (
+          <div className="text-center py-16 text-muted">
+            <p>{t('noBlackouts')}</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {blackouts.map((blackout) => (
+              <div key={blackout.id} className="bg-surface-hover rounded-lg border border-slate-700 flex flex-col" style={{ padding: "1.5rem" }}>
+                <div className="flex items-start justify-between gap-3 mb-4">
+                  <div className="text-white font-medium">
+                    {rooms.find((r) => r.id === blackout.room_id)?.name || blackout.room_id}
+                  </div>
+                  <button
+                    onClick={() => handleDelete(blackout.id)}
+                    className="w-10 h-10 flex items-center justify-center bg-surface-alt hover:bg-danger/20 border border-slate-700 rounded-lg transition-colors"
+                    title={t('delete')}
+                  >
+                    <Trash2 size={18} className="text-danger flex-shrink-0" />
+                  </button>
+                </div>
+                <div className="flex flex-col gap-2">
+                  {blackout.reason && <div className="text-sm text-white/90">{blackout.reason}</div>}
+                  <div className="flex items-center gap-2 text-sm text-muted">
+                    <Clock size={14} />
+                    <span>
+                      {formatTime(blackout.start_time)} – {formatTime(blackout.end_time)}
+                    </span>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlackoutsPage;
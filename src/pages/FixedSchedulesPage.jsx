@@ -1,8 +1,14 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { Edit2, Trash2, Clock, RefreshCw, ArrowLeft } from "lucide-react";
-import { fetchFixedSchedules, deleteFixedSchedule, CACHE_KEYS, getFromCache } from "../services/googleSheets";
-import { fetchRooms } from "../services/googleSheets";
+import { format, parseISO } from "date-fns";
+import { ko, enUS } from "date-fns/locale";
+import { CACHE_KEYS, getFromCache } from "../services/googleSheets";
+import {
+  fetchRooms,
+  fetchFixedSchedules,
+  deleteFixedSchedule,
+} from "../services/storage";
 import { getTranslation } from "../utils/translations";
 import { useLanguage } from "../hooks/useLanguage";
 import FixedScheduleModal from "../components/FixedScheduleModal";
@@ -11,6 +17,7 @@ import SkeletonScheduleCard from "../components/SkeletonScheduleCard";
 const FixedSchedulesPage = () => {
   const { language } = useLanguage();
   const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === "ko" ? ko : enUS;
   const navigate = useNavigate();
   const [schedules, setSchedules] = useState([]);
   const [rooms, setRooms] = useState([]);
@@ -73,6 +80,16 @@ const FixedSchedulesPage = () => {
     }
   };
 
+  // "From Oct 1, 2026 · Until Dec 31, 2026 · 2 skipped date(s)", empty for an unbounded schedule
+  const describeDates = ({ effective_from, effective_until, skip_dates = [] }) =>
+    [
+      effective_from && t('effectiveFromDate', { date: format(parseISO(effective_from), "PP", { locale }) }),
+      effective_until && t('effectiveUntilDate', { date: format(parseISO(effective_until), "PP", { locale }) }),
+      skip_dates.length > 0 && t('skippedDatesCount', { count: skip_dates.length }),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
   // Group schedules by row (since one row can have multiple day schedules)
   const groupedSchedules = schedules.reduce((acc, schedule) => {
     const rowKey = schedule.row || "unknown";
@@ -168,6 +185,9 @@ const FixedSchedulesPage = () => {
                   <div className="text-xs text-muted">
                     {t('appliesTo')} {rowSchedules.map((s) => s.dayName || `${t('day')} ${s.dayOfWeek}`).join(", ")}
                   </div>
+                  {describeDates(rowSchedules[0]) && (
+                    <div className="text-xs text-muted">{describeDates(rowSchedules[0])}</div>
+                  )}
                 </div>
               </div>
             ))}
@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { ArrowLeft, Search, Clock, Users, Loader2, CalendarPlus } from "lucide-react";
+import { differenceInCalendarDays, format, parseISO } from "date-fns";
+import { ko, enUS } from "date-fns/locale";
+import { CACHE_KEYS, getFromCache } from "../services/googleSheets";
+import {
+  fetchRooms,
+  fetchBookings,
+  fetchBlackouts,
+  fetchHolidays,
+  createBooking,
+} from "../services/storage";
+import { getTranslation } from "../utils/translations";
+import { useLanguage } from "../hooks/useLanguage";
+import { getTimeSlots, toMinutes } from "../utils/workingHours";
+import { WORKING_HOURS } from "../services/workingHoursConfig";
+import { BOOKING_POLICY } from "../services/bookingPolicyConfig";
+import { CHECK_IN } from "../services/checkInConfig";
+import { getRememberedName, rememberName } from "../services/bookerName";
+import { BOOKING_CONFLICT } from "../utils/bookingConflicts";
+import {
+  SEARCH_DURATIONS,
+  SEARCH_MAX_DAYS,
+  findFreeSlots,
+  getSearchableFeatures,
+  getSearchMonthKeys,
+} from "../utils/roomSearch";
+import DatePicker from "../components/DatePicker";
+import AlertDialog from "../components/AlertDialog";
+
+// Find a free room (see utils/roomSearch.js): free slots across every room for a
+// duration, group size, features and days, each bookable in one click
+const RoomSearchPage = () => {
+  const { language } = useLanguage();
+  const t = (key, params) => getTranslation(key, language, params);
+  const locale = language === "ko" ? ko : enUS;
+  const navigate = useNavigate();
+  const [rooms, setRooms] = useState(() => getFromCache(CACHE_KEYS.ROOMS) || []);
+  const [results, setResults] = useState(null); // null until the first search
+  const [searching, setSearching] = useState(false);
+  const [bookingKey, setBookingKey] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [namePrompt, setNamePrompt] = useState(null); // { slot, key } waiting for the booker's name
+
+  const today = format(new Date(), "yyyy-MM-dd");
+  const [form, setForm] = useState({
+    duration: 60,
+    attendees: "",
+    features: [],
+    from: today,
+    to: today,
+    start: "",
+    end: "",
+  });
+  const update = (changes) => setForm((current) => ({ ...current, ...changes }));
+
+  const timeSlots = getTimeSlots(WORKING_HOURS, rooms);
+  const features = getSearchableFeatures(rooms);
+
+  useEffect(() => {
+    fetchRooms()
+      .then(setRooms)
+      .catch((error) => console.error("Failed to load rooms", error));
+  }, []);
+
+  const toggleFeature = (feature) =>
+    update({
+      features: form.features.includes(feature)
+        ? form.features.filter((f) => f !== feature)
+        : [...form.features, feature],
+    });
+
+  const runSearch = async () => {
+    if (form.to < form.from) {
+      setError(t("searchEndBeforeStart"));
+      return;
+    }
+    if (form.start && form.end && form.end <= form.start) {
+      setError(t("endTimeAfterStart"));
+      return;
+    }
+
+    const search = {
+      duration: Number(form.duration),
+      attendees: Number(form.attendees) || 0,
+      features: form.features,
+      from: form.from,
+      to: form.to,
+      window: form.start || form.end
+        ? {
+            start: form.start ? toMinutes(form.start) : 0,
+            end: form.end ? toMinutes(form.end) : 24 * 60,
+          }
+        : null,
+    };
+
+    setSearching(true);
+    try {
+      const [roomsData, blackouts, holidays, ...months] = await Promise.all([
+        fetchRooms(),
+        fetchBlackouts(),
+        fetchHolidays(),
+        ...getSearchMonthKeys(search).map((key) => fetchBookings(new Date(`${key}-01T00:00:00`))),
+      ]);
+      setRooms(roomsData);
+      const slots = findFreeSlots(search, {
+        rooms: roomsData,
+        bookings: months.flat(),
+        blackouts,
+        holidays,
+        workingHours: WORKING_HOURS,
+        checkIn: CHECK_IN,
+        policy: BOOKING_POLICY,
+      });
+      console.log(`🔎 ${slots.length} free slot(s) for`, search);
+      setResults(slots);
+    } catch (error) {
+      console.error("Failed to search for free rooms", error);
+      setError(error.message || t("failedToSearchRooms"));
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (searching) return;
+    setError("");
+    setNotice("");
+    runSearch();
+  };
+
+  // Book a slot under the name remembered from the last booking; asked for once when there is none
+  const handleBook = (slot, key) => {
+    if (bookingKey) return;
+    setError("");
+    setNotice("");
+    const name = getRememberedName();
+    if (name) return bookSlot(slot, key, name);
+    setNamePrompt({ slot, key });
+  };
+
+  const bookSlot = async (slot, key, name) => {
+    rememberName(name);
+    setBookingKey(key);
+    try {
+      const result = await createBooking({
+        room_id: slot.room.id,
+        title: name,
+        requested_by: name,
+        start_time: slot.start.toISOString(),
+        end_time: slot.end.toISOString(),
+      });
+      setNotice(
+        result?.approval?.status === "pending"
+          ? t("bookingPendingApproval")
+          : t("slotBookedNotice", {
+              room: slot.room.name,
+              date: format(slot.start, "PP", { locale }),
+              start: format(slot.start, "HH:mm"),
+              end: format(slot.end, "HH:mm"),
+            })
+      );
+      await runSearch();
+    } catch (error) {
+      console.error("Failed to book slot", error);
+      setError(
+        error.code === BOOKING_CONFLICT && error.conflict
+          ? t("roomAlreadyBookedBy", {
+              name: error.conflict.requested_by,
+              start: format(new Date(error.conflict.start_time), "HH:mm"),
+              end: format(new Date(error.conflict.end_time), "HH:mm"),
+            })
+          : error.message || t("failedToBookSlot")
+      );
+      await runSearch();
+    } finally {
+      setBookingKey(null);
+    }
+  };
+
+  const inputClass =
+    "w-full bg-surface-alt border border-slate-700 rounded-lg px-3 py-2.5 text-white focus:outline-none focus:border-primary text-base disabled:opacity-50";
+  const labelClass = "block text-sm font-medium text-muted mb-2";
+  const daysLimited = differenceInCalendarDays(parseISO(form.to), parseISO(form.from)) + 1 > SEARCH_MAX_DAYS;
+
+  return (
+    <div className="min-h-screen bg-bg">
+      <div className="container mx-auto px-4 sm:px-6 py-8 sm:py-10">
+        {/* Header */}
+        <div className="mb-8 sm:mb-10">
+          <button
+            onClick={() => navigate('/')}
+            className="flex items-center gap-2 text-muted hover:text-white transition-colors mb-6"
+          >
+            <ArrowLeft size={20} />
+            <span>{t('back')}</span>
+          </button>
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2 sm:mb-3">
+              {t('findRoom')}
+            </h1>
+            <p className="text-sm sm:text-base text-muted">
+              {t('findRoomDescription')}
+            </p>
+          </div>
+        </div>
+
+        {/* Search */}
+        <form
+          onSubmit={handleSubmit}
+          className="bg-surface-hover rounded-lg border border-slate-700 mb-8 sm:mb-10 flex flex-col gap-4"
+          style={{ padding: "1.5rem" }}
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>{t('searchDuration')}</label>
+              <select
+                value={form.duration}
+                onChange={(e) => update({ duration: Number(e.target.value) })}
+                disabled={searching}
+                className={inputClass}
+              >
+                {SEARCH_DURATIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>{t('quickBookMinutes', { minutes })}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>{t('searchAttendees')}</label>
+              <input
+                type="number"
+                min="1"
+                value={form.attendees}
+                onChange={(e) => update({ attendees: e.target.value })}
+                placeholder={t('searchAttendeesPlaceholder')}
+                disabled={searching}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className={labelClass}>{t('searchFrom')}</label>
+              <DatePicker
+                selectedDate={form.from}
+                onDateChange={(date) => update({ from: date, to: date > form.to ? date : form.to })}
+                minDate={today}
+                disabled={searching}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>{t('searchTo')}</label>
+              <DatePicker
+                selectedDate={form.to}
+                onDateChange={(date) => update({ to: date })}
+                minDate={form.from}
+                disabled={searching}
+              />
+            </div>
+
+            <div>
+              <label className={labelClass}>{t('searchTimeWindow')}</label>
+              <div className="flex items-center gap-2">
+                <select
+                  value={form.start}
+                  onChange={(e) => update({ start: e.target.value })}
+                  disabled={searching}
+                  className={inputClass}
+                >
+                  <option value="">{t('anyTime')}</option>
+                  {timeSlots.map((time) => (
+                    <option key={time} value={time}>{time}</option>
+                  ))}
+                </select>
+                <span className="text-muted">–</span>
+                <select
+                  value={form.end}
+                  onChange={(e) => update({ end: e.target.value })}
+                  disabled={searching}
+                  className={inputClass}
+                >
+                  <option value="">{t('anyTime')}</option>
+                  {timeSlots.map((time) => (
+                    <option key={time} value={time}>{time}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {features.length > 0 && (
+              <div>
+                <label className={labelClass}>{t('searchFeatures')}</label>
+                <div className="flex flex-wrap gap-3">
+                  {features.map((feature) => (
+                    <label key={feature} className="flex items-center gap-2 text-sm text-white">
+                      <input
+                        type="checkbox"
+                        checked={form.features.includes(feature)}
+                        onChange={() => toggleFeature(feature)}
+                        disabled={searching}
+                      />
+                      {feature}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {daysLimited && (
+            <p className="text-sm text-warning">{t('searchDaysLimited', { days: SEARCH_MAX_DAYS })}</p>
+          )}
+          {error && <p className="text-sm text-danger">{error}</p>}
+          {notice && <p className="text-sm text-success">{notice}</p>}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={searching}
+              className="flex items-center gap-2 px-4 py-2 bg-primary hover:bg-primary-hover text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {searching ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />}
+              <span>{searching ? t('searching') : t('search')}</span>
+            </button>
+          </div>
+        </form>
+
+        {/* Free Slots */}
+        {results === null ? null : results.length === 0 ? (
+          <div className="text-center py-16 text-muted">
+            <p>{t('noFreeSlots')}</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {results.map((slot) => {
+              const key = `${slot.room.id}-${slot.start.getTime()}`;
+              return (
+                <div key={key} className="bg-surface-hover rounded-lg border border-slate-700 flex flex-col" style={{ padding: "1.5rem" }}>
+                  <div className="text-white font-medium mb-4">{slot.room.name}</div>
+                  <div className="flex flex-col gap-2 mb-5">
+                    <div className="flex items-center gap-2 text-sm text-white/90">
+                      <Clock size={14} />
+                      <span>
+                        {format(slot.start, "PP", { locale })}{" "}
+                        {format(slot.start, "HH:mm")} - {format(slot.end, "HH:mm")}
+                      </span>
+                    </div>
+                    {slot.room.capacity > 0 && (
+                      <div className="flex items-center gap-2 text-sm text-muted">
+                        <Users size={14} />
+                        <span>{t('seatsCount', { count: slot.room.capacity })}</span>
+                      </div>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleBook(slot, key)}
+                    disabled={!!bookingKey}
+                    className="mt-auto flex items-center justify-center gap-2 px-4 py-2 bg-primary hover:bg-primary-hover text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {bookingKey === key ? <Loader2 size={16} className="animate-spin" /> : <CalendarPlus size={16} />}
+                    <span>{t('bookThisSlot')}</span>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {namePrompt && (
+        <AlertDialog
+          type="confirm"
+          title={t('bookThisSlot')}
+          message={t('enterYourName')}
+          input={{ placeholder: t('yourName') }}
+          action={{
+            label: t('bookThisSlot'),
+            onClick: (name) => {
+              setNamePrompt(null);
+              return bookSlot(namePrompt.slot, namePrompt.key, name);
+            },
+          }}
+          onClose={() => setNamePrompt(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RoomSearchPage;
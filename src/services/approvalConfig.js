@@ -0,0 +1,9 @@
+import { readServerEnv } from "./env.js";
+import { parseApprovers } from "../utils/approval.js";
+
+// Who may approve or reject bookings in rooms requiring approval, from the server's
+// environment (see utils/approval.js), each with the code they approve with:
+//   APPROVERS="Minh=k3y-1, Ji-woo=k3y-2"
+// Server-only, so the codes never reach the browser: approvals need the "api" storage
+// backend. Until it is set, nobody can approve.
+export const APPROVERS = parseApprovers(readServerEnv("APPROVERS"));
@@ -0,0 +1,10 @@
+// The name this browser books under, remembered from the last booking made in
+// BookingModal so quick bookings from a room card need no typing
+const BOOKER_NAME_KEY = "booker_name";
+
+export const getRememberedName = () => (localStorage.getItem(BOOKER_NAME_KEY) || "").trim();
+
+export const rememberName = (name) => {
+  const trimmed = String(name || "").trim();
+  if (trimmed) localStorage.setItem(BOOKER_NAME_KEY, trimmed);
+};
@@ -0,0 +1,8 @@
+import { readEnv } from "./env.js";
+import { createBookingPolicy } from "../utils/bookingPolicy.js";
+
+// Office booking policy, from .env (see utils/bookingPolicy.js):
+//   VITE_BOOKING_POLICY="max-duration 4h; min-notice 15m; max-advance 30d; max-future 10"
+// Limits not named don't apply (default: none). A room with a "policy" value in the
+// ROOMS sheet replaces the limits it names.
+export const BOOKING_POLICY = createBookingPolicy(readEnv("BOOKING_POLICY"));
@@ -0,0 +1,8 @@
+import { readEnv } from "./env.js";
+import { createCheckInSettings } from "../utils/checkIn.js";
+
+// Check-in grace period, from .env (see utils/checkIn.js):
+//   VITE_CHECK_IN_GRACE_MINUTES=15 | off (default)
+// A booking nobody checked in to this many minutes after its start is released.
+// The server needs the same value (CHECK_IN_GRACE_MINUTES) to release it.
+export const CHECK_IN = createCheckInSettings(readEnv("CHECK_IN_GRACE_MINUTES"));
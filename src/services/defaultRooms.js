@@ -0,0 +1,31 @@
+// The two original rooms: used when the workbook has no ROOMS sheet (see loadRooms in
+// googleSheets.js), and by the local and memory storage backends, which have no rooms
+// of their own
+export const DEFAULT_ROOMS = [
+  {
+    id: "nha-trang",
+    name: "Nha Trang",
+    capacity: 12, // Inferred "Large room"
+    features: ["Large Room", "TV", "PS4"],
+    image_url:
+      "https://images.unsplash.com/photo-1689326232193-d55f0b7965eb?q=80&w=1287&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3Ds",
+    sheet_column: "D",
+    color: "#ec4899", // pink-500
+    hours: "",
+    policy: "",
+    requires_approval: false,
+  },
+  {
+    id: "da-lat",
+    name: "Da Lat",
+    capacity: 6, // Inferred "Small room"
+    features: ["Small Room"],
+    image_url:
+      "https://images.unsplash.com/photo-1609424360486-c5b2636741d1?q=80&w=2370&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
+    sheet_column: "E",
+    color: "#7c3aed", // violet-600
+    hours: "",
+    policy: "",
+    requires_approval: false,
+  },
+];
@@ -0,0 +1,35 @@
+// Configuration lookup shared by the browser bundle and the server-side API (api/*.js).
+//
+// Browser: only the VITE_-prefixed variables listed below are readable. Vite inlines
+// them into the shipped JavaScript, so nothing secret may ever go here.
+// Server: variables come from process.env without the VITE_ prefix
+// (GOOGLE_SHEET_ID, GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REFRESH_TOKEN, ...).
+// The VITE_-prefixed name is still accepted there so an existing .env keeps working.
+
+export const IS_SERVER = typeof window === "undefined";
+
+const readBrowserEnv = () => ({
+  STORAGE_BACKEND: import.meta.env.VITE_STORAGE_BACKEND,
+  API_BASE_URL: import.meta.env.VITE_API_BASE_URL,
+  GOOGLE_SHEET_ID: import.meta.env.VITE_GOOGLE_SHEET_ID,
+  GOOGLE_SHEETS_BASE_URL: import.meta.env.VITE_GOOGLE_SHEETS_BASE_URL,
+  GOOGLE_ACCESS_TOKEN: import.meta.env.VITE_GOOGLE_ACCESS_TOKEN,
+  MONTH_SHEET_CREATION: import.meta.env.VITE_MONTH_SHEET_CREATION,
+  WORKING_HOURS: import.meta.env.VITE_WORKING_HOURS,
+  SLOT_MINUTES: import.meta.env.VITE_SLOT_MINUTES,
+  BOOKING_POLICY: import.meta.env.VITE_BOOKING_POLICY,
+  CHECK_IN_GRACE_MINUTES: import.meta.env.VITE_CHECK_IN_GRACE_MINUTES,
+});
+
+export const readEnv = (name) => {
+  if (!IS_SERVER) return readBrowserEnv()[name];
+
+  const env = globalThis.process?.env || {};
+  return env[name] ?? env[`VITE_${name}`];
+};
+
+// Credentials that must never reach the browser. Always undefined client-side.
+export const readServerEnv = (name) => {
+  if (!IS_SERVER) return undefined;
+  return readEnv(name);
+};
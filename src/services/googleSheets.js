@@ -7,18 +7,114 @@ import {
   getYear,
   getMonth,
   format,
+  startOfMonth,
+  endOfMonth,
+  addDays,
+  addMonths,
+  max,
 } from "date-fns";
+// Explicit .js extensions: this module is also imported by the Node API functions in api/
+import { STORAGE_BACKEND } from "./storage/config.js";
+import { IS_SERVER, readEnv, readServerEnv } from "./env.js";
+import {
+  findConflictingBooking,
+  createBookingConflictError,
+  BOOKING_CONFLICT,
+  isSameBooking,
+  createBookingModifiedError,
+} from "../utils/bookingConflicts.js";
+import {
+  RECURRENCE_SCOPES,
+  getOccurrenceDates,
+  getSeriesBookings,
+  parseOccurrenceId,
+  planOccurrenceDelete,
+  planOccurrenceUpdate,
+  toOccurrenceBooking,
+  toSeries,
+  validateSeries,
+} from "../utils/recurrence.js";
+import {
+  doFixedScheduleRangesOverlap,
+  formatFixedScheduleDates,
+  isFixedScheduleActiveOn,
+  parseFixedScheduleDates,
+  validateFixedScheduleDates,
+} from "../utils/fixedScheduleDates.js";
+import {
+  MONTH_SHEET_CREATION_MODES,
+  MONTH_SHEET_MISSING,
+  createMonthSheetMissingError,
+  getMonthSheetTitle,
+} from "../utils/monthSheets.js";
+import {
+  OUTSIDE_WORKING_HOURS,
+  assertWithinWorkingHours,
+  fitsWorkingHoursOnSomeDay,
+  getTimeSlots,
+  getWorkingHoursOn,
+  isTimeWithin,
+} from "../utils/workingHours.js";
+import { WORKING_HOURS } from "./workingHoursConfig.js";
+import {
+  assertNotHoliday,
+  isHoliday,
+  isValidHolidayDate,
+  mergeHolidays,
+} from "../utils/holidays.js";
+import { assertNoBlackout, getActiveBlackout, toBlackout, validateBlackout } from "../utils/blackouts.js";
+import {
+  assertBookingPolicy,
+  assertSeriesBookingPolicy,
+  countFutureBookings,
+  getBookingPerson,
+  getRoomPolicy,
+} from "../utils/bookingPolicy.js";
+import { BOOKING_POLICY } from "./bookingPolicyConfig.js";
+import {
+  createPendingApproval,
+  decideApproval,
+  formatApproval,
+  getApprovalFor,
+  getSeriesApprovalFor,
+  isPending,
+  isRejected,
+  assertApprover,
+  parseApproval,
+  parseRequiresApproval,
+} from "../utils/approval.js";
+import {
+  checkInAttendance,
+  countNoShows,
+  createNoShowAttendance,
+  formatAttendance,
+  formatKeyedAttendance,
+  formatSeriesAttendance,
+  getAttendanceFor,
+  isDueForRelease,
+  isNoShow,
+  parseAttendance,
+  parseKeyedAttendance,
+  parseSeriesAttendance,
+  withoutNoShows,
+} from "../utils/checkIn.js";
+import { CHECK_IN } from "./checkInConfig.js";
+import { APPROVERS } from "./approvalConfig.js";
+import { DEFAULT_ROOMS } from "./defaultRooms.js";
 
 // Cache Keys
 export const CACHE_KEYS = {
   ROOMS: 'mrb_rooms',
   BOOKINGS: 'mrb_bookings',
   TIME_SLOTS: 'mrb_time_slots',
-  FIXED_SCHEDULES: 'mrb_fixed_schedules'
+  FIXED_SCHEDULES: 'mrb_fixed_schedules',
+  HOLIDAYS: 'mrb_holidays',
+  BLACKOUTS: 'mrb_blackouts'
 };
 
 // Cache Helpers
 export const saveToCache = (key, data) => {
+  if (IS_SERVER) return;
   try {
     localStorage.setItem(key, JSON.stringify({
       timestamp: Date.now(),
@@ -41,17 +137,21 @@ export const getFromCache = (key) => {
   }
 };
 
+export const removeFromCache = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // No localStorage on the server - nothing cached there
+  }
+};
+
 // Get SHEET_ID from .env - REQUIRED
 const getSheetId = () => {
-  const envSheetId = import.meta.env.VITE_GOOGLE_SHEET_ID;
+  const envSheetId = readEnv("GOOGLE_SHEET_ID");
   console.log(
     "🔍 Checking VITE_GOOGLE_SHEET_ID:",
     envSheetId ? `Found (length: ${envSheetId.length})` : "NOT FOUND"
   );
-  console.log(
-    "🔍 All env vars starting with VITE_GOOGLE:",
-    Object.keys(import.meta.env).filter((k) => k.startsWith("VITE_GOOGLE"))
-  );
 
   if (!envSheetId || envSheetId.trim() === "") {
     const errorMsg =
@@ -66,21 +166,64 @@ const getSheetId = () => {
   return envSheetId;
 };
 
-const SHEET_ID = getSheetId();
+// The API server and the direct Sheets backend need a spreadsheet; the browser in
+// api/local/memory mode only uses it (when set) for the "View Sheet" link
+const SHEET_ID =
+  IS_SERVER || STORAGE_BACKEND === "sheets"
+    ? getSheetId()
+    : readEnv("GOOGLE_SHEET_ID") || "";
 
 // GID is auto-detected based on current month - no need for .env variable
 
+// What a booking for a month without a sheet does (see utils/monthSheets.js):
+// VITE_MONTH_SHEET_CREATION=auto (default) | confirm | off
+const MONTH_SHEET_CREATION = (() => {
+  const value = (readEnv("MONTH_SHEET_CREATION") || "auto")
+    .toString()
+    .trim()
+    .toLowerCase();
+
+  if (!MONTH_SHEET_CREATION_MODES.includes(value)) {
+    console.warn(
+      `⚠️ Unknown VITE_MONTH_SHEET_CREATION "${value}", falling back to "auto"`
+    );
+    return "auto";
+  }
+  return value;
+})();
+
+// Google endpoints. Setting VITE_GOOGLE_SHEETS_BASE_URL sends every request to that
+// host instead (e.g. the local emulator started with `npm run sheets:emulator`)
+const GOOGLE_BASE_URL = (readEnv("GOOGLE_SHEETS_BASE_URL") || "")
+  .toString()
+  .trim()
+  .replace(/\/+$/, "");
+const SHEETS_API_URL = GOOGLE_BASE_URL
+  ? `${GOOGLE_BASE_URL}/v4/spreadsheets`
+  : "https://sheets.googleapis.com/v4/spreadsheets";
+export const SHEETS_DOCS_URL = GOOGLE_BASE_URL
+  ? `${GOOGLE_BASE_URL}/spreadsheets/d`
+  : "https://docs.google.com/spreadsheets/d";
+const OAUTH_TOKEN_URL = GOOGLE_BASE_URL
+  ? `${GOOGLE_BASE_URL}/token`
+  : "https://oauth2.googleapis.com/token";
+const IP_LOOKUP_URL = GOOGLE_BASE_URL
+  ? `${GOOGLE_BASE_URL}/ip?format=json`
+  : "https://api.ipify.org?format=json";
+
 // OAuth 2.0 Token Management
+// The refresh token and client secret are server-only (see env.js); in the browser
+// only a short-lived VITE_GOOGLE_ACCESS_TOKEN can be used
 const getAccessToken = async () => {
-  const accessToken = import.meta.env.VITE_GOOGLE_ACCESS_TOKEN;
-  const refreshToken = import.meta.env.VITE_GOOGLE_REFRESH_TOKEN;
-  const clientId = import.meta.env.VITE_GOOGLE_CLIENT_ID;
-  const clientSecret = import.meta.env.VITE_GOOGLE_CLIENT_SECRET;
+  const accessToken = readEnv("GOOGLE_ACCESS_TOKEN");
+  const refreshToken = readServerEnv("GOOGLE_REFRESH_TOKEN");
+  const clientId = readServerEnv("GOOGLE_CLIENT_ID");
+  const clientSecret = readServerEnv("GOOGLE_CLIENT_SECRET");
 
   // If we have a refresh token, use it to get a new access token
   if (refreshToken && clientId && clientSecret) {
     try {
-      const response = await fetch("https://oauth2.googleapis.com/token", {
+      const response = await fetch(OAUTH_TOKEN_URL, {
         method: "POST",
         headers: {
           "Content-Type": "application/x-www-form-urlencoded",
@@ -111,10 +254,27 @@ const getAccessToken = async () => {
   }
 
   throw new Error(
-    "VITE_GOOGLE_ACCESS_TOKEN or VITE_GOOGLE_REFRESH_TOKEN (with CLIENT_ID and CLIENT_SECRET) is required in .env file"
+    IS_SERVER
+      ? "GOOGLE_REFRESH_TOKEN (with GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET) or GOOGLE_ACCESS_TOKEN is required in the server environment"
+      : "VITE_GOOGLE_ACCESS_TOKEN is required in .env file for the \"sheets\" backend. Use VITE_STORAGE_BACKEND=api to keep Google credentials on the server"
   );
 };
 
+const MONTH_NAMES = [
+  "JANUARY",
+  "FEBRUARY",
+  "MARCH",
+  "APRIL",
+  "MAY",
+  "JUNE",
+  "JULY",
+  "AUGUST",
+  "SEPTEMBER",
+  "OCTOBER",
+  "NOVEMBER",
+  "DECEMBER",
+];
+
 // Cache for GID lookups to avoid unnecessary API calls
 const gidCache = {
   currentMonth: null,
@@ -129,7 +289,7 @@ const detectGidViaCSV = async (targetMonthName, targetYearStr) => {
 
   for (const gid of commonGids) {
     try {
-      const csvUrl = `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:csv&gid=${gid}`;
+      const csvUrl = `${SHEETS_DOCS_URL}/${SHEET_ID}/gviz/tq?tqx=out:csv&gid=${gid}`;
       const csvResponse = await fetch(csvUrl);
       if (csvResponse.ok) {
         const csvText = await csvResponse.text();
@@ -247,7 +407,7 @@ const getMonthSheetGID = async (date = null) => {
     try {
       const accessToken = await getAccessToken();
       const sheetsResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+        `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
         {
           headers: {
             Authorization: `Bearer ${accessToken}`,
@@ -336,10 +496,11 @@ const getMonthSheetGID = async (date = null) => {
       (targetYear === todayYear && targetMonth > todayMonth);
 
     if (isFutureMonth) {
-      // For future dates, throw an error if no sheet exists with a user-friendly message
-      throw new Error(
-        `Unable to book for ${readableMonthName} ${targetYear}. The sheet for this month doesn't exist yet. Please create a sheet named "${targetMonthName} ${targetYear}" or "${readableMonthName} ${targetYear}" in your Google Spreadsheet before booking.`
-      );
+      // For future dates, throw an error if no sheet exists (getOrCreateMonthSheetGID
+      // creates it instead when the mode allows)
+      throw createMonthSheetMissingError(targetDate, {
+        canCreate: MONTH_SHEET_CREATION === "confirm",
+      });
     }
 
     // For current/past dates, use first sheet (GID 0) as fallback
@@ -356,9 +517,9 @@ const getMonthSheetGID = async (date = null) => {
     }
     return fallbackGid;
   } catch (error) {
-    // Check if this is already our custom error message for missing sheets
-    if (error.message.includes("Unable to book for")) {
-      throw error; // Re-throw our user-friendly error as-is
+    // A missing sheet is reported as-is
+    if (error.code === MONTH_SHEET_MISSING) {
+      throw error;
     }
 
     // For other errors, provide a more specific message
@@ -375,32 +536,448 @@ const getCurrentMonthSheetGID = async () => {
 
 // Get CSV URL for a specific sheet GID
 const getCSVUrl = (gid) => {
-  return `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:csv&gid=${gid}&t=${Date.now()}`;
+  return `${SHEETS_DOCS_URL}/${SHEET_ID}/gviz/tq?tqx=out:csv&gid=${gid}&t=${Date.now()}`;
+};
+
+// Rooms are defined in the ROOMS sheet so a new room needs no code change.
+// Row 1 is a header, then one room per row:
+//   A id | B name | C capacity | D features (comma separated) | E image URL | F sheet column | G color | H hours | I policy | J approval
+// "sheet column" is the column of the month sheets that marks a booking or fixed
+// schedule as being in that room (D = Nha Trang, E = Da Lat). A-C and F-I hold the
+// date, day, staff and times, so further rooms go in J onwards. Z, AA and AB are hidden
+// (booking ID, approval and attendance) and can't hold a room either.
+// "hours" (optional) gives the room working hours of its own, e.g. "mon-fri 09:00-17:00"
+// (see utils/workingHours.js); without it the room keeps the office hours.
+// "policy" (optional) gives booking limits of its own, e.g. "max-duration 2h"
+// (see utils/bookingPolicy.js), replacing the office limits it names.
+// "approval" (optional) set to "yes" makes bookings of the room wait for an approver
+// (see utils/approval.js).
+// Without a ROOMS sheet the two original rooms (DEFAULT_ROOMS) are used.
+const ROOMS_SHEET_TITLE = "ROOMS";
+const RESERVED_ROOM_COLUMNS = ["A", "B", "C", "F", "G", "H", "I", "Z", "AA", "AB"];
+const LAST_TIME_COLUMN_INDEX = 8; // Column I
+const ROOMS_CACHE_MS = 5 * 60 * 1000;
+
+// "D" -> 3, "AA" -> 26
+const columnLetterToIndex = (letters) =>
+  letters
+    .toUpperCase()
+    .split("")
+    .reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+
+// 3 -> "D", 26 -> "AA"
+const columnIndexToLetter = (index) => {
+  let n = index + 1;
+  let letters = "";
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+};
+
+const parseRoomRows = (rows) => {
+  const rooms = [];
+  const usedColumns = new Set();
+
+  rows.forEach((row, index) => {
+    const id = (row[0] || "").toString().trim();
+    // Skip blank rows and the header row
+    if (!id || (index === 0 && id.toLowerCase() === "id")) return;
+
+    const name = (row[1] || "").toString().trim();
+    const column = (row[5] || "").toString().trim().toUpperCase();
+
+    if (!name || !/^[A-Z]{1,2}$/.test(column)) {
+      console.warn(`⚠️ ROOMS row ${index + 1}: "${id}" needs a name and a sheet column, skipping`);
+      return;
+    }
+    if (RESERVED_ROOM_COLUMNS.includes(column) || usedColumns.has(column)) {
+      console.warn(`⚠️ ROOMS row ${index + 1}: column ${column} for "${id}" is already in use, skipping`);
+      return;
+    }
+    usedColumns.add(column);
+
+    // Only hex colors ("#7c3aed"), anything else falls back to the default
+    const color = (row[6] || "").toString().trim();
+
+    rooms.push({
+      id,
+      name,
+      capacity: parseInt(row[2], 10) || 0,
+      features: (row[3] || "")
+        .toString()
+        .split(",")
+        .map((f) => f.trim())
+        .filter(Boolean),
+      image_url: (row[4] || "").toString().trim(),
+      sheet_column: column,
+      color: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? color : null,
+      hours: (row[7] || "").toString().trim(),
+      policy: (row[8] || "").toString().trim(),
+      requires_approval: parseRequiresApproval(row[9]),
+    });
+  });
+
+  return rooms;
+};
+
+let roomsCache = { rooms: null, loadedAt: 0 };
+
+// Rooms from the ROOMS sheet (cached for a few minutes), or DEFAULT_ROOMS
+const loadRooms = async () => {
+  if (roomsCache.rooms && Date.now() - roomsCache.loadedAt < ROOMS_CACHE_MS) {
+    return roomsCache.rooms;
+  }
+
+  let rooms = DEFAULT_ROOMS;
+  if (SHEET_ID) {
+    try {
+      const accessToken = await getAccessToken();
+      const response = await fetch(
+        `${SHEETS_API_URL}/${SHEET_ID}/values/${ROOMS_SHEET_TITLE}!A1:J50`,
+        {
+          headers: { Authorization: `Bearer ${accessToken}` },
+        }
+      );
+      if (response.ok) {
+        const data = await response.json();
+        const sheetRooms = parseRoomRows(data.values || []);
+        if (sheetRooms.length > 0) {
+          rooms = sheetRooms;
+          console.log(`🏠 Loaded ${rooms.length} rooms from the ${ROOMS_SHEET_TITLE} sheet`);
+        }
+      } else {
+        console.log(`ℹ️ No ${ROOMS_SHEET_TITLE} sheet, using default rooms`);
+      }
+    } catch (e) {
+      console.warn(`⚠️ Could not read ${ROOMS_SHEET_TITLE} sheet, using default rooms:`, e);
+    }
+  }
+
+  roomsCache = { rooms, loadedAt: Date.now() };
+  return rooms;
+};
+
+// Bookings for a room that isn't in the ROOMS sheet are rejected as a bad request
+const createUnknownRoomError = (roomId) => {
+  const error = new Error(`Unknown room "${roomId}"`);
+  error.status = 400;
+  return error;
+};
+
+// The value written in a room's column, e.g. "NHA TRANG"
+const getRoomMarker = (room) => room.name.toUpperCase();
+
+// Days the office is closed are listed in the HOLIDAYS sheet (see utils/holidays.js).
+// Row 1 is a header, then one day per row:
+//   A date (yyyy-MM-dd) | B label (optional)
+// Without a HOLIDAYS sheet every day is a working day.
+const HOLIDAYS_SHEET_TITLE = "HOLIDAYS";
+const HOLIDAYS_HEADER = ["Date", "Label"];
+
+const parseHolidayRows = (rows) => {
+  const holidays = [];
+  rows.forEach((row, index) => {
+    const date = (row[0] || "").toString().trim();
+    // Skip blank rows and the header row
+    if (!date || (index === 0 && date.toLowerCase() === "date")) return;
+    if (!isValidHolidayDate(date)) {
+      console.warn(`⚠️ ${HOLIDAYS_SHEET_TITLE} row ${index + 1}: "${date}" is not a yyyy-MM-dd date, skipping`);
+      return;
+    }
+    holidays.push({ date, label: (row[1] || "").toString().trim() });
+  });
+  return mergeHolidays(holidays);
 };
 
-// Static Room Definitions based on Sheet
-const ROOMS = [
+let holidaysCache = { holidays: null, loadedAt: 0 };
+
+// Holidays from the HOLIDAYS sheet (cached like the rooms), none without it
+const loadHolidays = async () => {
+  if (holidaysCache.holidays && Date.now() - holidaysCache.loadedAt < ROOMS_CACHE_MS) {
+    return holidaysCache.holidays;
+  }
+
+  let holidays = [];
+  if (SHEET_ID) {
+    try {
+      const accessToken = await getAccessToken();
+      const response = await fetch(
+        `${SHEETS_API_URL}/${SHEET_ID}/values/${HOLIDAYS_SHEET_TITLE}!A1:B1000`,
+        {
+          headers: { Authorization: `Bearer ${accessToken}` },
+        }
+      );
+      if (response.ok) {
+        const data = await response.json();
+        holidays = parseHolidayRows(data.values || []);
+        console.log(`🎌 Loaded ${holidays.length} holidays from the ${HOLIDAYS_SHEET_TITLE} sheet`);
+      } else {
+        console.log(`ℹ️ No ${HOLIDAYS_SHEET_TITLE} sheet, no holidays`);
+      }
+    } catch (e) {
+      console.warn(`⚠️ Could not read ${HOLIDAYS_SHEET_TITLE} sheet, no holidays:`, e);
+    }
+  }
+
+  holidaysCache = { holidays, loadedAt: Date.now() };
+  return holidays;
+};
+
+export const fetchHolidays = async () => {
+  const holidays = await loadHolidays();
+  saveToCache(CACHE_KEYS.HOLIDAYS, holidays);
+  return holidays;
+};
+
+// Add holidays (e.g. parsed from an .ics file with parseIcsHolidays) to the HOLIDAYS
+// sheet, creating it if needed. Days already listed are left as they are.
+// Returns { added: [...], holidays: [...all of them] }
+export const importHolidays = async (holidays) => {
+  const accessToken = await getAccessToken();
+  await ensureSheet(accessToken, HOLIDAYS_SHEET_TITLE, HOLIDAYS_HEADER);
+
+  holidaysCache = { holidays: null, loadedAt: 0 };
+  const existing = await loadHolidays();
+  const added = mergeHolidays(
+    holidays.filter(({ date }) => isValidHolidayDate(date) && !isHoliday(existing, date))
+  );
+
+  if (added.length > 0) {
+    await sheetsRequest(
+      `values/${HOLIDAYS_SHEET_TITLE}!A:B:append?valueInputOption=RAW`,
+      {
+        method: "POST",
+        body: { values: added.map(({ date, label }) => [date, label]) },
+      }
+    );
+  }
+  console.log(`🎌 Imported ${added.length} of ${holidays.length} holidays`);
+
+  holidaysCache = { holidays: null, loadedAt: 0 };
+  return { added, holidays: await fetchHolidays() };
+};
+
+const normalizeRoomValue = (value) =>
+  (value || "").toString().toUpperCase().replace(/\s+/g, "");
+
+// A cell marks its room if it is "TRUE" or contains the room name.
+// Header cells ("MEETING ROOM\nNHA TRANG") contain the name too, so they don't count.
+const isRoomMarked = (row, room) => {
+  const value = (row[columnLetterToIndex(room.sheet_column)] || "")
+    .toString()
+    .toUpperCase()
+    .trim();
+  if (value === "" || value.includes("MEETING ROOM")) return false;
+  return (
+    value === "TRUE" ||
+    normalizeRoomValue(value).includes(normalizeRoomValue(getRoomMarker(room)))
+  );
+};
+
+const findRoomInRow = (row, rooms) =>
+  rooms.find((room) => isRoomMarked(row, room)) || null;
+
+// Match a free-text room value (e.g. from the CSV fallback) to a room
+const findRoomByValue = (value, rooms) => {
+  const normalized = normalizeRoomValue(value);
+  if (!normalized || normalized.includes("MEETINGROOM")) return null;
+  return (
+    rooms.find((room) =>
+      normalized.includes(normalizeRoomValue(getRoomMarker(room)))
+    ) || null
+  );
+};
+
+// Last column a sheet row uses: I, or further right if a room lives past it
+const getLastColumnIndex = (rooms) =>
+  Math.max(
+    LAST_TIME_COLUMN_INDEX,
+    ...rooms.map((room) => columnLetterToIndex(room.sheet_column))
+  );
+
+const getLastColumn = (rooms) => columnIndexToLetter(getLastColumnIndex(rooms));
+
+// ==========================================
+// BOOKING IDS
+// ==========================================
+// createBooking stores a generated ID in hidden column Z of each booking row, so a
+// booking keeps its ID when its time changes and identical bookings stay distinct.
+// Rows written before that (or typed in by hand) have no ID; their bookings get the
+// synthesized `${roomId}-${day}-${HH:mm}-${HH:mm}` ID and are found by room/day/time.
+const BOOKING_ID_COLUMN = "Z";
+const BOOKING_ID_COLUMN_INDEX = columnLetterToIndex(BOOKING_ID_COLUMN);
+const BOOKING_ID_PREFIX = "bk_";
+
+const generateId = (prefix) => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return `${prefix}${crypto.randomUUID()}`;
+  }
+  return `${prefix}${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 10)}`;
+};
+
+const generateBookingId = () => generateId(BOOKING_ID_PREFIX);
+
+const isStoredBookingId = (id) =>
+  typeof id === "string" && id.startsWith(BOOKING_ID_PREFIX);
+
+const getStoredBookingId = (row) => {
+  const value = (row[BOOKING_ID_COLUMN_INDEX] || "").toString().trim();
+  return isStoredBookingId(value) ? value : null;
+};
+
+// Bookings in rooms requiring approval keep their approval (see utils/approval.js)
+// in hidden column AA, next to the ID
+const APPROVAL_COLUMN = "AA";
+const APPROVAL_COLUMN_INDEX = columnLetterToIndex(APPROVAL_COLUMN);
+
+const getRowApproval = (row) => parseApproval(row[APPROVAL_COLUMN_INDEX]);
+
+// and their check-in or no-show (see utils/checkIn.js) in hidden column AB: as is for
+// a row holding one booking, per booking ID for a row edited by hand into several
+const ATTENDANCE_COLUMN = "AB";
+const ATTENDANCE_COLUMN_INDEX = columnLetterToIndex(ATTENDANCE_COLUMN);
+
+// The attendance of each of a row's bookings ({ id: attendance })
+const getRowAttendance = (row, bookings) => {
+  const value = row[ATTENDANCE_COLUMN_INDEX];
+  if (bookings.length > 1) return parseKeyedAttendance(value);
+  const attendance = parseAttendance(value);
+  return attendance && bookings.length === 1 ? { [bookings[0].id]: attendance } : {};
+};
+
+// Reads that need the booking ID, approval and attendance go out to column AB (or
+// further if a room does)
+const getReadColumn = (rooms) =>
+  columnIndexToLetter(Math.max(getLastColumnIndex(rooms), ATTENDANCE_COLUMN_INDEX));
+
+// batchUpdate requests writing a booking ID to a row (0-based rowIndex) and keeping
+// the ID column hidden
+const buildBookingIdRequests = (gid, rowIndex, bookingId) => [
+  {
+    updateCells: {
+      range: {
+        sheetId: parseInt(gid),
+        startRowIndex: rowIndex,
+        endRowIndex: rowIndex + 1,
+        startColumnIndex: BOOKING_ID_COLUMN_INDEX,
+        endColumnIndex: BOOKING_ID_COLUMN_INDEX + 1,
+      },
+      rows: [{ values: [{ userEnteredValue: { stringValue: bookingId } }] }],
+      fields: "userEnteredValue",
+    },
+  },
+  {
+    updateDimensionProperties: {
+      range: {
+        sheetId: parseInt(gid),
+        dimension: "COLUMNS",
+        startIndex: BOOKING_ID_COLUMN_INDEX,
+        endIndex: BOOKING_ID_COLUMN_INDEX + 1,
+      },
+      properties: { hiddenByUser: true },
+      fields: "hiddenByUser",
+    },
+  },
+];
+
+// batchUpdate requests writing a value to one cell of a row (0-based rowIndex) in a
+// hidden column, and keeping the column hidden
+const buildHiddenCellRequests = (gid, rowIndex, columnIndex, value) => [
   {
-    id: "nha-trang",
-    name: "Nha Trang",
-    capacity: 12, // Inferred "Large room"
-    features: ["Large Room", "TV", "PS4"],
-    image_url:
-      "https://images.unsplash.com/photo-1689326232193-d55f0b7965eb?q=80&w=1287&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3Ds",
+    updateCells: {
+      range: {
+        sheetId: parseInt(gid),
+        startRowIndex: rowIndex,
+        endRowIndex: rowIndex + 1,
+        startColumnIndex: columnIndex,
+        endColumnIndex: columnIndex + 1,
+      },
+      rows: [{ values: [{ userEnteredValue: { stringValue: value } }] }],
+      fields: "userEnteredValue",
+    },
   },
   {
-    id: "da-lat",
-    name: "Da Lat",
-    capacity: 6, // Inferred "Small room"
-    features: ["Small Room"],
-    image_url:
-      "https://images.unsplash.com/photo-1609424360486-c5b2636741d1?q=80&w=2370&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
+    updateDimensionProperties: {
+      range: {
+        sheetId: parseInt(gid),
+        dimension: "COLUMNS",
+        startIndex: columnIndex,
+        endIndex: columnIndex + 1,
+      },
+      properties: { hiddenByUser: true },
+      fields: "hiddenByUser",
+    },
   },
 ];
 
+// A booking's approval, an empty cell for none
+const buildApprovalRequests = (gid, rowIndex, approval) =>
+  buildHiddenCellRequests(gid, rowIndex, APPROVAL_COLUMN_INDEX, formatApproval(approval));
+
+// A booking's check-in or no-show, an empty cell for none
+const buildAttendanceRequests = (gid, rowIndex, attendance) =>
+  buildHiddenCellRequests(gid, rowIndex, ATTENDANCE_COLUMN_INDEX, formatAttendance(attendance));
+
+// The check-ins and no-shows of every booking on a row (as parseBookingRow returns them)
+const buildRowAttendanceRequests = (gid, rowIndex, bookings) =>
+  bookings.length > 1
+    ? buildHiddenCellRequests(
+        gid,
+        rowIndex,
+        ATTENDANCE_COLUMN_INDEX,
+        formatKeyedAttendance(Object.fromEntries(bookings.map((booking) => [booking.id, booking.attendance])))
+      )
+    : buildAttendanceRequests(gid, rowIndex, bookings[0]?.attendance);
+
+// Fixed schedule rows keep their date bounds (see utils/fixedScheduleDates.js)
+// in the same hidden column as booking rows keep their ID
+const FIXED_SCHEDULE_DATES_COLUMN_INDEX = BOOKING_ID_COLUMN_INDEX;
+
+const getFixedScheduleDates = (row) =>
+  parseFixedScheduleDates(row[FIXED_SCHEDULE_DATES_COLUMN_INDEX]);
+
+const buildFixedScheduleDatesRequests = (gid, rowIndex, schedule) =>
+  buildBookingIdRequests(gid, rowIndex, formatFixedScheduleDates(schedule));
+
+// updateCells requests writing the room marker into the chosen room's column
+// and clearing every other room column on a row (0-based rowIndex)
+const buildRoomCellRequests = (gid, rowIndex, roomId, rooms) =>
+  rooms.map((room) => {
+    const columnIndex = columnLetterToIndex(room.sheet_column);
+    return {
+      updateCells: {
+        range: {
+          sheetId: parseInt(gid),
+          startRowIndex: rowIndex,
+          endRowIndex: rowIndex + 1,
+          startColumnIndex: columnIndex,
+          endColumnIndex: columnIndex + 1,
+        },
+        rows: [
+          {
+            values: [
+              {
+                userEnteredValue: {
+                  stringValue: room.id === roomId ? getRoomMarker(room) : "",
+                },
+              },
+            ],
+          },
+        ],
+        fields: "userEnteredValue", // Only update values, preserve existing cell styles
+      },
+    };
+  });
+
 export const fetchRooms = async () => {
-  saveToCache(CACHE_KEYS.ROOMS, ROOMS);
-  return ROOMS;
+  const rooms = await loadRooms();
+  saveToCache(CACHE_KEYS.ROOMS, rooms);
+  return rooms;
 };
 
 const parseTime = (timeStr, dateBase) => {
@@ -414,39 +991,115 @@ const parseTime = (timeStr, dateBase) => {
   }
 };
 
-const getMonthIndex = (monthStr) => {
-  const months = [
-    "JANUARY",
-    "FEBRUARY",
-    "MARCH",
-    "APRIL",
-    "MAY",
-    "JUNE",
-    "JULY",
-    "AUGUST",
-    "SEPTEMBER",
-    "OCTOBER",
-    "NOVEMBER",
-    "DECEMBER",
+// [start, end] time strings of a month sheet row (F/G = morning, H/I = afternoon).
+// A row with only F and I filled in is one booking across noon (see getTimeCells),
+// and so is a morning pair that ends where the afternoon pair starts
+// ("11:00 | 12:00 | 12:00 | 13:30").
+const getRowTimeRanges = (row) => {
+  const [mStart, mEnd, aStart, aEnd] = [5, 6, 7, 8].map((i) =>
+    (row[i] || "").toString().trim()
+  );
+  if (mStart && aEnd && !mEnd && !aStart) return [[mStart, aEnd]];
+  if (mStart && aEnd && mEnd && mEnd === aStart) return [[mStart, aEnd]];
+  return [
+    [mStart, mEnd],
+    [aStart, aEnd],
   ];
-  return months.indexOf(monthStr.toUpperCase());
 };
 
-// Helper function to convert fixed schedules to bookings for a given month
-const convertFixedSchedulesToBookings = (fixedSchedules, year, monthIndex) => {
+// Turn one booking row of a month sheet (C = staff, room columns, F-I = times)
+// into bookings. dateBase is the row's date; each marked room gets the morning
+// and/or afternoon slot, or a single booking when the row crosses noon.
+// A rejected booking's row holds no booking any more (see utils/approval.js).
+const parseBookingRow = (row, dateBase, rooms) => {
   const bookings = [];
-  const currentDate = new Date();
-  const currentYear = currentDate.getFullYear();
-  const currentMonth = currentDate.getMonth();
+  const day = parseInt(row[0]);
+  const staff = row[2];
+  const approval = getRowApproval(row);
+  if (approval && isRejected({ approval })) return bookings;
+
+  const addBooking = (roomId, startStr, endStr) => {
+    // Skip if times are empty or invalid
+    if (!startStr || !endStr || !startStr.trim() || !endStr.trim()) return;
+
+    const start = parseTime(startStr.trim(), dateBase);
+    const end = parseTime(endStr.trim(), dateBase);
+
+    // Only add booking if both times are valid and end is after start
+    if (start && end && end > start) {
+      const newId = `${roomId}-${day}-${format(start, "HH:mm")}-${format(end, "HH:mm")}`;
+      console.log(`📦 Parsed Booking: ${newId} (${staff}) Room: ${roomId}`);
+
+      bookings.push({
+        id: newId, // Unique ID based on room, day, time
+        room_id: roomId,
+        title: staff ? `Booked by ${staff}` : "Booked",
+        requested_by: staff || "Unknown",
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        ...(approval ? { approval } : {}),
+      });
+    }
+  };
 
-  // Only include fixed schedules if they're for the current month
-  if (year !== currentYear || monthIndex !== currentMonth) {
-    console.log(
-      `⏭️ Skipping fixed schedules conversion: requested month ${monthIndex}/${year} != current month ${currentMonth}/${currentYear}`
-    );
-    return bookings;
+  const timeRanges = getRowTimeRanges(row);
+  rooms.forEach((room) => {
+    if (!isRoomMarked(row, room)) return;
+    timeRanges.forEach(([startStr, endStr]) => addBooking(room.id, startStr, endStr));
+  });
+
+  // Rows written by createBooking hold one booking and carry its stored ID.
+  // A row edited by hand into several bookings keeps the synthesized IDs.
+  const storedId = getStoredBookingId(row);
+  if (storedId && bookings.length === 1) {
+    bookings[0].id = storedId;
   }
 
+  const attendanceById = getRowAttendance(row, bookings);
+  bookings.forEach((booking) => {
+    if (attendanceById[booking.id]) booking.attendance = attendanceById[booking.id];
+  });
+
+  return bookings;
+};
+
+// Month named in a sheet's first cell (e.g. "NOVEMBER Fixed Daily Booking"), -1 if none
+const getSheetMonthIndex = (titleCell) => {
+  const title = (titleCell || "").toString().toUpperCase();
+  return MONTH_NAMES.findIndex((month) => title.includes(month));
+};
+
+// Whether a fixed schedule's times fit in its room's working hours on a weekday or Date
+const fixedScheduleFitsWorkingHours = (schedule, day, rooms) => {
+  const room = rooms.find((r) => r.id === schedule.room_id);
+  const hours = getWorkingHoursOn(WORKING_HOURS, day, room);
+  return isTimeWithin(hours, schedule.start_time) && isTimeWithin(hours, schedule.end_time);
+};
+
+// A fixed schedule row covers every weekday, but only takes place on the days it is
+// in effect (see utils/fixedScheduleDates.js), fits in the room's working hours and
+// the office is open (holidays)
+const fixedScheduleTakesPlaceOn = (schedule, date, rooms, holidays = []) =>
+  isFixedScheduleActiveOn(schedule, date) &&
+  fixedScheduleFitsWorkingHours(schedule, date, rooms) &&
+  !isHoliday(holidays, date);
+
+// A fixed schedule has to fit in its room's working hours on at least one weekday
+const assertFixedScheduleFitsWorkingHours = (schedule, rooms) => {
+  const room = rooms.find((r) => r.id === schedule.room_id);
+  if (fitsWorkingHoursOnSomeDay(WORKING_HOURS, room, schedule.start_time, schedule.end_time)) return;
+  const error = new Error(
+    `Cannot save fixed schedule: ${schedule.start_time}-${schedule.end_time} is outside the room's working hours`
+  );
+  error.code = OUTSIDE_WORKING_HOURS;
+  error.status = 400;
+  throw error;
+};
+
+// Helper function to convert fixed schedules to bookings for a given month
+const convertFixedSchedulesToBookings = (fixedSchedules, year, monthIndex, rooms, holidays = []) => {
+  const bookings = [];
+
   console.log(
     `📅 Converting ${
       fixedSchedules.length
@@ -465,8 +1118,8 @@ const convertFixedSchedulesToBookings = (fixedSchedules, year, monthIndex) => {
       const date = new Date(year, monthIndex, day);
       const dayOfWeek = date.getDay(); // 0 = Sunday, 1 = Monday, etc.
 
-      // Check if this schedule applies to this day of week
-      if (schedule.dayOfWeek === dayOfWeek) {
+      // Check if this schedule applies to this day of week and takes place that day
+      if (schedule.dayOfWeek === dayOfWeek && fixedScheduleTakesPlaceOn(schedule, date, rooms, holidays)) {
         // Parse start and end times
         const [startHour, startMin] = schedule.start_time
           .split(":")
@@ -481,6 +1134,7 @@ const convertFixedSchedulesToBookings = (fixedSchedules, year, monthIndex) => {
         if (dateStart >= todayStart) {
           bookings.push({
             id: `fixed-${schedule.id}-${day}`,
+            schedule_id: schedule.id,
             room_id: schedule.room_id,
             title: `Fixed: ${schedule.staff_name}`,
             requested_by: schedule.staff_name || "Fixed Schedule",
@@ -499,13 +1153,33 @@ const convertFixedSchedulesToBookings = (fixedSchedules, year, monthIndex) => {
   return bookings;
 };
 
-export const fetchBookings = async () => {
+// Bookings (including fixed schedules) for the month containing `month`
+// (any Date in that month), or the current month when omitted.
+// Sheet GIDs are looked up once per month and reused from gidCache.
+export const fetchBookings = async (month = null) => {
+  const monthDate = month ? new Date(month) : new Date();
+  const year = monthDate.getFullYear();
+  const requestedMonthIndex = monthDate.getMonth();
+  const isCurrentMonth =
+    year === new Date().getFullYear() &&
+    requestedMonthIndex === new Date().getMonth();
+
   try {
-    // Get the current month's sheet GID
-    const gid = await getCurrentMonthSheetGID();
-    const csvUrl = getCSVUrl(gid);
-    const response = await fetch(csvUrl);
-    const csvText = await response.text();
+    const rooms = await loadRooms();
+    const holidays = await loadHolidays();
+
+    // A month without a sheet (e.g. next month not set up yet) still shows its fixed schedules
+    let csvText = "";
+    try {
+      const gid = await getMonthSheetGID(monthDate);
+      const response = await fetch(getCSVUrl(gid));
+      csvText = await response.text();
+    } catch (error) {
+      console.warn(
+        `⚠️ No sheet for ${MONTH_NAMES[requestedMonthIndex]} ${year}, showing fixed schedules only:`,
+        error.message
+      );
+    }
 
     return new Promise(async (resolve, reject) => {
       Papa.parse(csvText, {
@@ -514,42 +1188,46 @@ export const fetchBookings = async () => {
           const bookings = [];
 
           if (rows.length < 5) {
-            // Still fetch fixed schedules even if no regular bookings
+            // Still fetch fixed schedules and recurring bookings even if no regular bookings
+            const recurringBookings = await fetchRecurringBookings(
+              startOfMonth(monthDate),
+              endOfMonth(monthDate)
+            );
             try {
-              const fixedSchedules = await fetchFixedSchedules();
-              const currentDate = new Date();
+              const fixedSchedules = await fetchFixedSchedules(monthDate);
               const fixedBookings = convertFixedSchedulesToBookings(
                 fixedSchedules,
-                currentDate.getFullYear(),
-                currentDate.getMonth()
+                year,
+                requestedMonthIndex,
+                rooms,
+                holidays
               );
-              resolve(fixedBookings);
+              resolve([...fixedBookings, ...recurringBookings]);
             } catch (error) {
               console.warn(
                 "Failed to fetch fixed schedules for bookings:",
                 error
               );
-              resolve([]);
+              resolve(recurringBookings);
             }
             return;
           }
 
-          // 1. Parse Month from Row 0 (e.g., "NOVEMBER")
-          // Cell 0,0 might contain "NOVEMBER"
-          const monthStr = rows[0][0];
-          let monthIndex = getMonthIndex(monthStr || "");
-          if (monthIndex === -1) monthIndex = new Date().getMonth(); // Fallback to current month
-
-          // If sheet month doesn't match current month, use current month for accurate status
-          const currentMonth = new Date().getMonth();
-          if (monthIndex !== currentMonth) {
-            monthIndex = currentMonth;
+          // 1. Check the month named in Row 0 (e.g., "NOVEMBER Fixed Daily Booking")
+          // A past month without its own sheet falls back to the first sheet -
+          // don't show that sheet's bookings as if they were the requested month's
+          const monthIndex = requestedMonthIndex;
+          const sheetMonthIndex = getSheetMonthIndex(rows[0][0]);
+          const isRequestedMonthSheet =
+            sheetMonthIndex === -1 || sheetMonthIndex === monthIndex;
+          if (!isRequestedMonthSheet) {
+            console.warn(
+              `⚠️ Sheet is for ${MONTH_NAMES[sheetMonthIndex]}, not ${MONTH_NAMES[monthIndex]} - skipping its bookings`
+            );
           }
 
-          const currentYear = new Date().getFullYear();
-
           // 2. Iterate rows starting from index 4
-          for (let i = 4; i < rows.length; i++) {
+          for (let i = isRequestedMonthSheet ? 4 : rows.length; i < rows.length; i++) {
             const row = rows[i];
             if (!row[0]) continue; // Skip empty dates
 
@@ -558,88 +1236,30 @@ export const fetchBookings = async () => {
 
             // Construct base date
             const dateBase = set(new Date(), {
-              year: currentYear,
+              year,
               month: monthIndex,
               date: day,
               seconds: 0,
               milliseconds: 0,
             });
 
-            const staff = row[2];
-            // Check for room assignments - handle various formats (TRUE, "NHA TRANG", etc.)
-            const nhaTrangValue = (row[3] || "")
-              .toString()
-              .toUpperCase()
-              .trim();
-            const daLatValue = (row[4] || "").toString().toUpperCase().trim();
-
-            // Room is assigned if value is "TRUE" or contains room name, and is not empty
-            const isNhaTrang =
-              nhaTrangValue !== "" &&
-              (nhaTrangValue === "TRUE" ||
-                nhaTrangValue.includes("NHA TRANG") ||
-                nhaTrangValue === "NHA TRANG");
-            const isDaLat =
-              daLatValue !== "" &&
-              (daLatValue === "TRUE" ||
-                daLatValue.includes("DA LAT") ||
-                daLatValue === "DA LAT");
-
-            // Morning Times: Col 5 (Start), Col 6 (End)
-            const mStart = row[5];
-            const mEnd = row[6];
-
-            // Afternoon Times: Col 7 (Start), Col 8 (End)
-            const aStart = row[7];
-            const aEnd = row[8];
-
-            const addBooking = (roomId, startStr, endStr) => {
-              // Skip if times are empty or invalid
-              if (!startStr || !endStr || !startStr.trim() || !endStr.trim())
-                return;
-
-              const start = parseTime(startStr.trim(), dateBase);
-              const end = parseTime(endStr.trim(), dateBase);
-
-              // Only add booking if both times are valid and end is after start
-              if (start && end && end > start) {
-                 const newId = `${roomId}-${day}-${format(start, "HH:mm")}-${format(end, "HH:mm")}`;
-                 console.log(`📦 Parsed Booking: Row ${i} -> ${newId} (${staff}) Room: ${roomId}`);
-                 
-                 bookings.push({
-                  id: newId, // Unique ID based on room, day, time
-                  room_id: roomId,
-                  title: staff ? `Booked by ${staff}` : "Booked",
-                  requested_by: staff || "Unknown",
-                  start_time: start.toISOString(),
-                  end_time: end.toISOString(),
-                });
-              }
-            };
-
-            if (isNhaTrang) {
-              addBooking("nha-trang", mStart, mEnd);
-              addBooking("nha-trang", aStart, aEnd);
-            }
-
-            if (isDaLat) {
-              addBooking("da-lat", mStart, mEnd);
-              addBooking("da-lat", aStart, aEnd);
-            }
+            bookings.push(...parseBookingRow(row, dateBase, rooms));
           }
 
-          // Add fixed schedules as bookings for the current month
+          // Add fixed schedules as bookings for the requested month
           try {
             console.log(`🔄 Fetching fixed schedules to add to bookings...`);
-            const fixedSchedules = await fetchFixedSchedules();
+            const fixedSchedules = await fetchFixedSchedules(monthDate);
             console.log(
               `📋 Fetched ${fixedSchedules.length} fixed schedules:`,
               fixedSchedules
             );
             const fixedBookings = convertFixedSchedulesToBookings(
               fixedSchedules,
-              currentYear,
-              monthIndex
+              year,
+              monthIndex,
+              rooms,
+              holidays
             );
             console.log(
               `📅 Added ${fixedBookings.length} fixed schedule bookings to ${bookings.length} regular bookings`
@@ -661,7 +1281,13 @@ export const fetchBookings = async () => {
             );
           }
 
-          saveToCache(CACHE_KEYS.BOOKINGS, bookings);
+          // Occurrences of recurring bookings (RECURRING sheet) in the requested month
+          bookings.push(
+            ...(await fetchRecurringBookings(startOfMonth(monthDate), endOfMonth(monthDate)))
+          );
+
+          // The cache backs the Dashboard's first paint, which shows the current month
+          if (isCurrentMonth) saveToCache(CACHE_KEYS.BOOKINGS, bookings);
           resolve(bookings);
         },
         error: (err) => {
@@ -676,17 +1302,12 @@ export const fetchBookings = async () => {
   }
 };
 
-export const createBooking = async (booking) => {
-  // Writing to sheets requires OAuth access token (not just API key)
-  // Get fresh access token (will use refresh token if available)
-  const accessToken = await getAccessToken();
-
-  // Check for conflicts with fixed schedules
-  const start = new Date(booking.start_time);
-  const end = new Date(booking.end_time);
-
+// Throws if the room has a fixed schedule overlapping start-end on that weekday.
+// A failed fixed schedule lookup doesn't block the booking.
+const assertNoFixedScheduleConflict = async (roomId, start, end) => {
   try {
-    const fixedSchedules = await fetchFixedSchedules();
+    const fixedSchedules = await fetchFixedSchedules(start);
+    const rooms = await loadRooms();
     const bookingDayOfWeek = start.getDay(); // 0 = Sunday, 1 = Monday, etc.
     const bookingYear = start.getFullYear();
     const bookingMonth = start.getMonth();
@@ -697,7 +1318,8 @@ export const createBooking = async (booking) => {
       // Check if schedule applies to this day of week
       if (
         schedule.dayOfWeek === bookingDayOfWeek &&
-        schedule.room_id === booking.room_id
+        schedule.room_id === roomId &&
+        fixedScheduleTakesPlaceOn(schedule, start, rooms)
       ) {
         // Parse schedule times
         const [scheduleStartHour, scheduleStartMin] = schedule.start_time
@@ -742,6 +1364,57 @@ export const createBooking = async (booking) => {
     console.warn("Failed to check fixed schedules for conflicts:", error);
   }
 
+};
+
+// Morning start/end (F/G) and afternoon start/end (H/I) cells for a booking.
+// Bookings starting before noon go in the morning columns and the rest in the
+// afternoon ones. A booking across noon (e.g. 11:00-13:30) keeps its start in F
+// and its end in I, like fixed schedules do, and reads back as one booking
+// (getRowTimeRanges).
+const getTimeCells = (start, end) => {
+  const startTime = format(start, "H:mm");
+  const endTime = format(end, "H:mm");
+  if (start.getHours() >= 12) return ["", "", startTime, endTime];
+  const crossesNoon = end.getHours() * 60 + end.getMinutes() > 12 * 60;
+  return crossesNoon ? [startTime, "", "", endTime] : [startTime, endTime, "", ""];
+};
+
+// ignoreBookingId: when moving a booking (updateBooking), the booking being
+// replaced doesn't count as a conflict
+// bookingId: ID to store on the new row (updateBooking keeps the original one),
+// a new one is generated otherwise
+// previous: the booking this one replaces, if any (see assertWithinBookingPolicy)
+// booking.recurrence (an RRULE) creates a recurring booking instead of a sheet row
+export const createBooking = async (
+  booking,
+  { ignoreBookingId = null, bookingId = generateBookingId(), previous = null } = {}
+) => {
+  if (booking.recurrence) return createRecurringBooking(booking);
+
+  // Writing to sheets requires OAuth access token (not just API key)
+  // Get fresh access token (will use refresh token if available)
+  const accessToken = await getAccessToken();
+
+  // Check for conflicts with fixed schedules
+  const start = new Date(booking.start_time);
+  const end = new Date(booking.end_time);
+
+  const rooms = await loadRooms();
+  const bookingRoom = rooms.find((room) => room.id === booking.room_id);
+  if (!bookingRoom) {
+    throw createUnknownRoomError(booking.room_id);
+  }
+  assertWithinWorkingHours(WORKING_HOURS, bookingRoom, start, end);
+  assertNotHoliday(await loadHolidays(), start);
+  await assertRoomIsNotBlackedOut(bookingRoom, start, end);
+  await assertWithinBookingPolicy(bookingRoom, booking, { previous, ignoreId: ignoreBookingId });
+  const approval = getApprovalFor(bookingRoom, booking, previous);
+  const attendance = getAttendanceFor(booking, previous);
+  const lastColumn = getLastColumn(rooms);
+
+  await assertNoFixedScheduleConflict(booking.room_id, start, end);
+  await assertNoRecurringConflict(booking.room_id, start, end, { ignoreId: ignoreBookingId });
+
   // Map room ID to Sheet Name/Column logic if needed, or just append to the main sheet
   // The user's sheet is complex (schedule format). Appending a row might not work as intended
   // because the sheet is a calendar view, not a list of bookings.
@@ -755,14 +1428,7 @@ export const createBooking = async (booking) => {
   // I will implement a "List" append as a fallback, which is the standard way to use Sheets as a DB.
 
   const valueInputOption = "USER_ENTERED";
-  const startHour = start.getHours();
-
-  const isMorning = startHour < 12;
-
-  const mStart = isMorning ? format(start, "H:mm") : "";
-  const mEnd = isMorning ? format(end, "H:mm") : "";
-  const aStart = !isMorning ? format(start, "H:mm") : "";
-  const aEnd = !isMorning ? format(end, "H:mm") : "";
+  const [mStart, mEnd, aStart, aEnd] = getTimeCells(start, end);
 
   // Get the sheet GID and name for the booking's month/year
   const bookingMonth = start.getMonth();
@@ -790,14 +1456,14 @@ export const createBooking = async (booking) => {
     )} - Looking for sheet: ${bookingMonthName} ${bookingYear}`
   );
 
-  // Get the sheet GID for the booking's month/year
-  const gid = await getMonthSheetGID(start);
+  // Get the sheet GID for the booking's month/year (creating the sheet if need be)
+  const gid = await getOrCreateMonthSheetGID(start);
 
   // Try to find the sheet name that matches booking month using the GID we found
   let sheetName = bookingMonthName;
   try {
     const sheetsResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+      `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
       {
         headers: {
           Authorization: `Bearer ${accessToken}`,
@@ -888,115 +1554,137 @@ export const createBooking = async (booking) => {
     return null;
   };
 
-  try {
-    // Read the full sheet rows (A through I) to find rows with the same date
-    // Data starts at row 6 (index 5), headers are rows 1-5
-    const readRange = `${sheetName}!A6:I1000`; // Read all columns, starting from row 6
-    const readResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${readRange}`,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-        },
-      }
-    );
+  // Read the full sheet rows (A through I) to find rows with the same date
+  // Data starts at row 6 (index 5), headers are rows 1-5.
+  // The overlap check depends on this read: without it nothing is written.
+  const readRange = `${sheetName}!A6:${getReadColumn(rooms)}1000`; // Read all columns and the booking ID, starting from row 6
+  const readResponse = await fetch(
+    `${SHEETS_API_URL}/${SHEET_ID}/values/${readRange}`,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    }
+  );
+  if (!readResponse.ok) {
+    throw new Error(`Failed to read ${sheetName} to check for conflicts: ${await readResponse.text()}`);
+  }
+  const readData = await readResponse.json();
+  const rows = readData.values || [];
 
-    if (readResponse.ok) {
-      const readData = await readResponse.json();
-      const rows = readData.values || [];
-      
-      console.log(`📋 Fetching bookings from sheet: Found ${rows.length} rows`);
+  console.log(`📋 Fetching bookings from sheet: Found ${rows.length} rows`);
 
-      // Collect all rows with the same date, along with their row numbers
-      const rowsWithSameDate = [];
+  // Collect all rows with the same date, along with their row numbers
+  const rowsWithSameDate = [];
 
-      for (let i = 0; i < rows.length; i++) {
-        const row = rows[i] || [];
-        const rowDate = row[0]?.toString().trim();
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const rowDate = row[0]?.toString().trim();
 
-        // Find a sample row with room assignment to see dropdown values
-        if (!sampleRowWithRoom && (row[3] || row[4])) {
-          sampleRowWithRoom = row;
-          console.log(
-            "📋 Found sample row with room assignment:",
-            sampleRowWithRoom
-          );
-          console.log("   NHA TRANG value:", sampleRowWithRoom[3]);
-          console.log("   DA LAT value:", sampleRowWithRoom[4]);
-        }
+    // Find a sample row with room assignment to see dropdown values
+    if (!sampleRowWithRoom && findRoomInRow(row, rooms)) {
+      sampleRowWithRoom = row;
+      console.log(
+        "📋 Found sample row with room assignment:",
+        sampleRowWithRoom
+      );
+    }
 
-        if (rowDate === targetDate) {
-          const rowStartTime = getRowStartTime(row);
-          const rowNumber = 6 + i; // 1-based row number
+    if (rowDate === targetDate) {
+      const rowStartTime = getRowStartTime(row);
+      const rowNumber = 6 + i; // 1-based row number
 
-          rowsWithSameDate.push({
-            rowIndex: i, // 0-based index in array
-            rowNumber: rowNumber, // 1-based row number in sheet
-            startTime: rowStartTime, // Minutes since midnight, or null if no time
-            row: row, // Full row data
-          });
+      rowsWithSameDate.push({
+        rowIndex: i, // 0-based index in array
+        rowNumber: rowNumber, // 1-based row number in sheet
+        startTime: rowStartTime, // Minutes since midnight, or null if no time
+        row: row, // Full row data
+      });
 
-          // Store the first row format for reference
-          if (!existingRowFormat) {
-            existingRowFormat = row;
-          }
-        }
+      // Store the first row format for reference
+      if (!existingRowFormat) {
+        existingRowFormat = row;
       }
+    }
+  }
 
-      if (rowsWithSameDate.length > 0) {
-        // Sort rows by start time (null times go to the end)
-        rowsWithSameDate.sort((a, b) => {
-          if (a.startTime === null && b.startTime === null) return 0;
-          if (a.startTime === null) return 1; // null times go to end
-          if (b.startTime === null) return -1;
-          return a.startTime - b.startTime; // Sort by time ascending
-        });
+  // Reject overlaps with bookings already on this day, read fresh from the sheet
+  const dayStart = new Date(
+    start.getFullYear(),
+    start.getMonth(),
+    start.getDate()
+  );
+  // Released no-shows (see utils/checkIn.js) no longer hold their time
+  const sameDayBookings = withoutNoShows(
+    rowsWithSameDate.flatMap(({ row }) => parseBookingRow(row, dayStart, rooms)),
+    CHECK_IN
+  );
+  const conflict = findConflictingBooking(sameDayBookings, {
+    room_id: booking.room_id,
+    start,
+    end,
+    ignoreId: ignoreBookingId,
+  });
+  if (conflict) {
+    console.warn(`⛔ Booking overlaps ${conflict.id} (${conflict.requested_by})`);
+    throw createBookingConflictError(conflict);
+  }
 
-        // Find the position to insert: find first row with start time >= new booking start time
-        let insertPosition = rowsWithSameDate.length; // Default: insert at the end
+  // Where the new row goes; if that can't be worked out it is appended at the end
+  try {
+    if (rowsWithSameDate.length > 0) {
+      // Sort rows by start time (null times go to the end)
+      rowsWithSameDate.sort((a, b) => {
+        if (a.startTime === null && b.startTime === null) return 0;
+        if (a.startTime === null) return 1; // null times go to end
+        if (b.startTime === null) return -1;
+        return a.startTime - b.startTime; // Sort by time ascending
+      });
 
-        for (let i = 0; i < rowsWithSameDate.length; i++) {
-          const rowData = rowsWithSameDate[i];
-          // If this row has a time and it's >= new booking time, insert before it
-          if (
-            rowData.startTime !== null &&
-            rowData.startTime >= newBookingStartTime
-          ) {
-            insertPosition = i;
-            break;
-          }
-        }
+      // Find the position to insert: find first row with start time >= new booking start time
+      let insertPosition = rowsWithSameDate.length; // Default: insert at the end
 
-        // Calculate the insert row index
-        if (insertPosition === 0) {
-          // Insert before the first row with this date
-          insertRowIndex = rowsWithSameDate[0].rowNumber;
-        } else {
-          // Insert after the row at position (insertPosition - 1)
-          const previousRow = rowsWithSameDate[insertPosition - 1];
-          insertRowIndex = previousRow.rowNumber + 1;
+      for (let i = 0; i < rowsWithSameDate.length; i++) {
+        const rowData = rowsWithSameDate[i];
+        // If this row has a time and it's >= new booking time, insert before it
+        if (
+          rowData.startTime !== null &&
+          rowData.startTime >= newBookingStartTime
+        ) {
+          insertPosition = i;
+          break;
         }
+      }
 
-        console.log(
-          `📅 Found ${rowsWithSameDate.length} rows with date ${targetDate}`
-        );
-        console.log(
-          `⏰ New booking time: ${format(
-            start,
-            "HH:mm"
-          )} (${newBookingStartTime} minutes)`
-        );
-        console.log(
-          `📍 Will insert at row ${insertRowIndex} (position ${insertPosition} of ${rowsWithSameDate.length})`
-        );
+      // Calculate the insert row index
+      if (insertPosition === 0) {
+        // Insert before the first row with this date
+        insertRowIndex = rowsWithSameDate[0].rowNumber;
       } else {
-        // No rows with this date found - will handle below
-        console.log(`📅 No existing rows with date ${targetDate}`);
+        // Insert after the row at position (insertPosition - 1)
+        const previousRow = rowsWithSameDate[insertPosition - 1];
+        insertRowIndex = previousRow.rowNumber + 1;
       }
+
+      console.log(
+        `📅 Found ${rowsWithSameDate.length} rows with date ${targetDate}`
+      );
+      console.log(
+        `⏰ New booking time: ${format(
+          start,
+          "HH:mm"
+        )} (${newBookingStartTime} minutes)`
+      );
+      console.log(
+        `📍 Will insert at row ${insertRowIndex} (position ${insertPosition} of ${rowsWithSameDate.length})`
+      );
+    } else {
+      // No rows with this date found - will handle below
+      console.log(`📅 No existing rows with date ${targetDate}`);
     }
   } catch (e) {
     console.warn(
-      "⚠️ Could not read sheet to find date, will append to end:",
+      "⚠️ Could not place the row by date, will append to end:",
       e
     );
   }
@@ -1008,7 +1696,7 @@ export const createBooking = async (booking) => {
       // Read the sheet to find the last row with any data
       const readRange = `${sheetName}!A6:A1000`;
       const readResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${readRange}`,
+        `${SHEETS_API_URL}/${SHEET_ID}/values/${readRange}`,
         {
           headers: {
             Authorization: `Bearer ${accessToken}`,
@@ -1080,30 +1768,25 @@ export const createBooking = async (booking) => {
   // The sample row shows the correct dropdown format (e.g., "NHA TRANG" not "TRUE")
   const referenceRow = sampleRowWithRoom || existingRowFormat;
 
-  let roomNhaTrang = "";
-  let roomDaLat = "";
-
-  // Force standard format to prevent "MEETING ROOM" prefix accumulation
-  if (booking.room_id === "nha-trang") roomNhaTrang = "NHA TRANG";
-  if (booking.room_id === "da-lat") roomDaLat = "DA LAT";
+  // One cell per column from A to the last room column. The booked room's column
+  // gets its marker (standard format, to prevent "MEETING ROOM" prefix accumulation),
+  // every other room column stays empty.
+  const rowValues = new Array(getLastColumnIndex(rooms) + 1).fill("");
+  rowValues[0] = dateValue; // Date (column A) - as number
+  rowValues[1] = format(start, "EEEE"); // Day (column B) - e.g., "Monday"
+  rowValues[2] = booking.title || ""; // Staff (column C)
+  rowValues[5] = mStart || ""; // Morning Start (column F)
+  rowValues[6] = mEnd || ""; // Morning End (column G)
+  rowValues[7] = aStart || ""; // Afternoon Start (column H)
+  rowValues[8] = aEnd || ""; // Afternoon End (column I)
+  rowValues[columnLetterToIndex(bookingRoom.sheet_column)] =
+    getRoomMarker(bookingRoom);
 
   console.log(
-    `🏠 Using room values - NHA TRANG: "${roomNhaTrang}", DA LAT: "${roomDaLat}"`
+    `🏠 Using room value "${getRoomMarker(bookingRoom)}" in column ${bookingRoom.sheet_column}`
   );
 
-  const values = [
-    [
-      dateValue, // Date (column A) - as number
-      format(start, "EEEE"), // Day (column B) - e.g., "Monday"
-      booking.title || "", // Staff (column C)
-      roomNhaTrang, // Nha Trang (column D) - "TRUE" or empty
-      roomDaLat, // Da Lat (column E) - "TRUE" or empty
-      mStart || "", // Morning Start (column F)
-      mEnd || "", // Morning End (column G)
-      aStart || "", // Afternoon Start (column H)
-      aEnd || "", // Afternoon End (column I)
-    ],
-  ];
+  const values = [rowValues];
 
   console.log("📝 Prepared booking values:", values[0]);
 
@@ -1113,7 +1796,7 @@ export const createBooking = async (booking) => {
       // Step 1: Insert a new BLANK row (inheritFromBefore: false)
       // This ensures no old data is copied automatically.
       const insertResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+        `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
         {
           method: "POST",
           headers: {
@@ -1133,6 +1816,10 @@ export const createBooking = async (booking) => {
                   inheritFromBefore: false, // Don't copy anything! Clean slate.
                 },
               },
+              // Store the booking ID in the new row's hidden ID column
+              ...buildBookingIdRequests(gid, insertRowIndex - 1, bookingId),
+              ...(approval ? buildApprovalRequests(gid, insertRowIndex - 1, approval) : []),
+              ...(attendance ? buildAttendanceRequests(gid, insertRowIndex - 1, attendance) : []),
             ],
           }),
         }
@@ -1145,22 +1832,9 @@ export const createBooking = async (booking) => {
 
       // Step 2: Write the values using standard PUT (values.update)
       // This is the most reliable way to write data.
-       const values = [
-        [
-          dateValue,
-          format(start, "EEEE"),
-          booking.title || "", 
-          roomNhaTrang,
-          roomDaLat,
-          mStart || "",
-          mEnd || "",
-          aStart || "",
-          aEnd || "",
-         ],
-       ];
-      const updateRange = `${sheetName}!A${insertRowIndex}:I${insertRowIndex}`;
+      const updateRange = `${sheetName}!A${insertRowIndex}:${lastColumn}${insertRowIndex}`;
       const updateResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${updateRange}?valueInputOption=${valueInputOption}`,
+        `${SHEETS_API_URL}/${SHEET_ID}/values/${updateRange}?valueInputOption=${valueInputOption}`,
         {
           method: "PUT",
           headers: {
@@ -1191,7 +1865,7 @@ export const createBooking = async (booking) => {
       if (sourceRowForFormat && sourceRowForFormat > 0) {
         try {
             await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+                `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
                 {
                 method: "POST",
                 headers: {
@@ -1207,14 +1881,14 @@ export const createBooking = async (booking) => {
                             startRowIndex: sourceRowForFormat - 1,
                             endRowIndex: sourceRowForFormat,
                             startColumnIndex: 0,
-                            endColumnIndex: 9,
+                            endColumnIndex: getLastColumnIndex(rooms) + 1,
                         },
                         destination: {
                             sheetId: parseInt(gid),
                             startRowIndex: insertRowIndex - 1,
                             endRowIndex: insertRowIndex,
                             startColumnIndex: 0,
-                            endColumnIndex: 9,
+                            endColumnIndex: getLastColumnIndex(rooms) + 1,
                         },
                         pasteType: "PASTE_FORMAT", // CRITICAL: Only copy format!
                         },
@@ -1232,11 +1906,13 @@ export const createBooking = async (booking) => {
       // Return booking info including row number and sheet details for link generation
       return {
         success: true,
+        id: bookingId,
         rowNumber: insertRowIndex,
         sheetName: sheetName,
         sheetId: SHEET_ID,
         gid: gid,
-        range: `A${insertRowIndex}:I${insertRowIndex}`,
+        range: `A${insertRowIndex}:${lastColumn}${insertRowIndex}`,
+        ...(approval ? { approval } : {}),
       };
     } else {
       // insertRowIndex should be set above, but if not, use same insert method
@@ -1248,7 +1924,7 @@ export const createBooking = async (booking) => {
 
       // Insert a new row at the specified index
       const insertResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+        `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
         {
           method: "POST",
           headers: {
@@ -1268,6 +1944,10 @@ export const createBooking = async (booking) => {
                   inheritFromBefore: true, // Copy formatting and data validation from row above
                 },
               },
+              // Store the booking ID in the new row's hidden ID column
+              ...buildBookingIdRequests(gid, insertRowIndex - 1, bookingId),
+              ...(approval ? buildApprovalRequests(gid, insertRowIndex - 1, approval) : []),
+              ...(attendance ? buildAttendanceRequests(gid, insertRowIndex - 1, attendance) : []),
             ],
           }),
         }
@@ -1294,7 +1974,7 @@ export const createBooking = async (booking) => {
       if (sourceRowForFormat && sourceRowForFormat > 0) {
         try {
           await fetch(
-            `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+            `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
             {
               method: "POST",
               headers: {
@@ -1310,14 +1990,14 @@ export const createBooking = async (booking) => {
                         startRowIndex: sourceRowForFormat - 1, // 0-based
                         endRowIndex: sourceRowForFormat,
                         startColumnIndex: 0, // Column A
-                        endColumnIndex: 9, // Column I (0-indexed, so 9 = column I+1)
+                        endColumnIndex: getLastColumnIndex(rooms) + 1, // Last room/time column (exclusive)
                       },
                       destination: {
                         sheetId: parseInt(gid),
                         startRowIndex: insertRowIndex - 1, // 0-based, new row
                         endRowIndex: insertRowIndex,
                         startColumnIndex: 0,
-                        endColumnIndex: 9,
+                        endColumnIndex: getLastColumnIndex(rooms) + 1,
                       },
                       pasteType: "PASTE_NORMAL", // Copy everything (formatting + values)
                     },
@@ -1339,9 +2019,9 @@ export const createBooking = async (booking) => {
       }
 
       // Update the newly inserted row with our values
-      const updateRange = `${sheetName}!A${insertRowIndex}:I${insertRowIndex}`;
+      const updateRange = `${sheetName}!A${insertRowIndex}:${lastColumn}${insertRowIndex}`;
       const updateResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${updateRange}?valueInputOption=${valueInputOption}`,
+        `${SHEETS_API_URL}/${SHEET_ID}/values/${updateRange}?valueInputOption=${valueInputOption}`,
         {
           method: "PUT",
           headers: {
@@ -1366,11 +2046,13 @@ export const createBooking = async (booking) => {
       // Return booking info including row number and sheet details for link generation
       return {
         success: true,
+        id: bookingId,
         rowNumber: insertRowIndex,
         sheetName: sheetName,
         sheetId: SHEET_ID,
         gid: gid,
-        range: `A${insertRowIndex}:I${insertRowIndex}`,
+        range: `A${insertRowIndex}:${lastColumn}${insertRowIndex}`,
+        ...(approval ? { approval } : {}),
       };
     }
   } catch (error) {
@@ -1380,48 +2062,54 @@ export const createBooking = async (booking) => {
   }
 };
 
+// "yyyy-MM-dd" (local day), any other date string, or a Date -> Date; null if unusable
+const parseTargetDate = (targetDate) => {
+  if (targetDate instanceof Date) return targetDate;
+  if (typeof targetDate !== "string") return null;
+
+  const dParts = targetDate.split("-");
+  if (dParts.length === 3) {
+    return new Date(parseInt(dParts[0]), parseInt(dParts[1]) - 1, parseInt(dParts[2]));
+  }
+  const d = new Date(targetDate);
+  return isNaN(d.getTime()) ? null : d;
+};
+
 // Helper to separate search logic
+// Stored IDs (column Z) are matched directly; legacy synthesized IDs are
+// reverse-parsed and matched by room, day and time.
 const findBookingRow = async (bookingId, targetDate, currentGid = null) => {
-  const parts = bookingId.split("-");
-  if (parts.length < 4) throw new Error("Invalid booking ID format");
-
-  const endStr = parts.pop().trim();
-  const startStr = parts.pop().trim();
-  const indexStr = parts.pop();
-  const roomId = parts.join("-");
-  const embeddedRowIndex = parseInt(indexStr);
+  const storedId = isStoredBookingId(bookingId) ? bookingId : null;
+  let roomId = null;
+  let startStr = "";
+  let endStr = "";
+
+  if (!storedId) {
+    const parts = bookingId.split("-");
+    if (parts.length < 4) throw new Error("Invalid booking ID format");
+
+    endStr = parts.pop().trim();
+    startStr = parts.pop().trim();
+    parts.pop(); // Day of month, matched against targetDate instead
+    roomId = parts.join("-");
+  }
 
   let gid = currentGid;
   let targetDay = null;
 
-  if (targetDate) {
-      if (typeof targetDate === 'string') {
-          const dParts = targetDate.split('-');
-          if (dParts.length === 3) {
-            const year = parseInt(dParts[0]);
-            const monthIndex = parseInt(dParts[1]) - 1;
-            const day = parseInt(dParts[2]);
-            const d = new Date(year, monthIndex, day);
-            gid = await getMonthSheetGID(d);
-            targetDay = day;
-          } else {
-             const d = new Date(targetDate);
-             if (!isNaN(d.getTime())) {
-                 gid = await getMonthSheetGID(d);
-                 targetDay = d.getDate();
-             } else {
-                 gid = await getCurrentMonthSheetGID();
-             }
-          }
-      } else if (targetDate instanceof Date) {
-          gid = await getMonthSheetGID(targetDate);
-          targetDay = targetDate.getDate();
-      }
-  } else {
-      if (!gid) gid = await getCurrentMonthSheetGID(); 
+  const targetDateValue = parseTargetDate(targetDate);
+  if (targetDateValue) {
+      gid = await getMonthSheetGID(targetDateValue);
+      targetDay = targetDateValue.getDate();
+  } else if (targetDate || !gid) {
+      gid = await getCurrentMonthSheetGID();
   }
 
-  console.log(`🔍 Searching for ${roomId} booking at ${startStr}-${endStr} (Day ${targetDay || 'any'}, GID ${gid})...`);
+  console.log(
+    storedId
+      ? `🔍 Searching for booking ${storedId} (GID ${gid})...`
+      : `🔍 Searching for ${roomId} booking at ${startStr}-${endStr} (Day ${targetDay || 'any'}, GID ${gid})...`
+  );
 
   // Determine Sheet Name for API Query
   const accessToken = await getAccessToken();
@@ -1435,10 +2123,15 @@ const findBookingRow = async (bookingId, targetDate, currentGid = null) => {
   // Clean sheet name for URL
   const safeSheetName = sheetName.includes(' ') ? `'${sheetName}'` : sheetName;
   
-  console.log(`🔍 Searching via API: ${roomId} @ ${startStr}-${endStr} (Day ${targetDay || 'any'}, Sheet: ${sheetName})...`);
+  const rooms = await loadRooms();
+  const targetRoom = storedId ? null : rooms.find((room) => room.id === roomId);
+  if (!storedId && !targetRoom) {
+      console.warn(`⚠️ Unknown room "${roomId}" in booking ID ${bookingId}`);
+      return { realRowIndex: -1, gid, allMatches: [] };
+  }
 
   // Fetch Values via API (Guarantees Index Alignment with batchUpdate)
-  const url = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${safeSheetName}!A:I`;
+  const url = `${SHEETS_API_URL}/${SHEET_ID}/values/${safeSheetName}!A:${getReadColumn(rooms)}`;
   const response = await fetch(url, {
       headers: {
           Authorization: `Bearer ${accessToken}`
@@ -1464,23 +2157,24 @@ const findBookingRow = async (bookingId, targetDate, currentGid = null) => {
       // 0: Date/Day (A)
       // 1: Day Name (B)
       // 2: Staff/Title (C)
-      // 3: Nha Trang (D)
-      // 4: Da Lat (E)
       // 5: Morning Start (F)
       // 6: Morning End (G)
       // 7: Afternoon Start (H)
       // 8: Afternoon End (I)
+      // Room columns come from the ROOMS sheet (D = Nha Trang, E = Da Lat, ...)
+      // 25: Booking ID (Z)
+      // 26: Approval (AA)
+      // 27: Attendance (AB)
+
+      if (storedId) {
+          if (getStoredBookingId(row) === storedId) {
+               console.log(`✅ MATCH ACCEPTED Row ${i} by booking ID`);
+               candidates.push({ index: i, day: parseInt(row[0]), isDayMatch: true, row });
+          }
+          continue;
+      }
 
-      const nhaTrangValue = (row[3] || "").toString().toUpperCase().trim();
-      const daLatValue = (row[4] || "").toString().toUpperCase().trim();
-      const isNhaTrang = nhaTrangValue !== "" && (nhaTrangValue === "TRUE" || nhaTrangValue.includes("NHA TRANG"));
-      const isDaLat = daLatValue !== "" && (daLatValue === "TRUE" || daLatValue.includes("DA LAT"));
-
-      let isTargetRoom = false;
-      if (roomId === 'nha-trang' && isNhaTrang) isTargetRoom = true;
-      if (roomId === 'da-lat' && isDaLat) isTargetRoom = true;
-      
-      if (!isTargetRoom) continue;
+      if (!isRoomMarked(row, targetRoom)) continue;
 
       const normalizeTime = (t) => {
           if (!t) return "";
@@ -1521,7 +2215,7 @@ const findBookingRow = async (bookingId, targetDate, currentGid = null) => {
           if (isDayMatch) {
                console.log(`✅ MATCH ACCEPTED Row ${i} (Index ${i})`);
                console.log(`   DATA: Day=${dayCell}, Title=${row[2]}, Room=${roomId}, Times=${row[5]}-${row[6]} / ${row[7]}-${row[8]}`);
-               candidates.push({ index: i, day, isDayMatch });
+               candidates.push({ index: i, day, isDayMatch, row });
           } else {
                // Log ignored mismatch
                // console.log(`Skipping Row ${i}: Time match but Day Mismatch (${day} vs ${targetDay})`);
@@ -1535,14 +2229,18 @@ const findBookingRow = async (bookingId, targetDate, currentGid = null) => {
       const matches = candidates.map(c => ({ 
           realRowIndex: c.index, 
           gid,
-          isDayMatch: c.isDayMatch
+          isDayMatch: c.isDayMatch,
+          day: c.day,
+          row: c.row
       }));
       
-      console.log(`✅ Matches found:`, JSON.stringify(matches));
+      console.log(`✅ Matches found:`, JSON.stringify(matches.map(m => ({ realRowIndex: m.realRowIndex, gid: m.gid, day: m.day }))));
       
       return {
           allMatches: matches,
-          gid: gid
+          gid: gid,
+          sheetName,
+          rows
       };
   }
   
@@ -1556,7 +2254,7 @@ const findBookingRow = async (bookingId, targetDate, currentGid = null) => {
 const getSheetNameFromGid = async (gid) => {
   try {
     const accessToken = await getAccessToken();
-    const response = await fetch(`https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`, {
+    const response = await fetch(`${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`, {
          headers: { Authorization: `Bearer ${accessToken}` }
     });
     if (!response.ok) return null;
@@ -1569,102 +2267,271 @@ const getSheetNameFromGid = async (gid) => {
   }
 };
 
-export const updateBooking = async (originalBookingId, originalDate, newBookingData) => {
-    console.log(`✏️ updateBooking: USING SAFE CREATE-THEN-DELETE FOR ALL UPDATES`);
-    console.log(`   Original ID: ${originalBookingId}, Original Date: ${originalDate}`);
-    console.log(`   New booking data:`, newBookingData);
+// Normalized cells of a row, to tell whether it changed between two reads
+const rowSignature = (row) => {
+  const cells = (row || []).map((cell) => (cell ?? "").toString().trim());
+  while (cells.length > 0 && cells[cells.length - 1] === "") cells.pop();
+  return JSON.stringify(cells);
+};
 
-    // STRATEGY: Always use Create-Then-Delete (safest approach)
-    // This prevents data loss even if deletion fails (duplicate is better than data loss)
-    
-    // 1. LOCATE the old booking first
-    let targetToDelete = null;
+// Reads one row of a month sheet (0-based rowIndex)
+const readSheetRow = async (sheetName, rowIndex, rooms) => {
+    const accessToken = await getAccessToken();
+    const safeSheetName = sheetName.includes(' ') ? `'${sheetName}'` : sheetName;
+    const rowRange = `${safeSheetName}!A${rowIndex + 1}:${getReadColumn(rooms)}${rowIndex + 1}`;
+    const response = await fetch(
+        `${SHEETS_API_URL}/${SHEET_ID}/values/${rowRange}`,
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+    if (!response.ok) throw new Error(`Failed to read row ${rowIndex + 1}: ${await response.text()}`);
+    return (await response.json()).values?.[0] || [];
+};
+
+const deleteSheetRow = async (gid, rowIndex) => {
+    const accessToken = await getAccessToken();
+    const response = await fetch(
+        `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
+        {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId: parseInt(gid),
+                            dimension: 'ROWS',
+                            startIndex: rowIndex,
+                            endIndex: rowIndex + 1
+                        }
+                    }
+                }]
+            }),
+        }
+    );
+    if (!response.ok) throw new Error(await response.text());
+};
+
+// Moving a booking to another day: create it on the new day (keeping its ID),
+// then delete the old row.
+// target: { realRowIndex, gid, sheetName, row } - where the booking was found and the row as read.
+// The old row is re-read right before the delete; if it changed, or the delete fails,
+// the new row is removed again and an error is thrown, so the booking is never left twice.
+const moveBooking = async (originalBookingId, target, newBookingData, { previous = null } = {}) => {
+    let createResult;
     try {
-        const finderResult = await findBookingRow(originalBookingId, originalDate);
-        console.log(`🔍 findBookingRow result:`, finderResult);
-        
-        // findBookingRow returns { allMatches: [...], gid } when found
-        // or { realRowIndex: -1, gid, allMatches: [] } when not found
-        if (finderResult && finderResult.allMatches && finderResult.allMatches.length > 0) {
-            // Take the first match (should only be one for a specific booking)
-            const match = finderResult.allMatches[0];
-            targetToDelete = {
-                realRowIndex: match.realRowIndex,
-                gid: finderResult.gid
-            };
-            console.log(`🎯 Located original booking at Row ${targetToDelete.realRowIndex} (GID: ${targetToDelete.gid})`);
+        // Keep the booking's stored ID; a legacy row gets a fresh one
+        createResult = await createBooking(newBookingData, {
+            ignoreBookingId: originalBookingId,
+            previous,
+            ...(isStoredBookingId(originalBookingId) && { bookingId: originalBookingId }),
+        });
+        console.log(`✅ Booking moved to Row ${createResult.rowNumber}`);
+    } catch (e) {
+        console.error(`Failed to create moved booking`, e);
+        if (e.code === BOOKING_CONFLICT) throw e;
+        throw new Error(`Update failed: Could not create new booking. ${e.message}`);
+    }
+
+    const rooms = await loadRooms();
+    const newRowIndex = createResult.rowNumber - 1;
+    const sameSheet = parseInt(createResult.gid) === parseInt(target.gid);
+
+    // If the new row is on the same sheet AND inserted at/before the old row, the old row shifts down
+    let indexToDelete = target.realRowIndex;
+    if (sameSheet && newRowIndex <= target.realRowIndex) {
+        console.log(`⚠️ New booking inserted at/above old one. Shifting deletion index from ${indexToDelete} to ${indexToDelete + 1}`);
+        indexToDelete += 1;
+    }
+
+    let failure;
+    try {
+        const oldRow = await readSheetRow(target.sheetName, indexToDelete, rooms);
+        if (rowSignature(oldRow) !== rowSignature(target.row)) {
+            console.warn(`⛔ Row ${indexToDelete + 1} changed while moving ${originalBookingId}`, oldRow);
+            const day = new Date(newBookingData.start_time);
+            failure = createBookingModifiedError(parseBookingRow(oldRow, day, rooms)[0] || null);
         } else {
-            console.warn(`⚠️ Could not locate original booking ${originalBookingId}`);
+            await deleteSheetRow(target.gid, indexToDelete);
+            console.log(`✅ Old booking deleted from Row ${indexToDelete + 1}`);
+            return createResult;
         }
     } catch (e) {
-        console.warn(`⚠️ Error finding original booking: ${e.message}`);
+        console.error(`Failed to delete old booking`, e);
+        failure = new Error(`Update failed: Could not remove the booking from its old day. ${e.message}`);
     }
 
-    // 2. CREATE the new booking
-    // createBooking expects: { room_id, title, start_time (ISO), end_time (ISO) }
-    // newBookingData already has this format, so just pass it through
-    console.log(`   Passing newBookingData directly to createBooking:`, newBookingData);
-    
-    let createResult;
+    // Roll back: remove the new row again, once it's confirmed to still hold the moved booking
     try {
-        createResult = await createBooking(newBookingData);
-        console.log(`✅ New booking created at Row ${createResult.rowNumber}`);
+        const newRow = await readSheetRow(createResult.sheetName, newRowIndex, rooms);
+        if (getStoredBookingId(newRow) !== createResult.id) {
+            throw new Error(`Row ${createResult.rowNumber} no longer holds booking ${createResult.id}`);
+        }
+        await deleteSheetRow(createResult.gid, newRowIndex);
+        console.log(`↩️ Removed moved booking from Row ${createResult.rowNumber}`);
     } catch (e) {
-        console.error(`Failed to create new booking`, e);
-        throw new Error(`Update failed: Could not create new booking. ${e.message}`);
+        console.error(`Failed to roll back moved booking ${createResult.id}, duplicate may exist`, e);
     }
+    throw failure;
+};
 
-    // 3. DELETE the old booking
-    if (targetToDelete) {
-        try {
-            const accessToken = await getAccessToken();
-            
-            // CRITICAL FIX: Adjust deletion index if the new booking was inserted ABOVE or AT the old booking
-            let indexToDelete = targetToDelete.realRowIndex;
-            const newRowIndexZeroBased = createResult.rowNumber - 1; // Convert 1-based to 0-based
-            
-            // If new row is on the same sheet AND inserted at/before the old row, the old row shifts down
-            if (parseInt(createResult.gid) === parseInt(targetToDelete.gid)) {
-                if (newRowIndexZeroBased <= targetToDelete.realRowIndex) {
-                    console.log(`⚠️ New booking inserted at/above old one. Shifting deletion index from ${indexToDelete} to ${indexToDelete + 1}`);
-                    indexToDelete += 1;
-                }
-            }
+// Rewrites the booking's row in place: staff (C), room columns and times (F-I) in one
+// batchUpdate, values only so the row keeps its formatting and position.
+// The row only moves when the date changes.
+// expected: the booking as the editor loaded it ({ room_id, requested_by, start_time, end_time });
+// if the row no longer matches it, or changes while we work, a BOOKING_MODIFIED error is thrown.
+// scope (this / following / all) only applies to occurrences of a recurring booking
+export const updateBooking = async (originalBookingId, originalDate, newBookingData, { expected = null, scope } = {}) => {
+    console.log(`✏️ updateBooking: ${originalBookingId} (${originalDate})`, newBookingData);
+    if (parseOccurrenceId(originalBookingId)) {
+        return updateRecurringBooking(originalBookingId, newBookingData, { expected, scope });
+    }
 
-            const deleteRequest = {
-                deleteDimension: {
-                    range: {
-                        sheetId: parseInt(targetToDelete.gid),
-                        dimension: 'ROWS',
-                        startIndex: indexToDelete,
-                        endIndex: indexToDelete + 1
-                    }
-                }
-            };
-            
-            await fetch(
-                `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
-                {
-                    method: 'POST',
-                    headers: {
-                        Authorization: `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ requests: [deleteRequest] }),
-                }
-            );
-            console.log(`✅ Old booking deleted from Row ${targetToDelete.realRowIndex}`);
-        } catch (e) {
-            console.error(`Failed to delete old booking, duplicate may exist`, e);
-            // Don't throw - duplicate is better than data loss
+    // 1. LOCATE the booking's row
+    const finderResult = await findBookingRow(originalBookingId, originalDate);
+    const match = finderResult.allMatches?.[0];
+    if (!match) {
+        console.warn(`⚠️ Could not locate original booking ${originalBookingId}`);
+        throw createBookingModifiedError();
+    }
+    const { gid, sheetName } = finderResult;
+    const rowIndex = match.realRowIndex; // 0-based
+    console.log(`🎯 Located original booking at Row ${rowIndex + 1} (GID: ${gid})`);
+
+    // 2. CHECK the row still holds the booking the editor saw
+    const rooms = await loadRooms();
+    const originalDay = parseTargetDate(originalDate) || new Date();
+    const dayBase = new Date(
+        originalDay.getFullYear(),
+        originalDay.getMonth(),
+        match.day || originalDay.getDate()
+    );
+    const rowBookings = parseBookingRow(match.row, dayBase, rooms);
+    const current = rowBookings.find(b => b.id === originalBookingId) || rowBookings[0] || null;
+    if (expected && !isSameBooking(current, expected)) {
+        console.warn(`⛔ Booking ${originalBookingId} changed since it was loaded`, current);
+        throw createBookingModifiedError(current);
+    }
+
+    const start = new Date(newBookingData.start_time);
+    const end = new Date(newBookingData.end_time);
+    const bookingRoom = rooms.find(room => room.id === newBookingData.room_id);
+    if (!bookingRoom) throw createUnknownRoomError(newBookingData.room_id);
+    assertWithinWorkingHours(WORKING_HOURS, bookingRoom, start, end);
+    assertNotHoliday(await loadHolidays(), start);
+    await assertRoomIsNotBlackedOut(bookingRoom, start, end);
+    await assertWithinBookingPolicy(bookingRoom, newBookingData, {
+        previous: current,
+        ignoreId: current ? current.id : originalBookingId,
+    });
+
+    // 3. A new date MOVES the row
+    const newGid = await getOrCreateMonthSheetGID(start);
+    if (String(newGid) !== String(gid) || start.getDate() !== dayBase.getDate()) {
+        console.log(`📅 Date changed, moving booking to ${format(start, "yyyy-MM-dd")}`);
+        const result = await moveBooking(originalBookingId, { realRowIndex: rowIndex, gid, sheetName, row: match.row }, newBookingData, {
+            previous: current,
+        });
+        removeFromCache(CACHE_KEYS.BOOKINGS);
+        return { ...result, updated: true };
+    }
+
+    // 4. CONFLICTS with fixed schedules and the other bookings that day
+    await assertNoFixedScheduleConflict(newBookingData.room_id, start, end);
+    await assertNoRecurringConflict(newBookingData.room_id, start, end);
+    const sameDayBookings = withoutNoShows(
+        finderResult.rows
+            .slice(5) // Booking rows start at row 6
+            .filter(row => parseInt(row?.[0]) === dayBase.getDate())
+            .flatMap(row => parseBookingRow(row, dayBase, rooms)),
+        CHECK_IN
+    );
+    const conflict = findConflictingBooking(sameDayBookings, {
+        room_id: newBookingData.room_id,
+        start,
+        end,
+        ignoreId: current ? current.id : originalBookingId,
+    });
+    if (conflict) {
+        console.warn(`⛔ Booking overlaps ${conflict.id} (${conflict.requested_by})`);
+        throw createBookingConflictError(conflict);
+    }
+
+    // 5. RE-READ the row right before writing - if it changed since step 1, someone else edited it
+    const freshRow = await readSheetRow(sheetName, rowIndex, rooms);
+    if (rowSignature(freshRow) !== rowSignature(match.row)) {
+        console.warn(`⛔ Row ${rowIndex + 1} changed while updating`, freshRow);
+        throw createBookingModifiedError(parseBookingRow(freshRow, dayBase, rooms)[0] || null);
+    }
+
+    // 6. WRITE staff, room and time cells in a single batchUpdate
+    const [mStart, mEnd, aStart, aEnd] = getTimeCells(start, end);
+    const storedId = getStoredBookingId(match.row);
+    const bookingId = storedId || generateBookingId(); // Legacy rows get an ID now
+    const toCell = (value) => ({ userEnteredValue: { stringValue: value } });
+    const rowCells = (startColumnIndex, values) => ({
+        updateCells: {
+            range: {
+                sheetId: parseInt(gid),
+                startRowIndex: rowIndex,
+                endRowIndex: rowIndex + 1,
+                startColumnIndex,
+                endColumnIndex: startColumnIndex + values.length,
+            },
+            rows: [{ values: values.map(toCell) }],
+            fields: "userEnteredValue", // Only update values, preserve existing cell styles
+        },
+    });
+    const approval = getApprovalFor(bookingRoom, newBookingData, current);
+    const attendance = getAttendanceFor(newBookingData, current);
+    const requests = [
+        rowCells(2, [newBookingData.title || ""]), // Staff (C)
+        ...buildRoomCellRequests(gid, rowIndex, newBookingData.room_id, rooms),
+        rowCells(5, [mStart, mEnd, aStart, aEnd]), // Times (F-I)
+        ...(storedId ? [] : buildBookingIdRequests(gid, rowIndex, bookingId)),
+        ...(approval || current?.approval ? buildApprovalRequests(gid, rowIndex, approval) : []),
+        // The row now holds this booking alone, so what it keeps is rewritten as is
+        ...(current?.attendance ? buildAttendanceRequests(gid, rowIndex, attendance) : []),
+    ];
+
+    const accessToken = await getAccessToken();
+    const response = await fetch(
+        `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
+        {
+            method: "POST",
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ requests }),
         }
+    );
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error("❌ Update failed:", errorText);
+        throw new Error(`Failed to update booking: ${errorText}`);
     }
-    
-    localStorage.removeItem(CACHE_KEYS.BOOKINGS);
-    return createResult;
+    console.log(`✅ Booking updated in place at Row ${rowIndex + 1}`);
+
+    removeFromCache(CACHE_KEYS.BOOKINGS);
+    return {
+        success: true,
+        updated: true,
+        id: bookingId,
+        rowNumber: rowIndex + 1,
+        sheetName,
+        sheetId: SHEET_ID,
+        gid,
+        range: `A${rowIndex + 1}:${getLastColumn(rooms)}${rowIndex + 1}`,
+        ...(approval ? { approval } : {}),
+    };
 };
 
-export const deleteBooking = async (bookingId, targetDate = null) => {
+export const deleteBooking = async (bookingId, targetDate = null, { scope } = {}) => {
+    if (parseOccurrenceId(bookingId)) return deleteRecurringBooking(bookingId, { scope });
+
     // Legacy delete wrapper using new finder
     const finderResult = await findBookingRow(bookingId, targetDate);
     
@@ -1711,7 +2578,7 @@ export const deleteBooking = async (bookingId, targetDate = null) => {
     }));
 
     const deleteResp = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+      `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
       {
         method: "POST",
         headers: {
@@ -1722,10 +2589,12 @@ export const deleteBooking = async (bookingId, targetDate = null) => {
       }
     );
      if (!deleteResp.ok) throw new Error("Delete API failed");
-     localStorage.removeItem(CACHE_KEYS.BOOKINGS);
+     removeFromCache(CACHE_KEYS.BOOKINGS);
 };
 
-export const getRoomStatus = (roomId, bookings) => {
+// blackouts (see utils/blackouts.js): a room in one right now is "unavailable",
+// with the blackout as `blackout`
+export const getRoomStatus = (roomId, bookings, blackouts = []) => {
   // Add safety checks
   if (!roomId) {
     console.warn("getRoomStatus called without roomId");
@@ -1744,6 +2613,16 @@ export const getRoomStatus = (roomId, bookings) => {
   }
 
   const now = new Date();
+  const blackout = getActiveBlackout(blackouts, roomId, now);
+  if (blackout) {
+    console.log(`🚧 Room ${roomId} status: UNAVAILABLE until`, blackout.end_time);
+    return {
+      status: "unavailable",
+      blackout,
+      nextBooking: null,
+    };
+  }
+
   const todayYear = now.getFullYear();
   const todayMonth = now.getMonth();
   const todayDate = now.getDate();
@@ -1764,10 +2643,12 @@ export const getRoomStatus = (roomId, bookings) => {
     }
   };
 
-  // Filter bookings for this room and today only
+  // Filter bookings for this room and today only. Bookings waiting for approval
+  // (see utils/approval.js) and released no-shows (utils/checkIn.js) don't occupy the room.
   const roomBookings = bookings.filter((b) => {
     if (!b || typeof b !== "object") return false;
     if (b.room_id !== roomId) return false;
+    if (isPending(b) || isNoShow(b, CHECK_IN, now)) return false;
     if (!b.start_time || !b.end_time) return false;
     return isToday(b.start_time);
   });
@@ -1880,9 +2761,9 @@ export const getRoomStatus = (roomId, bookings) => {
 };
 
 // Wrapper function to safely get room status with error handling
-export const getRoomStatusSafe = (roomId, bookings) => {
+export const getRoomStatusSafe = (roomId, bookings, blackouts = []) => {
   try {
-    return getRoomStatus(roomId, bookings);
+    return getRoomStatus(roomId, bookings, blackouts);
   } catch (error) {
     console.error("Error in getRoomStatus:", error, {
       roomId,
@@ -1895,21 +2776,12 @@ export const getRoomStatusSafe = (roomId, bookings) => {
   }
 };
 
-// Extract unique time slots from CSV data
-export const fetchAvailableTimeSlots = async () => {
-  // Return a standard set of time slots available for booking
-  // Generate time slots every 30 minutes from 08:00 to 18:00
-  const timeSlots = [];
-  for (let hour = 8; hour <= 18; hour++) {
-    for (let minute = 0; minute < 60; minute += 30) {
-      // Skip times after 18:00
-      if (hour === 18 && minute > 0) break;
-      const timeStr = `${String(hour).padStart(2, "0")}:${String(
-        minute
-      ).padStart(2, "0")}`;
-      timeSlots.push(timeStr);
-    }
-  }
+// Every bookable start/end time, one slot apart, across the office's and the rooms' working
+// hours (see utils/workingHours.js). Screens narrow it to a room and day. rooms: as the
+// storage backend's fetchRooms() returns them, so the rooms' own hours count whatever the
+// backend (the browser can't read the ROOMS sheet itself behind the API)
+export const getAvailableTimeSlots = (rooms) => {
+  const timeSlots = getTimeSlots(WORKING_HOURS, rooms);
   saveToCache(CACHE_KEYS.TIME_SLOTS, timeSlots);
   return timeSlots;
 };
@@ -1918,11 +2790,11 @@ export const fetchAvailableTimeSlots = async () => {
 export const getSheetUrl = async () => {
   try {
     const gid = await getCurrentMonthSheetGID();
-    return `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${gid}`;
+    return `${SHEETS_DOCS_URL}/${SHEET_ID}/edit#gid=${gid}`;
   } catch (error) {
     // Fallback to base URL if GID detection fails
     console.warn("Failed to get current month GID, using base URL:", error);
-    return `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit`;
+    return `${SHEETS_DOCS_URL}/${SHEET_ID}/edit`;
   }
 };
 
@@ -1930,17 +2802,18 @@ export const getSheetUrl = async () => {
 // Fixed schedules are stored in rows 1-3 of the sheet
 // Format: Row 1 = Day names, Row 2 = Room assignments, Row 3 = Time ranges
 
-// Fetch fixed schedules from the sheet
-export const fetchFixedSchedules = async () => {
+// Parse the fixed schedules at the top of one month sheet.
+// Only the current month's list is cached (it backs the first paint).
+const readFixedSchedules = async (gid, isCurrentMonth) => {
   try {
     const accessToken = await getAccessToken();
-    const gid = await getCurrentMonthSheetGID();
+    const rooms = await loadRooms();
 
     // Get sheet name
     let sheetName = "DECEMBER"; // Default
     try {
       const sheetsResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+        `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
         {
           headers: { Authorization: `Bearer ${accessToken}` },
         }
@@ -1957,9 +2830,9 @@ export const fetchFixedSchedules = async () => {
     }
 
     // Use Google Sheets API directly to get clean row data (no CSV concatenation issues)
-    // Read columns A-I to get all data: C=Staff, D=NHA TRANG, E=DA LAT, F/G=Morning, H/I=Afternoon
+    // Read columns A through the last room column: C=Staff, room columns, F/G=Morning, H/I=Afternoon
     const apiResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${sheetName}!A1:I30`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${sheetName}!A1:${getReadColumn(rooms)}30`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -1998,8 +2871,7 @@ export const fetchFixedSchedules = async () => {
 
       // CORRECT STRUCTURE:
       // C = Staff
-      // D = NHA TRANG (if room is nha-trang)
-      // E = DA LAT (if room is da-lat)
+      // Room columns from the ROOMS sheet (D = NHA TRANG, E = DA LAT, ...)
       // F = Morning start time
       // G = Morning end time
       // H = Afternoon start time
@@ -2034,19 +2906,11 @@ export const fetchFixedSchedules = async () => {
           break;
         }
 
-        // Read using CORRECT structure: C=Staff, D/E=Room, F/G or H/I=Times
+        // Read using CORRECT structure: C=Staff, room columns, F/G or H/I=Times
         const staffName = colC;
-        let roomValue = "";
-        let roomId = null;
-
-        // Determine room from D (NHA TRANG) or E (DA LAT)
-        if (colD && colD.includes("NHA TRANG")) {
-          roomValue = "NHA TRANG";
-          roomId = "nha-trang";
-        } else if (colE && colE.includes("DA LAT")) {
-          roomValue = "DA LAT";
-          roomId = "da-lat";
-        }
+        const room = findRoomInRow(row, rooms);
+        const roomValue = room ? getRoomMarker(room) : "";
+        const roomId = room ? room.id : null;
 
         // Determine times: check if morning (F/G) or afternoon (H/I) has data
         let startTime = "";
@@ -2140,6 +3004,7 @@ export const fetchFixedSchedules = async () => {
             ).padStart(2, "0")}`,
             staff_name: staffName,
             row: rowNum, // 1-based row number
+            ...getFixedScheduleDates(row),
           });
         }
       }
@@ -2149,7 +3014,7 @@ export const fetchFixedSchedules = async () => {
         `✅ Found ${fixedSchedules.length} fixed schedules:`,
         fixedSchedules
       );
-      saveToCache(CACHE_KEYS.FIXED_SCHEDULES, fixedSchedules);
+      if (isCurrentMonth) saveToCache(CACHE_KEYS.FIXED_SCHEDULES, fixedSchedules);
       return fixedSchedules;
     }
 
@@ -2478,12 +3343,7 @@ export const fetchFixedSchedules = async () => {
               startTime.match(/^\d{1,2}:\d{2}$/) &&
               endTime &&
               endTime.match(/^\d{1,2}:\d{2}$/);
-            const hasValidRoom =
-              roomValue &&
-              roomValue.trim() !== "" &&
-              !roomValue.includes("MEETING ROOM") &&
-              (roomValue.toUpperCase().includes("NHA TRANG") ||
-                roomValue.toUpperCase().includes("DA LAT"));
+            const hasValidRoom = !!findRoomByValue(roomValue, rooms);
             const hasValidStaff =
               staffName &&
               staffName.trim() !== "" &&
@@ -2549,16 +3409,7 @@ export const fetchFixedSchedules = async () => {
             console.log(`✅ Row ${rowNum} passed validation checks`);
 
             // Determine room ID
-            let roomId = null;
-            if (
-              roomValue.includes("NHA TRANG") ||
-              roomValue === "NHA TRANG" ||
-              roomValue === "NHATRANG"
-            ) {
-              roomId = "nha-trang";
-            } else if (roomValue.includes("DA LAT") || roomValue === "DA LAT") {
-              roomId = "da-lat";
-            }
+            const roomId = findRoomByValue(roomValue, rooms)?.id || null;
 
             if (!roomId) {
               console.log(
@@ -2642,6 +3493,7 @@ export const fetchFixedSchedules = async () => {
                   ).padStart(2, "0")}`,
                   staff_name: currentStaffName.trim(), // Use the specific staff name
                   row: rowNum, // 1-based row number (same row for all)
+                  ...getFixedScheduleDates(row),
                 });
               }
             });
@@ -2655,7 +3507,7 @@ export const fetchFixedSchedules = async () => {
             `✅ Found ${fixedSchedules.length} fixed schedules:`,
             fixedSchedules
           );
-          saveToCache(CACHE_KEYS.FIXED_SCHEDULES, fixedSchedules);
+          if (isCurrentMonth) saveToCache(CACHE_KEYS.FIXED_SCHEDULES, fixedSchedules);
           resolve(fixedSchedules);
         },
         error: (err) => {
@@ -2670,18 +3522,114 @@ export const fetchFixedSchedules = async () => {
   }
 };
 
+// Months to look back through for an earlier month sheet (fixed schedules to
+// inherit, or a sheet to copy for a new month)
+const MAX_MONTH_SHEET_LOOKBACK = 12;
+
+// The month sheet whose fixed schedules are in effect for the month containing
+// `month` (any Date in that month), or the current month when omitted, with
+// those schedules: { gid, fixedSchedules }. A later month whose sheet doesn't
+// exist yet, or exists without fixed schedule rows, carries forward the nearest
+// earlier month's schedules - standing meetings don't vanish when the month
+// rolls over. Earlier months use the current sheet: their past days show no
+// fixed schedules anyway.
+const findFixedScheduleSheet = async (month = null) => {
+  const currentMonth = startOfMonth(new Date());
+  const requestedMonth = startOfMonth(month ? new Date(month) : currentMonth);
+
+  for (
+    let sheetMonth = requestedMonth, lookback = 0;
+    sheetMonth > currentMonth && lookback < MAX_MONTH_SHEET_LOOKBACK;
+    sheetMonth = addMonths(sheetMonth, -1), lookback++
+  ) {
+    let gid;
+    try {
+      gid = await getMonthSheetGID(sheetMonth);
+    } catch {
+      continue; // No sheet for this month yet
+    }
+    const fixedSchedules = await readFixedSchedules(gid, false);
+    if (fixedSchedules.length > 0) {
+      if (sheetMonth < requestedMonth) {
+        console.log(
+          `📅 Carrying ${MONTH_NAMES[sheetMonth.getMonth()]} ${sheetMonth.getFullYear()} fixed schedules forward to ${MONTH_NAMES[requestedMonth.getMonth()]} ${requestedMonth.getFullYear()}`
+        );
+      }
+      return { gid, fixedSchedules };
+    }
+  }
+
+  const gid = await getCurrentMonthSheetGID();
+  return { gid, fixedSchedules: await readFixedSchedules(gid, true) };
+};
+
+// Fixed schedules in effect for the month containing `month` (see findFixedScheduleSheet)
+export const fetchFixedSchedules = async (month = null) => {
+  try {
+    const { fixedSchedules } = await findFixedScheduleSheet(month);
+    return fixedSchedules;
+  } catch (error) {
+    console.error("Failed to fetch fixed schedules", error);
+    return [];
+  }
+};
+
+// Skip one day ("yyyy-MM-dd") of a fixed schedule, e.g. a standup cancelled for a
+// holiday. The date is added to the schedule row of the sheet in effect that month.
+export const skipFixedScheduleDate = async (scheduleId, date) => {
+  validateFixedScheduleDates({ skip_dates: [date] });
+  const { gid, fixedSchedules } = await findFixedScheduleSheet(parseISO(date));
+  const schedule = fixedSchedules.find((s) => s.id === scheduleId);
+  if (!schedule) {
+    const error = new Error("Fixed schedule not found. It may have been changed or deleted.");
+    error.status = 404;
+    throw error;
+  }
+
+  const skipDates = [...schedule.skip_dates, date];
+  const response = await fetch(`${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${await getAccessToken()}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      requests: buildFixedScheduleDatesRequests(gid, schedule.row - 1, {
+        ...schedule,
+        skip_dates: skipDates,
+      }),
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to skip fixed schedule date: ${errorText}`);
+  }
+
+  console.log(`⏭️ Skipped fixed schedule ${scheduleId} on ${date}`);
+  return { success: true };
+};
+
 // Create a new fixed schedule
 export const createFixedSchedule = async (schedule) => {
   // Check for conflicts with existing bookings
   // Read directly from the sheet to get accurate staff names
   const accessToken = await getAccessToken();
   const gid = await getCurrentMonthSheetGID();
+  const rooms = await loadRooms();
+  const scheduleRoom = rooms.find((room) => room.id === schedule.room_id);
+  if (!scheduleRoom) {
+    throw createUnknownRoomError(schedule.room_id);
+  }
+  validateFixedScheduleDates(schedule);
+  assertFixedScheduleFitsWorkingHours(schedule, rooms);
+  const holidays = await loadHolidays();
 
   // Get sheet name first
   let sheetName = "DECEMBER"; // Default
   try {
     const sheetsResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+      `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -2715,7 +3663,7 @@ export const createFixedSchedule = async (schedule) => {
     // Read booking table from sheet (rows starting from row 5, columns A-I)
     // Row 4 (index 4) is header, Row 5+ (index 5+) are bookings
     const bookingTableResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${sheetName}!A5:I100`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${sheetName}!A5:${getLastColumn(rooms)}100`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -2728,6 +3676,7 @@ export const createFixedSchedule = async (schedule) => {
       // Check each day in the current month
       for (let day = 1; day <= daysInMonth; day++) {
         const date = new Date(currentYear, currentMonth, day);
+        if (!fixedScheduleTakesPlaceOn(schedule, date, rooms, holidays)) continue;
 
         // Check each booking row
         for (let rowIndex = 0; rowIndex < bookingRows.length; rowIndex++) {
@@ -2744,35 +3693,11 @@ export const createFixedSchedule = async (schedule) => {
           // Get staff name from column C (index 2) - BOOKING STAFF column
           const staffName = (row[2] || "").toString().trim();
 
-          // Check room assignments - column D (index 3) = NHA TRANG, column E (index 4) = DA LAT
-          const nhaTrangValue = (row[3] || "").toString().toUpperCase().trim();
-          const daLatValue = (row[4] || "").toString().toUpperCase().trim();
-          const isNhaTrang =
-            nhaTrangValue !== "" &&
-            (nhaTrangValue === "TRUE" || nhaTrangValue.includes("NHA TRANG"));
-          const isDaLat =
-            daLatValue !== "" &&
-            (daLatValue === "TRUE" || daLatValue.includes("DA LAT"));
-
           // Check if this booking is for the same room
-          const bookingRoomId = isNhaTrang
-            ? "nha-trang"
-            : isDaLat
-            ? "da-lat"
-            : null;
-          if (bookingRoomId !== schedule.room_id) continue;
-
-          // Get times - column F/G (index 5/6) = Morning, column H/I (index 7/8) = Afternoon
-          const mStart = (row[5] || "").toString().trim();
-          const mEnd = (row[6] || "").toString().trim();
-          const aStart = (row[7] || "").toString().trim();
-          const aEnd = (row[8] || "").toString().trim();
-
-          // Check both morning and afternoon slots
-          const timeSlots = [
-            { start: mStart, end: mEnd },
-            { start: aStart, end: aEnd },
-          ];
+          if (!isRoomMarked(row, scheduleRoom)) continue;
+
+          // Check the morning and afternoon slots, or the whole booking when it crosses noon
+          const timeSlots = getRowTimeRanges(row).map(([start, end]) => ({ start, end }));
 
           for (const timeSlot of timeSlots) {
             if (!timeSlot.start || !timeSlot.end) continue;
@@ -2875,6 +3800,9 @@ export const createFixedSchedule = async (schedule) => {
       // Skip if different room
       if (existingSchedule.room_id !== schedule.room_id) continue;
 
+      // Skip if their date ranges don't meet
+      if (!doFixedScheduleRangesOverlap(schedule, existingSchedule)) continue;
+
       // Fixed schedules apply to all days (0-6), so check if times overlap
       const [existingStartHour, existingStartMin] = existingSchedule.start_time
         .split(":")
@@ -2927,7 +3855,7 @@ export const createFixedSchedule = async (schedule) => {
   try {
     // Read a wider range including columns A through I to detect fixed schedules correctly
     const readFullResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${sheetName}!A1:I20`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${sheetName}!A1:${getLastColumn(rooms)}20`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -2938,15 +3866,14 @@ export const createFixedSchedule = async (schedule) => {
       const fullValues = fullData.values || [];
 
       // Find the header row and the last fixed schedule row using full row data
-      // Structure: C=Staff, D=NHA TRANG, E=DA LAT, F/G=Morning times, H/I=Afternoon times
+      // Structure: C=Staff, room columns, F/G=Morning times, H/I=Afternoon times
       let lastFixedScheduleRow = 0;
       for (let i = 0; i < fullValues.length; i++) {
         const fullRow = fullValues[i] || [];
         const colA = (fullRow[0] || "").toString().trim().toUpperCase();
         const colB = (fullRow[1] || "").toString().trim().toUpperCase();
         const colC = (fullRow[2] || "").toString().trim(); // Column C = Staff
-        const colD = (fullRow[3] || "").toString().trim().toUpperCase(); // Column D = NHA TRANG
-        const colE = (fullRow[4] || "").toString().trim().toUpperCase(); // Column E = DA LAT
+        const colD = (fullRow[3] || "").toString().trim().toUpperCase(); // Column D = first room / header label
         const colF = (fullRow[5] || "").toString().trim(); // Column F = Morning start
         const colG = (fullRow[6] || "").toString().trim(); // Column G = Morning end
         const colH = (fullRow[7] || "").toString().trim(); // Column H = Afternoon start
@@ -2966,11 +3893,9 @@ export const createFixedSchedule = async (schedule) => {
         }
 
         // Check if this row has valid fixed schedule data
-        // Must have: Staff (C) AND (NHA TRANG (D) OR DA LAT (E)) AND (Morning times (F/G) OR Afternoon times (H/I))
+        // Must have: Staff (C) AND a room column marked AND (Morning times (F/G) OR Afternoon times (H/I))
         const hasStaff = colC && colC.trim() !== "";
-        const hasRoom =
-          (colD && colD.includes("NHA TRANG")) ||
-          (colE && colE.includes("DA LAT"));
+        const hasRoom = !!findRoomInRow(fullRow, rooms);
         const hasMorningTimes =
           (colF && colF.match(/\d{1,2}:\d{2}/)) ||
           (colG && colG.match(/\d{1,2}:\d{2}/));
@@ -3052,16 +3977,13 @@ export const createFixedSchedule = async (schedule) => {
 
   // CORRECT STRUCTURE:
   // C = Staff
-  // D = NHA TRANG (if room is nha-trang, write "NHA TRANG", otherwise clear)
-  // E = DA LAT (if room is da-lat, write "DA LAT", otherwise clear)
+  // Room columns from the ROOMS sheet: the schedule's room gets its marker
+  // (e.g. "NHA TRANG" in D), every other room column is cleared
   // F = Morning start time (if start < 12:00, otherwise clear)
   // G = Morning end time (if end < 12:00, otherwise clear)
   // H = Afternoon start time (if start >= 12:00, otherwise clear)
   // I = Afternoon end time (if end >= 12:00, otherwise clear)
 
-  const nhaTrangValue = schedule.room_id === "nha-trang" ? "NHA TRANG" : "";
-  const daLatValue = schedule.room_id === "da-lat" ? "DA LAT" : "";
-
   // Start and end times are INDEPENDENT - each goes to its own column
   const morningStart = startIsMorning ? schedule.start_time : ""; // F if morning start
   const morningEnd = endIsMorning ? schedule.end_time : ""; // G if morning end
@@ -3147,7 +4069,7 @@ export const createFixedSchedule = async (schedule) => {
     });
   }
 
-  // Write Staff (C), NHA TRANG (D), DA LAT (E)
+  // Write Staff (C)
   requests.push({
     updateCells: {
       range: {
@@ -3155,14 +4077,12 @@ export const createFixedSchedule = async (schedule) => {
         startRowIndex: insertRowIndex - 1, // Convert to 0-based (row 2 = index 1, row 3 = index 2)
         endRowIndex: insertRowIndex,
         startColumnIndex: 2, // Column C (0-based: 2)
-        endColumnIndex: 5, // Column E (0-based: 5, exclusive) - writes to C, D, E
+        endColumnIndex: 3, // Column C only
       },
       rows: [
         {
           values: [
             { userEnteredValue: { stringValue: staffName } }, // Column C (index 2)
-            { userEnteredValue: { stringValue: nhaTrangValue } }, // Column D (index 3)
-            { userEnteredValue: { stringValue: daLatValue } }, // Column E (index 4)
           ],
         },
       ],
@@ -3170,6 +4090,11 @@ export const createFixedSchedule = async (schedule) => {
     },
   });
 
+  // Write the room columns
+  requests.push(
+    ...buildRoomCellRequests(gid, insertRowIndex - 1, schedule.room_id, rooms)
+  );
+
   // Write Morning times (F, G) - always write (empty string clears if not morning)
   requests.push({
     updateCells: {
@@ -3214,8 +4139,13 @@ export const createFixedSchedule = async (schedule) => {
     },
   });
 
+  // Write the date bounds (hidden column Z)
+  requests.push(
+    ...buildFixedScheduleDatesRequests(gid, insertRowIndex - 1, schedule)
+  );
+
   const response = await fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+    `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
     {
       method: "POST",
       headers: {
@@ -3244,12 +4174,20 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
   // Read directly from the sheet to get accurate staff names
   const accessToken = await getAccessToken();
   const gid = await getCurrentMonthSheetGID();
+  const rooms = await loadRooms();
+  const scheduleRoom = rooms.find((room) => room.id === schedule.room_id);
+  if (!scheduleRoom) {
+    throw createUnknownRoomError(schedule.room_id);
+  }
+  validateFixedScheduleDates(schedule);
+  assertFixedScheduleFitsWorkingHours(schedule, rooms);
+  const holidays = await loadHolidays();
 
   // Get sheet name first
   let sheetName = "DECEMBER"; // Default
   try {
     const sheetsResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+      `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -3283,7 +4221,7 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
     // Read booking table from sheet (rows starting from row 5, columns A-I)
     // Row 4 (index 4) is header, Row 5+ (index 5+) are bookings
     const bookingTableResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${sheetName}!A5:I100`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${sheetName}!A5:${getLastColumn(rooms)}100`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -3296,6 +4234,7 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
       // Check each day in the current month
       for (let day = 1; day <= daysInMonth; day++) {
         const date = new Date(currentYear, currentMonth, day);
+        if (!fixedScheduleTakesPlaceOn(schedule, date, rooms, holidays)) continue;
 
         // Check each booking row
         for (let rowIndex = 0; rowIndex < bookingRows.length; rowIndex++) {
@@ -3312,35 +4251,11 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
           // Get staff name from column C (index 2) - BOOKING STAFF column
           const staffName = (row[2] || "").toString().trim();
 
-          // Check room assignments - column D (index 3) = NHA TRANG, column E (index 4) = DA LAT
-          const nhaTrangValue = (row[3] || "").toString().toUpperCase().trim();
-          const daLatValue = (row[4] || "").toString().toUpperCase().trim();
-          const isNhaTrang =
-            nhaTrangValue !== "" &&
-            (nhaTrangValue === "TRUE" || nhaTrangValue.includes("NHA TRANG"));
-          const isDaLat =
-            daLatValue !== "" &&
-            (daLatValue === "TRUE" || daLatValue.includes("DA LAT"));
-
           // Check if this booking is for the same room
-          const bookingRoomId = isNhaTrang
-            ? "nha-trang"
-            : isDaLat
-            ? "da-lat"
-            : null;
-          if (bookingRoomId !== schedule.room_id) continue;
-
-          // Get times - column F/G (index 5/6) = Morning, column H/I (index 7/8) = Afternoon
-          const mStart = (row[5] || "").toString().trim();
-          const mEnd = (row[6] || "").toString().trim();
-          const aStart = (row[7] || "").toString().trim();
-          const aEnd = (row[8] || "").toString().trim();
-
-          // Check both morning and afternoon slots
-          const timeSlots = [
-            { start: mStart, end: mEnd },
-            { start: aStart, end: aEnd },
-          ];
+          if (!isRoomMarked(row, scheduleRoom)) continue;
+
+          // Check the morning and afternoon slots, or the whole booking when it crosses noon
+          const timeSlots = getRowTimeRanges(row).map(([start, end]) => ({ start, end }));
 
           for (const timeSlot of timeSlots) {
             if (!timeSlot.start || !timeSlot.end) continue;
@@ -3452,6 +4367,9 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
       // Skip if different room
       if (existingSchedule.room_id !== schedule.room_id) continue;
 
+      // Skip if their date ranges don't meet
+      if (!doFixedScheduleRangesOverlap(schedule, existingSchedule)) continue;
+
       // Skip if this is the schedule being updated (same row)
       if (existingSchedule.row === rowNum) continue;
 
@@ -3499,7 +4417,7 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
   if (!sheetName || sheetName === "DECEMBER") {
     try {
       const sheetsResponse = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+        `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
         {
           headers: { Authorization: `Bearer ${accessToken}` },
         }
@@ -3543,16 +4461,13 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
 
   // CORRECT STRUCTURE:
   // C = Staff
-  // D = NHA TRANG (if room is nha-trang, write "NHA TRANG", otherwise clear)
-  // E = DA LAT (if room is da-lat, write "DA LAT", otherwise clear)
+  // Room columns from the ROOMS sheet: the schedule's room gets its marker
+  // (e.g. "NHA TRANG" in D), every other room column is cleared
   // F = Morning start time (if start < 12:00, otherwise clear)
   // G = Morning end time (if end < 12:00, otherwise clear)
   // H = Afternoon start time (if start >= 12:00, otherwise clear)
   // I = Afternoon end time (if end >= 12:00, otherwise clear)
 
-  const nhaTrangValue = schedule.room_id === "nha-trang" ? "NHA TRANG" : "";
-  const daLatValue = schedule.room_id === "da-lat" ? "DA LAT" : "";
-
   // Start and end times are INDEPENDENT - each goes to its own column
   const morningStart = startIsMorning ? schedule.start_time : ""; // F if morning start
   const morningEnd = endIsMorning ? schedule.end_time : ""; // G if morning end
@@ -3560,7 +4475,7 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
   const afternoonEnd = !endIsMorning ? schedule.end_time : ""; // I if afternoon end
 
   const requests = [
-    // Write Staff (C), NHA TRANG (D), DA LAT (E)
+    // Write Staff (C)
     {
       updateCells: {
         range: {
@@ -3568,20 +4483,20 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
           startRowIndex: rowNum - 1, // Convert to 0-based
           endRowIndex: rowNum,
           startColumnIndex: 2, // Column C (0-based: 2)
-          endColumnIndex: 5, // Column E (0-based: 5, exclusive) - writes to C, D, E
+          endColumnIndex: 3, // Column C only
         },
         rows: [
           {
             values: [
               { userEnteredValue: { stringValue: staffName } }, // Column C (index 2)
-              { userEnteredValue: { stringValue: nhaTrangValue } }, // Column D (index 3)
-              { userEnteredValue: { stringValue: daLatValue } }, // Column E (index 4)
             ],
           },
         ],
         fields: "userEnteredValue", // Only update values, preserve existing cell styles
       },
     },
+    // Write the room columns
+    ...buildRoomCellRequests(gid, rowNum - 1, schedule.room_id, rooms),
     // Write Morning times (F, G) - always write (empty string clears if not morning)
     {
       updateCells: {
@@ -3624,14 +4539,16 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
         fields: "userEnteredValue", // Only update values, preserve existing cell styles
       },
     },
+    // Write the date bounds (hidden column Z)
+    ...buildFixedScheduleDatesRequests(gid, rowNum - 1, schedule),
   ];
 
   console.log(
-    `📤 Writing to row ${rowNum} using CORRECT structure: C=Staff, D=NHA TRANG, E=DA LAT, F/G=Morning, H/I=Afternoon:`,
+    `📤 Writing to row ${rowNum} using CORRECT structure: C=Staff, room columns, F/G=Morning, H/I=Afternoon:`,
     {
       "Column C (Staff)": staffName,
-      "Column D (NHA TRANG)": nhaTrangValue || "(empty)",
-      "Column E (DA LAT)": daLatValue || "(empty)",
+      [`Column ${scheduleRoom.sheet_column} (${getRoomMarker(scheduleRoom)})`]:
+        getRoomMarker(scheduleRoom),
       "Column F (Morning Start)": morningStart || "(empty)",
       "Column G (Morning End)": morningEnd || "(empty)",
       "Column H (Afternoon Start)": afternoonStart || "(empty)",
@@ -3648,11 +4565,11 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
     `📤 Schedule ID: ${scheduleId}, Row: ${rowNum}, GID: ${gid}, Sheet: ${sheetName}`
   );
 
-  // First clear the range to remove any old data (C through I)
-  // This ensures old values are completely removed before writing new ones
-  const clearRange = `${sheetName}!C${rowNum}:I${rowNum}`;
+  // First clear the range to remove any old data (C through the last room column
+  // and the date bounds). This ensures old values are completely removed before writing new ones
+  const clearRange = `${sheetName}!C${rowNum}:${getReadColumn(rooms)}${rowNum}`;
   const clearResponse = await fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${clearRange}:clear`,
+    `${SHEETS_API_URL}/${SHEET_ID}/values/${clearRange}:clear`,
     {
       method: "POST",
       headers: {
@@ -3674,7 +4591,7 @@ export const updateFixedSchedule = async (scheduleId, schedule) => {
 
   // Then write using batchUpdate
   const response = await fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+    `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
     {
       method: "POST",
       headers: {
@@ -3706,12 +4623,21 @@ export const deleteFixedSchedule = async (scheduleId) => {
 
   const accessToken = await getAccessToken();
   const gid = await getCurrentMonthSheetGID();
+  const rooms = await loadRooms();
+  const lastColumn = getReadColumn(rooms);
+  // Columns C through the last room column and the date bounds, as a 0-based exclusive end index
+  const endColumnIndex =
+    Math.max(getLastColumnIndex(rooms), FIXED_SCHEDULE_DATES_COLUMN_INDEX) + 1;
+  const emptyRowValues = () =>
+    Array.from({ length: endColumnIndex - 2 }, () => ({
+      userEnteredValue: { stringValue: "" },
+    }));
 
   // Get sheet name
   let sheetName = "DECEMBER"; // Default
   try {
     const sheetsResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+      `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -3736,9 +4662,9 @@ export const deleteFixedSchedule = async (scheduleId) => {
   try {
     // Read a range that includes fixed schedule rows and the header row
     // Fixed schedules can expand, so read more rows to find the header (rows 1-20)
-    // Read columns C through I to include all fixed schedule data
+    // Read columns C through the last room column and the date bounds to include all fixed schedule data
     const readResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${sheetName}!C1:I20`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${sheetName}!C1:${lastColumn}20`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -3754,6 +4680,7 @@ export const deleteFixedSchedule = async (scheduleId) => {
         const row = values[i] || [];
         const staff = (row[0] || "").toString().trim().toUpperCase(); // Column C
         const room = (row[1] || "").toString().trim().toUpperCase(); // Column D (index 1 in C:I range)
+        const hasRoom = !!findRoomInRow(["", "", ...row], rooms); // Shift back to A-based indexes
         const morningStart = (row[3] || "").toString().trim(); // Column F (index 3 in C:I range)
         const morningEnd = (row[4] || "").toString().trim(); // Column G (index 4 in C:I range)
         const afternoonStart = (row[5] || "").toString().trim(); // Column H (index 5 in C:I range)
@@ -3778,11 +4705,9 @@ export const deleteFixedSchedule = async (scheduleId) => {
         // Check if this row has valid fixed schedule data
         if (
           staff &&
-          room &&
+          hasRoom &&
           hasTime &&
           staff !== "" &&
-          room !== "" &&
-          !room.includes("MEETING ROOM") &&
           staff !== "BOOKING STAFF"
         ) {
           lastFixedScheduleRow = i + 1; // Convert to 1-based (i=0 is row 1, i=1 is row 2)
@@ -3817,7 +4742,7 @@ export const deleteFixedSchedule = async (scheduleId) => {
     ) {
       const targetRow = sourceRow - 1; // The row to write to (one row up)
       const sourceIndex = sourceRow - 1; // Convert to 0-based index for array
-      const sourceRowData = allRowsData[sourceIndex] || ["", "", "", "", ""];
+      const sourceRowData = allRowsData[sourceIndex] || [];
 
       console.log(
         `📋 Shifting row ${sourceRow} to row ${targetRow}:`,
@@ -3832,19 +4757,15 @@ export const deleteFixedSchedule = async (scheduleId) => {
             startRowIndex: targetRow - 1, // Convert to 0-based (row 1 = index 0)
             endRowIndex: targetRow,
             startColumnIndex: 2, // Column C
-            endColumnIndex: 9, // Column I (0-based: 9, exclusive) - includes C, D, E, F, G, H, I
+            endColumnIndex, // Through the date bounds column - includes C..I, any extra rooms and Z
           },
           rows: [
             {
-              values: [
-                { userEnteredValue: { stringValue: sourceRowData[0] || "" } }, // Column C
-                { userEnteredValue: { stringValue: sourceRowData[1] || "" } }, // Column D
-                { userEnteredValue: { stringValue: sourceRowData[2] || "" } }, // Column E
-                { userEnteredValue: { stringValue: sourceRowData[3] || "" } }, // Column F
-                { userEnteredValue: { stringValue: sourceRowData[4] || "" } }, // Column G
-                { userEnteredValue: { stringValue: sourceRowData[5] || "" } }, // Column H
-                { userEnteredValue: { stringValue: sourceRowData[6] || "" } }, // Column I
-              ],
+              values: Array.from({ length: endColumnIndex - 2 }, (_, k) => ({
+                userEnteredValue: {
+                  stringValue: (sourceRowData[k] || "").toString(),
+                },
+              })),
             },
           ],
           fields: "userEnteredValue", // Only update values, preserve existing cell styles
@@ -3863,26 +4784,14 @@ export const deleteFixedSchedule = async (scheduleId) => {
           startRowIndex: lastFixedScheduleRow - 1, // Convert to 0-based
           endRowIndex: lastFixedScheduleRow,
           startColumnIndex: 2, // Column C
-          endColumnIndex: 9, // Column I (0-based: 9, exclusive) - includes C, D, E, F, G, H, I
+          endColumnIndex, // Through the date bounds column
         },
-        rows: [
-          {
-            values: [
-              { userEnteredValue: { stringValue: "" } }, // Column C
-              { userEnteredValue: { stringValue: "" } }, // Column D
-              { userEnteredValue: { stringValue: "" } }, // Column E
-              { userEnteredValue: { stringValue: "" } }, // Column F
-              { userEnteredValue: { stringValue: "" } }, // Column G
-              { userEnteredValue: { stringValue: "" } }, // Column H
-              { userEnteredValue: { stringValue: "" } }, // Column I
-            ],
-          },
-        ],
+        rows: [{ values: emptyRowValues() }],
         fields: "userEnteredValue", // Only update values, preserve existing cell styles
       },
     });
   } else {
-    // No rows to shift, just clear the deleted row (columns C through I)
+    // No rows to shift, just clear the deleted row (columns C through the date bounds column)
     requests.push({
       updateCells: {
         range: {
@@ -3890,28 +4799,16 @@ export const deleteFixedSchedule = async (scheduleId) => {
           startRowIndex: rowNum - 1, // Convert to 0-based
           endRowIndex: rowNum,
           startColumnIndex: 2, // Column C
-          endColumnIndex: 9, // Column I (0-based: 9, exclusive) - includes C, D, E, F, G, H, I
+          endColumnIndex, // Through the date bounds column
         },
-        rows: [
-          {
-            values: [
-              { userEnteredValue: { stringValue: "" } }, // Column C
-              { userEnteredValue: { stringValue: "" } }, // Column D
-              { userEnteredValue: { stringValue: "" } }, // Column E
-              { userEnteredValue: { stringValue: "" } }, // Column F
-              { userEnteredValue: { stringValue: "" } }, // Column G
-              { userEnteredValue: { stringValue: "" } }, // Column H
-              { userEnteredValue: { stringValue: "" } }, // Column I
-            ],
-          },
-        ],
+        rows: [{ values: emptyRowValues() }],
         fields: "userEnteredValue", // Only update values, preserve existing cell styles
       },
     });
   }
 
   const response = await fetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+    `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
     {
       method: "POST",
       headers: {
@@ -3934,17 +4831,33 @@ export const deleteFixedSchedule = async (scheduleId) => {
 };
 
 // ==========================================
-// NETWORK AUTHENTICATION (Dynamic IP Guard)
+// SHEET HELPERS
 // ==========================================
 
-const NETWORKS_SHEET_TITLE = "AUTHORIZED_NETWORKS";
+// Sheets API request for this spreadsheet, JSON in and out.
+// path: "values/<range>...", ":batchUpdate" or "?fields=..."
+const sheetsRequest = async (path, { method = "GET", body } = {}) => {
+  const accessToken = await getAccessToken();
+  const separator = /^[:?]/.test(path) ? "" : "/";
+  const response = await fetch(`${SHEETS_API_URL}/${SHEET_ID}${separator}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) throw new Error(`Sheets request failed: ${await response.text()}`);
+  return response.json();
+};
 
-// Ensure the AUTHORIZED_NETWORKS sheet exists, create if not
-const ensureNetworksSheet = async (accessToken) => {
+// Ensure a sheet with this title exists, creating it with a header row if not.
+// Returns its sheetId.
+const ensureSheet = async (accessToken, title, header) => {
   try {
     // 1. Get Spreadsheet Metadata to check sheets
     const metaResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+      `${SHEETS_API_URL}/${SHEET_ID}?fields=sheets.properties`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
       }
@@ -3952,14 +4865,14 @@ const ensureNetworksSheet = async (accessToken) => {
     
     if (!metaResponse.ok) throw new Error("Failed to fetch spreadsheet metadata");
     const meta = await metaResponse.json();
-    const existing = meta.sheets.find(s => s.properties.title === NETWORKS_SHEET_TITLE);
+    const existing = meta.sheets.find(s => s.properties.title === title);
     
     if (existing) return existing.properties.sheetId;
 
     // 2. Create if missing
-    console.log(`Creating sheet: ${NETWORKS_SHEET_TITLE}...`);
+    console.log(`Creating sheet: ${title}...`);
     const createResponse = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+      `${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`,
       {
         method: "POST",
         headers: {
@@ -3970,8 +4883,8 @@ const ensureNetworksSheet = async (accessToken) => {
           requests: [{
             addSheet: {
               properties: {
-                title: NETWORKS_SHEET_TITLE,
-                gridProperties: { rowCount: 1000, columnCount: 5 }
+                title,
+                gridProperties: { rowCount: 1000, columnCount: Math.max(header.length, 5) }
               }
             }
           }]
@@ -3979,13 +4892,13 @@ const ensureNetworksSheet = async (accessToken) => {
       }
     );
     
-    if (!createResponse.ok) throw new Error("Failed to create networks sheet");
+    if (!createResponse.ok) throw new Error(`Failed to create ${title} sheet`);
     const createResult = await createResponse.json();
     const newSheetId = createResult.replies[0].addSheet.properties.sheetId;
     
     // 3. Add Header Row
     await fetch(
-       `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${NETWORKS_SHEET_TITLE}!A1:C1:append?valueInputOption=USER_ENTERED`,
+       `${SHEETS_API_URL}/${SHEET_ID}/values/${title}!A1:${columnIndexToLetter(header.length - 1)}1:append?valueInputOption=USER_ENTERED`,
        {
          method: "POST",
          headers: {
@@ -3993,7 +4906,7 @@ const ensureNetworksSheet = async (accessToken) => {
            "Content-Type": "application/json",
          },
          body: JSON.stringify({
-            values: [["IP Address", "Date Authorized", "User Agent"]]
+            values: [header]
          })
        }
     );
@@ -4001,16 +4914,834 @@ const ensureNetworksSheet = async (accessToken) => {
     return newSheetId;
 
   } catch (e) {
-    console.error("Error ensuring networks sheet:", e);
+    console.error(`Error ensuring ${title} sheet:`, e);
     throw e;
   }
 };
 
+// ==========================================
+// MONTH SHEETS
+// ==========================================
+// A booking for a month without a sheet creates one (MONTH_SHEET_CREATION=auto):
+// the TEMPLATE sheet, or else the latest earlier month sheet, is duplicated under
+// the new month's name ("NOVEMBER 2026"). The copy keeps the title row, the fixed
+// schedule rows and the DATE/DAY header; the booking rows below are cleared and
+// the month named in the title row is replaced.
+const TEMPLATE_SHEET_TITLE = "TEMPLATE";
+
+const rememberMonthSheetGID = (date, gid) => {
+  const monthKey = format(date, "yyyy-MM");
+  if (monthKey === format(new Date(), "yyyy-MM")) {
+    gidCache.currentMonth = gid;
+    gidCache.currentMonthKey = monthKey;
+  } else {
+    gidCache.futureMonths[monthKey] = gid;
+  }
+};
+
+// Properties of the sheet a new month is copied from, null if there is none
+const findMonthSheetSource = async (sheets, date) => {
+  const template = sheets.find(
+    (s) => (s.properties?.title || "").trim().toUpperCase() === TEMPLATE_SHEET_TITLE
+  );
+  if (template) return template.properties;
+
+  const currentMonth = startOfMonth(new Date());
+  for (
+    let sheetMonth = addMonths(startOfMonth(date), -1), lookback = 0;
+    lookback < MAX_MONTH_SHEET_LOOKBACK;
+    sheetMonth = addMonths(sheetMonth, -1), lookback++
+  ) {
+    try {
+      const gid = await getMonthSheetGID(sheetMonth);
+      const sheet = sheets.find((s) => String(s.properties?.sheetId) === String(gid));
+      if (sheet) return sheet.properties;
+    } catch {
+      // No sheet for this month either
+    }
+    if (sheetMonth <= currentMonth) break;
+  }
+  return null;
+};
+
+// Create the sheet for the month containing `month` (any Date in it) unless it
+// already exists. Returns { gid, title, created }.
+export const createMonthSheet = async (month) => {
+  const date = startOfMonth(new Date(month));
+  const title = getMonthSheetTitle(date);
+  try {
+    return { gid: await getMonthSheetGID(date), title, created: false };
+  } catch (error) {
+    if (error.code !== MONTH_SHEET_MISSING) throw error;
+  }
+
+  const { sheets = [] } = await sheetsRequest("?fields=sheets.properties");
+  const source = await findMonthSheetSource(sheets, date);
+  if (!source) {
+    throw new Error(
+      `Cannot create the ${title} sheet: there is no ${TEMPLATE_SHEET_TITLE} or earlier month sheet to copy`
+    );
+  }
+  console.log(`📄 Creating sheet "${title}" from "${source.title}"...`);
+
+  const { replies = [] } = await sheetsRequest(":batchUpdate", {
+    method: "POST",
+    body: {
+      requests: [
+        {
+          duplicateSheet: {
+            sourceSheetId: source.sheetId,
+            insertSheetIndex: (source.index ?? sheets.length - 1) + 1,
+            newSheetName: title,
+          },
+        },
+      ],
+    },
+  });
+  const gid = String(replies[0]?.duplicateSheet?.properties?.sheetId);
+  const safeSheetName = `'${title}'`;
+
+  // Keep everything down to the DATE/DAY header (and its START/END row), clear the bookings
+  const { values: rows = [] } = await sheetsRequest(
+    `values/${safeSheetName}!A1:${BOOKING_ID_COLUMN}?t=${Date.now()}`
+  );
+  const headerIndex = rows.findIndex(
+    (row) =>
+      (row[0] || "").toString().trim().toUpperCase() === "DATE" &&
+      (row[1] || "").toString().trim().toUpperCase() === "DAY"
+  );
+  let firstBookingIndex = headerIndex + 1;
+  if (headerIndex >= 0 && (rows[firstBookingIndex]?.[5] || "").toString().trim().toUpperCase() === "START") {
+    firstBookingIndex++;
+  }
+  if (headerIndex >= 0 && rows.length > firstBookingIndex) {
+    await sheetsRequest(
+      `values/${safeSheetName}!A${firstBookingIndex + 1}:${BOOKING_ID_COLUMN}:clear`,
+      { method: "POST" }
+    );
+  }
+
+  // "OCTOBER Fixed Daily Booking" -> "NOVEMBER Fixed Daily Booking"
+  const titleCell = (rows[0]?.[0] || "").toString();
+  const sourceMonthIndex = getSheetMonthIndex(titleCell);
+  if (sourceMonthIndex !== -1) {
+    const newTitleCell = titleCell.replace(
+      new RegExp(MONTH_NAMES[sourceMonthIndex], "i"),
+      MONTH_NAMES[date.getMonth()]
+    );
+    await sheetsRequest(":batchUpdate", {
+      method: "POST",
+      body: {
+        requests: [
+          {
+            updateCells: {
+              range: {
+                sheetId: parseInt(gid),
+                startRowIndex: 0,
+                endRowIndex: 1,
+                startColumnIndex: 0,
+                endColumnIndex: 1,
+              },
+              rows: [{ values: [{ userEnteredValue: { stringValue: newTitleCell } }] }],
+              fields: "userEnteredValue",
+            },
+          },
+        ],
+      },
+    });
+  }
+
+  rememberMonthSheetGID(date, gid);
+  console.log(`✅ Created sheet "${title}" (GID: ${gid})`);
+  return { gid, title, created: true };
+};
+
+// getMonthSheetGID for writes: a missing month sheet is created when
+// MONTH_SHEET_CREATION is "auto", otherwise the MONTH_SHEET_MISSING error stands
+const getOrCreateMonthSheetGID = async (date) => {
+  try {
+    return await getMonthSheetGID(date);
+  } catch (error) {
+    if (error.code !== MONTH_SHEET_MISSING || MONTH_SHEET_CREATION !== "auto") throw error;
+    const { gid } = await createMonthSheet(date);
+    return gid;
+  }
+};
+
+// ==========================================
+// RECURRING BOOKINGS
+// ==========================================
+// Each series is one row of the RECURRING sheet: ID, room, staff, first date,
+// start, end, RRULE and exception dates (see utils/recurrence.js). fetchBookings
+// expands them into occurrences with "<seriesId>@<yyyy-MM-dd>" IDs; updateBooking
+// and deleteBooking route those IDs here with a scope of this / following / all.
+const RECURRING_SHEET_TITLE = "RECURRING";
+const RECURRING_HEADER = [
+  "ID", "Room", "Staff", "First Date", "Start", "End", "Rule", "Exceptions", "Approval", "Attendance",
+];
+const RECURRING_LAST_COLUMN = columnIndexToLetter(RECURRING_HEADER.length - 1);
+const SERIES_ID_PREFIX = "rs_";
+
+const seriesToRow = (series) => [
+  series.id,
+  series.room_id,
+  series.staff,
+  series.start_date,
+  series.start_time,
+  series.end_time,
+  series.rrule,
+  (series.exdates || []).join(","),
+  formatApproval(series.approval),
+  formatSeriesAttendance(series.attendance),
+];
+
+// rowNumber is the 1-based sheet row, used to write the series back
+const rowToSeries = (row, rowNumber) => ({
+  id: (row[0] || "").trim(),
+  room_id: (row[1] || "").trim(),
+  staff: (row[2] || "").trim(),
+  start_date: (row[3] || "").trim(),
+  start_time: (row[4] || "").trim(),
+  end_time: (row[5] || "").trim(),
+  rrule: (row[6] || "").trim(),
+  exdates: (row[7] || "").split(",").map(d => d.trim()).filter(Boolean),
+  approval: parseApproval(row[8]),
+  attendance: parseSeriesAttendance(row[9]),
+  rowNumber,
+});
+
+// Every series in the RECURRING sheet, rejected ones left out; none when the sheet
+// doesn't exist yet
+const loadRecurringSeries = async () => {
+  if (!SHEET_ID) return [];
+  const accessToken = await getAccessToken();
+  const response = await fetch(
+    `${SHEETS_API_URL}/${SHEET_ID}/values/${RECURRING_SHEET_TITLE}!A2:${RECURRING_LAST_COLUMN}?t=${Date.now()}`,
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      cache: "no-store",
+    }
+  );
+  if (!response.ok) return [];
+  const data = await response.json();
+  return (data.values || [])
+    .map((row, index) => rowToSeries(row, index + 2))
+    .filter(series => series.id.startsWith(SERIES_ID_PREFIX)) // Cleared rows are left empty
+    .filter(series => !isRejected(series));
+};
+
+// Occurrences of every series between from and to (inclusive days), holidays left out.
+// A failed lookup shows no recurring bookings rather than none at all.
+const fetchRecurringBookings = async (from, to) => {
+  try {
+    const holidays = await loadHolidays();
+    return getSeriesBookings(await loadRecurringSeries(), { from, to }).filter(
+      occurrence => !isHoliday(holidays, new Date(occurrence.start_time))
+    );
+  } catch (error) {
+    console.warn("⚠️ Failed to load recurring bookings:", error);
+    return [];
+  }
+};
+
+// Throws a BOOKING_CONFLICT error if a recurring occurrence in the room overlaps start-end
+const assertNoRecurringConflict = async (roomId, start, end, { ignoreId = null } = {}) => {
+  const occurrences = withoutNoShows(await fetchRecurringBookings(start, end), CHECK_IN);
+  const conflict = findConflictingBooking(occurrences, { room_id: roomId, start, end, ignoreId });
+  if (conflict) {
+    console.warn(`⛔ Booking overlaps recurring ${conflict.id} (${conflict.requested_by})`);
+    throw createBookingConflictError(conflict);
+  }
+};
+
+// Checks every occurrence of a series against the room's working hours, blackouts and
+// booking policy, and the bookings of its month, leaving out the series being replaced.
+// previous: the series an update replaces, so unchanged occurrences keep their times.
+// Occurrences on holidays don't take place, so they don't count.
+const assertSeriesIsFree = async (series, { ignoreSeriesId = null, previous = null } = {}) => {
+  const holidays = await loadHolidays();
+  const occurrences = getSeriesBookings([series]).filter(
+    occurrence => !isHoliday(holidays, new Date(occurrence.start_time))
+  );
+
+  // Every occurrence must fall in the room's working hours, outside its blackouts
+  const room = (await loadRooms()).find(r => r.id === series.room_id);
+  const blackouts = await loadBlackouts();
+  occurrences.forEach((occurrence) => {
+    const start = new Date(occurrence.start_time);
+    const end = new Date(occurrence.end_time);
+    assertWithinWorkingHours(WORKING_HOURS, room, start, end);
+    if (room) assertNoBlackout(blackouts, room, start, end);
+  });
+  if (room) {
+    await assertSeriesWithinBookingPolicy(room, series, occurrences, { ignoreSeriesId, previous });
+  }
+
+  const byMonth = new Map();
+  occurrences.forEach((occurrence) => {
+    const key = format(new Date(occurrence.start_time), "yyyy-MM");
+    byMonth.set(key, [...(byMonth.get(key) || []), occurrence]);
+  });
+
+  for (const [key, monthOccurrences] of byMonth) {
+    const existing = withoutNoShows(await fetchBookings(parseISO(`${key}-01`)), CHECK_IN).filter(
+      booking => !booking.series_id || (booking.series_id !== ignoreSeriesId && booking.series_id !== series.id)
+    );
+    for (const occurrence of monthOccurrences) {
+      const conflict = findConflictingBooking(existing, {
+        room_id: occurrence.room_id,
+        start: occurrence.start_time,
+        end: occurrence.end_time,
+      });
+      if (conflict) {
+        console.warn(`⛔ Occurrence ${occurrence.id} overlaps ${conflict.id} (${conflict.requested_by})`);
+        throw createBookingConflictError(conflict);
+      }
+    }
+  }
+  return occurrences.length;
+};
+
+// RAW keeps dates and times as the exact strings we parse back
+const appendSeries = (series) =>
+  sheetsRequest(
+    `values/${RECURRING_SHEET_TITLE}!A:${RECURRING_LAST_COLUMN}:append?valueInputOption=RAW`,
+    { method: "POST", body: { values: [seriesToRow(series)] } }
+  );
+
+const writeSeries = (series) =>
+  sheetsRequest(
+    `values/${RECURRING_SHEET_TITLE}!A${series.rowNumber}:${RECURRING_LAST_COLUMN}${series.rowNumber}?valueInputOption=RAW`,
+    { method: "PUT", body: { values: [seriesToRow(series)] } }
+  );
+
+const clearSeries = (series) =>
+  sheetsRequest(
+    `values/${RECURRING_SHEET_TITLE}!A${series.rowNumber}:${RECURRING_LAST_COLUMN}${series.rowNumber}:clear`,
+    { method: "POST", body: {} }
+  );
+
+// createBooking with booking.recurrence set (an RRULE) lands here
+const createRecurringBooking = async (booking, { ignoreSeriesId = null } = {}) => {
+  const rooms = await loadRooms();
+  const room = rooms.find(r => r.id === booking.room_id);
+  if (!room) {
+    throw createUnknownRoomError(booking.room_id);
+  }
+
+  const series = {
+    ...toSeries(generateId(SERIES_ID_PREFIX), booking),
+    approval: room.requires_approval ? createPendingApproval() : null,
+  };
+  validateSeries(series);
+  const occurrences = await assertSeriesIsFree(series, { ignoreSeriesId });
+
+  const accessToken = await getAccessToken();
+  await ensureSheet(accessToken, RECURRING_SHEET_TITLE, RECURRING_HEADER);
+  await appendSeries(series);
+  console.log(`🔁 Recurring booking ${series.id} created (${series.rrule}, ${occurrences} occurrences)`);
+
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return {
+    success: true,
+    id: series.id,
+    series_id: series.id,
+    occurrences,
+    ...(series.approval ? { approval: series.approval } : {}),
+  };
+};
+
+// The series and the occurrence an occurrence ID points at; BOOKING_MODIFIED if
+// it no longer exists or differs from what the editor loaded
+const findOccurrence = async (occurrenceId, expected = null) => {
+  const { seriesId, date } = parseOccurrenceId(occurrenceId);
+  const series = (await loadRecurringSeries()).find(s => s.id === seriesId);
+  const exists = series && getOccurrenceDates(series, { from: parseISO(date), to: parseISO(date) }).length > 0;
+  if (!exists) throw createBookingModifiedError();
+
+  const current = toOccurrenceBooking(series, date);
+  if (expected && !isSameBooking(current, expected)) {
+    throw createBookingModifiedError(current);
+  }
+  return { series, date, current };
+};
+
+// Store a planned series: write it back in its row, or clear the row when it is gone
+const saveSeries = (series, rowNumber) =>
+  series ? writeSeries({ ...series, rowNumber }) : clearSeries({ rowNumber });
+
+const updateRecurringBooking = async (
+  occurrenceId,
+  newBookingData,
+  { expected = null, scope = RECURRENCE_SCOPES.THIS } = {}
+) => {
+  const { series, date, current } = await findOccurrence(occurrenceId, expected);
+  const plan = planOccurrenceUpdate(series, date, newBookingData, scope, generateId(SERIES_ID_PREFIX));
+
+  // This one: it leaves the series and becomes an ordinary booking
+  if (plan.booking) {
+    const result = await createBooking(plan.booking, { ignoreBookingId: occurrenceId, previous: current });
+    await saveSeries(plan.series, series.rowNumber);
+    removeFromCache(CACHE_KEYS.BOOKINGS);
+    return { ...result, updated: true };
+  }
+
+  const rooms = await loadRooms();
+  const changed = plan.added || plan.series;
+  const room = rooms.find(r => r.id === changed.room_id);
+  if (!room) {
+    throw createUnknownRoomError(changed.room_id);
+  }
+  changed.approval = getSeriesApprovalFor(room, changed, series);
+
+  if (plan.added) {
+    // This and following: the old series ends the day before, the rest is a new series
+    await assertSeriesIsFree(plan.added, { ignoreSeriesId: series.id, previous: series });
+    await appendSeries(plan.added);
+    await saveSeries(plan.series, series.rowNumber);
+    console.log(`🔁 Recurring booking ${series.id} split at ${date} into ${plan.added.id}`);
+  } else {
+    await assertSeriesIsFree(plan.series, { previous: series });
+    await saveSeries(plan.series, series.rowNumber);
+    console.log(`🔁 Recurring booking ${series.id} updated (all occurrences)`);
+  }
+
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return {
+    success: true,
+    updated: true,
+    id: changed.id,
+    series_id: changed.id,
+    ...(changed.approval ? { approval: changed.approval } : {}),
+  };
+};
+
+const deleteRecurringBooking = async (occurrenceId, { scope = RECURRENCE_SCOPES.THIS } = {}) => {
+  const { series, date } = await findOccurrence(occurrenceId);
+  await saveSeries(planOccurrenceDelete(series, date, scope), series.rowNumber);
+  console.log(`🗑️ Recurring booking ${occurrenceId} deleted (${scope})`);
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+};
+
+// ==========================================
+// BLACKOUTS
+// ==========================================
+// Rooms taken out of use for a while, e.g. for a repair (see utils/blackouts.js).
+// Each blackout is one row of the BLACKOUTS sheet; start and end are office
+// wall-clock times like the rest of the workbook.
+const BLACKOUTS_SHEET_TITLE = "BLACKOUTS";
+const BLACKOUTS_HEADER = ["ID", "Room", "Start", "End", "Reason"];
+const BLACKOUTS_LAST_COLUMN = columnIndexToLetter(BLACKOUTS_HEADER.length - 1);
+const BLACKOUT_ID_PREFIX = "bo_";
+const BLACKOUT_TIME_FORMAT = "yyyy-MM-dd HH:mm";
+
+const blackoutToRow = (blackout) => [
+  blackout.id,
+  blackout.room_id,
+  format(new Date(blackout.start_time), BLACKOUT_TIME_FORMAT),
+  format(new Date(blackout.end_time), BLACKOUT_TIME_FORMAT),
+  blackout.reason || "",
+];
+
+// rowNumber is the 1-based sheet row, used to clear the blackout; null for a row
+// that isn't a valid blackout
+const rowToBlackout = (row, rowNumber) => {
+  const id = (row[0] || "").trim();
+  const start = parse((row[2] || "").trim(), BLACKOUT_TIME_FORMAT, new Date());
+  const end = parse((row[3] || "").trim(), BLACKOUT_TIME_FORMAT, new Date());
+  if (!id.startsWith(BLACKOUT_ID_PREFIX) || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return null;
+  }
+  return {
+    id,
+    room_id: (row[1] || "").trim(),
+    start_time: start.toISOString(),
+    end_time: end.toISOString(),
+    reason: (row[4] || "").trim(),
+    rowNumber,
+  };
+};
+
+// Every blackout in the BLACKOUTS sheet; none when the sheet doesn't exist yet
+const loadBlackouts = async () => {
+  if (!SHEET_ID) return [];
+  const accessToken = await getAccessToken();
+  const response = await fetch(
+    `${SHEETS_API_URL}/${SHEET_ID}/values/${BLACKOUTS_SHEET_TITLE}!A2:${BLACKOUTS_LAST_COLUMN}?t=${Date.now()}`,
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      cache: "no-store",
+    }
+  );
+  if (!response.ok) return [];
+  const data = await response.json();
+  return (data.values || [])
+    .map((row, index) => rowToBlackout(row, index + 2))
+    .filter(Boolean); // Cleared rows are left empty
+};
+
+// Blackouts that haven't ended yet, earliest first
+export const fetchBlackouts = async () => {
+  const now = new Date();
+  const blackouts = (await loadBlackouts())
+    .filter(blackout => new Date(blackout.end_time) > now)
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+    .map(toBlackout);
+  saveToCache(CACHE_KEYS.BLACKOUTS, blackouts);
+  return blackouts;
+};
+
+// blackout: { room_id, start_time, end_time, reason }. Bookings already in the
+// window are left alone; whoever declares it lets those people know.
+export const createBlackout = async (blackout) => {
+  validateBlackout(blackout);
+  const rooms = await loadRooms();
+  if (!rooms.some(room => room.id === blackout.room_id)) {
+    throw createUnknownRoomError(blackout.room_id);
+  }
+
+  const created = {
+    id: generateId(BLACKOUT_ID_PREFIX),
+    room_id: blackout.room_id,
+    start_time: new Date(blackout.start_time).toISOString(),
+    end_time: new Date(blackout.end_time).toISOString(),
+    reason: (blackout.reason || "").trim(),
+  };
+  const accessToken = await getAccessToken();
+  await ensureSheet(accessToken, BLACKOUTS_SHEET_TITLE, BLACKOUTS_HEADER);
+  // RAW keeps the times as the exact strings we parse back
+  await sheetsRequest(
+    `values/${BLACKOUTS_SHEET_TITLE}!A:${BLACKOUTS_LAST_COLUMN}:append?valueInputOption=RAW`,
+    { method: "POST", body: { values: [blackoutToRow(created)] } }
+  );
+  console.log(`🚧 Blackout ${created.id} for ${created.room_id} (${created.reason || "no reason"})`);
+
+  removeFromCache(CACHE_KEYS.BLACKOUTS);
+  return { success: true, id: created.id, blackout: created };
+};
+
+export const deleteBlackout = async (blackoutId) => {
+  const blackout = (await loadBlackouts()).find(b => b.id === blackoutId);
+  if (!blackout) {
+    const error = new Error("Could not find blackout to delete.");
+    error.status = 404;
+    throw error;
+  }
+  await sheetsRequest(
+    `values/${BLACKOUTS_SHEET_TITLE}!A${blackout.rowNumber}:${BLACKOUTS_LAST_COLUMN}${blackout.rowNumber}:clear`,
+    { method: "POST", body: {} }
+  );
+  console.log(`🗑️ Blackout ${blackoutId} removed`);
+  removeFromCache(CACHE_KEYS.BLACKOUTS);
+};
+
+// Throws a ROOM_BLACKED_OUT error if start-end falls in one of the room's blackouts
+const assertRoomIsNotBlackedOut = async (room, start, end) =>
+  assertNoBlackout(await loadBlackouts(), room, start, end);
+
+// ==========================================
+// BOOKING POLICY
+// ==========================================
+// Limits on duration, notice, how far ahead and how many upcoming bookings per
+// person (see utils/bookingPolicy.js), from VITE_BOOKING_POLICY and the "policy"
+// column of the ROOMS sheet.
+
+// Without a max-advance limit, upcoming bookings are counted this many months ahead
+const FUTURE_BOOKINGS_LOOKAHEAD_MONTHS = 3;
+
+// Bookings of every month from this one to the one lastDay is in
+const loadBookingsThrough = async (lastDay) => {
+  const bookings = [];
+  for (let month = startOfMonth(new Date()); month <= lastDay; month = addMonths(month, 1)) {
+    bookings.push(...(await fetchBookings(month)));
+  }
+  return bookings;
+};
+
+// Bookings of every month from this one to the last a booking can be made in
+// (or `until`, if later)
+const loadUpcomingBookings = (policy, until) => {
+  const now = new Date();
+  const lastDay =
+    policy.maxAdvanceDays !== null
+      ? addDays(now, policy.maxAdvanceDays)
+      : addMonths(now, FUTURE_BOOKINGS_LOOKAHEAD_MONTHS);
+  return loadBookingsThrough(max([lastDay, until]));
+};
+
+// The person's upcoming bookings when the room limits them and `booking` would add one,
+// null otherwise. previous: the booking being replaced, which doesn't add one when the
+// person stays the same.
+const countUpcomingBookingsOf = async (policy, booking, { previous = null, ignoreId = null, ignoreSeriesId = null, until }) => {
+  const person = getBookingPerson(booking);
+  if (policy.maxFutureBookings === null || !person) return null;
+  if (previous && getBookingPerson(previous) === person) return null;
+  return countFutureBookings(await loadUpcomingBookings(policy, until), person, { ignoreId, ignoreSeriesId });
+};
+
+// Throws a POLICY_VIOLATION error if the booking breaks its room's booking policy.
+// previous / ignoreId: the booking an update replaces
+const assertWithinBookingPolicy = async (room, booking, { previous = null, ignoreId = null } = {}) => {
+  const policy = getRoomPolicy(BOOKING_POLICY, room);
+  const start = new Date(booking.start_time);
+  const end = new Date(booking.end_time);
+  const futureBookings = await countUpcomingBookingsOf(policy, booking, { previous, ignoreId, until: start });
+  assertBookingPolicy(policy, room, { start, end }, { previous, futureBookings });
+};
+
+// Same for a series (see assertSeriesBookingPolicy); it counts as one upcoming booking.
+// previous: the series an update replaces
+const assertSeriesWithinBookingPolicy = async (room, series, occurrences, { ignoreSeriesId = null, previous = null } = {}) => {
+  const policy = getRoomPolicy(BOOKING_POLICY, room);
+  const now = new Date();
+  const upcoming = occurrences.filter((occurrence) => new Date(occurrence.end_time) > now);
+  const futureBookings =
+    upcoming.length > 0
+      ? await countUpcomingBookingsOf(policy, { title: series.staff }, {
+          previous: previous && { title: previous.staff },
+          ignoreSeriesId: ignoreSeriesId || series.id,
+          until: new Date(upcoming[0].start_time),
+        })
+      : null;
+  assertSeriesBookingPolicy(policy, room, occurrences, {
+    now,
+    futureBookings,
+    previousOccurrences: previous ? getSeriesBookings([previous]) : [],
+  });
+};
+
+// ==========================================
+// APPROVALS
+// ==========================================
+// Bookings of rooms requiring approval wait for an approver (see utils/approval.js).
+// The decision is written to the booking's row (hidden column AA), or to the series'
+// row of the RECURRING sheet for a recurring booking.
+
+// Bookings still waiting for approval that haven't ended, earliest first. A recurring
+// booking is listed once, as its first upcoming occurrence, and decided as a whole.
+export const fetchPendingBookings = async () => {
+  const now = new Date();
+  const seen = new Set();
+  return (await loadBookingsThrough(addMonths(now, FUTURE_BOOKINGS_LOOKAHEAD_MONTHS)))
+    .filter(booking => isPending(booking) && new Date(booking.end_time) > now)
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+    .filter((booking) => {
+      const key = booking.series_id || booking.id;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Approve (approve = true) or reject a pending booking, recording who decided: the
+// approver whose code (see APPROVERS) comes with it. date: the booking's day
+// ("yyyy-MM-dd"), to find its month sheet. Returns { success, id, approval }
+export const decideBooking = async (bookingId, date, approve, approverCode) => {
+  const decidedBy = assertApprover(APPROVERS, approverCode);
+  const occurrence = parseOccurrenceId(bookingId);
+  if (occurrence) {
+    const series = (await loadRecurringSeries()).find(s => s.id === occurrence.seriesId);
+    if (!series) throw createBookingModifiedError();
+    const approval = decideApproval(series, approve, decidedBy);
+    await writeSeries({ ...series, approval });
+    console.log(`🛂 Recurring booking ${series.id} ${approval.status} by ${approval.decided_by}`);
+    removeFromCache(CACHE_KEYS.BOOKINGS);
+    return { success: true, id: series.id, approval };
+  }
+
+  const finderResult = await findBookingRow(bookingId, date);
+  const match = finderResult.allMatches?.[0];
+  if (!match) throw createBookingModifiedError();
+  const approval = decideApproval({ approval: getRowApproval(match.row) }, approve, decidedBy);
+
+  const accessToken = await getAccessToken();
+  const response = await fetch(`${SHEETS_API_URL}/${SHEET_ID}:batchUpdate`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      requests: buildApprovalRequests(finderResult.gid, match.realRowIndex, approval),
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to save the decision: ${await response.text()}`);
+  }
+  console.log(`🛂 Booking ${bookingId} ${approval.status} by ${approval.decided_by}`);
+
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return { success: true, id: bookingId, approval };
+};
+
+// ==========================================
+// CHECK-IN AND NO-SHOWS
+// ==========================================
+// Check-ins and no-shows (see utils/checkIn.js) are written to the booking's row
+// (hidden column AB, per booking on a row holding several), or to the series' row of the RECURRING sheet for an occurrence.
+// Every released booking is also logged to the NO_SHOWS sheet, one per row.
+const NO_SHOWS_SHEET_TITLE = "NO_SHOWS";
+const NO_SHOWS_HEADER = ["Date", "Person", "Room", "Booking ID", "Start", "End", "Released At"];
+const NO_SHOWS_LAST_COLUMN = columnIndexToLetter(NO_SHOWS_HEADER.length - 1);
+
+const noShowToRow = (booking, releasedAt) => [
+  format(new Date(booking.start_time), "yyyy-MM-dd"),
+  booking.requested_by,
+  booking.room_id,
+  booking.id,
+  format(new Date(booking.start_time), "HH:mm"),
+  format(new Date(booking.end_time), "HH:mm"),
+  releasedAt,
+];
+
+// Today's booking rows of the current month sheet, as { rowIndex (0-based), row, bookings }
+const loadTodaysBookingRows = async (now) => {
+  const gid = await getMonthSheetGID(now);
+  const sheetName = gid !== null && gid !== undefined ? await getSheetNameFromGid(gid) : null;
+  if (!sheetName) return { gid, rows: [] };
+
+  const rooms = await loadRooms();
+  const safeSheetName = sheetName.includes(' ') ? `'${sheetName}'` : sheetName;
+  const data = await sheetsRequest(`values/${safeSheetName}!A:${getReadColumn(rooms)}`);
+  const dayBase = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const rows = (data.values || [])
+    .map((row, rowIndex) => ({ rowIndex, row }))
+    .slice(5) // Booking rows start at row 6
+    .filter(({ row }) => parseInt(row?.[0]) === now.getDate())
+    .map(({ rowIndex, row }) => ({ rowIndex, row, bookings: parseBookingRow(row, dayBase, rooms) }));
+  return { gid, rows };
+};
+
+// Check in to a booking. date: the booking's day ("yyyy-MM-dd"), to find its month sheet.
+// Returns { success, id, attendance }
+export const checkInBooking = async (bookingId, date) => {
+  const occurrence = parseOccurrenceId(bookingId);
+  if (occurrence) {
+    const series = (await loadRecurringSeries()).find(s => s.id === occurrence.seriesId);
+    if (!series) throw createBookingModifiedError();
+    const attendance = checkInAttendance(toOccurrenceBooking(series, occurrence.date), CHECK_IN);
+    await writeSeries({ ...series, attendance: { ...series.attendance, [occurrence.date]: attendance } });
+    console.log(`🙋 Checked in to ${bookingId}`);
+    removeFromCache(CACHE_KEYS.BOOKINGS);
+    return { success: true, id: bookingId, attendance };
+  }
+
+  const finderResult = await findBookingRow(bookingId, date);
+  const match = finderResult.allMatches?.[0];
+  if (!match) throw createBookingModifiedError();
+  const rooms = await loadRooms();
+  const dayBase = parseTargetDate(date) || new Date();
+  const rowBookings = parseBookingRow(match.row, dayBase, rooms);
+  // Only the booking checked in to, not the others on its row
+  const booking =
+    rowBookings.find(b => b.id === bookingId) || (rowBookings.length === 1 ? rowBookings[0] : null);
+  if (!booking) throw createBookingModifiedError();
+  const attendance = checkInAttendance(booking, CHECK_IN);
+  const checkedIn = rowBookings.map(b => (b === booking ? { ...b, attendance } : b));
+
+  await sheetsRequest(":batchUpdate", {
+    method: "POST",
+    body: { requests: buildRowAttendanceRequests(finderResult.gid, match.realRowIndex, checkedIn) },
+  });
+  console.log(`🙋 Checked in to ${bookingId}`);
+
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return { success: true, id: bookingId, attendance };
+};
+
+// Mark today's bookings nobody checked in to as no-shows, which frees their rooms, and
+// log them to the NO_SHOWS sheet. Safe to call any time; returns { released: [booking] }
+export const releaseNoShows = async () => {
+  if (CHECK_IN.graceMinutes === null) return { released: [] };
+  const now = new Date();
+  const noShow = createNoShowAttendance(now);
+  const released = [];
+
+  const { gid, rows } = await loadTodaysBookingRows(now);
+  const requests = [];
+  rows.forEach(({ rowIndex, bookings }) => {
+    const due = bookings.filter(booking => isDueForRelease(booking, CHECK_IN, now));
+    if (due.length === 0) return;
+    const marked = bookings.map(booking => (due.includes(booking) ? { ...booking, attendance: noShow } : booking));
+    requests.push(...buildRowAttendanceRequests(gid, rowIndex, marked));
+    released.push(...due);
+  });
+  if (requests.length > 0) {
+    await sheetsRequest(":batchUpdate", { method: "POST", body: { requests } });
+  }
+
+  // Occurrences don't take place on holidays
+  const today = format(now, "yyyy-MM-dd");
+  const closedToday = isHoliday(await loadHolidays(), now);
+  for (const series of closedToday ? [] : await loadRecurringSeries()) {
+    const due = getSeriesBookings([series], { from: now, to: now }).filter(
+      occurrence => isDueForRelease(occurrence, CHECK_IN, now)
+    );
+    if (due.length === 0) continue;
+    await writeSeries({ ...series, attendance: { ...series.attendance, [today]: noShow } });
+    released.push(...due);
+  }
+
+  if (released.length > 0) {
+    const accessToken = await getAccessToken();
+    await ensureSheet(accessToken, NO_SHOWS_SHEET_TITLE, NO_SHOWS_HEADER);
+    await sheetsRequest(
+      `values/${NO_SHOWS_SHEET_TITLE}!A:${NO_SHOWS_LAST_COLUMN}:append?valueInputOption=RAW`,
+      { method: "POST", body: { values: released.map(booking => noShowToRow(booking, noShow.at)) } }
+    );
+    released.forEach(booking =>
+      console.log(`🚪 Released no-show ${booking.id} (${booking.requested_by}, ${booking.room_id})`)
+    );
+    removeFromCache(CACHE_KEYS.BOOKINGS);
+  }
+  return { released: released.map(booking => ({ ...booking, attendance: noShow })) };
+};
+
+// No-shows logged to the NO_SHOWS sheet per person: [{ person, count, last }], most
+// first; none when the sheet doesn't exist yet
+export const fetchNoShowCounts = async () => {
+  if (!SHEET_ID) return [];
+  const accessToken = await getAccessToken();
+  const response = await fetch(
+    `${SHEETS_API_URL}/${SHEET_ID}/values/${NO_SHOWS_SHEET_TITLE}!A2:${NO_SHOWS_LAST_COLUMN}?t=${Date.now()}`,
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      cache: "no-store",
+    }
+  );
+  if (!response.ok) return [];
+  const data = await response.json();
+  return countNoShows(
+    (data.values || []).map(row => ({
+      person: (row[1] || "").trim(),
+      start_time: `${(row[0] || "").trim()}T${(row[4] || "").trim()}`,
+    }))
+  );
+};
+
+// ==========================================
+// NETWORK AUTHENTICATION (Dynamic IP Guard)
+// ==========================================
+
+const NETWORKS_SHEET_TITLE = "AUTHORIZED_NETWORKS";
+
+// Ensure the AUTHORIZED_NETWORKS sheet exists, create if not
+const ensureNetworksSheet = (accessToken) =>
+  ensureSheet(accessToken, NETWORKS_SHEET_TITLE, ["IP Address", "Date Authorized", "User Agent"]);
+
+// Look up this client's public IP (answered by the emulator when it is configured)
+export const fetchPublicIp = async () => {
+  const response = await fetch(IP_LOOKUP_URL);
+  if (!response.ok) throw new Error("Failed to fetch IP");
+  const { ip } = await response.json();
+  return ip;
+};
+
 export const fetchAuthorizedNetworks = async () => {
   try {
     const accessToken = await getAccessToken();
     const response = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${NETWORKS_SHEET_TITLE}!A:A?t=${new Date().getTime()}`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${NETWORKS_SHEET_TITLE}!A:A?t=${new Date().getTime()}`,
       {
         headers: { Authorization: `Bearer ${accessToken}` },
         cache: 'no-store'
@@ -4037,7 +5768,10 @@ export const fetchAuthorizedNetworks = async () => {
   }
 };
 
-export const authorizeNetwork = async (ip) => {
+export const authorizeNetwork = async (
+  ip,
+  userAgent = typeof navigator !== "undefined" ? navigator.userAgent : ""
+) => {
   try {
     const accessToken = await getAccessToken();
     await ensureNetworksSheet(accessToken);
@@ -4050,12 +5784,12 @@ export const authorizeNetwork = async (ip) => {
       [
         ip, 
         new Date().toISOString(), 
-        navigator.userAgent
+        userAgent
       ]
     ];
 
     const response = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${NETWORKS_SHEET_TITLE}!A:C:append?valueInputOption=USER_ENTERED`,
+      `${SHEETS_API_URL}/${SHEET_ID}/values/${NETWORKS_SHEET_TITLE}!A:C:append?valueInputOption=USER_ENTERED`,
       {
         method: "POST",
         headers: {
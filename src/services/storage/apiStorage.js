@@ -0,0 +1,257 @@
+import { format } from "date-fns";
+import { readEnv } from "../env.js";
+import { CACHE_KEYS, saveToCache, removeFromCache } from "../googleSheets.js";
+
+// API backend - the same Google Sheets data, reached through the server-side
+// functions in api/ so the OAuth credentials never ship to the browser.
+// VITE_API_BASE_URL points at another origin if the API isn't served alongside the app.
+const API_BASE_URL = (readEnv("API_BASE_URL") || "")
+  .toString()
+  .trim()
+  .replace(/\/+$/, "");
+
+const request = async (path, { method = "GET", query, body } = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.set(key, value);
+  });
+  const search = params.toString() ? `?${params}` : "";
+
+  const response = await fetch(`${API_BASE_URL}/api/${path}${search}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+    cache: "no-store",
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Keep the server's message and details intact - the UI matches on them
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    if (data.code) error.code = data.code;
+    if (data.conflict) error.conflict = data.conflict;
+    if (data.current !== undefined) error.current = data.current;
+    if (data.monthSheet) error.monthSheet = data.monthSheet;
+    if (data.workingHours) error.workingHours = data.workingHours;
+    if (data.holiday) error.holiday = data.holiday;
+    if (data.blackout) error.blackout = data.blackout;
+    if (data.policy) error.policy = data.policy;
+    throw error;
+  }
+  return data;
+};
+
+// Dates travel as the local calendar day so the server looks in the right month sheet
+const toDateParam = (date) => {
+  if (!date) return undefined;
+  if (date instanceof Date) return format(date, "yyyy-MM-dd");
+  return date;
+};
+
+const fetchRooms = async () => {
+  const { rooms } = await request("rooms");
+  saveToCache(CACHE_KEYS.ROOMS, rooms);
+  return rooms;
+};
+
+// month: any Date in the month to load, the current month when omitted
+const fetchBookings = async (month = null) => {
+  const monthDate = month ? new Date(month) : new Date();
+  const { bookings } = await request("bookings", {
+    query: { month: format(monthDate, "yyyy-MM") },
+  });
+  // The cache backs the Dashboard's first paint, which shows the current month
+  if (format(monthDate, "yyyy-MM") === format(new Date(), "yyyy-MM")) {
+    saveToCache(CACHE_KEYS.BOOKINGS, bookings);
+  }
+  return bookings;
+};
+
+const createBooking = async (booking) => {
+  const result = await request("bookings", { method: "POST", body: { booking } });
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return result;
+};
+
+const updateBooking = async (
+  originalBookingId,
+  originalDate,
+  newBookingData,
+  { expected = null, scope } = {}
+) => {
+  const result = await request("bookings", {
+    method: "PUT",
+    body: {
+      id: originalBookingId,
+      date: toDateParam(originalDate),
+      booking: newBookingData,
+      expected,
+      scope,
+    },
+  });
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return result;
+};
+
+const deleteBooking = async (bookingId, targetDate = null, { scope } = {}) => {
+  await request("bookings", {
+    method: "DELETE",
+    query: { id: bookingId, date: toDateParam(targetDate), scope },
+  });
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+};
+
+// month: any Date in the month whose schedules to load, the current month when omitted
+const fetchFixedSchedules = async (month = null) => {
+  const monthDate = month ? new Date(month) : new Date();
+  const { schedules } = await request("fixed-schedules", {
+    query: { month: format(monthDate, "yyyy-MM") },
+  });
+  if (format(monthDate, "yyyy-MM") === format(new Date(), "yyyy-MM")) {
+    saveToCache(CACHE_KEYS.FIXED_SCHEDULES, schedules);
+  }
+  return schedules;
+};
+
+const createFixedSchedule = (schedule) =>
+  request("fixed-schedules", { method: "POST", body: { schedule } });
+
+const updateFixedSchedule = (scheduleId, schedule) =>
+  request("fixed-schedules", {
+    method: "PUT",
+    body: { id: scheduleId, schedule },
+  });
+
+const deleteFixedSchedule = (scheduleId) =>
+  request("fixed-schedules", { method: "DELETE", query: { id: scheduleId } });
+
+// date: "yyyy-MM-dd"
+const skipFixedScheduleDate = (scheduleId, date) =>
+  request("fixed-schedules", {
+    method: "DELETE",
+    query: { id: scheduleId, date },
+  });
+
+// month: any Date in the month whose sheet should be created
+const createMonthSheet = (month) =>
+  request("month-sheets", {
+    method: "POST",
+    body: { month: format(new Date(month), "yyyy-MM") },
+  });
+
+// Only used to grey out days; the server still rejects bookings on holidays
+const fetchHolidays = async () => {
+  try {
+    const { holidays } = await request("holidays");
+    saveToCache(CACHE_KEYS.HOLIDAYS, holidays);
+    return holidays;
+  } catch (e) {
+    console.warn("Failed to fetch holidays:", e);
+    return [];
+  }
+};
+
+// Like the holidays, a failed lookup only loses the display; bookings are still checked
+const fetchBlackouts = async () => {
+  try {
+    const { blackouts } = await request("blackouts");
+    saveToCache(CACHE_KEYS.BLACKOUTS, blackouts);
+    return blackouts;
+  } catch (e) {
+    console.warn("Failed to fetch blackouts:", e);
+    return [];
+  }
+};
+
+const createBlackout = async (blackout) => {
+  const result = await request("blackouts", { method: "POST", body: { blackout } });
+  removeFromCache(CACHE_KEYS.BLACKOUTS);
+  return result;
+};
+
+const deleteBlackout = async (blackoutId) => {
+  await request("blackouts", { method: "DELETE", query: { id: blackoutId } });
+  removeFromCache(CACHE_KEYS.BLACKOUTS);
+};
+
+const fetchPendingBookings = async () => {
+  const { bookings } = await request("approvals");
+  return bookings;
+};
+
+// approve: true to approve, false to reject; the server records the decision under the
+// name of the approver whose code this is
+const decideBooking = async (bookingId, targetDate, approve, approverCode) =>
+  request("approvals", {
+    method: "POST",
+    body: {
+      id: bookingId,
+      date: toDateParam(targetDate),
+      decision: approve ? "approve" : "reject",
+      approver_code: approverCode,
+    },
+  });
+
+const checkInBooking = async (bookingId, targetDate) => {
+  const result = await request("checkins", {
+    method: "POST",
+    body: { id: bookingId, date: toDateParam(targetDate) },
+  });
+  removeFromCache(CACHE_KEYS.BOOKINGS);
+  return result;
+};
+
+const releaseNoShows = async () => {
+  const result = await request("no-shows", { method: "POST" });
+  if (result.released.length > 0) removeFromCache(CACHE_KEYS.BOOKINGS);
+  return result;
+};
+
+const fetchNoShowCounts = async () => {
+  const { noShows } = await request("no-shows");
+  return noShows;
+};
+
+const fetchAuthorizedNetworks = async () => {
+  try {
+    const { networks } = await request("networks");
+    return networks;
+  } catch (e) {
+    console.warn("Failed to fetch authorized networks:", e);
+    return [];
+  }
+};
+
+// The server authorizes the address it sees the request come from, if the password is right
+const authorizeNetwork = async (ip, password) => {
+  const result = await request("networks", { method: "POST", body: { password } });
+  console.log(`✅ Authorized IP: ${result.ip || ip}`);
+  return true;
+};
+
+export const apiStorage = {
+  name: "api",
+  fetchRooms,
+  fetchBookings,
+  createBooking,
+  updateBooking,
+  deleteBooking,
+  fetchFixedSchedules,
+  createFixedSchedule,
+  updateFixedSchedule,
+  deleteFixedSchedule,
+  skipFixedScheduleDate,
+  createMonthSheet,
+  fetchHolidays,
+  fetchBlackouts,
+  createBlackout,
+  deleteBlackout,
+  fetchPendingBookings,
+  decideBooking,
+  checkInBooking,
+  releaseNoShows,
+  fetchNoShowCounts,
+  fetchAuthorizedNetworks,
+  authorizeNetwork,
+};
@@ -0,0 +1,27 @@
+import { createMemoryStorage, createDemoRecords } from "./memoryStorage.js";
+
+// Browser backend - same behaviour as the in-memory backend, but records are
+// persisted to localStorage so bookings survive a page reload.
+const STORAGE_KEY = "mrb_local_bookings";
+
+export const createBrowserStorage = (key = STORAGE_KEY) =>
+  createMemoryStorage({
+    name: "local",
+    load: () => {
+      try {
+        const item = localStorage.getItem(key);
+        if (!item) return createDemoRecords();
+        return JSON.parse(item);
+      } catch (e) {
+        console.warn("Failed to read local bookings, starting empty", e);
+        return [];
+      }
+    },
+    save: (records) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(records));
+      } catch (e) {
+        console.warn("Failed to save local bookings", e);
+      }
+    },
+  });
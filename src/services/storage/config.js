@@ -0,0 +1,26 @@
+import { readEnv } from "../env.js";
+
+// Which booking backend to use, from .env:
+//   VITE_STORAGE_BACKEND=api     (default) Google Sheets through the server-side API in api/
+//   VITE_STORAGE_BACKEND=sheets  Google Sheets called directly from the browser
+//   VITE_STORAGE_BACKEND=local   bookings persisted in this browser's localStorage
+//   VITE_STORAGE_BACKEND=memory  bookings kept in memory, reset on reload
+// "api" keeps the Google credentials on the server; `npm run dev` serves api/ too.
+// "sheets" only has VITE_GOOGLE_ACCESS_TOKEN to work with (e.g. against the emulator).
+// "local" and "memory" need no Google credentials, handy for demos and testing.
+export const STORAGE_BACKENDS = ["sheets", "api", "local", "memory"];
+
+export const STORAGE_BACKEND = (() => {
+  const value = (readEnv("STORAGE_BACKEND") || "api")
+    .toString()
+    .trim()
+    .toLowerCase();
+
+  if (!STORAGE_BACKENDS.includes(value)) {
+    console.warn(
+      `⚠️ Unknown VITE_STORAGE_BACKEND "${value}", falling back to "api"`
+    );
+    return "api";
+  }
+  return value;
+})();
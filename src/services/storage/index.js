@@ -0,0 +1,108 @@
+import { STORAGE_BACKEND } from "./config.js";
+import { sheetsStorage } from "./sheetsStorage.js";
+import { apiStorage } from "./apiStorage.js";
+import { createBrowserStorage } from "./browserStorage.js";
+import { createMemoryStorage, createDemoRecords } from "./memoryStorage.js";
+
+// Booking storage adapter
+// Every backend implements the same interface:
+//   fetchBookings(month?) -> Promise<Booking[]>  (month: any Date in it, default the current month)
+//   createBooking(booking) -> Promise<{ success, ... }>
+//     booking.recurrence (an RRULE, see utils/recurrence.js) makes it a recurring booking
+//   updateBooking(originalBookingId, originalDate, newBookingData, { expected, scope }) -> Promise<{ success, ... }>
+//     expected is the booking as the editor loaded it; if it has changed since,
+//     the update fails with error.code === BOOKING_MODIFIED
+//   deleteBooking(bookingId, targetDate, { scope }) -> Promise<void>
+//     scope ("this" | "following" | "all") applies to occurrences of recurring bookings
+// Backends may also implement rooms, fixed schedules, month sheets and authorized networks
+// (fetchRooms, fetchFixedSchedules, createFixedSchedule, updateFixedSchedule, deleteFixedSchedule,
+// skipFixedScheduleDate, createMonthSheet, fetchHolidays, fetchBlackouts, createBlackout,
+// deleteBlackout, fetchPendingBookings, decideBooking, fetchAuthorizedNetworks,
+// authorizeNetwork); calling one a backend doesn't implement fails with
+// error.code === STORAGE_NOT_SUPPORTED rather than reaching Google Sheets behind its back.
+// Check-in (checkInBooking, releaseNoShows, fetchNoShowCounts) works on every backend's
+// own bookings.
+//   fetchFixedSchedules(month?) -> the schedules in effect in that month, carried forward
+//     from the nearest earlier month sheet that has them
+//   skipFixedScheduleDate(scheduleId, "yyyy-MM-dd") -> cancels one day of a fixed schedule
+//   createMonthSheet(month) -> { gid, title, created }; adds the sheet for a month that has
+//     none (a booking fails with error.code === MONTH_SHEET_MISSING, see utils/monthSheets.js)
+//   fetchHolidays() -> [{ date: "yyyy-MM-dd", label }], the days nothing can be booked
+//     (a booking fails with error.code === HOLIDAY_CLOSED, see utils/holidays.js)
+//   fetchBlackouts() -> [{ id, room_id, start_time, end_time, reason }] that haven't ended;
+//     a booking during one fails with error.code === ROOM_BLACKED_OUT (see utils/blackouts.js)
+//   createBlackout({ room_id, start_time, end_time, reason }), deleteBlackout(blackoutId)
+//   fetchPendingBookings() -> bookings in rooms requiring approval still waiting for it
+//   decideBooking(bookingId, targetDate, approve, approverCode) -> { success, id, approval };
+//     fails with error.code === NOT_AN_APPROVER for a code not in the server's APPROVERS,
+//     BOOKING_NOT_PENDING once decided (see utils/approval.js)
+//   authorizeNetwork(ip, password) -> remembers the office network; the API checks the
+//     password and authorizes the address it sees instead of `ip`
+//   checkInBooking(bookingId, targetDate) -> { success, id, attendance }; fails with
+//     error.code === CHECK_IN_NOT_OPEN outside its check-in window (see utils/checkIn.js)
+//   releaseNoShows() -> { released }, today's bookings nobody checked in to, now no-shows;
+//     meant for the server's scheduled run (api/no-shows.js), screens don't call it
+//   fetchNoShowCounts() -> [{ person, count, last }], most no-shows first
+// Screens import these functions from here instead of a specific backend.
+
+const createStorage = (backend) => {
+  switch (backend) {
+    case "api":
+      return apiStorage;
+    case "local":
+      return createBrowserStorage();
+    case "memory":
+      return createMemoryStorage({ load: createDemoRecords });
+    case "sheets":
+    default:
+      return sheetsStorage;
+  }
+};
+
+const storage = createStorage(STORAGE_BACKEND);
+console.log(`🗄️ Using "${storage.name}" booking storage backend`);
+
+export const STORAGE_NOT_SUPPORTED = "STORAGE_NOT_SUPPORTED";
+
+const call = (method) => async (...args) => {
+  if (!storage[method]) {
+    const error = new Error(`${method} isn't available with the "${storage.name}" storage backend`);
+    error.code = STORAGE_NOT_SUPPORTED;
+    error.status = 501;
+    throw error;
+  }
+  return storage[method](...args);
+};
+
+export { STORAGE_BACKEND };
+
+export const fetchRooms = call("fetchRooms");
+
+export const fetchBookings = call("fetchBookings");
+export const createBooking = call("createBooking");
+export const updateBooking = call("updateBooking");
+export const deleteBooking = call("deleteBooking");
+
+export const fetchFixedSchedules = call("fetchFixedSchedules");
+export const createFixedSchedule = call("createFixedSchedule");
+export const updateFixedSchedule = call("updateFixedSchedule");
+export const deleteFixedSchedule = call("deleteFixedSchedule");
+export const skipFixedScheduleDate = call("skipFixedScheduleDate");
+
+export const createMonthSheet = call("createMonthSheet");
+
+export const fetchHolidays = call("fetchHolidays");
+
+export const fetchBlackouts = call("fetchBlackouts");
+export const createBlackout = call("createBlackout");
+export const deleteBlackout = call("deleteBlackout");
+
+export const fetchPendingBookings = call("fetchPendingBookings");
+export const decideBooking = call("decideBooking");
+
+export const checkInBooking = call("checkInBooking");
+export const releaseNoShows = call("releaseNoShows");
+export const fetchNoShowCounts = call("fetchNoShowCounts");
+
+export const fetchAuthorizedNetworks = call("fetchAuthorizedNetworks");
+export const authorizeNetwork = call("authorizeNetwork");
@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+globalThis.process.env.STORAGE_BACKEND = "memory";
+// The Sheets backend is loaded alongside, and wants a spreadsheet named on the server
+globalThis.process.env.GOOGLE_SHEET_ID = "test-sheet";
+const { createBlackout, fetchRooms, STORAGE_NOT_SUPPORTED } = await import("./index.js");
+
+test("a method the backend doesn't implement fails instead of reaching Google Sheets", async () => {
+  assert.equal((await fetchRooms()).length, 2);
+  await assert.rejects(
+    createBlackout({ room_id: "da-lat", start_time: "2030-01-07T10:00", end_time: "2030-01-07T11:00" }),
+    (error) => error.code === STORAGE_NOT_SUPPORTED && error.status === 501
+  );
+});
@@ -0,0 +1,417 @@
+import { endOfMonth, format, parseISO, startOfDay, startOfMonth } from "date-fns";
+import {
+  findConflictingBooking,
+  createBookingConflictError,
+  isSameBooking,
+  createBookingModifiedError,
+} from "../../utils/bookingConflicts.js";
+import {
+  RECURRENCE_SCOPES,
+  createOccurrenceId,
+  getOccurrenceDates,
+  getSeriesBookings,
+  parseOccurrenceId,
+  planOccurrenceDelete,
+  planOccurrenceUpdate,
+  toOccurrenceBooking,
+  toSeries,
+  validateSeries,
+} from "../../utils/recurrence.js";
+import { assertWithinWorkingHours } from "../../utils/workingHours.js";
+import { WORKING_HOURS } from "../workingHoursConfig.js";
+import {
+  assertBookingPolicy,
+  assertSeriesBookingPolicy,
+  countFutureBookings,
+  getBookingPerson,
+} from "../../utils/bookingPolicy.js";
+import { BOOKING_POLICY } from "../bookingPolicyConfig.js";
+import {
+  ATTENDANCE_STATUSES,
+  checkInAttendance,
+  countNoShows,
+  createNoShowAttendance,
+  getAttendanceFor,
+  isDueForRelease,
+  withoutNoShows,
+} from "../../utils/checkIn.js";
+import { CHECK_IN } from "../checkInConfig.js";
+import { DEFAULT_ROOMS } from "../defaultRooms.js";
+
+// In-memory booking backend
+// Bookings are kept as plain records: { id, room_id, staff, start_time, end_time, attendance? }
+// and exposed in the same shape fetchBookings() returns for the Sheets backend,
+// so the UI can't tell which backend it is talking to.
+// Recurring bookings are kept next to them as series records (the ones with an
+// rrule, see utils/recurrence.js) and expanded when bookings are read.
+// Bookings must fall in the office working hours and obey the office booking policy;
+// this backend has no rooms of its own, so per-room hours and policies from the ROOMS
+// sheet don't apply, and neither do the holidays of the HOLIDAYS sheet, the room
+// blackouts of the BLACKOUTS sheet or approvals of rooms requiring them.
+// Check-in works as in the Sheets backend (see utils/checkIn.js); series keep their
+// attendance per day, and the no-show counts come from the records themselves.
+// Nothing here needs Google: the rooms are the two default ones, there are no fixed
+// schedules, holidays, blackouts or pending approvals to read, and authorized networks
+// are remembered until the page reloads. What this backend can't store (fixed
+// schedules, month sheets, blackouts, approval decisions) fails, see storage/index.js.
+
+const generateId = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Convert a stored record to the booking shape used across the app
+const toBooking = (record) => ({
+  id: record.id,
+  room_id: record.room_id,
+  title: record.staff ? `Booked by ${record.staff}` : "Booked",
+  requested_by: record.staff || "Unknown",
+  start_time: record.start_time,
+  end_time: record.end_time,
+  ...(record.attendance ? { attendance: record.attendance } : {}),
+});
+
+// Normalize the payload createBooking/updateBooking receive from BookingModal
+// (start_time/end_time as ISO strings, or start/end as Date objects when editing)
+const toRecord = (id, booking) => {
+  const start = new Date(booking.start_time || booking.start);
+  const end = new Date(booking.end_time || booking.end);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error("Invalid date/time provided for booking");
+  }
+  if (end <= start) {
+    throw new Error("End time must be after start time");
+  }
+
+  return {
+    id,
+    room_id: booking.room_id,
+    staff: (booking.title || "").replace(/^Booked by /, "").trim(),
+    start_time: start.toISOString(),
+    end_time: end.toISOString(),
+  };
+};
+
+// A few bookings for today so a fresh demo doesn't start with an empty calendar
+export const createDemoRecords = () => {
+  const today = new Date();
+  const at = (hours, minutes) =>
+    new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate(),
+      hours,
+      minutes
+    ).toISOString();
+
+  return [
+    {
+      id: generateId(),
+      room_id: "nha-trang",
+      staff: "Demo Team",
+      start_time: at(10, 0),
+      end_time: at(11, 0),
+    },
+    {
+      id: generateId(),
+      room_id: "da-lat",
+      staff: "Demo 1:1",
+      start_time: at(14, 0),
+      end_time: at(14, 30),
+    },
+  ];
+};
+
+// Create a storage backend that keeps bookings in memory.
+// `load` / `save` let other backends (e.g. localStorage) reuse this logic
+// while persisting the records somewhere else.
+export const createMemoryStorage = ({
+  name = "memory",
+  load = () => [],
+  save = () => {},
+} = {}) => {
+  let records = null;
+  const networks = [];
+
+  const getRecords = () => {
+    if (records === null) {
+      records = load() || [];
+    }
+    return records;
+  };
+
+  const commit = (nextRecords) => {
+    records = nextRecords;
+    save(records);
+  };
+
+  const isSeries = (record) => !!record.rrule;
+  const getSeries = () => getRecords().filter(isSeries);
+
+  // One-off bookings and recurring occurrences, optionally limited to from-to
+  const listBookings = ({ from = null, to = null } = {}) => [
+    ...getRecords()
+      .filter((record) => !isSeries(record))
+      .map(toBooking)
+      .filter(
+        (booking) =>
+          (!from || new Date(booking.end_time) > from) &&
+          (!to || new Date(booking.start_time) <= to)
+      ),
+    ...getSeriesBookings(getSeries(), { from, to }),
+  ];
+
+  // Same working hours and double-booking rules as the Sheets backend
+  const assertNoConflict = (record, ignoreId = null) => {
+    assertWithinWorkingHours(WORKING_HOURS, null, new Date(record.start_time), new Date(record.end_time));
+    const conflict = findConflictingBooking(withoutNoShows(listBookings(), CHECK_IN), {
+      room_id: record.room_id,
+      start: record.start_time,
+      end: record.end_time,
+      ignoreId,
+    });
+    if (conflict) throw createBookingConflictError(conflict);
+  };
+
+  // The person's upcoming bookings when `booking` would add one to them, null otherwise
+  // (see utils/bookingPolicy.js); previous: the booking or series being replaced
+  const countUpcomingBookingsOf = (booking, { previous = null, ignoreId = null, ignoreSeriesId = null } = {}) => {
+    const person = getBookingPerson(booking);
+    if (BOOKING_POLICY.maxFutureBookings === null || !person) return null;
+    if (previous && getBookingPerson(previous) === person) return null;
+    return countFutureBookings(listBookings(), person, { ignoreId, ignoreSeriesId });
+  };
+
+  // Same booking policy as the Sheets backend, with the office limits
+  const assertWithinPolicy = (record, { previous = null, ignoreId = null } = {}) => {
+    const booking = toBooking(record);
+    assertBookingPolicy(BOOKING_POLICY, null, { start: booking.start_time, end: booking.end_time }, {
+      previous,
+      futureBookings: countUpcomingBookingsOf(booking, { previous, ignoreId }),
+    });
+  };
+
+  // Every occurrence of a series must be free and within the policy, apart from the
+  // series it replaces (previous, when an update replaces one)
+  const assertSeriesIsFree = (series, ignoreSeriesId = null, previous = null) => {
+    const existing = withoutNoShows(listBookings(), CHECK_IN).filter(
+      (booking) => !booking.series_id || (booking.series_id !== ignoreSeriesId && booking.series_id !== series.id)
+    );
+    getSeriesBookings([series]).forEach((occurrence) => {
+      assertWithinWorkingHours(WORKING_HOURS, null, new Date(occurrence.start_time), new Date(occurrence.end_time));
+      const conflict = findConflictingBooking(existing, {
+        room_id: occurrence.room_id,
+        start: occurrence.start_time,
+        end: occurrence.end_time,
+      });
+      if (conflict) throw createBookingConflictError(conflict);
+    });
+    assertSeriesBookingPolicy(BOOKING_POLICY, null, getSeriesBookings([series]), {
+      futureBookings: countUpcomingBookingsOf(
+        { title: series.staff },
+        { previous: previous && { title: previous.staff }, ignoreSeriesId: ignoreSeriesId || series.id }
+      ),
+      previousOccurrences: previous ? getSeriesBookings([previous]) : [],
+    });
+  };
+
+  // The series an occurrence ID points at; BOOKING_MODIFIED if the occurrence is gone or changed
+  const findOccurrence = (occurrenceId, expected = null) => {
+    const { seriesId, date } = parseOccurrenceId(occurrenceId);
+    const series = getSeries().find((record) => record.id === seriesId);
+    const day = parseISO(date);
+    if (!series || getOccurrenceDates(series, { from: day, to: day }).length === 0) {
+      throw createBookingModifiedError();
+    }
+    const current = toOccurrenceBooking(series, date);
+    if (expected && !isSameBooking(current, expected)) {
+      throw createBookingModifiedError(current);
+    }
+    return { series, date, current };
+  };
+
+  // Replace a series record with its planned state (null removes it), plus any added records
+  const commitSeries = (seriesId, series, added = []) => {
+    const nextRecords = getRecords().flatMap((record) =>
+      record.id === seriesId ? (series ? [series] : []) : [record]
+    );
+    commit([...nextRecords, ...added]);
+  };
+
+  return {
+    name,
+
+    fetchRooms: async () => DEFAULT_ROOMS.map((room) => ({ ...room })),
+    fetchFixedSchedules: async () => [],
+    fetchHolidays: async () => [],
+    fetchBlackouts: async () => [],
+    fetchPendingBookings: async () => [],
+
+    fetchAuthorizedNetworks: async () => [...networks],
+    authorizeNetwork: async (ip) => {
+      if (!networks.includes(ip)) networks.push(ip);
+      console.log(`✅ [${name}] Authorized IP: ${ip}`);
+      return true;
+    },
+
+    fetchBookings: async (month = null) => {
+      if (!month) return listBookings();
+      const monthKey = format(new Date(month), "yyyy-MM");
+      return listBookings({
+        from: startOfMonth(new Date(month)),
+        to: endOfMonth(new Date(month)),
+      }).filter((booking) => format(new Date(booking.start_time), "yyyy-MM") === monthKey);
+    },
+
+    createBooking: async (booking) => {
+      if (booking.recurrence) {
+        const series = toSeries(generateId(), booking);
+        validateSeries(series);
+        assertSeriesIsFree(series);
+        commit([...getRecords(), series]);
+        const occurrences = getOccurrenceDates(series).length;
+        console.log(`🔁 [${name}] Recurring booking created: ${series.rrule} (${occurrences} occurrences)`);
+        return { success: true, id: series.id, series_id: series.id, occurrences };
+      }
+
+      const record = toRecord(generateId(), booking);
+      assertNoConflict(record);
+      assertWithinPolicy(record);
+      commit([...getRecords(), record]);
+      console.log(
+        `✅ [${name}] Booking created: ${record.room_id} ${format(
+          new Date(record.start_time),
+          "yyyy-MM-dd HH:mm"
+        )}`
+      );
+      return { success: true, id: record.id };
+    },
+
+    updateBooking: async (
+      originalBookingId,
+      originalDate,
+      newBookingData,
+      { expected = null, scope = RECURRENCE_SCOPES.THIS } = {}
+    ) => {
+      if (parseOccurrenceId(originalBookingId)) {
+        const { series, date, current } = findOccurrence(originalBookingId, expected);
+        const plan = planOccurrenceUpdate(series, date, newBookingData, scope, generateId());
+        if (plan.booking) {
+          // This one: it leaves the series and becomes an ordinary booking
+          const record = toRecord(generateId(), plan.booking);
+          assertNoConflict(record, originalBookingId);
+          assertWithinPolicy(record, { previous: current, ignoreId: originalBookingId });
+          commitSeries(series.id, plan.series, [record]);
+          return { success: true, updated: true, id: record.id };
+        }
+        if (plan.added) {
+          assertSeriesIsFree(plan.added, series.id, series);
+          commitSeries(series.id, plan.series, [plan.added]);
+        } else {
+          assertSeriesIsFree(plan.series, null, series);
+          commitSeries(series.id, plan.series);
+        }
+        const changed = plan.added || plan.series;
+        console.log(`🔁 [${name}] Recurring booking updated: ${originalBookingId} (${scope})`);
+        return { success: true, updated: true, id: changed.id, series_id: changed.id };
+      }
+
+      const current = getRecords();
+      const index = current.findIndex((r) => r.id === originalBookingId);
+      if (index === -1) {
+        throw createBookingModifiedError();
+      }
+      const existing = toBooking(current[index]);
+      if (expected && !isSameBooking(existing, expected)) {
+        throw createBookingModifiedError(existing);
+      }
+
+      const updated = toRecord(originalBookingId, newBookingData);
+      const attendance = getAttendanceFor(toBooking(updated), existing);
+      if (attendance) updated.attendance = attendance;
+      assertNoConflict(updated, originalBookingId);
+      assertWithinPolicy(updated, { previous: existing, ignoreId: originalBookingId });
+      const nextRecords = [...current];
+      nextRecords[index] = updated;
+      commit(nextRecords);
+      console.log(`✅ [${name}] Booking updated: ${originalBookingId}`);
+      return { success: true, id: updated.id };
+    },
+
+    deleteBooking: async (bookingId, targetDate, { scope = RECURRENCE_SCOPES.THIS } = {}) => {
+      if (parseOccurrenceId(bookingId)) {
+        const { series, date } = findOccurrence(bookingId);
+        commitSeries(series.id, planOccurrenceDelete(series, date, scope));
+        console.log(`🗑️ [${name}] Recurring booking deleted: ${bookingId} (${scope})`);
+        return;
+      }
+
+      const current = getRecords();
+      if (!current.some((r) => r.id === bookingId)) {
+        throw new Error("Could not find booking to delete.");
+      }
+      commit(current.filter((r) => r.id !== bookingId));
+      console.log(`🗑️ [${name}] Booking deleted: ${bookingId}`);
+    },
+
+    checkInBooking: async (bookingId) => {
+      if (parseOccurrenceId(bookingId)) {
+        const { series, date, current } = findOccurrence(bookingId);
+        const attendance = checkInAttendance(current, CHECK_IN);
+        commitSeries(series.id, { ...series, attendance: { ...series.attendance, [date]: attendance } });
+        console.log(`🙋 [${name}] Checked in to ${bookingId}`);
+        return { success: true, id: bookingId, attendance };
+      }
+
+      const record = getRecords().find((r) => r.id === bookingId);
+      if (!record) {
+        throw createBookingModifiedError();
+      }
+      const attendance = checkInAttendance(toBooking(record), CHECK_IN);
+      commit(getRecords().map((r) => (r.id === bookingId ? { ...r, attendance } : r)));
+      console.log(`🙋 [${name}] Checked in to ${bookingId}`);
+      return { success: true, id: bookingId, attendance };
+    },
+
+    releaseNoShows: async () => {
+      const now = new Date();
+      const noShow = createNoShowAttendance(now);
+      const released = listBookings({ from: startOfDay(now), to: now }).filter((booking) =>
+        isDueForRelease(booking, CHECK_IN, now)
+      );
+      if (released.length === 0) return { released: [] };
+
+      const releasedIds = new Set(released.map((booking) => booking.id));
+      const today = format(now, "yyyy-MM-dd");
+      commit(
+        getRecords().map((record) => {
+          if (isSeries(record)) {
+            return releasedIds.has(createOccurrenceId(record.id, today))
+              ? { ...record, attendance: { ...record.attendance, [today]: noShow } }
+              : record;
+          }
+          return releasedIds.has(record.id) ? { ...record, attendance: noShow } : record;
+        })
+      );
+      released.forEach((booking) => console.log(`🚪 [${name}] Released no-show ${booking.id}`));
+      return { released: released.map((booking) => ({ ...booking, attendance: noShow })) };
+    },
+
+    fetchNoShowCounts: async () => {
+      const isNoShowEntry = (attendance) => attendance?.status === ATTENDANCE_STATUSES.NO_SHOW;
+      return countNoShows(
+        getRecords().flatMap((record) => {
+          if (!isSeries(record)) {
+            return isNoShowEntry(record.attendance) ? [{ person: record.staff, start_time: record.start_time }] : [];
+          }
+          return Object.entries(record.attendance || {})
+            .filter(([, attendance]) => isNoShowEntry(attendance))
+            .map(([date]) => ({ person: record.staff, start_time: `${date}T${record.start_time}` }));
+        })
+      );
+    },
+  };
+};
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { BOOKING_CONFLICT, BOOKING_MODIFIED } from "../../utils/bookingConflicts.js";
+
+// A Monday well ahead, inside the default working hours
+const at = (day, time) => new Date(`2030-01-${day}T${time}:00`).toISOString();
+const booking = (room_id, title, day, start, end, extra = {}) => ({
+  room_id,
+  title,
+  start_time: at(day, start),
+  end_time: at(day, end),
+  ...extra,
+});
+
+test("bookings are created, listed by month, updated and deleted", async () => {
+  const storage = createMemoryStorage();
+  const { id } = await storage.createBooking(booking("da-lat", "Minh", "07", "10:00", "11:00"));
+
+  let bookings = await storage.fetchBookings(new Date(2030, 0, 15));
+  assert.deepEqual(bookings.map((b) => [b.id, b.requested_by]), [[id, "Minh"]]);
+  assert.equal((await storage.fetchBookings(new Date(2030, 1, 1))).length, 0);
+
+  await storage.updateBooking(id, "2030-01-07", booking("da-lat", "Minh", "07", "13:00", "14:00"), {
+    expected: bookings[0],
+  });
+  bookings = await storage.fetchBookings(new Date(2030, 0, 1));
+  assert.equal(bookings[0].start_time, at("07", "13:00"));
+
+  await storage.deleteBooking(id, "2030-01-07");
+  assert.equal((await storage.fetchBookings(new Date(2030, 0, 1))).length, 0);
+});
+
+test("a double booking is refused, another room is fine", async () => {
+  const storage = createMemoryStorage();
+  await storage.createBooking(booking("da-lat", "Minh", "07", "10:00", "11:00"));
+  await assert.rejects(
+    storage.createBooking(booking("da-lat", "Ji-woo", "07", "10:30", "11:30")),
+    (error) => error.code === BOOKING_CONFLICT
+  );
+  await storage.createBooking(booking("nha-trang", "Ji-woo", "07", "10:30", "11:30"));
+});
+
+test("an edit of a booking changed in the meantime is refused", async () => {
+  const storage = createMemoryStorage();
+  const { id } = await storage.createBooking(booking("da-lat", "Minh", "07", "10:00", "11:00"));
+  const [loaded] = await storage.fetchBookings(new Date(2030, 0, 1));
+  await storage.updateBooking(id, "2030-01-07", booking("da-lat", "Minh", "07", "12:00", "13:00"));
+  await assert.rejects(
+    storage.updateBooking(id, "2030-01-07", booking("da-lat", "Minh", "07", "15:00", "16:00"), { expected: loaded }),
+    (error) => error.code === BOOKING_MODIFIED
+  );
+});
+
+test("recurring bookings expand into occurrences and one can be cancelled", async () => {
+  const storage = createMemoryStorage();
+  await storage.createBooking(
+    booking("nha-trang", "Standup", "07", "09:00", "09:30", { recurrence: "FREQ=WEEKLY;BYDAY=MO;COUNT=3" })
+  );
+  const occurrences = await storage.fetchBookings(new Date(2030, 0, 1));
+  assert.deepEqual(occurrences.map((b) => b.start_time), [at("07", "09:00"), at("14", "09:00"), at("21", "09:00")]);
+
+  await storage.deleteBooking(occurrences[1].id, "2030-01-14", { scope: "this" });
+  assert.equal((await storage.fetchBookings(new Date(2030, 0, 1))).length, 2);
+});
+
+test("rooms and networks work without Google, with nothing else to read", async () => {
+  const storage = createMemoryStorage();
+  assert.deepEqual((await storage.fetchRooms()).map((room) => room.id), ["nha-trang", "da-lat"]);
+  assert.deepEqual(await storage.fetchHolidays(), []);
+  assert.deepEqual(await storage.fetchBlackouts(), []);
+  assert.deepEqual(await storage.fetchFixedSchedules(), []);
+
+  await storage.authorizeNetwork("203.0.113.7");
+  assert.deepEqual(await storage.fetchAuthorizedNetworks(), ["203.0.113.7"]);
+});
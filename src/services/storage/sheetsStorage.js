@@ -0,0 +1,52 @@
+import {
+  fetchRooms,
+  fetchBookings,
+  createBooking,
+  updateBooking,
+  deleteBooking,
+  fetchFixedSchedules,
+  createFixedSchedule,
+  updateFixedSchedule,
+  deleteFixedSchedule,
+  skipFixedScheduleDate,
+  createMonthSheet,
+  fetchHolidays,
+  fetchBlackouts,
+  createBlackout,
+  deleteBlackout,
+  fetchPendingBookings,
+  decideBooking,
+  checkInBooking,
+  releaseNoShows,
+  fetchNoShowCounts,
+  fetchAuthorizedNetworks,
+  authorizeNetwork,
+} from "../googleSheets.js";
+
+// Google Sheets backend - the original implementation in googleSheets.js
+export const sheetsStorage = {
+  name: "sheets",
+  fetchRooms,
+  fetchBookings,
+  createBooking,
+  updateBooking,
+  deleteBooking,
+  fetchFixedSchedules,
+  createFixedSchedule,
+  updateFixedSchedule,
+  deleteFixedSchedule,
+  skipFixedScheduleDate,
+  createMonthSheet,
+  fetchHolidays,
+  fetchBlackouts,
+  createBlackout,
+  deleteBlackout,
+  fetchPendingBookings,
+  decideBooking,
+  checkInBooking,
+  releaseNoShows,
+  fetchNoShowCounts,
+  fetchAuthorizedNetworks,
+  // No server to check the password here; NetworkGuard compares it itself
+  authorizeNetwork: (ip) => authorizeNetwork(ip),
+};
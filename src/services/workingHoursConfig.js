@@ -0,0 +1,11 @@
+import { readEnv } from "./env.js";
+import { createWorkingHours } from "../utils/workingHours.js";
+
+// Office working hours and booking slot size, from .env (see utils/workingHours.js):
+//   VITE_WORKING_HOURS="mon-fri 08:00-18:00; sat 09:00-12:00"  (default: every day 08:00-18:00)
+//   VITE_SLOT_MINUTES=15 | 30 (default) | 60
+// A room with an "hours" value in the ROOMS sheet uses that instead of the office hours.
+export const WORKING_HOURS = createWorkingHours({
+  spec: readEnv("WORKING_HOURS"),
+  slotMinutes: readEnv("SLOT_MINUTES"),
+});
@@ -0,0 +1,162 @@
+import { getOccurrenceDates } from "./recurrence.js";
+
+// Approval of bookings in rooms flagged "requires approval" (the "approval" column of
+// the ROOMS sheet), shared by every storage backend and the booking screens:
+//   { status: "pending" | "approved" | "rejected", decided_by, decided_at }
+// A booking in such a room is created pending: it holds its slot, but shows as
+// tentative and doesn't make the room occupied until an approver approves it.
+// Approvers are the people in the server's APPROVERS setting, each with a secret code;
+// the decision is recorded under the name of the approver whose code came with it.
+// A rejected booking frees its slot; its row stays, recording who rejected it.
+// Bookings without an approval (other rooms, older rows) are confirmed.
+// The month sheet keeps it in hidden column AA of the booking's row, the RECURRING
+// sheet in the series' "Approval" column:
+//   "status=pending" / "status=approved;by=Minh;at=2026-10-19T10:00:00.000Z"
+
+export const APPROVAL_STATUSES = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+export const BOOKING_NOT_PENDING = "BOOKING_NOT_PENDING";
+export const INVALID_APPROVAL_DECISION = "INVALID_APPROVAL_DECISION";
+export const NOT_AN_APPROVER = "NOT_AN_APPROVER";
+
+const STATUS_VALUES = Object.values(APPROVAL_STATUSES);
+
+// "yes", "true", "x" or "1" in the ROOMS sheet's approval column
+export const parseRequiresApproval = (value) =>
+  ["yes", "true", "x", "1"].includes(String(value || "").trim().toLowerCase());
+
+// Stored value -> approval, null when there is none (a confirmed booking)
+export const parseApproval = (value) => {
+  const fields = {};
+  String(value || "")
+    .split(";")
+    .forEach((part) => {
+      const separator = part.indexOf("=");
+      if (separator === -1) return;
+      fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+    });
+  if (!STATUS_VALUES.includes(fields.status)) return null;
+  return { status: fields.status, decided_by: fields.by || "", decided_at: fields.at || "" };
+};
+
+export const formatApproval = (approval) =>
+  approval
+    ? [
+        `status=${approval.status}`,
+        approval.decided_by && `by=${approval.decided_by.replace(/[;=]/g, " ")}`,
+        approval.decided_at && `at=${approval.decided_at}`,
+      ]
+        .filter(Boolean)
+        .join(";")
+    : "";
+
+// "Minh=k3y-1, Ji-woo=k3y-2" -> [{ name: "Minh", code: "k3y-1" }, ...]; names without
+// a code can't approve and are left out
+export const parseApprovers = (value) =>
+  String(value || "")
+    .split(",")
+    .map((entry) => {
+      const separator = entry.indexOf("=");
+      return separator === -1
+        ? null
+        : { name: entry.slice(0, separator).trim(), code: entry.slice(separator + 1).trim() };
+    })
+    .filter((approver) => approver?.name && approver.code);
+
+// Compares every character, however early the codes differ
+const sameCode = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return difference === 0;
+};
+
+// The approver whose code this is, null for none
+export const findApprover = (approvers, code) => {
+  const wanted = String(code || "").trim();
+  return (wanted && approvers.find((approver) => sameCode(approver.code, wanted))) || null;
+};
+
+// The name of the approver whose code this is; throws 403 NOT_AN_APPROVER for any other
+export const assertApprover = (approvers, code) => {
+  const approver = findApprover(approvers, code);
+  if (approver) return approver.name;
+  const error = new Error(
+    approvers.length === 0
+      ? "No approvers are set up, so bookings can't be approved yet"
+      : "That approver code isn't valid"
+  );
+  error.code = NOT_AN_APPROVER;
+  error.status = 403;
+  throw error;
+};
+
+export const createPendingApproval = () => ({ status: APPROVAL_STATUSES.PENDING, decided_by: "", decided_at: "" });
+
+export const isPending = (booking) => booking?.approval?.status === APPROVAL_STATUSES.PENDING;
+
+export const isRejected = (booking) => booking?.approval?.status === APPROVAL_STATUSES.REJECTED;
+
+// The approval a booking gets when it is created in `room`, or changed from `previous`:
+// a change of room or times in a room requiring approval needs approving again, any
+// other edit keeps the approval it had (none for a booking made before the room
+// required approval). Ending earlier than approved isn't a change that needs approving.
+export const getApprovalFor = (room, booking, previous = null) => {
+  if (!room?.requires_approval) return null;
+  const unchanged =
+    previous &&
+    previous.room_id === booking.room_id &&
+    new Date(previous.start_time).getTime() === new Date(booking.start_time).getTime() &&
+    new Date(booking.end_time).getTime() <= new Date(previous.end_time).getTime();
+  return unchanged ? previous.approval || null : createPendingApproval();
+};
+
+// Whether every occurrence of `series` (its rule, first day and exceptions) is one of `previous`
+const isWithinSeries = (series, previous) => {
+  if (series.rrule === previous.rrule && series.start_date === previous.start_date) {
+    return (previous.exdates || []).every((date) => (series.exdates || []).includes(date));
+  }
+  const approved = new Set(getOccurrenceDates(previous));
+  return getOccurrenceDates(series).every((date) => approved.has(date));
+};
+
+// Same for a recurring series (see utils/recurrence.js): it keeps its approval as long
+// as its room and times of day stay the same and it takes place on no day the approved
+// series didn't. Shortening it (an earlier end, a cancelled occurrence, splitting off
+// the following ones) keeps the approval; any other change to its rule or first day
+// needs approving again.
+export const getSeriesApprovalFor = (room, series, previous = null) => {
+  if (!room?.requires_approval) return null;
+  const unchanged =
+    previous &&
+    previous.room_id === series.room_id &&
+    previous.start_time === series.start_time &&
+    previous.end_time === series.end_time &&
+    isWithinSeries(series, previous);
+  return unchanged ? previous.approval || null : createPendingApproval();
+};
+
+// The approval recorded when an approver decides: approve (true) or reject (false)
+export const decideApproval = (booking, approve, decidedBy, at = new Date()) => {
+  if (!isPending(booking)) {
+    const error = new Error("This booking is not waiting for approval");
+    error.code = BOOKING_NOT_PENDING;
+    error.status = 409;
+    throw error;
+  }
+  if (!String(decidedBy || "").trim()) {
+    const error = new Error("Who decided is required");
+    error.code = INVALID_APPROVAL_DECISION;
+    error.status = 400;
+    throw error;
+  }
+  return {
+    status: approve ? APPROVAL_STATUSES.APPROVED : APPROVAL_STATUSES.REJECTED,
+    decided_by: String(decidedBy).trim(),
+    decided_at: at.toISOString(),
+  };
+};
@@ -0,0 +1,71 @@
+import { format } from "date-fns";
+
+// Blackout windows: a room taken out of use for a while, e.g. while its TV is repaired.
+//   { id, room_id, start_time, end_time, reason }   (times as ISO strings)
+// Nothing can be booked in a room during its blackouts; the calendar shows them as
+// blocked time and the room card as "Unavailable".
+// The Sheets backend keeps them in the BLACKOUTS sheet, one per row:
+//   A ID | B Room | C Start | D End | E Reason   (start and end as "yyyy-MM-dd HH:mm")
+
+export const ROOM_BLACKED_OUT = "ROOM_BLACKED_OUT";
+export const INVALID_BLACKOUT = "INVALID_BLACKOUT";
+
+// Just the blackout fields, e.g. without the sheet row a backend keeps alongside
+export const toBlackout = ({ id, room_id, start_time, end_time, reason }) => ({
+  id,
+  room_id,
+  start_time,
+  end_time,
+  reason: reason || "",
+});
+
+const overlaps = (blackout, start, end) =>
+  new Date(blackout.start_time) < new Date(end) && new Date(blackout.end_time) > new Date(start);
+
+// The first blackout of the room overlapping start-end, null if there is none
+export const findBlackout = (blackouts, { room_id, start, end }) =>
+  (blackouts || []).find((blackout) => blackout.room_id === room_id && overlaps(blackout, start, end)) ||
+  null;
+
+// The blackout the room is in at a moment (now by default), null if none
+export const getActiveBlackout = (blackouts, roomId, at = new Date()) =>
+  findBlackout(blackouts, { room_id: roomId, start: at, end: new Date(at.getTime() + 1) });
+
+// Throws (error.code === INVALID_BLACKOUT) for a blackout without a room or valid times
+export const validateBlackout = ({ room_id, start_time, end_time }) => {
+  const start = new Date(start_time);
+  const end = new Date(end_time);
+  let message = null;
+  if (!room_id) {
+    message = "Invalid blackout: missing room";
+  } else if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    message = "Invalid blackout: missing or invalid start/end";
+  } else if (end <= start) {
+    message = "Invalid blackout: end must be after start";
+  }
+  if (message) {
+    const error = new Error(message);
+    error.code = INVALID_BLACKOUT;
+    error.status = 400;
+    throw error;
+  }
+};
+
+// Error thrown for a booking during a blackout.
+// error.code === ROOM_BLACKED_OUT; error.blackout is the blackout in the way
+export const createRoomBlackedOutError = (blackout, roomName = "The room") => {
+  const from = format(new Date(blackout.start_time), "yyyy-MM-dd HH:mm");
+  const until = format(new Date(blackout.end_time), "yyyy-MM-dd HH:mm");
+  const error = new Error(
+    `${roomName} is unavailable from ${from} to ${until}${blackout.reason ? ` (${blackout.reason})` : ""}`
+  );
+  error.code = ROOM_BLACKED_OUT;
+  error.status = 409;
+  error.blackout = toBlackout(blackout);
+  return error;
+};
+
+export const assertNoBlackout = (blackouts, room, start, end) => {
+  const blackout = findBlackout(blackouts, { room_id: room.id, start, end });
+  if (blackout) throw createRoomBlackedOutError(blackout, room.name);
+};
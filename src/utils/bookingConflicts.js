@@ -0,0 +1,75 @@
+import { format } from "date-fns";
+
+// Double-booking detection shared by every storage backend
+// Bookings use the shape fetchBookings() returns: { id, room_id, requested_by, start_time, end_time }
+
+export const BOOKING_CONFLICT = "BOOKING_CONFLICT";
+
+// Two bookings overlap when each starts before the other ends (touching edges are fine)
+export const findConflictingBooking = (
+  bookings,
+  { room_id, start, end, ignoreId = null }
+) => {
+  const newStart = new Date(start);
+  const newEnd = new Date(end);
+
+  return (
+    bookings.find((booking) => {
+      if (booking.room_id !== room_id) return false;
+      if (ignoreId && booking.id === ignoreId) return false;
+
+      const existingStart = new Date(booking.start_time);
+      const existingEnd = new Date(booking.end_time);
+      return newStart < existingEnd && newEnd > existingStart;
+    }) || null
+  );
+};
+
+// Error thrown when a booking overlaps an existing one.
+// error.code === BOOKING_CONFLICT, error.conflict holds who booked the slot and when.
+export const createBookingConflictError = (booking) => {
+  const startLabel = format(new Date(booking.start_time), "HH:mm");
+  const endLabel = format(new Date(booking.end_time), "HH:mm");
+  const bookedBy = booking.requested_by || "Unknown";
+
+  const error = new Error(
+    `Cannot create booking: room already booked by ${bookedBy} from ${startLabel} to ${endLabel}`
+  );
+  error.code = BOOKING_CONFLICT;
+  error.status = 409;
+  error.conflict = {
+    id: booking.id,
+    room_id: booking.room_id,
+    requested_by: bookedBy,
+    start_time: booking.start_time,
+    end_time: booking.end_time,
+  };
+  return error;
+};
+
+// Edits are checked against the booking as the editor last saw it, so an edit
+// made by someone else in the meantime isn't silently overwritten
+export const BOOKING_MODIFIED = "BOOKING_MODIFIED";
+
+// Same room, person and times (times compared as instants, not strings)
+export const isSameBooking = (a, b) =>
+  !!a &&
+  !!b &&
+  a.room_id === b.room_id &&
+  (a.requested_by || "") === (b.requested_by || "") &&
+  new Date(a.start_time).getTime() === new Date(b.start_time).getTime() &&
+  new Date(a.end_time).getTime() === new Date(b.end_time).getTime();
+
+// Error thrown when the booking being edited changed or disappeared since it was read.
+// error.code === BOOKING_MODIFIED, error.current holds the booking as it is now (or null).
+export const createBookingModifiedError = (current = null) => {
+  const error = new Error(
+    current
+      ? `Cannot update booking: it was changed by ${current.requested_by || "someone else"} since it was loaded`
+      : "Cannot update booking: it was changed or removed since it was loaded"
+  );
+  error.code = BOOKING_MODIFIED;
+  error.status = 409;
+  error.current = current;
+  return error;
+};
@@ -0,0 +1,237 @@
+import { differenceInCalendarDays, format } from "date-fns";
+
+// Booking policies: limits on what a booking may take, shared by every storage
+// backend and the booking screens:
+//   { maxDuration: 240, minNotice: 15, maxAdvanceDays: 30, maxFutureBookings: 10 }
+// maxDuration and minNotice are minutes, null means no limit.
+//   maxDuration        longest a booking may last
+//   minNotice          how soon before its start a booking can be made at the latest
+//   maxAdvanceDays     how many days ahead a booking can be made
+//   maxFutureBookings  how many upcoming bookings one person may hold (a recurring
+//                      booking counts once; fixed schedules don't count)
+// Policies are written as a spec, in VITE_BOOKING_POLICY for the office and in the
+// "policy" column of the ROOMS sheet for a room with limits of its own (they replace
+// the office limits they name):
+//   "max-duration 4h; min-notice 15m; max-advance 30d; max-future 10"
+
+export const POLICY_VIOLATION = "POLICY_VIOLATION";
+
+export const POLICY_RULES = {
+  MAX_DURATION: "max-duration",
+  MIN_NOTICE: "min-notice",
+  MAX_ADVANCE: "max-advance",
+  MAX_FUTURE: "max-future",
+};
+
+export const NO_BOOKING_POLICY = {
+  maxDuration: null,
+  minNotice: null,
+  maxAdvanceDays: null,
+  maxFutureBookings: null,
+};
+
+// "90m" -> 90, "4h" -> 240, "1h30m" -> 90, "2d" -> 2880; null if malformed
+const parseMinutes = (value) => {
+  const match = value.match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/);
+  if (!value || !match) return null;
+  const [days, hours, minutes] = match.slice(1).map((part) => Number(part || 0));
+  return days * 24 * 60 + hours * 60 + minutes;
+};
+
+// "30d" or "30" -> 30; null if malformed
+const parseCount = (value, unit = "") => {
+  const match = value.match(new RegExp(`^(\\d+)${unit ? `${unit}?` : ""}$`));
+  return match ? Number(match[1]) : null;
+};
+
+const RULE_PARSERS = {
+  [POLICY_RULES.MAX_DURATION]: ["maxDuration", parseMinutes],
+  [POLICY_RULES.MIN_NOTICE]: ["minNotice", parseMinutes],
+  [POLICY_RULES.MAX_ADVANCE]: ["maxAdvanceDays", (value) => parseCount(value, "d")],
+  [POLICY_RULES.MAX_FUTURE]: ["maxFutureBookings", (value) => parseCount(value)],
+};
+
+// Spec -> the limits it names ({} for an empty spec); null when malformed
+export const parseBookingPolicy = (spec) => {
+  const parts = String(spec || "")
+    .toLowerCase()
+    .split(";")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  const policy = {};
+  for (const part of parts) {
+    const [rule, value = "", ...rest] = part.split(/\s+/);
+    const parser = RULE_PARSERS[rule];
+    if (!parser || rest.length > 0) return null;
+
+    // "none" lifts a limit, e.g. the office max-duration for one room
+    const [key, parse] = parser;
+    const limit = value === "none" ? null : parse(value);
+    if (limit === null && value !== "none") return null;
+    policy[key] = limit;
+  }
+  return policy;
+};
+
+// Office policy from its spec, without limits when the spec is empty or malformed
+export const createBookingPolicy = (spec) => {
+  const policy = parseBookingPolicy(spec);
+  if (!policy) {
+    console.warn(`⚠️ Invalid booking policy "${spec}", no limits apply`);
+    return { ...NO_BOOKING_POLICY };
+  }
+  return { ...NO_BOOKING_POLICY, ...policy };
+};
+
+// Room specs are parsed once each
+const roomPolicyCache = new Map();
+
+// The policy of a room: the office policy with the room's own limits on top.
+// room may be omitted for the office policy.
+export const getRoomPolicy = (policy, room = null) => {
+  const spec = room?.policy;
+  if (!spec) return policy;
+  if (!roomPolicyCache.has(spec)) {
+    const roomPolicy = parseBookingPolicy(spec);
+    if (!roomPolicy) console.warn(`⚠️ Invalid policy "${spec}" for room "${room.id}", using the office policy`);
+    roomPolicyCache.set(spec, roomPolicy || {});
+  }
+  return { ...policy, ...roomPolicyCache.get(spec) };
+};
+
+// Who a booking is for: the staff column, whether it comes as a booking's
+// requested_by/"Booked by X" title or as the title BookingModal sends
+export const getBookingPerson = (booking) =>
+  (booking?.title || booking?.requested_by || "").replace(/^Booked by /, "").trim().toLowerCase();
+
+// How many of the person's bookings haven't ended yet. A recurring booking counts once,
+// fixed schedules not at all. ignoreId / ignoreSeriesId leave out the booking being replaced.
+export const countFutureBookings = (
+  bookings,
+  person,
+  { now = new Date(), ignoreId = null, ignoreSeriesId = null } = {}
+) => {
+  const counted = new Set();
+  (bookings || []).forEach((booking) => {
+    if (booking.isFixedSchedule || new Date(booking.end_time) <= now) return;
+    if (booking.id === ignoreId || (ignoreSeriesId && booking.series_id === ignoreSeriesId)) return;
+    if (getBookingPerson(booking) !== person) return;
+    counted.add(booking.series_id || booking.id);
+  });
+  return counted.size;
+};
+
+// 90 -> "1h 30m", 240 -> "4h", 45 -> "45m"
+export const formatPolicyMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours ? `${hours}h` : "", rest || !hours ? `${rest}m` : ""].filter(Boolean).join(" ");
+};
+
+const exceedsFutureBookings = (policy, futureBookings) =>
+  policy.maxFutureBookings !== null && futureBookings !== null && futureBookings >= policy.maxFutureBookings;
+
+// The first limit start-end breaks, as { rule, limit } (limit in the policy's unit), or null.
+//   futureBookings: the person's other upcoming bookings (countFutureBookings); the
+//                   max-future limit is only checked when it is given
+//   previous: the booking an update replaces. The duration limit only applies when its
+//             times change and the limits on when it starts only when its start does,
+//             so an ongoing booking can still be renamed, ended early or extended.
+export const findPolicyViolation = (
+  policy,
+  { start, end },
+  { now = new Date(), futureBookings = null, previous = null } = {}
+) => {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const startChanged = !previous || new Date(previous.start_time).getTime() !== startDate.getTime();
+  const timesChanged = startChanged || new Date(previous.end_time).getTime() !== endDate.getTime();
+
+  if (timesChanged && policy.maxDuration !== null && (endDate - startDate) / 60000 > policy.maxDuration) {
+    return { rule: POLICY_RULES.MAX_DURATION, limit: policy.maxDuration };
+  }
+  if (startChanged) {
+    if (policy.minNotice !== null && (startDate - now) / 60000 < policy.minNotice) {
+      return { rule: POLICY_RULES.MIN_NOTICE, limit: policy.minNotice };
+    }
+    if (policy.maxAdvanceDays !== null && differenceInCalendarDays(startDate, now) > policy.maxAdvanceDays) {
+      return { rule: POLICY_RULES.MAX_ADVANCE, limit: policy.maxAdvanceDays };
+    }
+  }
+  if (exceedsFutureBookings(policy, futureBookings)) {
+    return { rule: POLICY_RULES.MAX_FUTURE, limit: policy.maxFutureBookings };
+  }
+  return null;
+};
+
+const VIOLATION_MESSAGES = {
+  [POLICY_RULES.MAX_DURATION]: (limit, roomName) =>
+    `Bookings of ${roomName} can last at most ${formatPolicyMinutes(limit)}`,
+  [POLICY_RULES.MIN_NOTICE]: (limit) =>
+    `Bookings must be made at least ${formatPolicyMinutes(limit)} before they start`,
+  [POLICY_RULES.MAX_ADVANCE]: (limit) => `Bookings can be made at most ${limit} days ahead`,
+  [POLICY_RULES.MAX_FUTURE]: (limit) => `No more than ${limit} upcoming bookings per person`,
+};
+
+const MESSAGE_KEYS = {
+  [POLICY_RULES.MAX_DURATION]: "policyMaxDuration",
+  [POLICY_RULES.MIN_NOTICE]: "policyMinNotice",
+  [POLICY_RULES.MAX_ADVANCE]: "policyMaxAdvance",
+  [POLICY_RULES.MAX_FUTURE]: "policyMaxFuture",
+};
+
+// Translation key and parameters of a violation's message (see utils/translations.js)
+export const getPolicyViolationMessage = ({ rule, limit }) => ({
+  key: MESSAGE_KEYS[rule],
+  params: {
+    limit:
+      rule === POLICY_RULES.MAX_DURATION || rule === POLICY_RULES.MIN_NOTICE
+        ? formatPolicyMinutes(limit)
+        : limit,
+  },
+});
+
+// Error thrown for a booking that breaks its room's policy.
+// error.code === POLICY_VIOLATION; error.policy = { rule, limit } (see findPolicyViolation)
+export const createPolicyViolationError = (violation, room = null) => {
+  const error = new Error(VIOLATION_MESSAGES[violation.rule](violation.limit, room?.name || "this room"));
+  error.code = POLICY_VIOLATION;
+  error.status = 400;
+  error.policy = { rule: violation.rule, limit: violation.limit };
+  return error;
+};
+
+export const assertBookingPolicy = (policy, room, booking, options) => {
+  const violation = findPolicyViolation(policy, booking, options);
+  if (violation) throw createPolicyViolationError(violation, room);
+};
+
+// Same for the occurrences of a recurring booking: each one yet to start obeys the
+// duration, notice and advance limits (occurrences that already started stay as they
+// were), and the whole series counts as one upcoming booking.
+//   previousOccurrences: those of the series an update replaces, so an occurrence
+//                        keeping its times isn't checked again
+export const assertSeriesBookingPolicy = (
+  policy,
+  room,
+  occurrences,
+  { now = new Date(), futureBookings = null, previousOccurrences = [] } = {}
+) => {
+  const dayOf = (occurrence) => format(new Date(occurrence.start_time), "yyyy-MM-dd");
+  const previousByDay = new Map(previousOccurrences.map((occurrence) => [dayOf(occurrence), occurrence]));
+  occurrences
+    .filter((occurrence) => new Date(occurrence.start_time) > now)
+    .forEach((occurrence) =>
+      assertBookingPolicy(
+        policy,
+        room,
+        { start: occurrence.start_time, end: occurrence.end_time },
+        { now, previous: previousByDay.get(dayOf(occurrence)) || null }
+      )
+    );
+
+  if (exceedsFutureBookings(policy, futureBookings)) {
+    throw createPolicyViolationError({ rule: POLICY_RULES.MAX_FUTURE, limit: policy.maxFutureBookings }, room);
+  }
+};
@@ -0,0 +1,59 @@
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  endOfMonth,
+  endOfWeek,
+  format,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+
+// Schedule views, same names as react-big-calendar's Views
+export const CALENDAR_VIEWS = ["day", "week", "month"];
+
+// Weeks start on Monday everywhere in the schedule
+export const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+// First and last day the calendar shows for a date in a view.
+// The month view includes the leading/trailing days of neighbouring months.
+export const getVisibleRange = (date, view) => {
+  switch (view) {
+    case "week":
+      return {
+        start: startOfWeek(date, WEEK_OPTIONS),
+        end: endOfWeek(date, WEEK_OPTIONS),
+      };
+    case "month":
+      return {
+        start: startOfWeek(startOfMonth(date), WEEK_OPTIONS),
+        end: endOfWeek(endOfMonth(date), WEEK_OPTIONS),
+      };
+    case "day":
+    default:
+      return { start: startOfDay(date), end: startOfDay(date) };
+  }
+};
+
+// "yyyy-MM" keys of every month a range touches
+export const getRangeMonthKeys = ({ start, end }) => {
+  const keys = [];
+  for (let month = startOfMonth(start); month <= end; month = addMonths(month, 1)) {
+    keys.push(format(month, "yyyy-MM"));
+  }
+  return keys;
+};
+
+// One step back (-1) or forward (1) in a view
+export const stepDate = (date, view, direction) => {
+  switch (view) {
+    case "week":
+      return addWeeks(date, direction);
+    case "month":
+      return addMonths(date, direction);
+    case "day":
+    default:
+      return addDays(date, direction);
+  }
+};
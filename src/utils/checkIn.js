@@ -0,0 +1,166 @@
+import { isSameDay } from "date-fns";
+import { isPending } from "./approval.js";
+
+// Check-in for bookings, shared by every storage backend and the booking screens.
+// Someone confirms a booking is being used from its room card or its details, from
+// CHECK_IN_OPENS_MINUTES before it starts until the grace period after its start has
+// passed. A booking nobody checked in to by then is released as a no-show: it stops
+// holding the room, which shows as available and can be booked again.
+//   { status: "checked-in" | "no-show", at }   (booking.attendance, at as an ISO string)
+// Fixed schedules and bookings waiting for approval need no check-in.
+// The grace period is VITE_CHECK_IN_GRACE_MINUTES (e.g. 15); check-in is off unless it's set.
+// Only the server marks releases in the sheet (POST /api/no-shows, run on a schedule, see
+// vercel.json); until it does, a due booking already shows as released everywhere.
+// The month sheet keeps the attendance in hidden column AB of the booking's row (per
+// booking ID when a row holds several), the RECURRING sheet per day in the series'
+// "Attendance" column:
+//   "checked-in@2026-10-19T02:05:00.000Z"   /   "2026-10-19 no-show@...,2026-10-20 checked-in@..."
+// Released bookings are also logged to the NO_SHOWS sheet, which the no-show counts
+// per person come from.
+
+export const ATTENDANCE_STATUSES = {
+  CHECKED_IN: "checked-in",
+  NO_SHOW: "no-show",
+};
+
+export const CHECK_IN_NOT_OPEN = "CHECK_IN_NOT_OPEN";
+
+export const CHECK_IN_OPENS_MINUTES = 10;
+
+const STATUS_VALUES = Object.values(ATTENDANCE_STATUSES);
+
+// Check-in settings from the grace period in minutes: { graceMinutes }, null when
+// check-in is off (unset, "off" or invalid)
+export const createCheckInSettings = (graceMinutes) => {
+  const value = String(graceMinutes ?? "").trim().toLowerCase();
+  if (!value || value === "off") return { graceMinutes: null };
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    console.warn(`⚠️ Invalid check-in grace period "${graceMinutes}", check-in stays off`);
+    return { graceMinutes: null };
+  }
+  return { graceMinutes: Number(value) };
+};
+
+// Stored value -> attendance, null when there is none
+export const parseAttendance = (value) => {
+  const [status, at = ""] = String(value || "").trim().split("@");
+  return STATUS_VALUES.includes(status) ? { status, at } : null;
+};
+
+export const formatAttendance = (attendance) => (attendance ? `${attendance.status}@${attendance.at}` : "");
+
+// Attendance kept per key ({ key: attendance }) and back: a series' per day
+// ("yyyy-MM-dd"), a month sheet row holding several bookings per booking ID
+export const parseKeyedAttendance = (value, isKey = Boolean) => {
+  const byKey = {};
+  String(value || "")
+    .split(",")
+    .forEach((entry) => {
+      const [key, stored] = entry.trim().split(/\s+/);
+      const attendance = parseAttendance(stored);
+      if (key && isKey(key) && attendance) byKey[key] = attendance;
+    });
+  return byKey;
+};
+
+export const formatKeyedAttendance = (byKey) =>
+  Object.keys(byKey || {})
+    .filter((key) => byKey[key])
+    .sort()
+    .map((key) => `${key} ${formatAttendance(byKey[key])}`)
+    .join(",");
+
+export const parseSeriesAttendance = (value) =>
+  parseKeyedAttendance(value, (date) => /^\d{4}-\d{2}-\d{2}$/.test(date));
+
+export const formatSeriesAttendance = formatKeyedAttendance;
+
+export const isCheckedIn = (booking) => booking?.attendance?.status === ATTENDANCE_STATUSES.CHECKED_IN;
+
+export const requiresCheckIn = (booking, settings) =>
+  settings.graceMinutes !== null && !!booking && !booking.isFixedSchedule && !isPending(booking);
+
+// When check-in opens and closes for a booking; it closes with the booking if that is sooner
+export const getCheckInWindow = (booking, settings) => {
+  const start = new Date(booking.start_time);
+  const end = new Date(booking.end_time);
+  const deadline = new Date(start.getTime() + (settings.graceMinutes || 0) * 60000);
+  return {
+    opens: new Date(start.getTime() - CHECK_IN_OPENS_MINUTES * 60000),
+    closes: deadline < end ? deadline : end,
+  };
+};
+
+// Whether a booking nobody checked in to is due to be released: its check-in has
+// closed today. Earlier days are left as they were, so bookings from before check-in
+// was turned on don't count as no-shows.
+export const isDueForRelease = (booking, settings, now = new Date()) => {
+  if (!requiresCheckIn(booking, settings) || booking.attendance) return false;
+  const { closes } = getCheckInWindow(booking, settings);
+  return closes <= now && isSameDay(closes, now);
+};
+
+// Whether a booking no longer holds its room: released as a no-show, or due to be
+export const isNoShow = (booking, settings, now = new Date()) =>
+  booking?.attendance?.status === ATTENDANCE_STATUSES.NO_SHOW || isDueForRelease(booking, settings, now);
+
+// The bookings that still hold their room
+export const withoutNoShows = (bookings, settings, now = new Date()) =>
+  (bookings || []).filter((booking) => !isNoShow(booking, settings, now));
+
+// Where a booking stands: "checked-in", "no-show", "open" (check-in possible now),
+// "upcoming" (check-in not open yet), or null when it needs no check-in or has ended
+export const getCheckInState = (booking, settings, now = new Date()) => {
+  if (isCheckedIn(booking)) return "checked-in";
+  if (isNoShow(booking, settings, now)) return "no-show";
+  if (!requiresCheckIn(booking, settings)) return null;
+  const { opens, closes } = getCheckInWindow(booking, settings);
+  if (now < opens) return "upcoming";
+  return now < closes ? "open" : null;
+};
+
+// The attendance recorded when someone checks in to a booking. Checking in again keeps
+// the first check-in.
+export const checkInAttendance = (booking, settings, now = new Date()) => {
+  if (isCheckedIn(booking)) return booking.attendance;
+  if (getCheckInState(booking, settings, now) !== "open") {
+    const error = new Error("Check-in is not open for this booking");
+    error.code = CHECK_IN_NOT_OPEN;
+    error.status = 409;
+    throw error;
+  }
+  return { status: ATTENDANCE_STATUSES.CHECKED_IN, at: now.toISOString() };
+};
+
+export const createNoShowAttendance = (now = new Date()) => ({
+  status: ATTENDANCE_STATUSES.NO_SHOW,
+  at: now.toISOString(),
+});
+
+// The attendance a booking keeps when it is changed from `previous`: a change of room
+// or start time starts over without one. Ending early or extending keeps it.
+export const getAttendanceFor = (booking, previous = null) => {
+  const unchanged =
+    previous &&
+    previous.room_id === booking.room_id &&
+    new Date(previous.start_time).getTime() === new Date(booking.start_time).getTime();
+  return unchanged ? previous.attendance || null : null;
+};
+
+// Released bookings ({ person, ... }) -> [{ person, count, last }], most no-shows first.
+// Names are matched ignoring case; the latest spelling is shown.
+export const countNoShows = (noShows) => {
+  const byPerson = new Map();
+  (noShows || []).forEach(({ person, start_time }) => {
+    const key = String(person || "").trim().toLowerCase();
+    if (!key) return;
+    const entry = byPerson.get(key) || { person: person.trim(), count: 0, last: "" };
+    entry.count += 1;
+    if (!entry.last || start_time > entry.last) {
+      entry.last = start_time;
+      entry.person = person.trim();
+    }
+    byPerson.set(key, entry);
+  });
+  return [...byPerson.values()].sort((a, b) => b.count - a.count || a.person.localeCompare(b.person));
+};
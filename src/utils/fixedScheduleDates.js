@@ -0,0 +1,72 @@
+import { format } from "date-fns";
+
+// Date bounds of a fixed schedule, shared by every storage backend:
+//   { effective_from: "yyyy-MM-dd" | "", effective_until: "yyyy-MM-dd" | "", skip_dates: ["yyyy-MM-dd", ...] }
+// An empty bound is open-ended; skipped dates are single days the schedule doesn't
+// take place (e.g. a standup cancelled over a holiday week).
+// The month sheet keeps them in hidden column Z of the schedule's row:
+//   "from=2026-10-01;until=2026-12-31;skip=2026-12-24,2026-12-25" (every part optional)
+
+export const INVALID_FIXED_SCHEDULE_DATES = "INVALID_FIXED_SCHEDULE_DATES";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateKey = (date) =>
+  typeof date === "string" ? date.slice(0, 10) : format(date, "yyyy-MM-dd");
+
+export const parseFixedScheduleDates = (value) => {
+  const dates = { effective_from: "", effective_until: "", skip_dates: [] };
+  String(value || "")
+    .split(";")
+    .forEach((part) => {
+      const [key, list = ""] = part.split("=").map((s) => s.trim());
+      const values = list
+        .split(",")
+        .map((s) => s.trim())
+        .filter((date) => DATE_PATTERN.test(date));
+      if (key === "from") dates.effective_from = values[0] || "";
+      else if (key === "until") dates.effective_until = values[0] || "";
+      else if (key === "skip") dates.skip_dates = [...new Set(values)].sort();
+    });
+  return dates;
+};
+
+export const formatFixedScheduleDates = ({ effective_from, effective_until, skip_dates } = {}) =>
+  [
+    effective_from && `from=${effective_from}`,
+    effective_until && `until=${effective_until}`,
+    skip_dates?.length > 0 && `skip=${[...new Set(skip_dates)].sort().join(",")}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+// Throws (error.code === INVALID_FIXED_SCHEDULE_DATES) for a malformed date or an
+// effective-until before effective-from
+export const validateFixedScheduleDates = ({ effective_from, effective_until, skip_dates }) => {
+  const dates = [effective_from, effective_until, ...(skip_dates || [])].filter(Boolean);
+  let message = null;
+  if (dates.some((date) => !DATE_PATTERN.test(date))) {
+    message = "Invalid fixed schedule dates: use yyyy-MM-dd";
+  } else if (effective_from && effective_until && effective_until < effective_from) {
+    message = "Invalid fixed schedule dates: effective until is before effective from";
+  }
+  if (message) {
+    const error = new Error(message);
+    error.code = INVALID_FIXED_SCHEDULE_DATES;
+    error.status = 400;
+    throw error;
+  }
+};
+
+// Whether a fixed schedule takes place on a day (Date or "yyyy-MM-dd")
+export const isFixedScheduleActiveOn = (schedule, date) => {
+  const day = toDateKey(date);
+  if (schedule.effective_from && day < schedule.effective_from) return false;
+  if (schedule.effective_until && day > schedule.effective_until) return false;
+  return !(schedule.skip_dates || []).includes(day);
+};
+
+// Whether two fixed schedules' date ranges share at least one day (skipped dates aside)
+export const doFixedScheduleRangesOverlap = (a, b) =>
+  (!a.effective_from || !b.effective_until || a.effective_from <= b.effective_until) &&
+  (!b.effective_from || !a.effective_until || b.effective_from <= a.effective_until);
@@ -0,0 +1,103 @@
+import { addDays, format, parseISO } from "date-fns";
+
+// Days the office is closed - public holidays and company closures - shared by every
+// storage backend and the booking screens:
+//   [{ date: "yyyy-MM-dd", label: "Lunar New Year" }, ...]   (label may be empty)
+// Nothing can be booked on them, and fixed schedules and recurring bookings skip them.
+// The Sheets backend keeps them in the HOLIDAYS sheet (A date | B label); a calendar
+// export (.ics) can be imported into it, see scripts/import-holidays.js.
+
+export const HOLIDAY_CLOSED = "HOLIDAY_CLOSED";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateKey = (date) =>
+  typeof date === "string" ? date.slice(0, 10) : format(date, "yyyy-MM-dd");
+
+export const isValidHolidayDate = (date) =>
+  DATE_PATTERN.test(date) && !isNaN(parseISO(date).getTime());
+
+// The holiday on a day (Date or "yyyy-MM-dd"), null if it's a working day
+export const findHoliday = (holidays, date) => {
+  const day = toDateKey(date);
+  return (holidays || []).find((holiday) => holiday.date === day) || null;
+};
+
+export const isHoliday = (holidays, date) => !!findHoliday(holidays, date);
+
+// Same day listed twice (e.g. a holiday both countries observe): one entry, labels joined
+export const mergeHolidays = (holidays) => {
+  const byDate = new Map();
+  holidays.forEach(({ date, label = "" }) => {
+    const labels = byDate.get(date) || [];
+    if (label && !labels.includes(label)) labels.push(label);
+    byDate.set(date, labels);
+  });
+  return [...byDate.entries()]
+    .map(([date, labels]) => ({ date, label: labels.join(" / ") }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// "20260216" or "20260216T000000Z" -> "2026-02-16"
+const parseIcsDate = (value) => {
+  const match = (value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Holidays in an iCalendar (.ics) file: one per day of each VEVENT, labelled with its
+// SUMMARY. All-day events end the day before DTEND, as the format specifies.
+export const parseIcsHolidays = (text) => {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = String(text || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  const holidays = [];
+  let event = null;
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      return;
+    }
+    if (line === "END:VEVENT") {
+      const start = parseIcsDate(event.DTSTART);
+      if (start) {
+        const end = parseIcsDate(event.DTEND);
+        const label = (event.SUMMARY || "").replace(/\\([,;\\])/g, "$1").trim();
+        let day = parseISO(start);
+        const lastDay = end && end > start ? addDays(parseISO(end), -1) : day;
+        while (day <= lastDay) {
+          holidays.push({ date: format(day, "yyyy-MM-dd"), label });
+          day = addDays(day, 1);
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    // "DTSTART;VALUE=DATE:20260216" -> DTSTART = "20260216"
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    event[name] = line.slice(separator + 1);
+  });
+
+  return mergeHolidays(holidays);
+};
+
+// Error thrown for a booking on a holiday.
+// error.code === HOLIDAY_CLOSED; error.holiday = { date: "yyyy-MM-dd", label }
+export const createHolidayClosedError = (holiday) => {
+  const error = new Error(
+    `Cannot book on ${holiday.date}: the office is closed${holiday.label ? ` (${holiday.label})` : ""}`
+  );
+  error.code = HOLIDAY_CLOSED;
+  error.status = 400;
+  error.holiday = { date: holiday.date, label: holiday.label || "" };
+  return error;
+};
+
+export const assertNotHoliday = (holidays, date) => {
+  const holiday = findHoliday(holidays, date);
+  if (holiday) throw createHolidayClosedError(holiday);
+};
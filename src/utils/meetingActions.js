@@ -0,0 +1,46 @@
+import { findConflictingBooking } from "./bookingConflicts.js";
+import { withoutNoShows } from "./checkIn.js";
+
+// Ending a meeting early and extending it, from the room card of the booking in
+// progress. Both only move the booking's end, so it keeps its check-in
+// (utils/checkIn.js) and the limits on when a booking starts don't apply again
+// (utils/bookingPolicy.js).
+
+export const EXTEND_OPTIONS = [15, 30];
+
+// Whether a booking is in progress and can be ended or extended; fixed schedules can't
+export const canChangeMeetingEnd = (booking, now = new Date()) =>
+  !!booking &&
+  !booking.isFixedSchedule &&
+  new Date(booking.start_time) <= now &&
+  new Date(booking.end_time) > now;
+
+// The end "End now" gives a booking: now, down to the whole minute the sheet keeps, so
+// the room is free right away (a minute after the start at the earliest)
+export const getEndNowTime = (booking, now = new Date()) => {
+  const minute = Math.floor(now.getTime() / 60000) * 60000;
+  return new Date(Math.max(minute, new Date(booking.start_time).getTime() + 60000));
+};
+
+export const getExtendedEndTime = (booking, minutes) =>
+  new Date(new Date(booking.end_time).getTime() + minutes * 60000);
+
+// The booking in the way of extending `booking` by `minutes`: the next one in its room
+// starting before the new end, null when the room is free until then. Released no-shows
+// don't count.
+export const findExtensionConflict = (bookings, booking, minutes, settings, now = new Date()) =>
+  findConflictingBooking(withoutNoShows(bookings, settings, now), {
+    room_id: booking.room_id,
+    start: booking.end_time,
+    end: getExtendedEndTime(booking, minutes),
+    ignoreId: booking.id,
+  });
+
+// The booking data updateBooking() gets to move a booking's end to `end`
+export const withEndTime = (booking, end) => ({
+  room_id: booking.room_id,
+  title: booking.requested_by,
+  requested_by: booking.requested_by,
+  start_time: booking.start_time,
+  end_time: end.toISOString(),
+});
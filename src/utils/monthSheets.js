@@ -0,0 +1,32 @@
+import { format } from "date-fns";
+
+// Each month's bookings live in a sheet named after the month, e.g. "NOVEMBER 2026".
+// A booking for a month without one either creates it or fails with MONTH_SHEET_MISSING,
+// depending on the month sheet creation mode (VITE_MONTH_SHEET_CREATION):
+//   auto     (default) copy the TEMPLATE sheet or the latest month sheet and carry on
+//   confirm  fail, and let the user confirm creating the sheet first
+//   off      fail; the sheet has to be created by hand
+
+export const MONTH_SHEET_MISSING = "MONTH_SHEET_MISSING";
+
+export const MONTH_SHEET_CREATION_MODES = ["auto", "confirm", "off"];
+
+export const getMonthSheetTitle = (date) => format(date, "MMMM yyyy").toUpperCase();
+
+// Error thrown when a month has no sheet. error.code === MONTH_SHEET_MISSING;
+// error.monthSheet = { month: "yyyy-MM", title, canCreate } - canCreate is true
+// when the user may create it (confirm mode)
+export const createMonthSheetMissingError = (date, { canCreate = false } = {}) => {
+  const readableMonth = format(date, "MMMM yyyy");
+  const error = new Error(
+    `Unable to book for ${readableMonth}. The sheet for this month doesn't exist yet. Please create a sheet named "${getMonthSheetTitle(date)}" or "${readableMonth}" in your Google Spreadsheet before booking.`
+  );
+  error.code = MONTH_SHEET_MISSING;
+  error.status = 409;
+  error.monthSheet = {
+    month: format(date, "yyyy-MM"),
+    title: getMonthSheetTitle(date),
+    canCreate,
+  };
+  return error;
+};
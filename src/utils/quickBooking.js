@@ -0,0 +1,55 @@
+import { getWorkingHoursOn } from "./workingHours.js";
+import { withoutNoShows } from "./checkIn.js";
+import { isHoliday } from "./holidays.js";
+import { findPolicyViolation, getRoomPolicy } from "./bookingPolicy.js";
+
+// One-tap "book now" from the card of an available room: a booking from now for about
+// the chosen number of minutes, ending on the slot grid (see utils/workingHours.js) and
+// cut short by whatever comes next: the room's next booking, a blackout
+// (utils/blackouts.js) or closing time. Nothing is offered on a holiday (utils/holidays.js),
+// nor a booking the room's booking policy wouldn't allow (utils/bookingPolicy.js).
+
+export const QUICK_BOOKING_MINUTES = [15, 30, 60];
+
+// The quick bookings a room offers now: [{ minutes, start, end }] (Dates), one per
+// duration that still fits; durations ending at the same time as a shorter one are left out.
+//   bookings: those loaded for today; pending ones hold their slot, released no-shows don't
+//   policy: the office booking policy
+export const getQuickBookingOptions = (
+  room,
+  { bookings = [], blackouts = [], holidays = [], workingHours, checkIn, policy, now = new Date() }
+) => {
+  const hours = getWorkingHoursOn(workingHours, now, room);
+  if (!room || !hours || isHoliday(holidays, now)) return [];
+
+  const start = new Date(Math.floor(now.getTime() / 60000) * 60000);
+  const dayStart = new Date(start);
+  dayStart.setHours(0, 0, 0, 0);
+  const minuteOfDay = (start - dayStart) / 60000;
+  if (minuteOfDay < hours.start || minuteOfDay >= hours.end) return [];
+
+  // The earliest of closing time and the start of the next booking or blackout
+  const taken = [
+    ...withoutNoShows(bookings, checkIn, now).filter((booking) => booking.room_id === room.id),
+    ...blackouts.filter((blackout) => blackout.room_id === room.id),
+  ];
+  let limit = dayStart.getTime() + hours.end * 60000;
+  for (const { start_time, end_time } of taken) {
+    if (new Date(end_time) <= start) continue;
+    limit = Math.min(limit, new Date(start_time).getTime());
+  }
+  if (limit <= start.getTime()) return [];
+
+  const slot = workingHours.slotMinutes * 60000;
+  const roomPolicy = policy ? getRoomPolicy(policy, room) : null;
+  const options = [];
+  QUICK_BOOKING_MINUTES.forEach((minutes) => {
+    // Round up to the grid, measured from midnight like the time pickers
+    const wanted = dayStart.getTime() + Math.ceil((start.getTime() + minutes * 60000 - dayStart) / slot) * slot;
+    const end = Math.min(wanted, limit);
+    if (options.some((option) => option.end.getTime() === end)) return;
+    if (roomPolicy && findPolicyViolation(roomPolicy, { start, end: new Date(end) }, { now })) return;
+    options.push({ minutes, start, end: new Date(end) });
+  });
+  return options;
+};
@@ -0,0 +1,426 @@
+import {
+  addDays,
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  differenceInCalendarWeeks,
+  format,
+  getDaysInMonth,
+  parseISO,
+} from "date-fns";
+
+// Recurring bookings, shared by every storage backend
+// A series is stored once and expanded into occurrences when bookings are read:
+//   { id, room_id, staff, start_date: "yyyy-MM-dd", start_time: "HH:mm", end_time: "HH:mm",
+//     rrule: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10", exdates: ["yyyy-MM-dd", ...] }
+// rrule is the iCalendar RRULE subset we support: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL,
+// BYDAY (weekdays, or "2TU"/"-1FR" for monthly) and exactly one of UNTIL (yyyyMMdd) or COUNT.
+
+export const INVALID_RECURRENCE = "INVALID_RECURRENCE";
+
+export const RECURRENCE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+// Index matches Date#getDay()
+export const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Which occurrences an edit or delete applies to
+export const RECURRENCE_SCOPES = {
+  THIS: "this",
+  FOLLOWING: "following",
+  ALL: "all",
+};
+
+export const MAX_OCCURRENCES = 365;
+const MAX_SPAN_DAYS = 2 * 366; // UNTIL may be at most ~2 years after the first occurrence
+
+const WEEK_OPTIONS = { weekStartsOn: 1 }; // WKST=MO
+
+const DATE_FORMAT = "yyyy-MM-dd";
+const toDateKey = (date) => format(date, DATE_FORMAT);
+
+// Error thrown for a rule we can't store or expand. error.code === INVALID_RECURRENCE
+export const createInvalidRecurrenceError = (message) => {
+  const error = new Error(`Invalid recurrence: ${message}`);
+  error.code = INVALID_RECURRENCE;
+  error.status = 400;
+  return error;
+};
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231"
+//   -> { freq: "WEEKLY", interval: 2, byDay: [{ weekday: 1, nth: null }, ...], until: "2026-12-31", count: null }
+export const parseRecurrenceRule = (text) => {
+  const parts = String(text || "")
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .filter(Boolean)
+    .map((part) => part.split("="));
+  const values = Object.fromEntries(
+    parts.map(([key, value]) => [key.trim().toUpperCase(), (value || "").trim().toUpperCase()])
+  );
+
+  const freq = values.FREQ;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    throw createInvalidRecurrenceError(`FREQ must be one of ${RECURRENCE_FREQUENCIES.join(", ")}`);
+  }
+
+  const interval = values.INTERVAL ? Number(values.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw createInvalidRecurrenceError("INTERVAL must be a whole number from 1 to 99");
+  }
+
+  const byDay = values.BYDAY
+    ? values.BYDAY.split(",").map((code) => {
+        const match = code.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) throw createInvalidRecurrenceError(`unknown BYDAY value "${code}"`);
+        const nth = match[1] ? Number(match[1]) : null;
+        if (nth !== null && (freq !== "MONTHLY" || nth === 0 || nth < -1 || nth > 5)) {
+          throw createInvalidRecurrenceError(`"${code}" is only valid as 1-5 or -1 in a monthly rule`);
+        }
+        return { weekday: WEEKDAY_CODES.indexOf(match[2]), nth };
+      })
+    : [];
+  if (freq === "DAILY" && byDay.length > 0) {
+    throw createInvalidRecurrenceError("BYDAY is not supported for daily rules");
+  }
+  if (freq === "MONTHLY" && (byDay.length > 1 || (byDay.length === 1 && byDay[0].nth === null))) {
+    throw createInvalidRecurrenceError('a monthly rule takes one BYDAY like "2TU" or "-1FR"');
+  }
+
+  let until = null;
+  if (values.UNTIL) {
+    const match = values.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) throw createInvalidRecurrenceError("UNTIL must be a yyyyMMdd date");
+    until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  const count = values.COUNT ? Number(values.COUNT) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    throw createInvalidRecurrenceError(`COUNT must be from 1 to ${MAX_OCCURRENCES}`);
+  }
+  if ((until === null) === (count === null)) {
+    throw createInvalidRecurrenceError("give either an end date (UNTIL) or a number of occurrences (COUNT)");
+  }
+
+  return { freq, interval, byDay, until, count };
+};
+
+export const formatRecurrenceRule = ({ freq, interval = 1, byDay = [], until = null, count = null }) => {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) {
+    parts.push(`BYDAY=${byDay.map(({ weekday, nth }) => `${nth ?? ""}${WEEKDAY_CODES[weekday]}`).join(",")}`);
+  }
+  if (until) parts.push(`UNTIL=${until.replace(/-/g, "")}`);
+  if (count) parts.push(`COUNT=${count}`);
+  return parts.join(";");
+};
+
+// Does the rule produce this day? (day on or after the series start)
+const matchesRule = (rule, firstDay, day) => {
+  switch (rule.freq) {
+    case "DAILY":
+      return differenceInCalendarDays(day, firstDay) % rule.interval === 0;
+    case "WEEKLY": {
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : [firstDay.getDay()];
+      return (
+        weekdays.includes(day.getDay()) &&
+        differenceInCalendarWeeks(day, firstDay, WEEK_OPTIONS) % rule.interval === 0
+      );
+    }
+    case "MONTHLY": {
+      if (differenceInCalendarMonths(day, firstDay) % rule.interval !== 0) return false;
+      if (rule.byDay.length === 0) return day.getDate() === firstDay.getDate();
+      const [{ weekday, nth }] = rule.byDay;
+      if (day.getDay() !== weekday) return false;
+      return nth === -1
+        ? day.getDate() + 7 > getDaysInMonth(day)
+        : Math.ceil(day.getDate() / 7) === nth;
+    }
+    default:
+      return false;
+  }
+};
+
+// Every day the rule produces, exceptions included (COUNT counts them, as in iCalendar)
+const listRuleDates = (series) => {
+  const rule = parseRecurrenceRule(series.rrule);
+  const firstDay = parseISO(series.start_date);
+  const lastDay = rule.until ? parseISO(rule.until) : addDays(firstDay, MAX_SPAN_DAYS);
+
+  const dates = [];
+  for (
+    let day = firstDay, i = 0;
+    day <= lastDay && i <= MAX_SPAN_DAYS && dates.length < (rule.count || MAX_OCCURRENCES);
+    day = addDays(day, 1), i++
+  ) {
+    if (matchesRule(rule, firstDay, day)) dates.push(toDateKey(day));
+  }
+  return dates;
+};
+
+// Throws unless the series has a valid rule that produces at least one occurrence
+export const validateSeries = (series) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(series.start_date || "")) {
+    throw createInvalidRecurrenceError("the first occurrence needs a yyyy-MM-dd date");
+  }
+  const rule = parseRecurrenceRule(series.rrule);
+  if (rule.until && differenceInCalendarDays(parseISO(rule.until), parseISO(series.start_date)) > MAX_SPAN_DAYS) {
+    throw createInvalidRecurrenceError("the end date may be at most two years after the first occurrence");
+  }
+  if (getOccurrenceDates(series).length === 0) {
+    throw createInvalidRecurrenceError("the rule doesn't produce any occurrence");
+  }
+};
+
+// "yyyy-MM-dd" days the series takes place, optionally limited to from-to (inclusive)
+export const getOccurrenceDates = (series, { from = null, to = null } = {}) => {
+  const exdates = new Set(series.exdates || []);
+  const fromKey = from ? toDateKey(from) : null;
+  const toKey = to ? toDateKey(to) : null;
+  return listRuleDates(series).filter(
+    (date) => !exdates.has(date) && (!fromKey || date >= fromKey) && (!toKey || date <= toKey)
+  );
+};
+
+// Occurrences carry "<seriesId>@<yyyy-MM-dd>" as their booking ID
+export const createOccurrenceId = (seriesId, date) => `${seriesId}@${date}`;
+
+export const parseOccurrenceId = (id) => {
+  const match = String(id || "").match(/^(.+)@(\d{4}-\d{2}-\d{2})$/);
+  return match ? { seriesId: match[1], date: match[2] } : null;
+};
+
+// One occurrence in the booking shape fetchBookings() returns
+export const toOccurrenceBooking = (series, date) => {
+  const start = new Date(`${date}T${series.start_time}:00`);
+  const end = new Date(`${date}T${series.end_time}:00`);
+  return {
+    id: createOccurrenceId(series.id, date),
+    series_id: series.id,
+    room_id: series.room_id,
+    title: series.staff ? `Booked by ${series.staff}` : "Booked",
+    requested_by: series.staff || "Unknown",
+    start_time: start.toISOString(),
+    end_time: end.toISOString(),
+    recurrence: series.rrule,
+    isRecurring: true,
+    ...(series.approval ? { approval: series.approval } : {}),
+    ...(series.attendance?.[date] ? { attendance: series.attendance[date] } : {}),
+  };
+};
+
+export const getSeriesBookings = (seriesList, range = {}) =>
+  seriesList.flatMap((series) => {
+    try {
+      return getOccurrenceDates(series, range).map((date) => toOccurrenceBooking(series, date));
+    } catch (error) {
+      console.warn(`⚠️ Skipping recurring booking ${series.id}:`, error.message);
+      return [];
+    }
+  });
+
+// A booking payload from BookingModal ({ room_id, title, start_time, end_time, recurrence })
+// as a series starting on the booking's day
+export const toSeries = (id, booking) => {
+  const start = new Date(booking.start_time || booking.start);
+  const end = new Date(booking.end_time || booking.end);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error("Invalid date/time provided for booking");
+  }
+  if (end <= start || toDateKey(start) !== toDateKey(end)) {
+    throw new Error("End time must be after start time on the same day");
+  }
+  return {
+    id,
+    room_id: booking.room_id,
+    staff: (booking.title || "").replace(/^Booked by /, "").trim(),
+    start_date: toDateKey(start),
+    start_time: format(start, "HH:mm"),
+    end_time: format(end, "HH:mm"),
+    rrule: formatRecurrenceRule(parseRecurrenceRule(booking.recurrence)),
+    exdates: [],
+  };
+};
+
+// The series with one occurrence cancelled
+export const excludeOccurrence = (series, date) => ({
+  ...series,
+  exdates: [...new Set([...(series.exdates || []), date])].sort(),
+});
+
+// The series cut short so its last occurrence is before `date`; null if nothing is left
+export const endSeriesBefore = (series, date) => {
+  const rule = parseRecurrenceRule(series.rrule);
+  const before = listRuleDates(series).filter((day) => day < date);
+  const exdates = (series.exdates || []).filter((day) => day < date);
+  if (before.filter((day) => !exdates.includes(day)).length === 0) return null;
+
+  const ended = rule.count
+    ? { ...rule, count: before.length }
+    : { ...rule, until: toDateKey(addDays(parseISO(date), -1)) };
+  return { ...series, rrule: formatRecurrenceRule(ended), exdates };
+};
+
+// The rest of the series from `date` on, as its own series (count-based rules keep
+// only the occurrences that are left)
+const continueSeriesFrom = (series, date) => {
+  const rule = parseRecurrenceRule(series.rrule);
+  const remaining = listRuleDates(series).filter((day) => day >= date);
+  const rest = rule.count ? { ...rule, count: Math.max(remaining.length, 1) } : rule;
+  return {
+    ...series,
+    start_date: date,
+    rrule: formatRecurrenceRule(rest),
+    exdates: (series.exdates || []).filter((day) => day >= date),
+  };
+};
+
+const shiftDateKey = (date, days) => toDateKey(addDays(parseISO(date), days));
+
+// Monday first, like BookingModal's weekday toggles
+const byWeekdayOrder = (a, b) => ((a.weekday + 6) % 7) - ((b.weekday + 6) % 7);
+
+// The start, rule and exceptions of a series moved `days` later (earlier when negative)
+// so that every occurrence moves by as many days; throws when the rule can't follow
+const shiftSeries = (series, days) => {
+  if (days === 0) return { start_date: series.start_date, rrule: series.rrule, exdates: series.exdates || [] };
+
+  const rule = parseRecurrenceRule(series.rrule);
+  const startDate = shiftDateKey(series.start_date, days);
+  const byDay =
+    rule.freq === "MONTHLY" && rule.byDay.length > 0
+      ? [getMonthlyWeekday(startDate, rule.byDay[0].nth === -1)]
+      : rule.byDay
+          .map(({ weekday, nth }) => ({ weekday: (((weekday + days) % 7) + 7) % 7, nth }))
+          .sort(byWeekdayOrder);
+  const moved = {
+    start_date: startDate,
+    rrule: formatRecurrenceRule({ ...rule, byDay, until: rule.until ? shiftDateKey(rule.until, days) : null }),
+    exdates: (series.exdates || []).map((day) => shiftDateKey(day, days)),
+  };
+
+  const expected = getOccurrenceDates(series).map((day) => shiftDateKey(day, days));
+  const actual = getOccurrenceDates({ ...series, ...moved });
+  if (actual.length !== expected.length || actual.some((day, i) => day !== expected[i])) {
+    throw createInvalidRecurrenceError(
+      "the series can't move to that day as it is; change its repeat settings to move it"
+    );
+  }
+  return moved;
+};
+
+// What editing the occurrence on `date` with newBookingData (BookingModal's payload)
+// does to its series, per scope:
+//   series  - the existing series as it should be saved, null to remove it
+//   added   - a new series to store (this and following), or null
+//   booking - an ordinary booking to create in place of the occurrence (this one), or null
+// An unchanged recurrence keeps the series' rule and exceptions; moving the occurrence
+// to another day moves the series by as many days: its weekdays, end date and
+// exceptions with it. A move the rule can't follow (e.g. one that would change which
+// weeks or days of the month it falls on) fails with INVALID_RECURRENCE.
+export const planOccurrenceUpdate = (series, date, newBookingData, scope, newSeriesId) => {
+  const { recurrence, ...bookingData } = newBookingData;
+
+  if (scope !== RECURRENCE_SCOPES.FOLLOWING && scope !== RECURRENCE_SCOPES.ALL) {
+    const remaining = excludeOccurrence(series, date);
+    return {
+      series: getOccurrenceDates(remaining).length > 0 ? remaining : null,
+      added: null,
+      booking: bookingData,
+    };
+  }
+
+  const fromStart = scope === RECURRENCE_SCOPES.ALL || date === series.start_date;
+  const remaining = fromStart ? series : continueSeriesFrom(series, date);
+  const rrule = recurrence && recurrence !== series.rrule ? recurrence : remaining.rrule;
+  const edited = toSeries(fromStart ? series.id : newSeriesId, { ...bookingData, recurrence: rrule });
+  const shift = differenceInCalendarDays(parseISO(edited.start_date), parseISO(date));
+  const next =
+    edited.rrule === remaining.rrule
+      ? { ...edited, ...shiftSeries(remaining, shift) }
+      : { ...edited, start_date: fromStart ? shiftDateKey(series.start_date, shift) : edited.start_date, exdates: [] };
+  validateSeries(next);
+
+  return fromStart
+    ? { series: next, added: null, booking: null }
+    : { series: endSeriesBefore(series, date), added: next, booking: null };
+};
+
+// The series after deleting the occurrence on `date` per scope, null to remove it
+export const planOccurrenceDelete = (series, date, scope) => {
+  if (scope === RECURRENCE_SCOPES.ALL || (scope === RECURRENCE_SCOPES.FOLLOWING && date === series.start_date)) {
+    return null;
+  }
+  if (scope === RECURRENCE_SCOPES.FOLLOWING) return endSeriesBefore(series, date);
+  const remaining = excludeOccurrence(series, date);
+  return getOccurrenceDates(remaining).length > 0 ? remaining : null;
+};
+
+// BookingModal's repeat fields <-> RRULE. The options are
+//   { freq: "" | "DAILY" | "WEEKLY" | "MONTHLY", interval, weekdays: [0-6],
+//     monthlyBy: "day" | "weekday" | "lastWeekday", ends: "count" | "until", count, until: "yyyy-MM-dd" }
+// and the first occurrence's day fills in what they leave out (weekday, day of month).
+
+// Whether a day is the last of its weekday in its month
+export const isLastWeekdayOfMonth = (startDate) => {
+  const day = parseISO(startDate);
+  return day.getDate() + 7 > getDaysInMonth(day);
+};
+
+// The weekday of the month a monthly rule repeats on: the nth (1-5) one, or the last
+// one (-1) when asked for and the day is the last of its weekday
+export const getMonthlyWeekday = (startDate, last = false) => {
+  const day = parseISO(startDate);
+  return {
+    weekday: day.getDay(),
+    nth: last && isLastWeekdayOfMonth(startDate) ? -1 : Math.ceil(day.getDate() / 7),
+  };
+};
+
+export const toRecurrenceOptions = (rrule, startDate) => {
+  const day = parseISO(startDate);
+  const defaults = {
+    freq: "",
+    interval: 1,
+    weekdays: [day.getDay()],
+    monthlyBy: "day",
+    ends: "count",
+    count: 10,
+    until: toDateKey(addDays(day, 90)),
+  };
+  if (!rrule) return defaults;
+
+  const rule = parseRecurrenceRule(rrule);
+  return {
+    ...defaults,
+    freq: rule.freq,
+    interval: rule.interval,
+    weekdays: rule.freq === "WEEKLY" && rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : defaults.weekdays,
+    monthlyBy:
+      rule.freq === "MONTHLY" && rule.byDay.length > 0
+        ? rule.byDay[0].nth === -1
+          ? "lastWeekday"
+          : "weekday"
+        : "day",
+    ends: rule.until ? "until" : "count",
+    count: rule.count || defaults.count,
+    until: rule.until || defaults.until,
+  };
+};
+
+// "" when the booking doesn't repeat
+export const fromRecurrenceOptions = (options, startDate) => {
+  if (!options.freq) return "";
+  const byDay =
+    options.freq === "WEEKLY"
+      ? [...new Set(options.weekdays)].map((weekday) => ({ weekday, nth: null })).sort(byWeekdayOrder)
+      : options.freq === "MONTHLY" && options.monthlyBy !== "day"
+        ? [getMonthlyWeekday(startDate, options.monthlyBy === "lastWeekday")]
+        : [];
+  return formatRecurrenceRule({
+    freq: options.freq,
+    interval: Math.max(1, Number(options.interval) || 1),
+    byDay,
+    until: options.ends === "until" ? options.until : null,
+    count: options.ends === "count" ? Math.max(1, Number(options.count) || 1) : null,
+  });
+};
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INVALID_RECURRENCE,
+  RECURRENCE_SCOPES,
+  fromRecurrenceOptions,
+  getOccurrenceDates,
+  planOccurrenceUpdate,
+  toRecurrenceOptions,
+} from "./recurrence.js";
+
+const series = {
+  id: "rs_1",
+  room_id: "da-lat",
+  staff: "Weekly Sync",
+  start_date: "2026-11-02",
+  start_time: "14:00",
+  end_time: "15:00",
+  rrule: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6",
+  exdates: [],
+};
+
+// BookingModal's payload for the occurrence moved to `date`, repeat settings unchanged
+const movedTo = (date, rrule = series.rrule) => ({
+  room_id: series.room_id,
+  title: series.staff,
+  start_time: new Date(`${date}T14:00:00`).toISOString(),
+  end_time: new Date(`${date}T15:00:00`).toISOString(),
+  recurrence: rrule,
+});
+
+test("moving an occurrence and the following ones to another weekday moves their weekdays", () => {
+  const plan = planOccurrenceUpdate(series, "2026-11-09", movedTo("2026-11-10"), RECURRENCE_SCOPES.FOLLOWING, "rs_2");
+  assert.deepEqual(getOccurrenceDates(plan.series), ["2026-11-02", "2026-11-04"]);
+  assert.equal(plan.added.rrule, "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4");
+  assert.deepEqual(getOccurrenceDates(plan.added), ["2026-11-10", "2026-11-12", "2026-11-17", "2026-11-19"]);
+});
+
+test("moving every occurrence to another weekday keeps them all, one day later", () => {
+  const plan = planOccurrenceUpdate(series, "2026-11-09", movedTo("2026-11-10"), RECURRENCE_SCOPES.ALL, "rs_2");
+  assert.equal(plan.series.start_date, "2026-11-03");
+  assert.deepEqual(getOccurrenceDates(plan.series), [
+    "2026-11-03", "2026-11-05", "2026-11-10", "2026-11-12", "2026-11-17", "2026-11-19",
+  ]);
+});
+
+test("a move keeps the end date and exceptions in step", () => {
+  const ending = { ...series, rrule: "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261118", exdates: ["2026-11-11"] };
+  const plan = planOccurrenceUpdate(ending, "2026-11-02", movedTo("2026-11-03", ending.rrule), RECURRENCE_SCOPES.ALL, "rs_2");
+  assert.equal(plan.series.rrule, "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261119");
+  assert.deepEqual(plan.series.exdates, ["2026-11-12"]);
+  assert.deepEqual(getOccurrenceDates(plan.series), ["2026-11-03", "2026-11-05", "2026-11-10", "2026-11-17", "2026-11-19"]);
+});
+
+test("a move the rule can't follow is refused", () => {
+  // Every other week on Saturday and Sunday: a day later, Sunday and Monday fall in different weeks
+  const biweekly = { ...series, start_date: "2026-11-07", rrule: "FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,SU;COUNT=4" };
+  assert.throws(
+    () => planOccurrenceUpdate(biweekly, "2026-11-07", movedTo("2026-11-08", biweekly.rrule), RECURRENCE_SCOPES.ALL, "rs_2"),
+    (error) => error.code === INVALID_RECURRENCE
+  );
+});
+
+test("a monthly rule on the fourth weekday stays on the fourth, even when it is also the last", () => {
+  const options = { ...toRecurrenceOptions("", "2026-11-24"), freq: "MONTHLY", monthlyBy: "weekday" };
+  assert.equal(fromRecurrenceOptions(options, "2026-11-24"), "FREQ=MONTHLY;BYDAY=4TU;COUNT=10");
+  assert.equal(
+    fromRecurrenceOptions({ ...options, monthlyBy: "lastWeekday" }, "2026-11-24"),
+    "FREQ=MONTHLY;BYDAY=-1TU;COUNT=10"
+  );
+  assert.equal(toRecurrenceOptions("FREQ=MONTHLY;BYDAY=-1TU;COUNT=10", "2026-11-24").monthlyBy, "lastWeekday");
+});
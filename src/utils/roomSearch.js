@@ -0,0 +1,106 @@
+import { addDays, format, startOfDay } from "date-fns";
+import { getWorkingHoursOn } from "./workingHours.js";
+import { isHoliday } from "./holidays.js";
+import { findBlackout } from "./blackouts.js";
+import { findConflictingBooking } from "./bookingConflicts.js";
+import { withoutNoShows } from "./checkIn.js";
+import { findPolicyViolation, getRoomPolicy } from "./bookingPolicy.js";
+
+// Find a free room: every slot of the requested length, across the rooms and days
+// asked for, that nothing stands in the way of booking, best matches first.
+//   { duration: 60, attendees: 6, features: ["TV"], from: "2026-10-20", to: "2026-10-20",
+//     window: { start: 780, end: 1080 } }
+// duration and the window (minutes after midnight, null for the whole day) are minutes,
+// from/to the days searched as "yyyy-MM-dd". Slots start on the slot grid (see
+// utils/workingHours.js) inside the room's working hours and the window.
+// Rooms without a capacity (0) are kept whatever the attendee count; features match
+// ignoring case.
+
+export const SEARCH_MAX_DAYS = 14;
+export const SEARCH_MAX_RESULTS = 30;
+export const SEARCH_DURATIONS = [15, 30, 45, 60, 90, 120, 180];
+
+// Whether a room seats the attendees and has every feature asked for
+export const roomMatches = (room, { attendees = 0, features = [] }) => {
+  if (attendees > 0 && room.capacity > 0 && room.capacity < attendees) return false;
+  const roomFeatures = (room.features || []).map((feature) => feature.toLowerCase());
+  return features.every((feature) => roomFeatures.includes(feature.toLowerCase()));
+};
+
+// The features rooms can be searched by, without the "Large/Small Room" size labels
+export const getSearchableFeatures = (rooms) =>
+  [...new Set((rooms || []).flatMap((room) => room.features || []))]
+    .filter((feature) => !feature.toLowerCase().includes("room"))
+    .sort((a, b) => a.localeCompare(b));
+
+// The days a search covers, as Dates, at most SEARCH_MAX_DAYS of them
+export const getSearchDays = ({ from, to }) => {
+  const days = [];
+  const last = startOfDay(new Date(`${to || from}T00:00:00`));
+  for (
+    let day = startOfDay(new Date(`${from}T00:00:00`));
+    day <= last && days.length < SEARCH_MAX_DAYS;
+    day = addDays(day, 1)
+  ) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Empty seats a room leaves, rooms without a capacity last
+const spareSeats = (room, attendees) => (room.capacity > 0 ? room.capacity - attendees : Infinity);
+
+// Free slots for a search: [{ room, start, end }] (Dates), soonest first and, at the same
+// time, in the room that fits the group most closely; at most SEARCH_MAX_RESULTS.
+//   bookings: those of every month searched (fixed schedules and recurring bookings
+//             included, as fetchBookings() returns them); pending ones hold their slot,
+//             released no-shows don't
+//   policy: the office booking policy, so slots a room's limits don't allow are left out
+export const findFreeSlots = (
+  search,
+  { rooms = [], bookings = [], blackouts = [], holidays = [], workingHours, checkIn, policy, now = new Date() }
+) => {
+  const { duration, attendees = 0, window = null } = search;
+  const taken = withoutNoShows(bookings, checkIn, now);
+  const slotMinutes = workingHours.slotMinutes;
+  const slots = [];
+
+  getSearchDays(search)
+    .filter((day) => !isHoliday(holidays, day))
+    .forEach((day) => {
+      rooms
+        .filter((room) => roomMatches(room, search))
+        .forEach((room) => {
+          const hours = getWorkingHoursOn(workingHours, day, room);
+          if (!hours) return;
+          const first = Math.max(hours.start, window ? window.start : 0);
+          const last = Math.min(hours.end, window ? window.end : 24 * 60) - duration;
+          const roomPolicy = policy ? getRoomPolicy(policy, room) : null;
+
+          for (let minutes = Math.ceil(first / slotMinutes) * slotMinutes; minutes <= last; minutes += slotMinutes) {
+            const start = new Date(day);
+            start.setMinutes(minutes);
+            const end = new Date(start.getTime() + duration * 60000);
+            if (start < now) continue;
+            if (findConflictingBooking(taken, { room_id: room.id, start, end })) continue;
+            if (findBlackout(blackouts, { room_id: room.id, start, end })) continue;
+            if (roomPolicy && findPolicyViolation(roomPolicy, { start, end }, { now })) continue;
+            slots.push({ room, start, end });
+          }
+        });
+    });
+
+  return slots
+    .sort(
+      (a, b) =>
+        a.start - b.start ||
+        spareSeats(a.room, attendees) - spareSeats(b.room, attendees) ||
+        a.room.name.localeCompare(b.room.name)
+    )
+    .slice(0, SEARCH_MAX_RESULTS);
+};
+
+// The month keys ("yyyy-MM") whose bookings a search needs
+export const getSearchMonthKeys = (search) => [
+  ...new Set(getSearchDays(search).map((day) => format(day, "yyyy-MM"))),
+];
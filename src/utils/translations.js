@@ -7,9 +7,18 @@ export const translations = {
     realTimeStatus: "Real-time availability status",
     updated: "Updated",
     roomSchedule: "Daily Room Schedule",
-    scheduleHint: "Select a booking to view, edit, or delete.",
+    scheduleHint: "Drag across empty slots to book, or select a booking to view, edit, or delete.",
     refresh: "Refresh",
     onlineUsers: "{count} Online",
+    previousMonth: "Previous month",
+    nextMonth: "Next month",
+    previous: "Previous",
+    next: "Next",
+    bookingCount: "{count} booked",
+    dayView: "Day",
+    weekView: "Week",
+    monthView: "Month",
+    jumpToDate: "Jump to date",
 
     // Room Card
     available: "Available",
@@ -39,6 +48,36 @@ export const translations = {
     date: "Date",
     time: "Time",
     confirmBooking: "Confirm Booking",
+    repeat: "Repeat",
+    doesNotRepeat: "Does not repeat",
+    repeatDaily: "Daily",
+    repeatWeekly: "Weekly",
+    repeatMonthly: "Monthly",
+    repeatEvery: "Every",
+    repeatDays: "day(s)",
+    repeatWeeks: "week(s)",
+    repeatMonths: "month(s)",
+    monthlyOnDay: "On day {day}",
+    monthlyOnWeekday: "On the {nth} {weekday}",
+    ordinal1: "first",
+    ordinal2: "second",
+    ordinal3: "third",
+    ordinal4: "fourth",
+    ordinal5: "fifth",
+    ordinalLast: "last",
+    repeatEnds: "Ends",
+    repeatAfter: "After",
+    repeatOccurrences: "occurrences",
+    repeatUntil: "On",
+    repeatUntilDate: "until {date}",
+    repeatCount: "{count} times",
+    invalidRecurrence: "Check the repeat settings. {reason}",
+    applyChangesTo: "Apply changes to",
+    deleteWhichOccurrences: "Delete",
+    scopeThis: "This booking",
+    scopeFollowing: "This and following bookings",
+    scopeAll: "All bookings in the series",
+    recurringBookingCreated: "Recurring booking created with {count} occurrences.",
     updateBooking: "Update Booking",
     booking: "Booking...",
     updating: "Updating...",
@@ -52,8 +91,114 @@ export const translations = {
       "Cannot book in the past. Please select a future date and time.",
     endTimeAfterStart: "End time must be after start time",
     invalidDateSelected: "Invalid date selected. Please select a valid date.",
+    outsideWorkingHours:
+      "This room can only be booked between {start} and {end} on this day.",
+    roomClosedOnDay: "This room is closed on this day.",
+    holidayClosed: "The office is closed on this day.",
+    holidayClosedNamed: "The office is closed on this day ({label}).",
+
+    // Room blackouts
+    unavailable: "Unavailable",
+    unavailableUntil: "Unavailable until {time}",
+    blackoutReason: "Reason",
+    manageBlackouts: "Room Blackouts",
+    blackouts: "Room Blackouts",
+    blackoutsDescription: "Take a room out of use for a while, e.g. during repairs. Nothing can be booked in it until the blackout ends.",
+    newBlackout: "New blackout",
+    addBlackout: "Add blackout",
+    blackoutFrom: "From",
+    blackoutUntil: "Until",
+    blackoutReasonPlaceholder: "e.g. TV repair",
+    noBlackouts: "No upcoming blackouts",
+    confirmDeleteBlackout: "Remove this blackout? The room can be booked again during it.",
+    failedToSaveBlackout: "Failed to save the blackout",
+    failedToDeleteBlackout: "Failed to remove the blackout",
+    roomBlackedOut: "This room is unavailable from {start} to {end}.",
+    roomBlackedOutReason: "This room is unavailable from {start} to {end} ({reason}).",
+
+    // Booking policy
+    policyMaxDuration: "Bookings of this room can last at most {limit}.",
+    policyMinNotice: "Bookings must be made at least {limit} before they start.",
+    policyMaxAdvance: "Bookings can be made at most {limit} days ahead.",
+    policyMaxFuture: "You already have {limit} upcoming bookings, the most allowed per person.",
+
+    // Approvals
+    approvals: "Approvals",
+    approvalsDescription: "Bookings of rooms that require approval wait here. Approve them to confirm, or reject them to free the slot.",
+    pendingApproval: "Pending approval",
+    approvedBy: "Approved by {name}",
+    requiresApprovalHint: "Bookings of this room need an approver's OK. Yours holds the slot as pending until then.",
+    bookingPendingApproval: "Your booking was submitted and is waiting for approval.",
+    approverCode: "Approver code",
+    approverCodePlaceholder: "Decisions are recorded under your name",
+    enterApproverCode: "Please enter your approver code first",
+    approve: "Approve",
+    reject: "Reject",
+    confirmRejectBooking: "Reject this booking? Its slot becomes free again.",
+    noPendingBookings: "No bookings waiting for approval",
+    decidesWholeSeries: "Recurring: the decision applies to every occurrence",
+    bookingAlreadyDecided: "This booking was already approved or rejected.",
+    failedToDecideBooking: "Failed to save the decision",
+    notAnApprover: "That approver code isn't valid",
+
+    // Check-in
+    checkIn: "Check in",
+    checkInOpensAt: "Check-in opens at {time}",
+    checkInBy: "Check in by {time} or the room is released",
+    checkedInAt: "Checked in at {time}",
+    checkedInToast: "Checked in. Enjoy your meeting!",
+    checkInNotOpen: "Check-in isn't open for this booking right now.",
+    failedToCheckIn: "Failed to check in",
+    noShow: "no-show",
+    releasedAsNoShow: "Released: nobody checked in",
+    noShowCount: "{count} no-show(s) recorded for this person",
+
+    // Ending early and extending
+    endMeetingNow: "End now",
+    confirmEndMeetingNow: "End this meeting now and free the room?",
+    meetingEndedToast: "Meeting ended. The room is free now.",
+    extendMinutes: "{minutes}m",
+    extendMeetingBy: "Extend by {minutes} minutes",
+    meetingExtendedToast: "Meeting extended until {time}",
+    cannotExtendMeeting: "Can't extend: {name} has the room from {time}",
+
+    // Quick booking
+    bookNow: "Book now",
+    bookNowUntil: "Book now until {time}",
+    quickBookMinutes: "{minutes} min",
+    quickBookedToast: "{room} is booked for you until {time}",
+    enterYourName: "Your name for bookings:",
+    yourName: "Your name",
+
+    // Find a room
+    findRoom: "Find a room",
+    findRoomDescription: "Free slots across all rooms for your meeting, soonest first",
+    searchDuration: "Duration",
+    searchAttendees: "Attendees",
+    searchAttendeesPlaceholder: "e.g. 6",
+    searchFrom: "From",
+    searchTo: "To",
+    searchTimeWindow: "Between",
+    anyTime: "Any time",
+    searchFeatures: "Needs",
+    searchDaysLimited: "Only the first {days} days are searched",
+    searchEndBeforeStart: "The last day must not be before the first",
+    search: "Search",
+    searching: "Searching...",
+    noFreeSlots: "No free room matches. Try other days, times or fewer requirements.",
+    seatsCount: "{count} seats",
+    bookThisSlot: "Book",
+    slotBookedNotice: "{room} is booked on {date}, {start} - {end}",
+    failedToSearchRooms: "Failed to search for free rooms",
+    failedToBookSlot: "Failed to book this slot",
+
+    workingHoursOnDay: "Open {start} - {end} on this day",
     roomAlreadyBooked:
       "This room is already booked from {start} to {end}. Please choose a different time.",
+    roomAlreadyBookedBy:
+      "This room is already booked by {name} from {start} to {end}. Please choose a different time.",
+    bookingChangedByOther:
+      "This booking was changed by someone else since you opened it. Please check the latest version and try again.",
     conflictsWithFixedSchedule:
       "This time conflicts with a fixed schedule ({time}). Please choose a different time.",
     pleaseChooseDifferentTime: "Please choose a different time.",
@@ -101,6 +246,11 @@ export const translations = {
       'Unable to book for {month} {year}. The sheet for this month doesn\'t exist yet. Please create a sheet named "{monthName1} {year}" or "{monthName2} {year}" in your Google Spreadsheet before booking.',
     failedToAccessSheet:
       "Failed to access the sheet for {month} {year}. {error}",
+    monthSheetMissingTitle: "No sheet for this month",
+    createMonthSheetPrompt:
+      'There is no sheet for {month} {year} yet. Create "{title}" from the template or the previous month\'s sheet and finish the booking?',
+    createMonthSheetAndBook: "Create sheet and book",
+    failedToCreateMonthSheet: "Failed to create the month sheet. {error}",
 
     // Credit Section
     vibeCodedBy: "Yes, this was 100% vibe-coded by",
@@ -157,6 +307,25 @@ export const translations = {
     gracePeriodNote: "Note: You can proceed with booking if the time has passed by less than 5 minutes.",
     confirmDeleteBooking: "Are you sure you want to delete this booking?",
     fixedScheduleManagementNote: 'Matched Fixed Schedule. Use "Manage Fixed Schedules" to edit.',
+    effectiveFrom: "Effective from",
+    effectiveUntil: "Effective until",
+    noStartDate: "No start date",
+    noEndDate: "No end date",
+    clearDate: "Clear date",
+    skippedDates: "Skipped dates",
+    addSkipDate: "Add a date to skip",
+    removeSkipDate: "Remove {date}",
+    effectiveUntilBeforeFrom: "Effective until must be on or after effective from",
+    fixedScheduleOutsideWorkingHours:
+      "These times are outside the room's working hours on every day.",
+    fixedScheduleWorkingHoursHint:
+      "Skipped on days the room is closed at these times.",
+    effectiveFromDate: "From {date}",
+    effectiveUntilDate: "Until {date}",
+    skippedDatesCount: "{count} skipped date(s)",
+    skipThisOccurrence: "Skip this occurrence",
+    fixedScheduleSkipped: "Fixed schedule skipped on {date}",
+    failedToSkipFixedSchedule: "Failed to skip the fixed schedule",
     
     // Network Guard
     verifyingNetwork: "Verifying network security...",
@@ -205,9 +374,18 @@ export const translations = {
     realTimeStatus: "실시간 예약 현황",
     updated: "업데이트",
     roomSchedule: "일별 회의실 일정",
-    scheduleHint: "예약을 선택하여 상세 정보를 확인하거나 수정/삭제하세요.",
+    scheduleHint: "빈 시간을 드래그하여 예약하거나, 예약을 선택하여 상세 정보를 확인하거나 수정/삭제하세요.",
     refresh: "새로고침",
     onlineUsers: "{count}명 접속 중",
+    previousMonth: "이전 달",
+    nextMonth: "다음 달",
+    previous: "이전",
+    next: "다음",
+    bookingCount: "{count}건 예약",
+    dayView: "일",
+    weekView: "주",
+    monthView: "월",
+    jumpToDate: "날짜로 이동",
 
     // Room Card
     available: "사용 가능",
@@ -237,6 +415,36 @@ export const translations = {
     date: "날짜",
     time: "시간",
     confirmBooking: "예약 확인",
+    repeat: "반복",
+    doesNotRepeat: "반복 안 함",
+    repeatDaily: "매일",
+    repeatWeekly: "매주",
+    repeatMonthly: "매월",
+    repeatEvery: "간격",
+    repeatDays: "일",
+    repeatWeeks: "주",
+    repeatMonths: "개월",
+    monthlyOnDay: "매월 {day}일",
+    monthlyOnWeekday: "{nth} {weekday}",
+    ordinal1: "첫째 주",
+    ordinal2: "둘째 주",
+    ordinal3: "셋째 주",
+    ordinal4: "넷째 주",
+    ordinal5: "다섯째 주",
+    ordinalLast: "마지막 주",
+    repeatEnds: "종료",
+    repeatAfter: "횟수",
+    repeatOccurrences: "회 후",
+    repeatUntil: "날짜",
+    repeatUntilDate: "{date}까지",
+    repeatCount: "{count}회",
+    invalidRecurrence: "반복 설정을 확인하세요. {reason}",
+    applyChangesTo: "변경 적용 대상",
+    deleteWhichOccurrences: "삭제 대상",
+    scopeThis: "이 예약만",
+    scopeFollowing: "이 예약 및 이후 예약",
+    scopeAll: "반복 예약 전체",
+    recurringBookingCreated: "반복 예약이 {count}회 생성되었습니다.",
     updateBooking: "예약 수정",
     booking: "예약 중...",
     updating: "수정 중...",
@@ -252,8 +460,114 @@ export const translations = {
     endTimeAfterStart: "종료 시간은 시작 시간보다 늦어야 합니다",
     invalidDateSelected:
       "선택한 날짜가 유효하지 않습니다. 유효한 날짜를 선택해주세요.",
+    outsideWorkingHours:
+      "이 날에는 {start}부터 {end}까지만 이 회의실을 예약할 수 있습니다.",
+    roomClosedOnDay: "이 날에는 이 회의실을 이용할 수 없습니다.",
+    holidayClosed: "이 날은 휴무일입니다.",
+    holidayClosedNamed: "이 날은 휴무일입니다 ({label}).",
+
+    // Room blackouts
+    unavailable: "사용 불가",
+    unavailableUntil: "{time}까지 사용 불가",
+    blackoutReason: "사유",
+    manageBlackouts: "회의실 사용 중지",
+    blackouts: "회의실 사용 중지",
+    blackoutsDescription: "수리 등으로 회의실을 일정 기간 사용 중지합니다. 기간이 끝날 때까지 예약할 수 없습니다.",
+    newBlackout: "새 사용 중지",
+    addBlackout: "사용 중지 추가",
+    blackoutFrom: "시작",
+    blackoutUntil: "종료",
+    blackoutReasonPlaceholder: "예: TV 수리",
+    noBlackouts: "예정된 사용 중지가 없습니다",
+    confirmDeleteBlackout: "이 사용 중지를 삭제하시겠습니까? 해당 기간에 다시 예약할 수 있게 됩니다.",
+    failedToSaveBlackout: "사용 중지를 저장하지 못했습니다",
+    failedToDeleteBlackout: "사용 중지를 삭제하지 못했습니다",
+    roomBlackedOut: "이 회의실은 {start}부터 {end}까지 사용할 수 없습니다.",
+    roomBlackedOutReason: "이 회의실은 {start}부터 {end}까지 사용할 수 없습니다 ({reason}).",
+
+    // Booking policy
+    policyMaxDuration: "이 회의실은 최대 {limit}까지만 예약할 수 있습니다.",
+    policyMinNotice: "예약은 시작 최소 {limit} 전까지 해야 합니다.",
+    policyMaxAdvance: "예약은 최대 {limit}일 후까지만 할 수 있습니다.",
+    policyMaxFuture: "이미 예정된 예약이 {limit}건 있습니다. 1인당 최대 예약 수입니다.",
+
+    // Approvals
+    approvals: "예약 승인",
+    approvalsDescription: "승인이 필요한 회의실의 예약이 여기에서 대기합니다. 승인하면 확정되고, 거절하면 시간이 다시 비워집니다.",
+    pendingApproval: "승인 대기",
+    approvedBy: "{name} 님이 승인함",
+    requiresApprovalHint: "이 회의실은 예약 시 승인이 필요합니다. 승인 전까지 예약은 승인 대기 상태로 시간을 확보합니다.",
+    bookingPendingApproval: "예약이 접수되었으며 승인을 기다리고 있습니다.",
+    approverCode: "승인자 코드",
+    approverCodePlaceholder: "결정은 본인 이름으로 기록됩니다",
+    enterApproverCode: "먼저 승인자 코드를 입력해주세요",
+    approve: "승인",
+    reject: "거절",
+    confirmRejectBooking: "이 예약을 거절하시겠습니까? 해당 시간이 다시 비워집니다.",
+    noPendingBookings: "승인 대기 중인 예약이 없습니다",
+    decidesWholeSeries: "반복 예약: 모든 반복 일정에 적용됩니다",
+    bookingAlreadyDecided: "이 예약은 이미 승인 또는 거절되었습니다.",
+    failedToDecideBooking: "결정을 저장하지 못했습니다",
+    notAnApprover: "유효하지 않은 승인자 코드입니다",
+
+    // Check-in
+    checkIn: "체크인",
+    checkInOpensAt: "{time}부터 체크인 가능",
+    checkInBy: "{time}까지 체크인하지 않으면 예약이 취소됩니다",
+    checkedInAt: "{time}에 체크인함",
+    checkedInToast: "체크인되었습니다. 좋은 회의 되세요!",
+    checkInNotOpen: "지금은 이 예약에 체크인할 수 없습니다.",
+    failedToCheckIn: "체크인하지 못했습니다",
+    noShow: "노쇼",
+    releasedAsNoShow: "체크인이 없어 예약이 취소되었습니다",
+    noShowCount: "이 사용자의 노쇼 기록: {count}회",
+
+    // Ending early and extending
+    endMeetingNow: "지금 종료",
+    confirmEndMeetingNow: "회의를 지금 종료하고 회의실을 비우시겠습니까?",
+    meetingEndedToast: "회의가 종료되었습니다. 이제 회의실을 사용할 수 있습니다.",
+    extendMinutes: "{minutes}분",
+    extendMeetingBy: "{minutes}분 연장",
+    meetingExtendedToast: "회의가 {time}까지 연장되었습니다",
+    cannotExtendMeeting: "연장할 수 없습니다: {time}부터 {name}님의 예약이 있습니다",
+
+    // Quick booking
+    bookNow: "바로 예약",
+    bookNowUntil: "{time}까지 바로 예약",
+    quickBookMinutes: "{minutes}분",
+    quickBookedToast: "{room}이(가) {time}까지 예약되었습니다",
+    enterYourName: "예약에 사용할 이름:",
+    yourName: "이름",
+
+    // Find a room
+    findRoom: "회의실 찾기",
+    findRoomDescription: "모든 회의실에서 회의에 맞는 빈 시간을 빠른 순으로 보여줍니다",
+    searchDuration: "회의 시간",
+    searchAttendees: "참석 인원",
+    searchAttendeesPlaceholder: "예: 6",
+    searchFrom: "시작일",
+    searchTo: "종료일",
+    searchTimeWindow: "시간대",
+    anyTime: "상관없음",
+    searchFeatures: "필요한 설비",
+    searchDaysLimited: "처음 {days}일만 검색합니다",
+    searchEndBeforeStart: "종료일은 시작일보다 빠를 수 없습니다",
+    search: "검색",
+    searching: "검색 중...",
+    noFreeSlots: "조건에 맞는 빈 회의실이 없습니다. 다른 날짜나 시간, 조건으로 검색해 보세요.",
+    seatsCount: "{count}석",
+    bookThisSlot: "예약",
+    slotBookedNotice: "{room} 예약 완료: {date}, {start} - {end}",
+    failedToSearchRooms: "빈 회의실을 검색하지 못했습니다",
+    failedToBookSlot: "이 시간을 예약하지 못했습니다",
+
+    workingHoursOnDay: "이 날 운영 시간: {start} - {end}",
     roomAlreadyBooked:
       "이 회의실은 {start}부터 {end}까지 이미 예약되어 있습니다. 다른 시간을 선택해주세요.",
+    roomAlreadyBookedBy:
+      "이 회의실은 {start}부터 {end}까지 {name}님이 이미 예약했습니다. 다른 시간을 선택해주세요.",
+    bookingChangedByOther:
+      "이 예약은 열어본 후 다른 사람이 변경했습니다. 최신 내용을 확인한 후 다시 시도해주세요.",
     conflictsWithFixedSchedule:
       "이 시간은 고정 일정({time})과 충돌합니다. 다른 시간을 선택해주세요.",
     pleaseChooseDifferentTime: "다른 시간을 선택해주세요.",
@@ -302,6 +616,11 @@ export const translations = {
       '{month} {year}에 예약할 수 없습니다. 이 달의 시트가 아직 존재하지 않습니다. 예약하기 전에 Google 스프레드시트에 "{monthName1} {year}" 또는 "{monthName2} {year}"라는 이름의 시트를 만들어주세요.',
     failedToAccessSheet:
       "{month} {year}의 시트에 액세스하는 데 실패했습니다. {error}",
+    monthSheetMissingTitle: "이 달의 시트가 없습니다",
+    createMonthSheetPrompt:
+      '{month} {year}의 시트가 아직 없습니다. 템플릿이나 이전 달 시트로 "{title}" 시트를 만들고 예약을 완료할까요?',
+    createMonthSheetAndBook: "시트 만들고 예약하기",
+    failedToCreateMonthSheet: "이 달의 시트를 만드는 데 실패했습니다. {error}",
 
     // Credit Section
     vibeCodedBy: "네, 이것은 100% 바이브 코딩으로 만들어졌습니다. 제작자:",
@@ -358,6 +677,25 @@ export const translations = {
     gracePeriodNote: "참고: 시작 시간이 5분 이내로 지났다면 예약을 진행할 수 있습니다.",
     confirmDeleteBooking: "이 예약을 삭제하시겠습니까?",
     fixedScheduleManagementNote: '고정 일정입니다. 편집하려면 "고정 일정 관리"를 사용하세요.',
+    effectiveFrom: "적용 시작일",
+    effectiveUntil: "적용 종료일",
+    noStartDate: "시작일 없음",
+    noEndDate: "종료일 없음",
+    clearDate: "날짜 지우기",
+    skippedDates: "건너뛸 날짜",
+    addSkipDate: "건너뛸 날짜 추가",
+    removeSkipDate: "{date} 삭제",
+    effectiveUntilBeforeFrom: "적용 종료일은 적용 시작일과 같거나 이후여야 합니다",
+    fixedScheduleOutsideWorkingHours:
+      "이 시간은 모든 요일에 회의실 운영 시간을 벗어납니다.",
+    fixedScheduleWorkingHoursHint:
+      "회의실이 이 시간에 운영하지 않는 날에는 건너뜁니다.",
+    effectiveFromDate: "{date}부터",
+    effectiveUntilDate: "{date}까지",
+    skippedDatesCount: "{count}일 건너뜀",
+    skipThisOccurrence: "이번 일정 건너뛰기",
+    fixedScheduleSkipped: "{date} 고정 일정을 건너뛰었습니다",
+    failedToSkipFixedSchedule: "고정 일정을 건너뛰지 못했습니다",
     
     // Network Guard
     verifyingNetwork: "네트워크 보안 확인 중...",
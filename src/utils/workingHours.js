@@ -0,0 +1,181 @@
+import { format } from "date-fns";
+
+// When rooms can be booked, shared by every storage backend and the booking screens:
+//   { slotMinutes: 30, days: [null | { start: 480, end: 1080 }, ...] }
+// days is indexed like Date.getDay() (0 = Sunday), times are minutes after midnight,
+// null means closed all day. slotMinutes (15, 30 or 60) is the step of the time
+// pickers and the calendar grid.
+// Hours are written as a spec, in VITE_WORKING_HOURS for the office and in the
+// "hours" column of the ROOMS sheet for a room with hours of its own:
+//   "mon-fri 08:00-18:00; sat 09:00-12:00"   (days not listed are closed)
+
+export const OUTSIDE_WORKING_HOURS = "OUTSIDE_WORKING_HOURS";
+
+export const SLOT_SIZES = [15, 30, 60];
+export const DEFAULT_SLOT_MINUTES = 30;
+export const DEFAULT_WORKING_HOURS = "mon-sun 08:00-18:00";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+
+// "09:30" -> 570
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// 570 -> "09:30"
+export const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+// "mon-fri" -> [1, 2, 3, 4, 5], "fri-mon" -> [5, 6, 0, 1]; null if a day is unknown
+const parseDayRange = (range) => {
+  const [from, to = from] = range.split("-").map((day) => WEEKDAYS.indexOf(day.slice(0, 3)));
+  if (from === -1 || to === -1) return null;
+  const days = [from];
+  for (let day = from; day !== to; ) {
+    day = (day + 1) % 7;
+    days.push(day);
+  }
+  return days;
+};
+
+// Spec -> days array (see above); null when the spec is empty or malformed
+export const parseWorkingHours = (spec) => {
+  const parts = String(spec || "")
+    .toLowerCase()
+    .split(";")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const days = Array(7).fill(null);
+  for (const part of parts) {
+    const match = part.match(/^([a-z,\s-]+?)\s+(closed|\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2})$/);
+    if (!match) return null;
+
+    const weekdays = match[1].split(",").map((range) => parseDayRange(range.trim()));
+    if (weekdays.includes(null)) return null;
+
+    let hours = null;
+    if (match[2] !== "closed") {
+      const [start, end] = match[2].split("-").map((time) => time.trim());
+      if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) return null;
+      hours = { start: toMinutes(start), end: toMinutes(end) };
+      if (hours.end <= hours.start || hours.end > 24 * 60) return null;
+    }
+    weekdays.flat().forEach((day) => {
+      days[day] = hours;
+    });
+  }
+  return days;
+};
+
+// Office working hours from their spec and slot size, falling back to the defaults
+export const createWorkingHours = ({ spec, slotMinutes } = {}) => {
+  let days = parseWorkingHours(spec || DEFAULT_WORKING_HOURS);
+  if (!days) {
+    console.warn(`⚠️ Invalid working hours "${spec}", using "${DEFAULT_WORKING_HOURS}"`);
+    days = parseWorkingHours(DEFAULT_WORKING_HOURS);
+  }
+
+  let slot = Number(slotMinutes) || DEFAULT_SLOT_MINUTES;
+  if (!SLOT_SIZES.includes(slot)) {
+    console.warn(`⚠️ Slot size must be one of ${SLOT_SIZES.join(", ")} minutes, using ${DEFAULT_SLOT_MINUTES}`);
+    slot = DEFAULT_SLOT_MINUTES;
+  }
+  return { slotMinutes: slot, days };
+};
+
+// Room specs are parsed once each
+const roomHoursCache = new Map();
+
+const getRoomDays = (room) => {
+  const spec = room?.hours;
+  if (!spec) return null;
+  if (!roomHoursCache.has(spec)) {
+    const days = parseWorkingHours(spec);
+    if (!days) console.warn(`⚠️ Invalid hours "${spec}" for room "${room.id}", using the office hours`);
+    roomHoursCache.set(spec, days);
+  }
+  return roomHoursCache.get(spec);
+};
+
+// { start, end } (minutes) a room is open on a weekday or Date, null when closed.
+// room may be omitted for the office hours.
+export const getWorkingHoursOn = (workingHours, day, room = null) => {
+  const weekday = day instanceof Date ? day.getDay() : day;
+  return (getRoomDays(room) || workingHours.days)[weekday];
+};
+
+// Whether "HH:mm" is within { start, end } (both ends included, so a booking may end at closing time)
+export const isTimeWithin = (hours, time) =>
+  !!hours && toMinutes(time) >= hours.start && toMinutes(time) <= hours.end;
+
+// Whether "HH:mm" start and end both fit in the room's hours on at least one day of the week
+export const fitsWorkingHoursOnSomeDay = (workingHours, room, startTime, endTime) =>
+  [0, 1, 2, 3, 4, 5, 6].some((weekday) => {
+    const hours = getWorkingHoursOn(workingHours, weekday, room);
+    return isTimeWithin(hours, startTime) && isTimeWithin(hours, endTime);
+  });
+
+// Whether start-end (Dates on the same day) fits in the room's hours that day
+export const isWithinWorkingHours = (workingHours, room, start, end) => {
+  const hours = getWorkingHoursOn(workingHours, start, room);
+  if (!hours || format(start, "yyyy-MM-dd") !== format(end, "yyyy-MM-dd")) return false;
+  return (
+    start.getHours() * 60 + start.getMinutes() >= hours.start &&
+    end.getHours() * 60 + end.getMinutes() <= hours.end
+  );
+};
+
+// Earliest opening and latest closing across the week and every room's own hours
+export const getWorkingHoursBounds = (workingHours, rooms = []) => {
+  const open = [workingHours.days, ...rooms.map(getRoomDays)]
+    .filter(Boolean)
+    .flat()
+    .filter(Boolean);
+  if (open.length === 0) return { start: 8 * 60, end: 18 * 60 };
+  return {
+    start: Math.min(...open.map((hours) => hours.start)),
+    end: Math.max(...open.map((hours) => hours.end)),
+  };
+};
+
+// Every bookable "HH:mm" from the earliest opening to the latest closing, one slot apart.
+// Screens narrow it down to a room and day with getWorkingHoursOn()/isTimeWithin().
+export const getTimeSlots = (workingHours, rooms = []) => {
+  const { start, end } = getWorkingHoursBounds(workingHours, rooms);
+  const slots = [];
+  for (let minutes = start; minutes <= end; minutes += workingHours.slotMinutes) {
+    slots.push(formatMinutes(minutes));
+  }
+  return slots;
+};
+
+// Error thrown for a booking outside its room's working hours.
+// error.code === OUTSIDE_WORKING_HOURS; error.workingHours = { date: "yyyy-MM-dd", start, end }
+// with the hours that day as "HH:mm", or null start/end when the room is closed.
+export const createOutsideWorkingHoursError = (workingHours, room, start) => {
+  const hours = getWorkingHoursOn(workingHours, start, room);
+  const roomName = room?.name || "the room";
+  const error = new Error(
+    hours
+      ? `Cannot book ${roomName} outside working hours (${formatMinutes(hours.start)}-${formatMinutes(hours.end)} on ${format(start, "EEEE")})`
+      : `Cannot book ${roomName}: closed on ${format(start, "EEEE")}`
+  );
+  error.code = OUTSIDE_WORKING_HOURS;
+  error.status = 400;
+  error.workingHours = {
+    date: format(start, "yyyy-MM-dd"),
+    start: hours ? formatMinutes(hours.start) : null,
+    end: hours ? formatMinutes(hours.end) : null,
+  };
+  return error;
+};
+
+export const assertWithinWorkingHours = (workingHours, room, start, end) => {
+  if (!isWithinWorkingHours(workingHours, room, start, end)) {
+    throw createOutsideWorkingHoursError(workingHours, room, start);
+  }
+};
@@ -1,7 +1,56 @@
-import { defineConfig } from 'vite'
+import fs from 'node:fs'
+import path from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Serve the Vercel functions in api/ during `npm run dev`, so the "api" storage
+// backend works without `vercel dev`. Provides just the parts of Vercel's
+// request/response helpers the functions use: req.query, req.body, res.status(), res.json().
+const apiDevServer = () => ({
+  name: 'api-dev-server',
+  configureServer(server) {
+    // Server-only credentials (GOOGLE_CLIENT_SECRET, ...) from .env
+    const env = loadEnv(server.config.mode, server.config.envDir || server.config.root, '')
+    Object.entries(env).forEach(([key, value]) => {
+      if (process.env[key] === undefined) process.env[key] = value
+    })
+
+    server.middlewares.use('/api', async (req, res, next) => {
+      const url = new URL(req.url, 'http://localhost')
+      const name = url.pathname.replace(/^\/+|\/+$/g, '')
+      const file = path.join(server.config.root, 'api', `${name}.js`)
+      if (!name || name.startsWith('_') || !fs.existsSync(file)) return next()
+
+      try {
+        let raw = ''
+        for await (const chunk of req) raw += chunk
+        req.body = raw ? JSON.parse(raw) : undefined
+        req.query = Object.fromEntries(url.searchParams)
+
+        res.status = (code) => {
+          res.statusCode = code
+          return res
+        }
+        res.json = (data) => {
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify(data))
+          return res
+        }
+
+        const { default: handler } = await server.ssrLoadModule(file)
+        await handler(req, res)
+      } catch (e) {
+        server.ssrFixStacktrace(e)
+        console.error(e)
+        res.statusCode = 500
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify({ error: e.message }))
+      }
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), apiDevServer()],
 })